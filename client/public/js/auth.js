@@ -0,0 +1,161 @@
+/**
+ * Shared authentication helpers for dashboard pages.
+ *
+ * Tokens issued by POST /api/users/login are kept in localStorage. The
+ * access token is short-lived; when the API answers 401 the refresh token
+ * is exchanged once for a new pair before giving up and showing the login
+ * page.
+ */
+const API_BASE = '/api';
+const SESSION_KEY = 'justflour.session';
+const LOGIN_PAGE = '/login.html';
+
+let refreshPromise = null;
+
+function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (_error) {
+    return null;
+  }
+}
+
+function saveSession(data) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({
+    user: data.user,
+    permissions: data.permissions || [],
+    accessToken: data.accessToken,
+    refreshToken: data.refreshToken
+  }));
+}
+
+function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+function getCurrentUser() {
+  const session = getSession();
+  return session ? session.user : null;
+}
+
+/**
+ * Check whether the signed-in user's role grants a permission. This only
+ * decides what to show; the server checks every request itself.
+ */
+function hasPermission(permission) {
+  const session = getSession();
+  return Boolean(session && session.permissions && session.permissions.includes(permission));
+}
+
+/**
+ * Get authentication headers for API requests.
+ */
+function getAuthHeaders() {
+  const session = getSession();
+  return session ? { Authorization: `Bearer ${session.accessToken}` } : {};
+}
+
+function redirectToLogin() {
+  clearSession();
+  const next = encodeURIComponent(window.location.pathname + window.location.search);
+  window.location.href = `${LOGIN_PAGE}?next=${next}`;
+}
+
+async function refreshSession() {
+  const session = getSession();
+  if (!session || !session.refreshToken) {
+    return false;
+  }
+
+  // Concurrent 401s share a single refresh so the rotated token isn't reused
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE}/users/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session.refreshToken })
+    })
+      .then(async response => {
+        if (!response.ok) {
+          return false;
+        }
+        saveSession(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+}
+
+/**
+ * fetch() wrapper that adds auth headers and retries once after refreshing
+ * an expired access token.
+ */
+async function apiFetch(path, options = {}) {
+  const send = () => fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: { ...(options.headers || {}), ...getAuthHeaders() }
+  });
+
+  let response = await send();
+  if (response.status === 401 && await refreshSession()) {
+    response = await send();
+  }
+  if (response.status === 401) {
+    redirectToLogin();
+    throw new Error('Authentication required');
+  }
+  return response;
+}
+
+/**
+ * Send visitors without a session to the login page.
+ * @returns {boolean} True if a session exists
+ */
+function requireLogin() {
+  if (!getSession()) {
+    redirectToLogin();
+    return false;
+  }
+  return true;
+}
+
+async function logout() {
+  try {
+    await fetch(`${API_BASE}/users/logout`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+  } finally {
+    clearSession();
+    window.location.href = LOGIN_PAGE;
+  }
+}
+
+/**
+ * Fill the header's account menu with the signed-in user's name and links
+ * to their settings and to log out.
+ */
+function renderAccountMenu() {
+  const menu = document.getElementById('account-menu');
+  const user = getCurrentUser();
+  if (!menu || !user) {
+    return;
+  }
+
+  menu.innerHTML = '';
+  const name = document.createElement('div');
+  name.textContent = `Signed in as ${user.name}`;
+  const settings = document.createElement('a');
+  settings.className = 'link-btn';
+  settings.href = '/account.html';
+  settings.textContent = 'Account settings';
+  const button = document.createElement('button');
+  button.className = 'link-btn';
+  button.textContent = 'Log out';
+  button.addEventListener('click', logout);
+  menu.append(name, settings, button);
+}
@@ -0,0 +1,40 @@
+/**
+ * Shared page navigation for dashboard pages.
+ *
+ * Pages include an empty <nav id="main-nav"> and call renderNav(). Items
+ * with a permission are hidden from users whose role doesn't grant it; the
+ * server enforces the same restriction on the underlying endpoints.
+ */
+const NAV_ITEMS = [
+  { href: '/', label: 'Users', permission: 'users.view' },
+  { href: '/staff.html', label: 'Staff', permission: 'staff.view' },
+  { href: '/availability.html', label: 'Availability', permission: 'schedule.view' },
+  { href: '/shift-trades.html', label: 'Shift Swaps', permission: 'schedule.view' },
+  { href: '/timesheets.html', label: 'Time Clock' },
+  { href: '/projects.html', label: 'Projects', permission: 'projects.view' },
+  { href: '/reports.html', label: 'Reports', permission: 'reports.view' },
+  { href: '/audit.html', label: 'Audit Log', permission: 'audit.view' }
+];
+
+function renderNav() {
+  const nav = document.getElementById('main-nav');
+  const user = getCurrentUser();
+  if (!nav || !user) {
+    return;
+  }
+
+  const currentPath = window.location.pathname === '/index.html' ? '/' : window.location.pathname;
+
+  nav.innerHTML = '';
+  NAV_ITEMS
+    .filter(item => !item.permission || hasPermission(item.permission))
+    .forEach(item => {
+      const link = document.createElement('a');
+      link.href = item.href;
+      link.textContent = item.label;
+      if (item.href === currentPath) {
+        link.className = 'active';
+      }
+      nav.appendChild(link);
+    });
+}
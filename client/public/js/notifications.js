@@ -0,0 +1,125 @@
+/**
+ * Notification bell for the dashboard header.
+ *
+ * Pages call renderNotificationBell() after renderAccountMenu(). The bell
+ * shows how many notifications are unread and opens the inbox; following a
+ * notification marks it read and goes to the discussion it's about.
+ */
+const NOTIFICATION_REFRESH_MS = 60000;
+
+let notificationTimer = null;
+
+function notificationLink(notification) {
+  if (!notification.projectId) {
+    return null;
+  }
+  const params = new URLSearchParams({ project: notification.projectId });
+  if (notification.taskId) {
+    params.set('task', notification.taskId);
+  }
+  return `/projects.html?${params}`;
+}
+
+function renderNotificationList(panel, notifications) {
+  if (notifications.length === 0) {
+    panel.innerHTML = '<p class="notification-empty">No notifications yet</p>';
+    return;
+  }
+
+  panel.innerHTML = `
+    <div class="notification-panel-header">
+      <strong>Notifications</strong>
+      <button class="link-btn" onclick="markAllNotificationsRead()">Mark all read</button>
+    </div>
+    ${notifications.map(notification => `
+      <button class="notification-item ${notification.read ? '' : 'unread'}"
+              onclick="openNotification('${escapeHtml(notification.id)}', '${escapeHtml(notificationLink(notification) || '')}')">
+        <span>${escapeHtml(notification.message)}</span>
+        <span class="description">${formatDate(notification.createdAt)}</span>
+      </button>
+    `).join('')}
+  `;
+}
+
+async function loadNotifications() {
+  const bell = document.getElementById('notification-bell');
+  if (!bell) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch('/notifications?limit=20');
+    if (!response.ok) {
+      return;
+    }
+    const { notifications, unreadCount } = await response.json();
+
+    const badge = bell.querySelector('.notification-count');
+    badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+    badge.hidden = unreadCount === 0;
+    bell.setAttribute('aria-label', `Notifications (${unreadCount} unread)`);
+    renderNotificationList(document.getElementById('notification-panel'), notifications);
+  } catch (error) {
+    console.error('Error loading notifications:', error);
+  }
+}
+
+function toggleNotifications() {
+  const panel = document.getElementById('notification-panel');
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    loadNotifications();
+  }
+}
+
+async function openNotification(id, link) {
+  try {
+    await apiFetch(`/notifications/${encodeURIComponent(id)}/read`, { method: 'POST' });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+  }
+  if (link) {
+    window.location.href = link;
+  } else {
+    loadNotifications();
+  }
+}
+
+async function markAllNotificationsRead() {
+  try {
+    await apiFetch('/notifications/read-all', { method: 'POST' });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+  }
+  loadNotifications();
+}
+
+function renderNotificationBell() {
+  const menu = document.getElementById('account-menu');
+  if (!menu || !getCurrentUser() || document.getElementById('notification-bell')) {
+    return;
+  }
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'notification-menu';
+  wrapper.innerHTML = `
+    <button class="notification-bell" id="notification-bell" onclick="toggleNotifications()" aria-label="Notifications">
+      <span aria-hidden="true">&#128276;</span>
+      <span class="notification-count" hidden>0</span>
+    </button>
+    <div class="notification-panel" id="notification-panel" hidden></div>
+  `;
+  menu.prepend(wrapper);
+
+  loadNotifications();
+  clearInterval(notificationTimer);
+  notificationTimer = setInterval(loadNotifications, NOTIFICATION_REFRESH_MS);
+}
+
+// Close the inbox when clicking anywhere else on the page
+document.addEventListener('click', event => {
+  const wrapper = document.querySelector('.notification-menu');
+  if (wrapper && !wrapper.contains(event.target)) {
+    document.getElementById('notification-panel').hidden = true;
+  }
+});
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Read an integer from the environment, falling back to a default
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Read a number from the environment, falling back to a default
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const isTest = process.env.NODE_ENV === 'test';
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+/**
+ * Application configuration
+ *
+ * Values come from the environment with development defaults. Tests may
+ * override individual settings by mutating this object.
+ */
+const config = {
+  auth: {
+    // Without AUTH_TOKEN_SECRET a random secret is generated, so issued
+    // tokens stop working whenever the server restarts.
+    tokenSecret: process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+    tokenIssuer: 'justflour',
+    accessTokenTtlSeconds: envInt('ACCESS_TOKEN_TTL_SECONDS', 15 * 60), // 15 minutes
+    refreshTokenTtlSeconds: envInt('REFRESH_TOKEN_TTL_SECONDS', 7 * 24 * 60 * 60), // 7 days
+    emailVerificationTtlSeconds: envInt('EMAIL_VERIFICATION_TTL_SECONDS', 48 * 60 * 60), // 48 hours
+    passwordResetTtlSeconds: envInt('PASSWORD_RESET_TTL_SECONDS', 60 * 60), // 1 hour
+    lockout: {
+      // Consecutive failed logins before the account is locked
+      maxFailedAttempts: envInt('LOGIN_MAX_FAILED_ATTEMPTS', 5),
+      // How long a lock lasts; older failures are forgotten after this too
+      lockoutSeconds: envInt('LOGIN_LOCKOUT_SECONDS', 15 * 60),
+      // Wait after the first failure, doubled after each further one
+      baseDelaySeconds: envInt('LOGIN_BASE_DELAY_SECONDS', 1),
+      maxDelaySeconds: envInt('LOGIN_MAX_DELAY_SECONDS', 30)
+    }
+  },
+  signup: {
+    // When true, new signups stay pending until an administrator approves them
+    requireApproval: process.env.SIGNUP_REQUIRES_APPROVAL === 'true'
+  },
+  scheduling: {
+    // Longest single shift, and the shortest break between shifts that
+    // start on different days (e.g. a closing shift then an opening one)
+    maxShiftHours: envInt('SHIFT_MAX_HOURS', 12),
+    minRestHours: envInt('SHIFT_MIN_REST_HOURS', 10),
+    // When true, shifts outside someone's weekly availability are refused
+    // rather than flagged with a warning
+    enforceAvailability: process.env.SHIFT_ENFORCE_AVAILABILITY === 'true',
+    // When true, shifts in a position the staff member isn't currently
+    // certified for are refused rather than flagged with a warning
+    enforceCertifications: process.env.SHIFT_ENFORCE_CERTIFICATIONS !== 'false'
+  },
+  timesheets: {
+    // Hours worked beyond these count as overtime; a daily limit of 0
+    // means only the weekly one applies
+    overtimeWeeklyHours: envInt('OVERTIME_WEEKLY_HOURS', 40),
+    overtimeDailyHours: envInt('OVERTIME_DAILY_HOURS', 0),
+    // Hours worked in this window are also counted as late-night hours; the
+    // window may run past midnight
+    lateNightStart: process.env.LATE_NIGHT_START || '22:00',
+    lateNightEnd: process.env.LATE_NIGHT_END || '06:00',
+    // Overtime hours cost this many times the hourly rate in labor reports
+    overtimePayMultiplier: envNumber('OVERTIME_PAY_MULTIPLIER', 1.5)
+  },
+  // Base URL used for links in outgoing email
+  appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 3001}`,
+  mail: {
+    // `file` writes each message to outboxDir; `memory` keeps them in an array
+    transport: process.env.MAIL_TRANSPORT || (isTest ? 'memory' : 'file'),
+    from: process.env.MAIL_FROM || 'JustFlour <no-reply@justflour.local>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(dataDir, 'outbox')
+  },
+  storage: {
+    // `file` persists to JSON files in dataDir; `memory` keeps nothing
+    // across restarts and is the default when running tests
+    driver: process.env.STORAGE_DRIVER || (isTest ? 'memory' : 'file'),
+    dataDir
+  },
+  attachments: {
+    // `local` keeps uploaded files in dir; `memory` keeps them in a Map
+    driver: process.env.ATTACHMENT_DRIVER || (isTest ? 'memory' : 'local'),
+    dir: process.env.ATTACHMENT_DIR || path.join(dataDir, 'attachments'),
+    maxFileBytes: envInt('ATTACHMENT_MAX_BYTES', 10 * 1024 * 1024), // 10 MB
+    // Recipes and invoices as PDFs, text or CSV, and photos
+    allowedTypes: (process.env.ATTACHMENT_TYPES ||
+      'application/pdf,image/jpeg,image/png,image/webp,image/gif,text/plain,text/csv').split(','),
+    // Images get a thumbnail fitting in a square this many pixels across
+    thumbnailSize: envInt('ATTACHMENT_THUMBNAIL_SIZE', 240)
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage drivers
+ *
+ * A driver is any object with async `write(key, data)`, `read(key)` and
+ * `remove(key)` methods, where `data` is a Buffer. `read` throws
+ * "File not found" for a missing key and `remove` ignores one. Swap in a
+ * cloud storage driver with `setFileStorage()` from `files/index.js`.
+ */
+
+/**
+ * Make sure a storage key is a plain file name
+ * @param {string} key - Storage key
+ * @returns {string} The key
+ */
+function checkKey(key) {
+  if (typeof key !== 'string' || !/^[\w-][\w.-]*$/.test(key)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+}
+
+/**
+ * Create a driver that keeps files in memory
+ * @returns {Object} Driver with a `files` Map and `clear()`
+ */
+function createMemoryFileStorage() {
+  const files = new Map();
+
+  return {
+    files,
+    async write(key, data) {
+      files.set(checkKey(key), Buffer.from(data));
+    },
+    async read(key) {
+      if (!files.has(checkKey(key))) {
+        throw new Error('File not found');
+      }
+      return Buffer.from(files.get(key));
+    },
+    async remove(key) {
+      files.delete(checkKey(key));
+    },
+    clear() {
+      files.clear();
+    }
+  };
+}
+
+/**
+ * Create a driver that keeps each file in a directory on local disk
+ * @param {string} dir - Directory for the files
+ * @returns {Object} Driver
+ */
+function createLocalFileStorage(dir) {
+  const filePath = key => path.join(dir, checkKey(key));
+
+  return {
+    dir,
+    async write(key, data) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // Write to a temp file, then rename, so a file is never read half-written
+      const tempPath = `${filePath(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, filePath(key));
+    },
+    async read(key) {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error('File not found');
+        }
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    }
+  };
+}
+
+module.exports = {
+  createMemoryFileStorage,
+  createLocalFileStorage
+};
@@ -0,0 +1,40 @@
+const config = require('../config');
+const { createMemoryFileStorage, createLocalFileStorage } = require('./drivers');
+
+/**
+ * Create the file storage driver named in the configuration
+ * @returns {Object} Driver
+ */
+function createConfiguredStorage() {
+  switch (config.attachments.driver) {
+    case 'memory':
+      return createMemoryFileStorage();
+    case 'local':
+      return createLocalFileStorage(config.attachments.dir);
+    default:
+      throw new Error(`Unknown attachment driver "${config.attachments.driver}"`);
+  }
+}
+
+let storage = createConfiguredStorage();
+
+/**
+ * Get the active file storage driver
+ * @returns {Object} Driver
+ */
+function getFileStorage() {
+  return storage;
+}
+
+/**
+ * Replace the active file storage driver
+ * @param {Object} newStorage - Object with async `write`, `read` and `remove` methods
+ */
+function setFileStorage(newStorage) {
+  storage = newStorage;
+}
+
+module.exports = {
+  getFileStorage,
+  setFileStorage
+};
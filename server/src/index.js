@@ -3,6 +3,25 @@ const cors = require('cors');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const usersRouter = require('./routes/users');
+const auditRouter = require('./routes/audit');
+const rolesRouter = require('./routes/roles');
+const staffRouter = require('./routes/staff');
+const schedulesRouter = require('./routes/schedules');
+const shiftsRouter = require('./routes/shifts');
+const availabilityRouter = require('./routes/availability');
+const timeOffRouter = require('./routes/timeOff');
+const coverageRouter = require('./routes/coverage');
+const shiftTradesRouter = require('./routes/shiftTrades');
+const calendarRouter = require('./routes/calendar');
+const timeClockRouter = require('./routes/timeClock');
+const timesheetsRouter = require('./routes/timesheets');
+const reportsRouter = require('./routes/reports');
+const positionsRouter = require('./routes/positions');
+const shiftTemplatesRouter = require('./routes/shiftTemplates');
+const holidaysRouter = require('./routes/holidays');
+const projectsRouter = require('./routes/projects');
+const tasksRouter = require('./routes/tasks');
+const notificationsRouter = require('./routes/notifications');
 
 const app = express();
 
@@ -25,6 +44,8 @@ const frontendLimiter = rateLimit({
 
 // Middleware
 app.use(cors());
+// JSON bodies only; the routes that take file uploads parse multipart/form-data
+// themselves (see middleware/upload.js)
 app.use(express.json());
 
 // Apply rate limiting to API routes
@@ -35,6 +56,25 @@ app.use(express.static(path.join(__dirname, '../../client/public')));
 
 // Routes
 app.use('/api/users', usersRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/roles', rolesRouter);
+app.use('/api/staff', staffRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/shifts', shiftsRouter);
+app.use('/api/availability', availabilityRouter);
+app.use('/api/time-off', timeOffRouter);
+app.use('/api/coverage', coverageRouter);
+app.use('/api/shift-trades', shiftTradesRouter);
+app.use('/api/calendar', calendarRouter);
+app.use('/api/time-clock', timeClockRouter);
+app.use('/api/timesheets', timesheetsRouter);
+app.use('/api/reports', reportsRouter);
+app.use('/api/positions', positionsRouter);
+app.use('/api/shift-templates', shiftTemplatesRouter);
+app.use('/api/holidays', holidaysRouter);
+app.use('/api/projects', projectsRouter);
+app.use('/api/tasks', tasksRouter);
+app.use('/api/notifications', notificationsRouter);
 
 // Health check endpoint
 app.get('/health', (_req, res) => {
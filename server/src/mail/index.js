@@ -0,0 +1,54 @@
+const config = require('../config');
+const { createMemoryTransport, createFileTransport } = require('./transports');
+
+/**
+ * Create the transport named in the configuration
+ * @returns {Object} Transport
+ */
+function createConfiguredTransport() {
+  switch (config.mail.transport) {
+    case 'memory':
+      return createMemoryTransport();
+    case 'file':
+      return createFileTransport(config.mail.outboxDir);
+    default:
+      throw new Error(`Unknown mail transport "${config.mail.transport}"`);
+  }
+}
+
+let transport = createConfiguredTransport();
+
+/**
+ * Get the active mail transport
+ * @returns {Object} Transport
+ */
+function getTransport() {
+  return transport;
+}
+
+/**
+ * Replace the active mail transport
+ * @param {Object} newTransport - Object with an async `send(message)` method
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Message with `to`, `subject` and `text`
+ * @returns {Promise<Object>} Sent message
+ */
+async function sendMail(message) {
+  const { to, subject, text } = message;
+  if (!to || !subject || !text) {
+    throw new Error('Mail requires to, subject and text');
+  }
+  return transport.send({ from: config.mail.from, to, subject, text });
+}
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Mail transports
+ *
+ * A transport is any object with an async `send(message)` method, where a
+ * message has `from`, `to`, `subject` and `text`. Swap in an SMTP or API
+ * based transport with `setTransport()` from `mail/index.js`.
+ */
+
+/**
+ * Create a transport that keeps sent messages in memory
+ * @returns {Object} Transport with a `messages` array and `clear()`
+ */
+function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    messages,
+    async send(message) {
+      const sent = { id: uuidv4(), ...message, sentAt: new Date().toISOString() };
+      messages.push(sent);
+      return sent;
+    },
+    clear() {
+      messages.length = 0;
+    }
+  };
+}
+
+/**
+ * Format a message as a plain-text .eml file
+ * @param {Object} message - Sent message
+ * @returns {string} RFC 5322 style message
+ */
+function formatEml(message) {
+  return [
+    `Message-ID: <${message.id}@justflour.local>`,
+    `Date: ${new Date(message.sentAt).toUTCString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text
+  ].join('\r\n');
+}
+
+/**
+ * Create a transport that writes each message to an outbox directory
+ * @param {string} outboxDir - Directory for .eml files
+ * @returns {Object} Transport
+ */
+function createFileTransport(outboxDir) {
+  return {
+    outboxDir,
+    async send(message) {
+      const sent = { id: uuidv4(), ...message, sentAt: new Date().toISOString() };
+      const fileName = `${sent.sentAt.replace(/[:.]/g, '-')}-${sent.id}.eml`;
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      await fs.promises.writeFile(path.join(outboxDir, fileName), formatEml(sent));
+      return sent;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryTransport,
+  createFileTransport
+};
@@ -0,0 +1,65 @@
+const { UserStatus, findUserById } = require('../models/user');
+const { hasPermission } = require('../models/role');
+const { verifyAccessToken } = require('../services/tokens');
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+  return token;
+}
+
+/**
+ * Middleware to require a valid access token
+ *
+ * Identity comes from the verified token only. The role is read from the
+ * user store on every request, so role changes take effect immediately
+ * and a token can never grant more than the account currently has.
+ * Tokens of accounts that are no longer active stop working straight away.
+ */
+function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  const identity = token ? verifyAccessToken(token) : null;
+  const user = identity ? findUserById(identity.userId) : null;
+
+  if (!user || user.status !== UserStatus.ACTIVE) {
+    req.currentUser = null;
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.currentUser = {
+    id: user.id,
+    role: user.role,
+    sessionId: identity.sessionId
+  };
+  next();
+}
+
+/**
+ * Create middleware that requires the current user's role to grant a permission
+ * @param {string} permission - Permission name (see Permission in models/role)
+ * @param {string} message - Optional error message for the 403 response
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission, message) {
+  return (req, res, next) => {
+    if (!req.currentUser || !hasPermission(req.currentUser.role, permission)) {
+      return res.status(403).json({
+        error: message || `You do not have permission to do this (requires ${permission})`
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requirePermission
+};
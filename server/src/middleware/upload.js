@@ -0,0 +1,46 @@
+const multer = require('multer');
+const config = require('../config');
+
+const TYPE_NOT_ALLOWED = 'This type of file can\'t be attached';
+
+/**
+ * Middleware to accept one uploaded file from a multipart/form-data body
+ *
+ * The file is held in memory as `req.file` (with `originalname`, `mimetype`,
+ * `size` and `buffer`) and any other form fields go in `req.body`. Files
+ * over the size limit are refused with a 413, and types that aren't allowed
+ * with a 415, before the route runs.
+ * @param {string} field - Name of the form field carrying the file
+ * @returns {Function} Express middleware
+ */
+function acceptUpload(field) {
+  return (req, res, next) => {
+    // Built per request so the limits follow config changes
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: config.attachments.maxFileBytes, files: 1 },
+      fileFilter: (_req, file, done) => {
+        if (!config.attachments.allowedTypes.includes(file.mimetype)) {
+          return done(new Error(TYPE_NOT_ALLOWED));
+        }
+        done(null, true);
+      }
+    }).single(field);
+
+    upload(req, res, error => {
+      if (!error) {
+        return next();
+      }
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        const megabytes = Math.round(config.attachments.maxFileBytes / (1024 * 1024) * 10) / 10;
+        return res.status(413).json({ error: `Files can be at most ${megabytes} MB` });
+      }
+      if (error.message === TYPE_NOT_ALLOWED) {
+        return res.status(415).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    });
+  };
+}
+
+module.exports = { acceptUpload };
@@ -0,0 +1,175 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { findUserById } = require('./user');
+const { ProjectStatus, findProjectById, findTaskById } = require('./project');
+
+/**
+ * Longest file name kept, in characters
+ */
+const MAX_FILE_NAME_LENGTH = 200;
+
+/**
+ * Attachment store
+ *
+ * Files attached to a project (`taskId` null) or one of its tasks. The
+ * records hold the file's details; the contents live in file storage under
+ * `storageKey`, and images have a thumbnail under `thumbnailKey`.
+ */
+const attachments = createStore('attachments', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Reduce an uploaded file's name to something safe to show and send back
+ * @param {*} name - Name the browser gave the file
+ * @returns {string} Name without folders or control characters
+ */
+function cleanFileName(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/')).replace(/[\p{Cc}"]/gu, '').trim();
+  return base.slice(0, MAX_FILE_NAME_LENGTH) || 'file';
+}
+
+/**
+ * Add derived fields to an attachment record
+ * @param {Object} attachment - Attachment record
+ * @returns {Object} Attachment with `uploaderName`, null once the uploader is deleted
+ */
+function presentAttachment(attachment) {
+  const uploader = findUserById(attachment.uploadedBy);
+  return { ...attachment, uploaderName: uploader ? uploader.name : null };
+}
+
+/**
+ * Make sure files can be attached to, or removed from, a project
+ * @param {string} projectId - Project ID
+ */
+function requireOpenProject(projectId) {
+  const project = findProjectById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (project.status === ProjectStatus.ARCHIVED) {
+    throw new Error('Project is archived');
+  }
+}
+
+/**
+ * Check a project, or a task in it, can have files attached
+ * @param {string} projectId - Project ID
+ * @param {string|null} taskId - Task ID, or null for the project itself
+ */
+function checkAttachmentTarget(projectId, taskId) {
+  requireOpenProject(projectId);
+  if (taskId) {
+    const task = findTaskById(taskId);
+    if (!task || task.projectId !== projectId) {
+      throw new Error('Task not found');
+    }
+  }
+}
+
+/**
+ * Record a file attached to a project or task
+ *
+ * The file must already be saved in file storage.
+ * @param {Object} attachmentData - { projectId, taskId, fileName, mimeType, size, storageKey, thumbnailKey }
+ * @param {string} uploaderId - ID of the user attaching it
+ * @returns {Object} Attachment
+ */
+function createAttachment(attachmentData, uploaderId) {
+  const taskId = attachmentData.taskId || null;
+  checkAttachmentTarget(attachmentData.projectId, taskId);
+
+  const attachment = {
+    id: uuidv4(),
+    projectId: attachmentData.projectId,
+    taskId,
+    fileName: cleanFileName(attachmentData.fileName),
+    mimeType: attachmentData.mimeType,
+    size: attachmentData.size,
+    storageKey: attachmentData.storageKey,
+    thumbnailKey: attachmentData.thumbnailKey || null,
+    uploadedBy: uploaderId,
+    createdAt: new Date().toISOString()
+  };
+  attachments.insert(attachment);
+
+  return presentAttachment(attachment);
+}
+
+/**
+ * Find an attachment by ID
+ * @param {string} id - Attachment ID
+ * @returns {Object|null} Attachment or null
+ */
+function findAttachmentById(id) {
+  const attachment = attachments.get(id);
+  return attachment ? presentAttachment(attachment) : null;
+}
+
+/**
+ * Get the files attached to a project or task, oldest first
+ * @param {string} projectId - Project ID
+ * @param {string|null} taskId - Task ID, or null for files on the project itself
+ * @returns {Array} Attachments
+ */
+function getAttachments(projectId, taskId = null) {
+  return attachments.all()
+    .filter(attachment => attachment.projectId === projectId && attachment.taskId === taskId)
+    .map(presentAttachment);
+}
+
+/**
+ * Delete an attachment's record
+ *
+ * The caller removes its files from file storage.
+ * @param {string} id - Attachment ID
+ * @returns {Object} The deleted attachment
+ */
+function deleteAttachment(id) {
+  const attachment = attachments.get(id);
+  if (!attachment) {
+    throw new Error('Attachment not found');
+  }
+  requireOpenProject(attachment.projectId);
+
+  attachments.remove(id);
+  return presentAttachment(attachment);
+}
+
+/**
+ * Delete the attachment records on a project and its tasks, or on one task
+ * @param {Object} target - { projectId } or { taskId }
+ * @returns {Array} The deleted attachments, whose files the caller removes
+ */
+function removeAttachments(target) {
+  const doomed = attachments.all().filter(attachment =>
+    (target.projectId && attachment.projectId === target.projectId) ||
+    (target.taskId && attachment.taskId === target.taskId));
+  for (const attachment of doomed) {
+    attachments.remove(attachment.id);
+  }
+  return doomed;
+}
+
+/**
+ * Clear all attachment records (for testing)
+ */
+function clearAttachments() {
+  attachments.clear();
+}
+
+module.exports = {
+  MAX_FILE_NAME_LENGTH,
+  checkAttachmentTarget,
+  createAttachment,
+  findAttachmentById,
+  getAttachments,
+  deleteAttachment,
+  removeAttachments,
+  clearAttachments
+};
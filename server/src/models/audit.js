@@ -0,0 +1,212 @@
+const { v4: uuidv4 } = require('uuid');
+const { createLog } = require('../storage');
+const { isDate } = require('../utils/time');
+
+/**
+ * Audit action constants
+ */
+const AuditAction = {
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login_failed',
+  USER_CREATE: 'user.create',
+  USER_UPDATE: 'user.update',
+  USER_DELETE: 'user.delete',
+  USER_APPROVE: 'user.approve',
+  USER_REJECT: 'user.reject',
+  USER_UNLOCK: 'user.unlock',
+  USER_EXPORT: 'user.export',
+  EMAIL_VERIFIED: 'user.email_verified',
+  PASSWORD_RESET: 'user.password_reset',
+  PASSWORD_CHANGE: 'user.password_change',
+  ROLE_CREATE: 'role.create',
+  ROLE_UPDATE: 'role.update',
+  ROLE_DELETE: 'role.delete',
+  STAFF_CREATE: 'staff.create',
+  STAFF_UPDATE: 'staff.update',
+  STAFF_DELETE: 'staff.delete',
+  SCHEDULE_CREATE: 'schedule.create',
+  SCHEDULE_UPDATE: 'schedule.update',
+  SCHEDULE_DELETE: 'schedule.delete',
+  SCHEDULE_PUBLISH: 'schedule.publish',
+  SCHEDULE_UNPUBLISH: 'schedule.unpublish',
+  SHIFT_CREATE: 'shift.create',
+  SHIFT_UPDATE: 'shift.update',
+  SHIFT_DELETE: 'shift.delete',
+  AVAILABILITY_UPDATE: 'availability.update',
+  TIME_OFF_REQUEST: 'timeoff.request',
+  TIME_OFF_APPROVE: 'timeoff.approve',
+  TIME_OFF_DENY: 'timeoff.deny',
+  TIME_OFF_CANCEL: 'timeoff.cancel',
+  COVERAGE_CREATE: 'coverage.create',
+  COVERAGE_UPDATE: 'coverage.update',
+  COVERAGE_DELETE: 'coverage.delete',
+  SHIFT_TRADE_OFFER: 'shift_trade.offer',
+  SHIFT_TRADE_CLAIM: 'shift_trade.claim',
+  SHIFT_TRADE_APPROVE: 'shift_trade.approve',
+  SHIFT_TRADE_DENY: 'shift_trade.deny',
+  SHIFT_TRADE_CANCEL: 'shift_trade.cancel',
+  CALENDAR_FEED_CREATE: 'calendar_feed.create',
+  CALENDAR_FEED_REVOKE: 'calendar_feed.revoke',
+  TIME_ENTRY_CREATE: 'time_entry.create',
+  TIME_ENTRY_CORRECT: 'time_entry.correct',
+  TIMESHEET_APPROVE: 'timesheet.approve',
+  TIMESHEET_REOPEN: 'timesheet.reopen',
+  TIMESHEET_EXPORT: 'timesheet.export',
+  SALES_UPDATE: 'sales.update',
+  CERTIFICATION_CREATE: 'certification.create',
+  CERTIFICATION_UPDATE: 'certification.update',
+  CERTIFICATION_DELETE: 'certification.delete',
+  POSITION_UPDATE: 'position.update',
+  SHIFT_TEMPLATE_CREATE: 'shift_template.create',
+  SHIFT_TEMPLATE_UPDATE: 'shift_template.update',
+  SHIFT_TEMPLATE_DELETE: 'shift_template.delete',
+  SCHEDULE_FILL: 'schedule.fill',
+  HOLIDAY_CREATE: 'holiday.create',
+  HOLIDAY_DELETE: 'holiday.delete',
+  PROJECT_CREATE: 'project.create',
+  PROJECT_UPDATE: 'project.update',
+  PROJECT_ARCHIVE: 'project.archive',
+  PROJECT_RESTORE: 'project.restore',
+  PROJECT_DELETE: 'project.delete',
+  TASK_CREATE: 'task.create',
+  TASK_UPDATE: 'task.update',
+  TASK_DELETE: 'task.delete',
+  COMMENT_CREATE: 'comment.create',
+  COMMENT_UPDATE: 'comment.update',
+  COMMENT_DELETE: 'comment.delete',
+  ATTACHMENT_CREATE: 'attachment.create',
+  ATTACHMENT_DELETE: 'attachment.delete'
+};
+
+/**
+ * Entries returned by a query when no limit is given, and the most allowed
+ */
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Audit log
+ *
+ * The log is append-only: this module exposes no way to change or remove
+ * an entry once it has been recorded, and with the file driver each entry
+ * is appended to the end of the file rather than rewriting it.
+ */
+const auditLog = createLog('auditLog');
+
+/**
+ * Compute the changes between two versions of a record
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} Map of field -> { from, to } for fields that differ
+ */
+function diffFields(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (from !== to) {
+      changes[field] = {
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to
+      };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry - Audit entry
+ * @param {string|null} entry.actorId - User who performed the action (null if anonymous)
+ * @param {string|null} entry.targetId - User (or other record) the action was performed on
+ * @param {string} entry.action - AuditAction value
+ * @param {Object} entry.changes - Field changes from diffFields()
+ * @param {string|null} entry.ip - Client IP address
+ * @param {Object} entry.metadata - Extra details (e.g. the email used for a login)
+ * @returns {Object} Recorded entry
+ */
+function recordAuditEvent(entry) {
+  const { actorId = null, targetId = null, action, changes = {}, ip = null, metadata = {} } = entry;
+
+  if (!action) {
+    throw new Error('Audit action is required');
+  }
+
+  const record = {
+    id: uuidv4(),
+    actorId,
+    targetId,
+    action,
+    changes,
+    ip,
+    metadata,
+    timestamp: new Date().toISOString()
+  };
+
+  auditLog.append(record);
+  return record;
+}
+
+/**
+ * Query the audit log, newest entries first
+ * @param {Object} options - Query options
+ * @param {string} options.actorId - Only entries by this actor
+ * @param {string} options.targetId - Only entries about this target
+ * @param {string} options.action - Only entries with this action
+ * @param {string} options.from - Only entries at or after this ISO date
+ * @param {string} options.to - Only entries at or before this ISO date; a
+ *   date without a time includes the whole of that (UTC) day
+ * @param {number} options.limit - Maximum number of entries (default 100, at most 1000)
+ * @returns {Array} Audit entries
+ */
+function queryAuditLog(options = {}) {
+  const { actorId, targetId, action, from, to } = options;
+  const limit = Math.min(options.limit || DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT);
+  let result = auditLog.all();
+
+  if (actorId) {
+    result = result.filter(entry => entry.actorId === actorId);
+  }
+
+  if (targetId) {
+    result = result.filter(entry => entry.targetId === targetId);
+  }
+
+  if (action) {
+    result = result.filter(entry => entry.action === action);
+  }
+
+  if (from) {
+    const fromTime = new Date(from).getTime();
+    result = result.filter(entry => new Date(entry.timestamp).getTime() >= fromTime);
+  }
+
+  if (to) {
+    const toTime = isDate(to) ? new Date(to).getTime() + DAY_MS - 1 : new Date(to).getTime();
+    result = result.filter(entry => new Date(entry.timestamp).getTime() <= toTime);
+  }
+
+  result = result.reverse();
+
+  return result.slice(0, limit);
+}
+
+/**
+ * Clear the audit log (for testing)
+ */
+function clearAuditLog() {
+  auditLog.clear();
+}
+
+module.exports = {
+  DEFAULT_AUDIT_LIMIT,
+  MAX_AUDIT_LIMIT,
+  AuditAction,
+  diffFields,
+  recordAuditEvent,
+  queryAuditLog,
+  clearAuditLog
+};
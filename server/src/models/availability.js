@@ -0,0 +1,402 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { findStaffById } = require('./staff');
+const { WEEKDAYS, isDate, toMinutes, addDays, parseTimeOfDay, weekdayOf } = require('../utils/time');
+
+/**
+ * Time-off request status constants
+ */
+const TimeOffStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Weekly availability store, keyed by staff ID
+ *
+ * `weekly` maps every weekday to the windows ({ start, end } as HH:mm) the
+ * staff member can work. A staff member without a record is available at
+ * any time; a day with no windows means they can't work that day.
+ */
+const availability = createStore('availability', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Time-off request store
+ *
+ * Requests cover whole days from startDate to endDate inclusive.
+ */
+const timeOff = createStore('timeOff', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Make sure a staff member exists
+ * @param {string} staffId - Staff ID
+ * @returns {Object} Staff member
+ */
+function requireStaff(staffId) {
+  const member = findStaffById(staffId);
+  if (!member) {
+    throw new Error('Staff member not found');
+  }
+  return member;
+}
+
+/**
+ * Check and normalise a weekly availability pattern
+ * @param {Object} weekly - Map of weekday -> [{ start, end }]
+ * @returns {Object} Pattern with every weekday present and windows sorted
+ */
+function normaliseWeekly(weekly) {
+  if (!weekly || typeof weekly !== 'object' || Array.isArray(weekly)) {
+    throw new Error('Availability must map weekdays to lists of times');
+  }
+
+  const unknown = Object.keys(weekly).filter(day => !WEEKDAYS.includes(day));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown day: ${unknown.join(', ')}`);
+  }
+
+  const result = {};
+  for (const day of WEEKDAYS) {
+    const windows = weekly[day] || [];
+    if (!Array.isArray(windows)) {
+      throw new Error(`Availability for ${day} must be a list of times`);
+    }
+
+    const parsed = windows.map(window => {
+      const start = parseTimeOfDay(window && window.start);
+      const end = parseTimeOfDay(window && window.end);
+      if (start === null || end === null) {
+        throw new Error('Times must be in HH:mm format');
+      }
+      if (end <= start) {
+        throw new Error('Each window must end after it starts');
+      }
+      return { start, end, window: { start: window.start, end: window.end } };
+    }).sort((a, b) => a.start - b.start);
+
+    for (let i = 1; i < parsed.length; i++) {
+      if (parsed[i].start < parsed[i - 1].end) {
+        throw new Error(`Windows on ${day} overlap`);
+      }
+    }
+
+    result[day] = parsed.map(entry => entry.window);
+  }
+  return result;
+}
+
+/**
+ * Get a staff member's weekly availability
+ * @param {string} staffId - Staff ID
+ * @returns {Object} { staffId, weekly, updatedAt, updatedBy } (weekly is null when unrestricted)
+ */
+function getAvailability(staffId) {
+  requireStaff(staffId);
+  const record = availability.get(staffId);
+  return record ? { ...record } : { id: staffId, staffId, weekly: null, updatedAt: null, updatedBy: null };
+}
+
+/**
+ * Replace a staff member's weekly availability
+ * @param {string} staffId - Staff ID
+ * @param {Object} weekly - Map of weekday -> [{ start, end }]
+ * @param {string} updatedBy - ID of the user making the change
+ * @returns {Object} Saved availability
+ */
+function setAvailability(staffId, weekly, updatedBy) {
+  requireStaff(staffId);
+
+  const record = {
+    id: staffId,
+    staffId,
+    weekly: normaliseWeekly(weekly),
+    updatedAt: new Date().toISOString(),
+    updatedBy
+  };
+
+  if (availability.has(staffId)) {
+    availability.update(record);
+  } else {
+    availability.insert(record);
+  }
+  return record;
+}
+
+/**
+ * Remove a staff member's availability so they can be scheduled at any time
+ * @param {string} staffId - Staff ID
+ * @returns {Object} Unrestricted availability
+ */
+function resetAvailability(staffId) {
+  availability.remove(staffId);
+  return getAvailability(staffId);
+}
+
+/**
+ * Check whether a shift falls inside a staff member's availability
+ *
+ * Overnight shifts are split at midnight and each day's part must fit in
+ * one of that day's windows.
+ * @param {string} staffId - Staff ID
+ * @param {string} startsAt - YYYY-MM-DDTHH:mm
+ * @param {string} endsAt - YYYY-MM-DDTHH:mm
+ * @returns {boolean} True if available for the whole shift
+ */
+function isWithinAvailability(staffId, startsAt, endsAt) {
+  const record = availability.get(staffId);
+  if (!record) {
+    return true;
+  }
+
+  const end = toMinutes(endsAt);
+  let date = startsAt.slice(0, 10);
+  let from = toMinutes(startsAt);
+
+  while (from < end) {
+    const midnight = toMinutes(`${date}T00:00`);
+    const to = Math.min(end, midnight + 24 * 60);
+    const windows = record.weekly[weekdayOf(date)];
+    const fits = windows.some(window =>
+      midnight + parseTimeOfDay(window.start) <= from && to <= midnight + parseTimeOfDay(window.end)
+    );
+    if (!fits) {
+      return false;
+    }
+    date = addDays(date, 1);
+    from = to;
+  }
+  return true;
+}
+
+/**
+ * Request time off
+ * @param {Object} requestData - { staffId, startDate, endDate, reason }
+ * @param {string} requestedBy - ID of the user making the request
+ * @returns {Object} Created request
+ */
+function requestTimeOff(requestData, requestedBy) {
+  const { staffId, startDate, endDate = startDate, reason } = requestData;
+  requireStaff(staffId);
+
+  if (!isDate(startDate) || !isDate(endDate)) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+
+  if (endDate < startDate) {
+    throw new Error('End date cannot be before start date');
+  }
+
+  const overlapping = findTimeOff(staffId, startDate, endDate, [TimeOffStatus.PENDING, TimeOffStatus.APPROVED]);
+  if (overlapping.length > 0) {
+    throw new Error('Time off has already been requested for some of these dates');
+  }
+
+  const now = new Date().toISOString();
+  const request = {
+    id: uuidv4(),
+    staffId,
+    startDate,
+    endDate,
+    reason: reason ? String(reason).trim() : '',
+    status: TimeOffStatus.PENDING,
+    requestedBy,
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewNote: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  timeOff.insert(request);
+  return request;
+}
+
+/**
+ * Find a time-off request by ID
+ * @param {string} id - Request ID
+ * @returns {Object|null} Request or null
+ */
+function findTimeOffById(id) {
+  return timeOff.get(id);
+}
+
+/**
+ * Find a staff member's requests that overlap a range of dates
+ * @param {string} staffId - Staff ID
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @param {Array<string>} statuses - Statuses to include (default: approved only)
+ * @returns {Array} Requests
+ */
+function findTimeOff(staffId, fromDate, toDate, statuses = [TimeOffStatus.APPROVED]) {
+  return timeOff.all().filter(request =>
+    request.staffId === staffId &&
+    statuses.includes(request.status) &&
+    request.startDate <= toDate &&
+    request.endDate >= fromDate
+  );
+}
+
+/**
+ * Get time-off requests, earliest first
+ * @param {Object} options - Query options
+ * @param {string} options.staffId - Only requests for this staff member
+ * @param {string} options.status - Only requests with this status
+ * @param {string} options.from - Only requests ending on or after this date
+ * @param {string} options.to - Only requests starting on or before this date
+ * @returns {Array} Requests
+ */
+function getTimeOffRequests(options = {}) {
+  const { staffId, status, from, to } = options;
+  let result = timeOff.all();
+
+  if (staffId) {
+    result = result.filter(request => request.staffId === staffId);
+  }
+
+  if (status) {
+    result = result.filter(request => request.status === status);
+  }
+
+  if (from) {
+    result = result.filter(request => request.endDate >= from);
+  }
+
+  if (to) {
+    result = result.filter(request => request.startDate <= to);
+  }
+
+  return result.sort((a, b) => a.startDate.localeCompare(b.startDate) || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Get requests waiting for a decision, oldest request first
+ * @returns {Array} Pending requests
+ */
+function getPendingTimeOff() {
+  return timeOff.all()
+    .filter(request => request.status === TimeOffStatus.PENDING)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Approve or deny a pending request
+ * @param {string} id - Request ID
+ * @param {string} status - TimeOffStatus.APPROVED or TimeOffStatus.DENIED
+ * @param {string} reviewerId - ID of the manager deciding
+ * @param {string} note - Optional note for the staff member
+ * @returns {Object} Updated request
+ */
+function reviewTimeOff(id, status, reviewerId, note) {
+  const request = timeOff.get(id);
+  if (!request) {
+    throw new Error('Time-off request not found');
+  }
+
+  if (request.status !== TimeOffStatus.PENDING) {
+    throw new Error('Time-off request is not pending');
+  }
+
+  const now = new Date().toISOString();
+  request.status = status;
+  request.reviewedBy = reviewerId;
+  request.reviewedAt = now;
+  request.reviewNote = note ? String(note).trim() : null;
+  request.updatedAt = now;
+  timeOff.update(request);
+
+  return request;
+}
+
+/**
+ * Approve a pending time-off request
+ * @param {string} id - Request ID
+ * @param {string} reviewerId - ID of the manager approving
+ * @param {string} note - Optional note
+ * @returns {Object} Approved request
+ */
+function approveTimeOff(id, reviewerId, note) {
+  return reviewTimeOff(id, TimeOffStatus.APPROVED, reviewerId, note);
+}
+
+/**
+ * Deny a pending time-off request
+ * @param {string} id - Request ID
+ * @param {string} reviewerId - ID of the manager denying
+ * @param {string} note - Optional note
+ * @returns {Object} Denied request
+ */
+function denyTimeOff(id, reviewerId, note) {
+  return reviewTimeOff(id, TimeOffStatus.DENIED, reviewerId, note);
+}
+
+/**
+ * Withdraw a pending or approved request
+ * @param {string} id - Request ID
+ * @returns {Object} Cancelled request
+ */
+function cancelTimeOff(id) {
+  const request = timeOff.get(id);
+  if (!request) {
+    throw new Error('Time-off request not found');
+  }
+
+  if (request.status !== TimeOffStatus.PENDING && request.status !== TimeOffStatus.APPROVED) {
+    throw new Error('Only pending or approved requests can be cancelled');
+  }
+
+  request.status = TimeOffStatus.CANCELLED;
+  request.updatedAt = new Date().toISOString();
+  timeOff.update(request);
+
+  return request;
+}
+
+/**
+ * Remove a staff member's availability and time-off requests
+ * @param {string} staffId - Staff ID
+ */
+function removeStaffAvailability(staffId) {
+  availability.remove(staffId);
+  timeOff.all()
+    .filter(request => request.staffId === staffId)
+    .forEach(request => timeOff.remove(request.id));
+}
+
+/**
+ * Clear all availability and time-off requests (for testing)
+ */
+function clearAvailability() {
+  availability.clear();
+  timeOff.clear();
+}
+
+module.exports = {
+  TimeOffStatus,
+  getAvailability,
+  setAvailability,
+  resetAvailability,
+  isWithinAvailability,
+  requestTimeOff,
+  findTimeOffById,
+  findTimeOff,
+  getTimeOffRequests,
+  getPendingTimeOff,
+  approveTimeOff,
+  denyTimeOff,
+  cancelTimeOff,
+  removeStaffAvailability,
+  clearAvailability
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+
+/**
+ * What a calendar feed shows
+ */
+const FeedType = {
+  STAFF: 'staff',
+  LOCATION: 'location'
+};
+
+/**
+ * Calendar feed store
+ *
+ * Calendar apps can't send an Authorization header, so each feed is read
+ * through a secret URL. Only a hash of the secret is stored; the URL is
+ * shown once when the feed is created, and revoking the feed kills it.
+ */
+const feeds = createStore('calendarFeeds', {
+  indexes: {
+    tokenHash: record => record.tokenHash
+  },
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Hash a feed token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Remove the token hash from a feed record
+ * @param {Object} feed - Feed record
+ * @returns {Object} Feed safe to return to clients
+ */
+function sanitizeFeed(feed) {
+  const { tokenHash: _tokenHash, ...rest } = feed;
+  return rest;
+}
+
+/**
+ * Create a calendar feed
+ * @param {Object} feedData - Feed data
+ * @param {string} feedData.type - FeedType value
+ * @param {string} feedData.staffId - Staff member, for staff feeds
+ * @param {string} feedData.location - Location, for location feeds
+ * @param {string} createdBy - ID of the user the feed belongs to
+ * @returns {Object} { feed, token } - the raw token is never stored
+ */
+function createFeed(feedData, createdBy) {
+  const { type } = feedData;
+  if (!Object.values(FeedType).includes(type)) {
+    throw new Error('Invalid feed type');
+  }
+
+  const staffId = type === FeedType.STAFF ? feedData.staffId : null;
+  const location = type === FeedType.LOCATION ? String(feedData.location || '').trim() : null;
+  if (type === FeedType.STAFF && !staffId) {
+    throw new Error('Staff member is required');
+  }
+  if (type === FeedType.LOCATION && !location) {
+    throw new Error('Location is required');
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const feed = {
+    id: uuidv4(),
+    type,
+    staffId,
+    location,
+    tokenHash: hashToken(token),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastAccessedAt: null,
+    revokedAt: null
+  };
+
+  feeds.insert(feed);
+  return { feed: sanitizeFeed(feed), token };
+}
+
+/**
+ * Find a feed by ID
+ * @param {string} id - Feed ID
+ * @returns {Object|null} Feed or null
+ */
+function findFeedById(id) {
+  const feed = feeds.get(id);
+  return feed ? sanitizeFeed(feed) : null;
+}
+
+/**
+ * Look up a live feed by its secret token and note that it was read
+ * @param {string} token - Raw token from the feed URL
+ * @returns {Object|null} Feed, or null if unknown or revoked
+ */
+function useFeedToken(token) {
+  const feed = feeds.findBy('tokenHash', hashToken(token || ''));
+  if (!feed || feed.revokedAt) {
+    return null;
+  }
+
+  feed.lastAccessedAt = new Date().toISOString();
+  feeds.update(feed);
+  return sanitizeFeed(feed);
+}
+
+/**
+ * Get feeds, newest first
+ * @param {Object} options - Query options
+ * @param {string} options.createdBy - Only feeds belonging to this user
+ * @param {boolean} options.includeRevoked - Include revoked feeds
+ * @returns {Array} Feeds
+ */
+function getFeeds(options = {}) {
+  const { createdBy, includeRevoked = false } = options;
+  let result = feeds.all();
+
+  if (createdBy) {
+    result = result.filter(feed => feed.createdBy === createdBy);
+  }
+
+  if (!includeRevoked) {
+    result = result.filter(feed => !feed.revokedAt);
+  }
+
+  return result
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(sanitizeFeed);
+}
+
+/**
+ * Revoke a feed so its URL stops working
+ * @param {string} id - Feed ID
+ * @returns {Object} Revoked feed
+ */
+function revokeFeed(id) {
+  const feed = feeds.get(id);
+  if (!feed) {
+    throw new Error('Calendar feed not found');
+  }
+
+  if (feed.revokedAt) {
+    throw new Error('Calendar feed is already revoked');
+  }
+
+  const revoked = { ...feed, revokedAt: new Date().toISOString() };
+  feeds.update(revoked);
+  return sanitizeFeed(revoked);
+}
+
+/**
+ * Revoke every live feed belonging to a user
+ * @param {string} userId - User ID
+ * @returns {number} Number of feeds revoked
+ */
+function revokeUserFeeds(userId) {
+  const live = feeds.all().filter(feed => feed.createdBy === userId && !feed.revokedAt);
+  live.forEach(feed => revokeFeed(feed.id));
+  return live.length;
+}
+
+/**
+ * Clear all feeds (for testing)
+ */
+function clearCalendarFeeds() {
+  feeds.clear();
+}
+
+module.exports = {
+  FeedType,
+  createFeed,
+  findFeedById,
+  useFeedToken,
+  getFeeds,
+  revokeFeed,
+  revokeUserFeeds,
+  clearCalendarFeeds
+};
@@ -0,0 +1,209 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { findUserById, resolveMentions } = require('./user');
+const { ProjectStatus, findProjectById, findTaskById } = require('./project');
+
+/**
+ * Longest comment, in characters
+ */
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Comment store
+ *
+ * Comments are on a project (`taskId` null) or one of its tasks. Threads
+ * are one level deep: a reply's `parentId` is always a top-level comment.
+ * `mentions` holds the IDs of users @mentioned in the text.
+ */
+const comments = createStore('comments', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Trim and check comment text
+ * @param {*} text - Comment text
+ * @returns {string} Trimmed text
+ */
+function normaliseBody(text) {
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body) {
+    throw new Error('Comment text is required');
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    throw new Error(`Comments can be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return body;
+}
+
+/**
+ * Add derived fields to a comment record
+ * @param {Object} comment - Comment record
+ * @returns {Object} Comment with `authorName`, null once the author is deleted
+ */
+function presentComment(comment) {
+  const author = findUserById(comment.authorId);
+  return { ...comment, mentions: [...comment.mentions], authorName: author ? author.name : null };
+}
+
+/**
+ * Make sure comments can be added to a project
+ * @param {string} projectId - Project ID
+ */
+function requireOpenProject(projectId) {
+  const project = findProjectById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (project.status === ProjectStatus.ARCHIVED) {
+    throw new Error('Project is archived');
+  }
+}
+
+/**
+ * Add a comment to a project or task
+ *
+ * Replying to a reply puts the comment in the same thread, under the
+ * top-level comment.
+ * @param {Object} commentData - { projectId, taskId, parentId, body }
+ * @param {string} authorId - ID of the user writing it
+ * @returns {Object} Comment
+ */
+function createComment(commentData, authorId) {
+  const projectId = commentData.projectId;
+  const taskId = commentData.taskId || null;
+  requireOpenProject(projectId);
+
+  if (taskId) {
+    const task = findTaskById(taskId);
+    if (!task || task.projectId !== projectId) {
+      throw new Error('Task not found');
+    }
+  }
+
+  let parentId = null;
+  if (commentData.parentId) {
+    const parent = comments.get(commentData.parentId);
+    if (!parent || parent.projectId !== projectId || parent.taskId !== taskId) {
+      throw new Error('Comment being replied to not found');
+    }
+    parentId = parent.parentId || parent.id;
+  }
+
+  const body = normaliseBody(commentData.body);
+  const now = new Date().toISOString();
+  const comment = {
+    id: uuidv4(),
+    projectId,
+    taskId,
+    parentId,
+    body,
+    mentions: resolveMentions(body),
+    authorId,
+    editedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  comments.insert(comment);
+
+  return presentComment(comment);
+}
+
+/**
+ * Find a comment by ID
+ * @param {string} id - Comment ID
+ * @returns {Object|null} Comment or null
+ */
+function findCommentById(id) {
+  const comment = comments.get(id);
+  return comment ? presentComment(comment) : null;
+}
+
+/**
+ * Get the discussion on a project or task, oldest thread first
+ * @param {string} projectId - Project ID
+ * @param {string|null} taskId - Task ID, or null for comments on the project itself
+ * @returns {Array} Top-level comments, each with its `replies`, oldest first
+ */
+function getComments(projectId, taskId = null) {
+  const own = comments.all()
+    .filter(comment => comment.projectId === projectId && comment.taskId === taskId)
+    .map(presentComment);
+
+  return own
+    .filter(comment => comment.parentId === null)
+    .map(comment => ({ ...comment, replies: own.filter(reply => reply.parentId === comment.id) }));
+}
+
+/**
+ * Change a comment's text
+ * @param {string} id - Comment ID
+ * @param {string} text - New text
+ * @returns {Object} Updated comment
+ */
+function updateComment(id, text) {
+  const comment = comments.get(id);
+  if (!comment) {
+    throw new Error('Comment not found');
+  }
+  requireOpenProject(comment.projectId);
+
+  const body = normaliseBody(text);
+  const now = new Date().toISOString();
+  const updated = { ...comment, body, mentions: resolveMentions(body), editedAt: now, updatedAt: now };
+  comments.update(updated);
+
+  return presentComment(updated);
+}
+
+/**
+ * Delete a comment, and its replies if it starts a thread
+ * @param {string} id - Comment ID
+ * @returns {boolean} Success
+ */
+function deleteComment(id) {
+  const comment = comments.get(id);
+  if (!comment) {
+    throw new Error('Comment not found');
+  }
+  requireOpenProject(comment.projectId);
+
+  for (const reply of comments.all().filter(item => item.parentId === id)) {
+    comments.remove(reply.id);
+  }
+  comments.remove(id);
+  return true;
+}
+
+/**
+ * Delete the comments on a project and its tasks, or on one task
+ * @param {Object} target - { projectId } or { taskId }
+ */
+function removeComments(target) {
+  const doomed = comments.all().filter(comment =>
+    (target.projectId && comment.projectId === target.projectId) ||
+    (target.taskId && comment.taskId === target.taskId));
+  for (const comment of doomed) {
+    comments.remove(comment.id);
+  }
+}
+
+/**
+ * Clear all comments (for testing)
+ */
+function clearComments() {
+  comments.clear();
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  createComment,
+  findCommentById,
+  getComments,
+  updateComment,
+  deleteComment,
+  removeComments,
+  clearComments
+};
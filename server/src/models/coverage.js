@@ -0,0 +1,202 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { WEEKDAYS, parseTimeOfDay } = require('../utils/time');
+
+/**
+ * Fields that can be set when creating or updating a coverage requirement
+ */
+const COVERAGE_FIELDS = ['location', 'position', 'count', 'startTime', 'endTime', 'days', 'notes'];
+
+/**
+ * Largest head count a single requirement can ask for
+ */
+const MAX_COUNT = 50;
+
+/**
+ * Coverage requirement store
+ *
+ * A requirement says how many people in a position are needed between two
+ * times of day on some days of the week, e.g. 2 bakers 04:00-12:00 Monday
+ * to Saturday. An end time at or before the start time runs past midnight.
+ * Requirements without a location apply to every location.
+ */
+const requirements = createStore('coverage', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Trim an optional string, turning blanks into null
+ * @param {*} value - Value
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalString(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Check a requirement before it is saved, putting its days in week order
+ * @param {Object} requirement - Requirement record
+ */
+function validateRequirement(requirement) {
+  if (!requirement.position) {
+    throw new Error('Position is required');
+  }
+
+  if (!Number.isInteger(requirement.count) || requirement.count < 1 || requirement.count > MAX_COUNT) {
+    throw new Error(`Count must be a whole number from 1 to ${MAX_COUNT}`);
+  }
+
+  const start = parseTimeOfDay(requirement.startTime);
+  const end = parseTimeOfDay(requirement.endTime);
+  if (start === null || end === null || start === 24 * 60) {
+    throw new Error('Times must be in HH:mm format');
+  }
+
+  if (start === end) {
+    throw new Error('Start and end times must differ');
+  }
+
+  if (!Array.isArray(requirement.days) || requirement.days.length === 0) {
+    throw new Error('Choose at least one day');
+  }
+
+  const unknown = requirement.days.filter(day => !WEEKDAYS.includes(day));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown day: ${unknown.join(', ')}`);
+  }
+
+  requirement.days = WEEKDAYS.filter(day => requirement.days.includes(day));
+}
+
+/**
+ * Create a coverage requirement
+ * @param {Object} requirementData - Requirement data
+ * @param {string} createdBy - ID of the user creating it
+ * @returns {Object} Created requirement
+ */
+function createRequirement(requirementData, createdBy) {
+  const now = new Date().toISOString();
+  const requirement = {
+    id: uuidv4(),
+    location: optionalString(requirementData.location),
+    position: optionalString(requirementData.position),
+    count: requirementData.count === undefined ? 1 : requirementData.count,
+    startTime: requirementData.startTime,
+    endTime: requirementData.endTime,
+    days: requirementData.days,
+    notes: optionalString(requirementData.notes),
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  validateRequirement(requirement);
+  requirements.insert(requirement);
+
+  return requirement;
+}
+
+/**
+ * Find a coverage requirement by ID
+ * @param {string} id - Requirement ID
+ * @returns {Object|null} Requirement or null
+ */
+function findRequirementById(id) {
+  return requirements.get(id);
+}
+
+/**
+ * Get coverage requirements, by location, position and start time
+ * @param {Object} options - Query options
+ * @param {string} options.location - Only requirements that apply at this location
+ * @param {string} options.position - Only requirements for this position
+ * @param {string} options.day - Only requirements on this weekday
+ * @returns {Array} Requirements
+ */
+function getRequirements(options = {}) {
+  const { location, position, day } = options;
+  let result = requirements.all();
+
+  if (location) {
+    const locationLower = location.toLowerCase();
+    result = result.filter(requirement => !requirement.location || requirement.location.toLowerCase() === locationLower);
+  }
+
+  if (position) {
+    const positionLower = position.toLowerCase();
+    result = result.filter(requirement => requirement.position.toLowerCase() === positionLower);
+  }
+
+  if (day) {
+    result = result.filter(requirement => requirement.days.includes(day));
+  }
+
+  return result.sort((a, b) =>
+    (a.location || '').localeCompare(b.location || '') ||
+    a.position.localeCompare(b.position) ||
+    a.startTime.localeCompare(b.startTime)
+  );
+}
+
+/**
+ * Update a coverage requirement
+ * @param {string} id - Requirement ID
+ * @param {Object} updates - Fields to update (see COVERAGE_FIELDS)
+ * @returns {Object} Updated requirement
+ */
+function updateRequirement(id, updates) {
+  const requirement = requirements.get(id);
+  if (!requirement) {
+    throw new Error('Coverage requirement not found');
+  }
+
+  const updatedRequirement = { ...requirement, updatedAt: new Date().toISOString() };
+  for (const field of COVERAGE_FIELDS) {
+    if (updates[field] !== undefined) {
+      updatedRequirement[field] = ['location', 'position', 'notes'].includes(field)
+        ? optionalString(updates[field])
+        : updates[field];
+    }
+  }
+
+  validateRequirement(updatedRequirement);
+  requirements.update(updatedRequirement);
+
+  return updatedRequirement;
+}
+
+/**
+ * Delete a coverage requirement
+ * @param {string} id - Requirement ID
+ * @returns {boolean} Success
+ */
+function deleteRequirement(id) {
+  if (!requirements.remove(id)) {
+    throw new Error('Coverage requirement not found');
+  }
+  return true;
+}
+
+/**
+ * Clear all coverage requirements (for testing)
+ */
+function clearRequirements() {
+  requirements.clear();
+}
+
+module.exports = {
+  COVERAGE_FIELDS,
+  createRequirement,
+  findRequirementById,
+  getRequirements,
+  updateRequirement,
+  deleteRequirement,
+  clearRequirements
+};
@@ -0,0 +1,137 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { isDate } = require('../utils/time');
+
+/**
+ * Holiday store
+ *
+ * Public holidays and other closed days. A holiday without a location
+ * applies everywhere; a recurring one falls on the same day every year.
+ */
+const holidays = createStore('holidays', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Check whether a holiday falls on a date
+ * @param {Object} holiday - Holiday record
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean} True if it does
+ */
+function fallsOn(holiday, date) {
+  return holiday.recurring ? holiday.date.slice(5) === date.slice(5) : holiday.date === date;
+}
+
+/**
+ * Check whether a holiday applies at a location
+ * @param {Object} holiday - Holiday record
+ * @param {string|null} location - Location (null only matches holidays everywhere)
+ * @returns {boolean} True if it does
+ */
+function appliesAt(holiday, location) {
+  return holiday.location === null ||
+    (Boolean(location) && holiday.location.toLowerCase() === location.toLowerCase());
+}
+
+/**
+ * Add a holiday to the calendar
+ * @param {Object} holidayData - { date, name, location, recurring }
+ * @param {string} createdBy - ID of the user adding it
+ * @returns {Object} Holiday
+ */
+function createHoliday(holidayData, createdBy) {
+  const name = String(holidayData.name || '').trim();
+  const location = String(holidayData.location || '').trim() || null;
+  const recurring = Boolean(holidayData.recurring);
+
+  if (!isDate(holidayData.date)) {
+    throw new Error('Date must be in YYYY-MM-DD format');
+  }
+  if (!name) {
+    throw new Error('Holiday name is required');
+  }
+
+  const candidate = { date: holidayData.date, location, recurring };
+  const clash = holidays.all().find(holiday =>
+    (fallsOn(holiday, candidate.date) || fallsOn(candidate, holiday.date)) &&
+    (holiday.location || '').toLowerCase() === (location || '').toLowerCase());
+  if (clash) {
+    throw new Error(`${clash.name} is already on the calendar for that day`);
+  }
+
+  const holiday = {
+    id: uuidv4(),
+    date: holidayData.date,
+    name,
+    location,
+    recurring,
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+  holidays.insert(holiday);
+
+  return holiday;
+}
+
+/**
+ * Find a holiday by ID
+ * @param {string} id - Holiday ID
+ * @returns {Object|null} Holiday or null
+ */
+function findHolidayById(id) {
+  return holidays.get(id);
+}
+
+/**
+ * Get the calendar's holidays by date
+ * @param {Object} options - Query options
+ * @param {string} options.location - Only holidays that apply at this location
+ * @returns {Array} Holidays
+ */
+function getHolidays(options = {}) {
+  const { location } = options;
+  return holidays.all()
+    .filter(holiday => !location || appliesAt(holiday, location))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the holiday, if any, on a date at a location
+ * @param {string} date - YYYY-MM-DD
+ * @param {string|null} location - Location
+ * @returns {Object|null} Holiday or null
+ */
+function findHoliday(date, location) {
+  return holidays.all().find(holiday => fallsOn(holiday, date) && appliesAt(holiday, location)) || null;
+}
+
+/**
+ * Remove a holiday from the calendar
+ * @param {string} id - Holiday ID
+ * @returns {boolean} Success
+ */
+function deleteHoliday(id) {
+  if (!holidays.remove(id)) {
+    throw new Error('Holiday not found');
+  }
+  return true;
+}
+
+/**
+ * Clear all holidays (for testing)
+ */
+function clearHolidays() {
+  holidays.clear();
+}
+
+module.exports = {
+  createHoliday,
+  findHolidayById,
+  getHolidays,
+  findHoliday,
+  deleteHoliday,
+  clearHolidays
+};
@@ -0,0 +1,144 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+
+/**
+ * Notification type constants
+ */
+const NotificationType = {
+  MENTION: 'mention',
+  REPLY: 'reply'
+};
+
+/**
+ * Most notifications returned at once
+ */
+const MAX_NOTIFICATIONS = 100;
+
+/**
+ * Notification store
+ *
+ * Each user's in-app inbox. A notification points at what it is about
+ * through `projectId`, `taskId` and `commentId`, any of which may be null.
+ */
+const notifications = createStore('notifications', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Put a notification in a user's inbox
+ * @param {Object} notificationData - { userId, type, message, actorId, projectId, taskId, commentId }
+ * @returns {Object} Notification
+ */
+function createNotification(notificationData) {
+  if (!Object.values(NotificationType).includes(notificationData.type)) {
+    throw new Error(`Type must be one of: ${Object.values(NotificationType).join(', ')}`);
+  }
+
+  const notification = {
+    id: uuidv4(),
+    userId: notificationData.userId,
+    type: notificationData.type,
+    message: notificationData.message,
+    actorId: notificationData.actorId || null,
+    projectId: notificationData.projectId || null,
+    taskId: notificationData.taskId || null,
+    commentId: notificationData.commentId || null,
+    read: false,
+    readAt: null,
+    createdAt: new Date().toISOString()
+  };
+  notifications.insert(notification);
+
+  return notification;
+}
+
+/**
+ * Get a user's notifications, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {boolean} options.unreadOnly - Leave out notifications already read
+ * @param {number} options.limit - Most to return (default and cap MAX_NOTIFICATIONS)
+ * @returns {Array} Notifications
+ */
+function getNotifications(userId, options = {}) {
+  const limit = Math.min(options.limit || MAX_NOTIFICATIONS, MAX_NOTIFICATIONS);
+  return notifications.all()
+    .filter(notification => notification.userId === userId && (!options.unreadOnly || !notification.read))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Count a user's unread notifications
+ * @param {string} userId - User ID
+ * @returns {number} Unread count
+ */
+function countUnread(userId) {
+  return notifications.all().filter(notification => notification.userId === userId && !notification.read).length;
+}
+
+/**
+ * Mark one of a user's notifications read
+ * @param {string} id - Notification ID
+ * @param {string} userId - ID of the user whose inbox it should be in
+ * @returns {Object} Notification
+ */
+function markRead(id, userId) {
+  const notification = notifications.get(id);
+  if (!notification || notification.userId !== userId) {
+    throw new Error('Notification not found');
+  }
+  if (notification.read) {
+    return notification;
+  }
+
+  const updated = { ...notification, read: true, readAt: new Date().toISOString() };
+  notifications.update(updated);
+  return updated;
+}
+
+/**
+ * Mark everything in a user's inbox read
+ * @param {string} userId - User ID
+ * @returns {number} How many notifications were unread
+ */
+function markAllRead(userId) {
+  const readAt = new Date().toISOString();
+  const unread = notifications.all().filter(notification => notification.userId === userId && !notification.read);
+  for (const notification of unread) {
+    notifications.update({ ...notification, read: true, readAt });
+  }
+  return unread.length;
+}
+
+/**
+ * Empty a deleted user's inbox
+ * @param {string} userId - User ID
+ */
+function removeNotificationsForUser(userId) {
+  for (const notification of notifications.all().filter(item => item.userId === userId)) {
+    notifications.remove(notification.id);
+  }
+}
+
+/**
+ * Clear all notifications (for testing)
+ */
+function clearNotifications() {
+  notifications.clear();
+}
+
+module.exports = {
+  NotificationType,
+  MAX_NOTIFICATIONS,
+  createNotification,
+  getNotifications,
+  countUnread,
+  markRead,
+  markAllRead,
+  removeNotificationsForUser,
+  clearNotifications
+};
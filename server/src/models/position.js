@@ -0,0 +1,99 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+
+/**
+ * Position requirement store
+ *
+ * Positions are free text on staff and shifts; a record here lists the
+ * certifications someone needs to work a position. Positions without a
+ * record need none.
+ */
+const positions = createStore('positions', {
+  indexes: {
+    name: record => record.position.toLowerCase()
+  },
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Set the certifications a position requires, replacing the earlier list
+ *
+ * Names are trimmed and de-duplicated without regard to case. An empty
+ * list removes the position's requirements.
+ * @param {string} position - Position name
+ * @param {Array} certifications - Certification names
+ * @param {string} updatedBy - ID of the user making the change
+ * @returns {Object|null} Position requirements, or null if none are left
+ */
+function setRequiredCertifications(position, certifications, updatedBy) {
+  const name = String(position || '').trim();
+  if (!name) {
+    throw new Error('Position is required');
+  }
+  if (!Array.isArray(certifications) || certifications.some(item => typeof item !== 'string')) {
+    throw new Error('Certifications must be a list of names');
+  }
+
+  const names = [];
+  for (const item of certifications.map(certification => certification.trim()).filter(Boolean)) {
+    if (!names.some(existing => existing.toLowerCase() === item.toLowerCase())) {
+      names.push(item);
+    }
+  }
+
+  const existing = positions.findBy('name', name.toLowerCase());
+  if (names.length === 0) {
+    if (existing) {
+      positions.remove(existing.id);
+    }
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const record = existing
+    ? { ...existing, position: name, certifications: names, updatedBy, updatedAt: now }
+    : { id: uuidv4(), position: name, certifications: names, updatedBy, createdAt: now, updatedAt: now };
+  if (existing) {
+    positions.update(record);
+  } else {
+    positions.insert(record);
+  }
+  return { ...record, certifications: [...names] };
+}
+
+/**
+ * Get every position with requirements, by name
+ * @returns {Array} Position requirements
+ */
+function getPositionRequirements() {
+  return positions.all()
+    .sort((a, b) => a.position.localeCompare(b.position))
+    .map(record => ({ ...record, certifications: [...record.certifications] }));
+}
+
+/**
+ * Get the certifications a position requires
+ * @param {string} position - Position name
+ * @returns {Array} Certification names (empty if none)
+ */
+function getRequiredCertifications(position) {
+  const record = position ? positions.findBy('name', position.trim().toLowerCase()) : null;
+  return record ? [...record.certifications] : [];
+}
+
+/**
+ * Clear all position requirements (for testing)
+ */
+function clearPositions() {
+  positions.clear();
+}
+
+module.exports = {
+  setRequiredCertifications,
+  getPositionRequirements,
+  getRequiredCertifications,
+  clearPositions
+};
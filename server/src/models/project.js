@@ -0,0 +1,786 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { findUserById } = require('./user');
+const { isDate, today } = require('../utils/time');
+
+/**
+ * Project status constants
+ *
+ * Archived projects are kept for reference but their tasks can no longer
+ * be changed.
+ */
+const ProjectStatus = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+/**
+ * Task status constants, in board order
+ */
+const TaskStatus = {
+  TODO: 'todo',
+  IN_PROGRESS: 'in_progress',
+  BLOCKED: 'blocked',
+  DONE: 'done'
+};
+
+/**
+ * Task priority constants, lowest first
+ */
+const TaskPriority = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  URGENT: 'urgent'
+};
+
+/**
+ * Fields that can be set when creating or updating a project
+ */
+const PROJECT_FIELDS = ['name', 'description', 'ownerId'];
+
+/**
+ * Fields that can be set when creating or updating a task
+ */
+const TASK_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'startDate',
+  'dueDate',
+  'milestone',
+  'dependsOn',
+  'assigneeIds',
+  'labels',
+  'checklist'
+];
+
+/**
+ * Most labels, assignees and checklist items a task can have
+ */
+const MAX_LABELS = 20;
+const MAX_ASSIGNEES = 20;
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_DEPENDENCIES = 50;
+
+/**
+ * Project store
+ *
+ * A project is a piece of work such as a product launch or a shop refit,
+ * owned by one user, with tasks in it.
+ */
+const projects = createStore('projects', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Task store
+ *
+ * Tasks belong to a project. Assignees are user IDs; the checklist is a
+ * list of { id, text, done } items. `sortOrder` places a task within its
+ * status column on the project's board. `dependsOn` lists tasks in the same
+ * project that must finish before this one starts; a milestone is a task
+ * with no length, falling on its due date.
+ */
+const tasks = createStore('tasks', {
+  migrations: [
+    // 1: initial schema
+    records => records,
+    // 2: board order
+    records => records.map((task, index) => ({ sortOrder: index, ...task })),
+    // 3: start dates, milestones and dependencies
+    records => records.map(task => ({ startDate: null, milestone: false, dependsOn: [], ...task }))
+  ]
+});
+
+/**
+ * Trim an optional string, turning blanks into null
+ * @param {*} value - Value
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalString(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Check a project before it is saved
+ * @param {Object} project - Project record
+ */
+function validateProject(project) {
+  if (!project.name) {
+    throw new Error('Project name is required');
+  }
+  if (project.ownerId !== null && !findUserById(project.ownerId)) {
+    throw new Error('Owner not found');
+  }
+}
+
+/**
+ * Add derived fields to a project record
+ * @param {Object} project - Project record
+ * @returns {Object} Project with `taskCount`, `openTaskCount` and `overdueTaskCount`
+ */
+function presentProject(project) {
+  const own = tasks.all().filter(task => task.projectId === project.id);
+  const open = own.filter(task => task.status !== TaskStatus.DONE);
+  return {
+    ...project,
+    taskCount: own.length,
+    openTaskCount: open.length,
+    overdueTaskCount: open.filter(isOverdue).length
+  };
+}
+
+/**
+ * Create a project
+ * @param {Object} projectData - Project data (see PROJECT_FIELDS)
+ * @param {string} createdBy - ID of the user creating it, the owner unless another is given
+ * @returns {Object} Created project
+ */
+function createProject(projectData, createdBy) {
+  const now = new Date().toISOString();
+  const project = {
+    id: uuidv4(),
+    name: optionalString(projectData.name),
+    description: optionalString(projectData.description),
+    ownerId: optionalString(projectData.ownerId) || createdBy || null,
+    status: ProjectStatus.ACTIVE,
+    archivedAt: null,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  validateProject(project);
+  projects.insert(project);
+
+  return presentProject(project);
+}
+
+/**
+ * Find a project by ID
+ * @param {string} id - Project ID
+ * @returns {Object|null} Project or null
+ */
+function findProjectById(id) {
+  const project = projects.get(id);
+  return project ? presentProject(project) : null;
+}
+
+/**
+ * Get projects by name
+ * @param {Object} options - Query options
+ * @param {string} options.status - Only projects with this status
+ * @param {string} options.ownerId - Only projects this user owns
+ * @param {string} options.search - Only projects whose name contains this text
+ * @returns {Array} Projects
+ */
+function getProjects(options = {}) {
+  const { status, ownerId, search } = options;
+  let result = projects.all();
+
+  if (status) {
+    result = result.filter(project => project.status === status);
+  }
+
+  if (ownerId) {
+    result = result.filter(project => project.ownerId === ownerId);
+  }
+
+  if (search) {
+    const searchLower = search.toLowerCase();
+    result = result.filter(project => project.name.toLowerCase().includes(searchLower));
+  }
+
+  return result
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(presentProject);
+}
+
+/**
+ * Update a project's name, description or owner
+ * @param {string} id - Project ID
+ * @param {Object} updates - Fields to update (see PROJECT_FIELDS)
+ * @returns {Object} Updated project
+ */
+function updateProject(id, updates) {
+  const project = projects.get(id);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const updatedProject = { ...project, updatedAt: new Date().toISOString() };
+  for (const field of PROJECT_FIELDS) {
+    if (updates[field] !== undefined) {
+      updatedProject[field] = optionalString(updates[field]);
+    }
+  }
+
+  validateProject(updatedProject);
+  projects.update(updatedProject);
+
+  return presentProject(updatedProject);
+}
+
+/**
+ * Archive a project, or bring it back
+ * @param {string} id - Project ID
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Object} Updated project
+ */
+function setProjectArchived(id, archived) {
+  const project = projects.get(id);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const status = archived ? ProjectStatus.ARCHIVED : ProjectStatus.ACTIVE;
+  if (project.status === status) {
+    throw new Error(archived ? 'Project is already archived' : 'Project is not archived');
+  }
+
+  const now = new Date().toISOString();
+  const updatedProject = { ...project, status, archivedAt: archived ? now : null, updatedAt: now };
+  projects.update(updatedProject);
+
+  return presentProject(updatedProject);
+}
+
+/**
+ * Archive a project
+ * @param {string} id - Project ID
+ * @returns {Object} Archived project
+ */
+function archiveProject(id) {
+  return setProjectArchived(id, true);
+}
+
+/**
+ * Return an archived project to active
+ * @param {string} id - Project ID
+ * @returns {Object} Restored project
+ */
+function restoreProject(id) {
+  return setProjectArchived(id, false);
+}
+
+/**
+ * Delete a project and its tasks
+ * @param {string} id - Project ID
+ * @returns {boolean} Success
+ */
+function deleteProject(id) {
+  if (!projects.has(id)) {
+    throw new Error('Project not found');
+  }
+
+  for (const task of tasks.all().filter(item => item.projectId === id)) {
+    tasks.remove(task.id);
+  }
+  projects.remove(id);
+  return true;
+}
+
+/**
+ * Check whether an open task is past its due date
+ * @param {Object} task - Task record
+ * @returns {boolean} True if overdue
+ */
+function isOverdue(task) {
+  return task.status !== TaskStatus.DONE && task.dueDate !== null && task.dueDate < today();
+}
+
+/**
+ * Trim and de-duplicate a list of labels, ignoring case
+ * @param {*} labels - Labels
+ * @returns {Array} Labels
+ */
+function normaliseLabels(labels) {
+  if (!Array.isArray(labels) || labels.some(label => typeof label !== 'string')) {
+    throw new Error('Labels must be a list of names');
+  }
+
+  const result = [];
+  for (const label of labels.map(item => item.trim()).filter(Boolean)) {
+    if (!result.some(existing => existing.toLowerCase() === label.toLowerCase())) {
+      result.push(label);
+    }
+  }
+  if (result.length > MAX_LABELS) {
+    throw new Error(`A task can have at most ${MAX_LABELS} labels`);
+  }
+  return result;
+}
+
+/**
+ * Check a list of assignees, dropping duplicates
+ * @param {*} assigneeIds - User IDs
+ * @returns {Array} User IDs
+ */
+function normaliseAssignees(assigneeIds) {
+  if (!Array.isArray(assigneeIds) || assigneeIds.some(id => typeof id !== 'string')) {
+    throw new Error('Assignees must be a list of user IDs');
+  }
+
+  const result = [...new Set(assigneeIds)];
+  if (result.length > MAX_ASSIGNEES) {
+    throw new Error(`A task can have at most ${MAX_ASSIGNEES} assignees`);
+  }
+  if (result.some(id => !findUserById(id))) {
+    throw new Error('Assignee not found');
+  }
+  return result;
+}
+
+/**
+ * Check a checklist, giving new items an ID
+ *
+ * Items that keep the ID of one already on the task are updated in place,
+ * so a client can send back the whole list with a box ticked.
+ * @param {*} checklist - Items: { id?, text, done }
+ * @returns {Array} Items: { id, text, done }
+ */
+function normaliseChecklist(checklist) {
+  if (!Array.isArray(checklist) || checklist.some(item => !item || typeof item !== 'object')) {
+    throw new Error('Checklist must be a list of items');
+  }
+  if (checklist.length > MAX_CHECKLIST_ITEMS) {
+    throw new Error(`A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`);
+  }
+
+  const seen = new Set();
+  return checklist.map(item => {
+    const text = optionalString(item.text);
+    if (!text) {
+      throw new Error('Checklist items need some text');
+    }
+    const id = optionalString(item.id) && !seen.has(item.id) ? item.id : uuidv4();
+    seen.add(id);
+    return { id, text, done: Boolean(item.done) };
+  });
+}
+
+/**
+ * Check the tasks a task depends on, dropping duplicates
+ *
+ * Dependencies must be other tasks in the same project, and may not lead
+ * back round to the task itself.
+ * @param {string} projectId - Project ID
+ * @param {string} taskId - ID of the task the dependencies are for
+ * @param {*} dependsOn - Task IDs
+ * @returns {Array} Task IDs
+ */
+function normaliseDependencies(projectId, taskId, dependsOn) {
+  if (!Array.isArray(dependsOn) || dependsOn.some(id => typeof id !== 'string')) {
+    throw new Error('Dependencies must be a list of task IDs');
+  }
+
+  const result = [...new Set(dependsOn)];
+  if (result.length > MAX_DEPENDENCIES) {
+    throw new Error(`A task can depend on at most ${MAX_DEPENDENCIES} tasks`);
+  }
+  if (result.includes(taskId)) {
+    throw new Error('A task cannot depend on itself');
+  }
+  for (const id of result) {
+    const other = tasks.get(id);
+    if (!other) {
+      throw new Error('Dependency not found');
+    }
+    if (other.projectId !== projectId) {
+      throw new Error('Dependencies must be in the same project');
+    }
+  }
+
+  // Walk back from each dependency; reaching the task means a cycle
+  const seen = new Set();
+  const queue = [...result];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === taskId) {
+      throw new Error('Dependencies would form a cycle');
+    }
+    if (!seen.has(id)) {
+      seen.add(id);
+      queue.push(...tasks.get(id).dependsOn);
+    }
+  }
+  return result;
+}
+
+/**
+ * Check a task before it is saved
+ * @param {Object} task - Task record
+ */
+function validateTask(task) {
+  if (!task.title) {
+    throw new Error('Task title is required');
+  }
+  if (!Object.values(TaskStatus).includes(task.status)) {
+    throw new Error(`Status must be one of: ${Object.values(TaskStatus).join(', ')}`);
+  }
+  if (!Object.values(TaskPriority).includes(task.priority)) {
+    throw new Error(`Priority must be one of: ${Object.values(TaskPriority).join(', ')}`);
+  }
+  if (task.dueDate !== null && !isDate(task.dueDate)) {
+    throw new Error('Due date must be in YYYY-MM-DD format');
+  }
+  if (task.startDate !== null && !isDate(task.startDate)) {
+    throw new Error('Start date must be in YYYY-MM-DD format');
+  }
+  if (task.startDate !== null && task.dueDate !== null && task.startDate > task.dueDate) {
+    throw new Error('Start date must not be after the due date');
+  }
+  if (task.milestone && task.dueDate === null) {
+    throw new Error('A milestone needs a due date');
+  }
+  if (task.milestone && task.startDate !== null && task.startDate !== task.dueDate) {
+    throw new Error('A milestone falls on a single day, so it has no separate start date');
+  }
+}
+
+/**
+ * Make sure a project exists and can still have its tasks changed
+ * @param {string} projectId - Project ID
+ * @returns {Object} Project record
+ */
+function requireActiveProject(projectId) {
+  const project = projects.get(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (project.status === ProjectStatus.ARCHIVED) {
+    throw new Error('Project is archived');
+  }
+  return project;
+}
+
+/**
+ * Get the tasks in one status column of a project's board, in board order
+ * @param {string} projectId - Project ID
+ * @param {string} status - TaskStatus value
+ * @returns {Array} Task records
+ */
+function getColumn(projectId, status) {
+  return tasks.all()
+    .filter(task => task.projectId === projectId && task.status === status)
+    .sort((a, b) => a.sortOrder - b.sortOrder);
+}
+
+/**
+ * Get the sort order that puts a task at the bottom of a board column
+ * @param {string} projectId - Project ID
+ * @param {string} status - TaskStatus value
+ * @returns {number} Sort order
+ */
+function nextSortOrder(projectId, status) {
+  const column = getColumn(projectId, status);
+  return column.length === 0 ? 0 : column[column.length - 1].sortOrder + 1;
+}
+
+/**
+ * Add derived fields to a task record
+ * @param {Object} task - Task record
+ * @returns {Object} Task with `overdue`
+ */
+function presentTask(task) {
+  return {
+    ...task,
+    assigneeIds: [...task.assigneeIds],
+    dependsOn: [...task.dependsOn],
+    labels: [...task.labels],
+    checklist: task.checklist.map(item => ({ ...item })),
+    overdue: isOverdue(task)
+  };
+}
+
+/**
+ * Create a task in a project
+ * @param {string} projectId - Project ID
+ * @param {Object} taskData - Task data (see TASK_FIELDS)
+ * @param {string} createdBy - ID of the user creating it
+ * @returns {Object} Created task
+ */
+function createTask(projectId, taskData, createdBy) {
+  requireActiveProject(projectId);
+
+  const now = new Date().toISOString();
+  const id = uuidv4();
+  const task = {
+    id,
+    projectId,
+    title: optionalString(taskData.title),
+    description: optionalString(taskData.description),
+    status: taskData.status || TaskStatus.TODO,
+    priority: taskData.priority || TaskPriority.MEDIUM,
+    startDate: optionalString(taskData.startDate),
+    dueDate: optionalString(taskData.dueDate),
+    milestone: Boolean(taskData.milestone),
+    dependsOn: normaliseDependencies(projectId, id, taskData.dependsOn || []),
+    assigneeIds: normaliseAssignees(taskData.assigneeIds || []),
+    labels: normaliseLabels(taskData.labels || []),
+    checklist: normaliseChecklist(taskData.checklist || []),
+    sortOrder: 0,
+    completedAt: null,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+  if (task.status === TaskStatus.DONE) {
+    task.completedAt = now;
+  }
+
+  validateTask(task);
+  task.sortOrder = nextSortOrder(projectId, task.status);
+  tasks.insert(task);
+
+  return presentTask(task);
+}
+
+/**
+ * Find a task by ID
+ * @param {string} id - Task ID
+ * @returns {Object|null} Task or null
+ */
+function findTaskById(id) {
+  const task = tasks.get(id);
+  return task ? presentTask(task) : null;
+}
+
+/**
+ * Get tasks, soonest due first, then by priority
+ * @param {Object} options - Query options
+ * @param {string} options.projectId - Only tasks in this project
+ * @param {string} options.assigneeId - Only tasks assigned to this user
+ * @param {Array} options.statuses - Only tasks with one of these statuses
+ * @param {string} options.priority - Only tasks with this priority
+ * @param {string} options.label - Only tasks with this label
+ * @param {boolean} options.overdue - Only open tasks past their due date
+ * @param {boolean} options.activeOnly - Leave out tasks in archived projects
+ * @returns {Array} Tasks
+ */
+function getTasks(options = {}) {
+  const { projectId, assigneeId, statuses, priority, label, overdue, activeOnly } = options;
+  let result = tasks.all();
+
+  if (projectId) {
+    result = result.filter(task => task.projectId === projectId);
+  }
+
+  if (assigneeId) {
+    result = result.filter(task => task.assigneeIds.includes(assigneeId));
+  }
+
+  if (statuses && statuses.length > 0) {
+    result = result.filter(task => statuses.includes(task.status));
+  }
+
+  if (priority) {
+    result = result.filter(task => task.priority === priority);
+  }
+
+  if (label) {
+    const labelLower = label.toLowerCase();
+    result = result.filter(task => task.labels.some(item => item.toLowerCase() === labelLower));
+  }
+
+  if (overdue) {
+    result = result.filter(isOverdue);
+  }
+
+  if (activeOnly) {
+    result = result.filter(task => {
+      const project = projects.get(task.projectId);
+      return project && project.status === ProjectStatus.ACTIVE;
+    });
+  }
+
+  const priorities = Object.values(TaskPriority);
+  return result
+    .sort((a, b) =>
+      (a.dueDate || '9999-99-99').localeCompare(b.dueDate || '9999-99-99') ||
+      priorities.indexOf(b.priority) - priorities.indexOf(a.priority) ||
+      a.createdAt.localeCompare(b.createdAt))
+    .map(presentTask);
+}
+
+/**
+ * Get a project's board: one column per status, in board order
+ * @param {string} projectId - Project ID
+ * @returns {Array} Columns: { status, tasks }
+ */
+function getBoard(projectId) {
+  if (!projects.has(projectId)) {
+    throw new Error('Project not found');
+  }
+
+  return Object.values(TaskStatus).map(status => ({
+    status,
+    tasks: getColumn(projectId, status).map(presentTask)
+  }));
+}
+
+/**
+ * Update a task
+ *
+ * Lists (assignees, dependencies, labels, checklist) replace the task's whole list.
+ * @param {string} id - Task ID
+ * @param {Object} updates - Fields to update (see TASK_FIELDS)
+ * @returns {Object} Updated task
+ */
+function updateTask(id, updates) {
+  const task = tasks.get(id);
+  if (!task) {
+    throw new Error('Task not found');
+  }
+  requireActiveProject(task.projectId);
+
+  const now = new Date().toISOString();
+  const updatedTask = { ...task, updatedAt: now };
+  for (const field of TASK_FIELDS) {
+    if (updates[field] === undefined) {
+      continue;
+    }
+    if (field === 'assigneeIds') {
+      updatedTask.assigneeIds = normaliseAssignees(updates.assigneeIds);
+    } else if (field === 'labels') {
+      updatedTask.labels = normaliseLabels(updates.labels);
+    } else if (field === 'checklist') {
+      updatedTask.checklist = normaliseChecklist(updates.checklist);
+    } else if (field === 'dependsOn') {
+      updatedTask.dependsOn = normaliseDependencies(task.projectId, id, updates.dependsOn);
+    } else if (field === 'milestone') {
+      updatedTask.milestone = Boolean(updates.milestone);
+    } else {
+      updatedTask[field] = ['status', 'priority'].includes(field) ? updates[field] : optionalString(updates[field]);
+    }
+  }
+
+  validateTask(updatedTask);
+  if (updatedTask.status !== task.status) {
+    updatedTask.completedAt = updatedTask.status === TaskStatus.DONE ? now : null;
+    updatedTask.sortOrder = nextSortOrder(task.projectId, updatedTask.status);
+  }
+  tasks.update(updatedTask);
+
+  return presentTask(updatedTask);
+}
+
+/**
+ * Move a task on the project's board: into a status column, at a position
+ *
+ * The column is renumbered so the order sticks. An index past the end of
+ * the column puts the task at the bottom.
+ * @param {string} id - Task ID
+ * @param {Object} move - { status, index } - status defaults to the task's own
+ * @returns {Object} Moved task
+ */
+function moveTask(id, move) {
+  const task = tasks.get(id);
+  if (!task) {
+    throw new Error('Task not found');
+  }
+  requireActiveProject(task.projectId);
+
+  const status = move.status === undefined ? task.status : move.status;
+  if (!Object.values(TaskStatus).includes(status)) {
+    throw new Error(`Status must be one of: ${Object.values(TaskStatus).join(', ')}`);
+  }
+  if (!Number.isInteger(move.index) || move.index < 0) {
+    throw new Error('Index must be a whole number of 0 or more');
+  }
+
+  const now = new Date().toISOString();
+  const moved = { ...task, status, updatedAt: now };
+  if (status !== task.status) {
+    moved.completedAt = status === TaskStatus.DONE ? now : null;
+  }
+
+  const column = getColumn(task.projectId, status).filter(other => other.id !== id);
+  column.splice(Math.min(move.index, column.length), 0, moved);
+  column.forEach((item, sortOrder) => {
+    if (item === moved) {
+      moved.sortOrder = sortOrder;
+      tasks.update(moved);
+    } else if (item.sortOrder !== sortOrder) {
+      tasks.update({ ...item, sortOrder });
+    }
+  });
+
+  return presentTask(moved);
+}
+
+/**
+ * Delete a task, taking it off the tasks that depend on it
+ * @param {string} id - Task ID
+ * @returns {boolean} Success
+ */
+function deleteTask(id) {
+  const task = tasks.get(id);
+  if (!task) {
+    throw new Error('Task not found');
+  }
+  requireActiveProject(task.projectId);
+
+  for (const dependent of tasks.all().filter(item => item.dependsOn.includes(id))) {
+    tasks.update({ ...dependent, dependsOn: dependent.dependsOn.filter(other => other !== id) });
+  }
+  tasks.remove(id);
+  return true;
+}
+
+/**
+ * Take a deleted user off every project and task
+ *
+ * Projects they owned are left without an owner, so only users who can
+ * manage any project can archive or delete them.
+ * @param {string} userId - User ID
+ */
+function removeUserFromProjects(userId) {
+  for (const project of projects.all().filter(item => item.ownerId === userId)) {
+    projects.update({ ...project, ownerId: null });
+  }
+  for (const task of tasks.all().filter(item => item.assigneeIds.includes(userId))) {
+    tasks.update({ ...task, assigneeIds: task.assigneeIds.filter(id => id !== userId) });
+  }
+}
+
+/**
+ * Clear all projects and tasks (for testing)
+ */
+function clearProjects() {
+  projects.clear();
+  tasks.clear();
+}
+
+module.exports = {
+  ProjectStatus,
+  TaskStatus,
+  TaskPriority,
+  PROJECT_FIELDS,
+  TASK_FIELDS,
+  createProject,
+  findProjectById,
+  getProjects,
+  updateProject,
+  archiveProject,
+  restoreProject,
+  deleteProject,
+  createTask,
+  findTaskById,
+  getTasks,
+  getBoard,
+  updateTask,
+  moveTask,
+  deleteTask,
+  removeUserFromProjects,
+  clearProjects
+};
@@ -0,0 +1,345 @@
+const { createStore } = require('../storage');
+
+/**
+ * Permission constants
+ *
+ * Permissions are named `<area>.<action>`. Roles grant a set of them and
+ * routes check for a specific one with `requirePermission()`.
+ */
+const Permission = {
+  USERS_VIEW: 'users.view',
+  USERS_EDIT: 'users.edit',
+  USERS_DELETE: 'users.delete',
+  USERS_APPROVE: 'users.approve',
+  USERS_IMPORT: 'users.import',
+  USERS_EXPORT: 'users.export',
+  AUDIT_VIEW: 'audit.view',
+  ROLES_MANAGE: 'roles.manage',
+  STAFF_VIEW: 'staff.view',
+  STAFF_EDIT: 'staff.edit',
+  SCHEDULE_VIEW: 'schedule.view',
+  SCHEDULE_EDIT: 'schedule.edit',
+  SCHEDULE_PUBLISH: 'schedule.publish',
+  TIME_OFF_APPROVE: 'timeoff.approve',
+  TIMESHEETS_APPROVE: 'timesheets.approve',
+  TIMESHEETS_EXPORT: 'timesheets.export',
+  REPORTS_VIEW: 'reports.view',
+  SALES_EDIT: 'sales.edit',
+  CERTIFICATIONS_MANAGE: 'certifications.manage',
+  PROJECTS_VIEW: 'projects.view',
+  PROJECTS_EDIT: 'projects.edit',
+  PROJECTS_MANAGE: 'projects.manage'
+};
+
+/**
+ * Built-in role constants
+ */
+const UserRole = {
+  USER: 'user',
+  ADMIN: 'admin',
+  OWNER: 'owner',
+  SHIFT_MANAGER: 'shift_manager',
+  BAKER: 'baker',
+  FRONT_OF_HOUSE: 'front_of_house',
+  ACCOUNTANT: 'accountant'
+};
+
+/**
+ * Grants every permission, including ones added later
+ */
+const ALL_PERMISSIONS = '*';
+
+/**
+ * Built-in role definitions. These cannot be changed or deleted.
+ */
+const BUILT_IN_ROLES = {
+  [UserRole.ADMIN]: {
+    label: 'Administrator',
+    description: 'Full access to the dashboard',
+    permissions: [ALL_PERMISSIONS]
+  },
+  [UserRole.OWNER]: {
+    label: 'Owner',
+    description: 'Full access to the dashboard',
+    permissions: [ALL_PERMISSIONS]
+  },
+  [UserRole.SHIFT_MANAGER]: {
+    label: 'Shift Manager',
+    description: 'Manages the staff roster and certifications; builds and publishes the schedule; approves time off and timesheets; runs projects',
+    permissions: [
+      Permission.USERS_VIEW,
+      Permission.STAFF_VIEW,
+      Permission.STAFF_EDIT,
+      Permission.CERTIFICATIONS_MANAGE,
+      Permission.SCHEDULE_VIEW,
+      Permission.SCHEDULE_EDIT,
+      Permission.SCHEDULE_PUBLISH,
+      Permission.TIME_OFF_APPROVE,
+      Permission.TIMESHEETS_APPROVE,
+      Permission.TIMESHEETS_EXPORT,
+      Permission.REPORTS_VIEW,
+      Permission.PROJECTS_VIEW,
+      Permission.PROJECTS_EDIT
+    ]
+  },
+  [UserRole.BAKER]: {
+    label: 'Baker',
+    description: 'Views the team, their schedule and projects',
+    permissions: [Permission.USERS_VIEW, Permission.STAFF_VIEW, Permission.SCHEDULE_VIEW, Permission.PROJECTS_VIEW]
+  },
+  [UserRole.FRONT_OF_HOUSE]: {
+    label: 'Front of House',
+    description: 'Views the team, their schedule and projects',
+    permissions: [Permission.USERS_VIEW, Permission.STAFF_VIEW, Permission.SCHEDULE_VIEW, Permission.PROJECTS_VIEW]
+  },
+  [UserRole.ACCOUNTANT]: {
+    label: 'Accountant',
+    description: 'Read-only access to users, schedules, projects, reports and the audit log; exports timesheets',
+    permissions: [
+      Permission.USERS_VIEW,
+      Permission.USERS_EXPORT,
+      Permission.STAFF_VIEW,
+      Permission.SCHEDULE_VIEW,
+      Permission.TIMESHEETS_EXPORT,
+      Permission.REPORTS_VIEW,
+      Permission.PROJECTS_VIEW,
+      Permission.AUDIT_VIEW
+    ]
+  },
+  [UserRole.USER]: {
+    label: 'User',
+    description: 'View-only access to the user list',
+    permissions: [Permission.USERS_VIEW]
+  }
+};
+
+/**
+ * Custom role store, keyed by role name
+ */
+const customRoles = createStore('roles', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Check whether a name is one of the built-in roles
+ *
+ * Only the table's own keys count, so a custom role named `constructor`
+ * or `toString` isn't mistaken for a built-in one.
+ * @param {string} name - Role name
+ * @returns {boolean} True if built in
+ */
+function isBuiltInRole(name) {
+  return Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+}
+
+/**
+ * Find a role definition by name
+ * @param {string} name - Role name
+ * @returns {Object|null} Role or null
+ */
+function findRole(name) {
+  if (isBuiltInRole(name)) {
+    return { name, builtIn: true, ...BUILT_IN_ROLES[name] };
+  }
+  const role = customRoles.get(name);
+  return role ? { ...role, builtIn: false } : null;
+}
+
+/**
+ * Check whether a role exists
+ * @param {string} name - Role name
+ * @returns {boolean} True if built in or defined
+ */
+function roleExists(name) {
+  return findRole(name) !== null;
+}
+
+/**
+ * Get all roles, built-in roles first
+ * @returns {Array} Roles
+ */
+function listRoles() {
+  return [
+    ...Object.keys(BUILT_IN_ROLES).map(findRole),
+    ...customRoles.all().map(role => ({ ...role, builtIn: false }))
+  ];
+}
+
+/**
+ * Get the permissions a role grants, with the wildcard expanded
+ * @param {string} name - Role name
+ * @returns {Array<string>} Permission names
+ */
+function getRolePermissions(name) {
+  const role = findRole(name);
+  if (!role) {
+    return [];
+  }
+  if (role.permissions.includes(ALL_PERMISSIONS)) {
+    return Object.values(Permission);
+  }
+  return [...role.permissions];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} roleName - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+function hasPermission(roleName, permission) {
+  const role = findRole(roleName);
+  if (!role) {
+    return false;
+  }
+  return role.permissions.includes(ALL_PERMISSIONS) || role.permissions.includes(permission);
+}
+
+/**
+ * Check whether someone with one role may give another role to a user
+ *
+ * Nobody can hand out a role that grants more than they have themselves.
+ * @param {string} actorRole - Role of the user making the change
+ * @param {string} roleName - Role being assigned
+ * @returns {boolean} True if allowed
+ */
+function canAssignRole(actorRole, roleName) {
+  const actor = findRole(actorRole);
+  const role = findRole(roleName);
+  if (!actor || !role) {
+    return false;
+  }
+  if (actor.permissions.includes(ALL_PERMISSIONS)) {
+    return true;
+  }
+  if (role.permissions.includes(ALL_PERMISSIONS)) {
+    return false;
+  }
+  return role.permissions.every(permission => actor.permissions.includes(permission));
+}
+
+/**
+ * Validate a list of permission names
+ * @param {Array<string>} permissions - Permission names
+ */
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    throw new Error('Permissions must be an array');
+  }
+  const known = Object.values(Permission);
+  const unknown = permissions.filter(permission => !known.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+}
+
+/**
+ * Create a custom role
+ * @param {Object} roleData - Role data
+ * @returns {Object} Created role
+ */
+function createRole(roleData) {
+  const { name, label, description = '', permissions = [] } = roleData;
+
+  if (!name || !label) {
+    throw new Error('Role name and label are required');
+  }
+
+  if (!/^[a-z][a-z0-9_]{1,49}$/.test(name)) {
+    throw new Error('Role name must be 2-50 lowercase letters, digits or underscores');
+  }
+
+  if (roleExists(name)) {
+    throw new Error('Role with this name already exists');
+  }
+
+  validatePermissions(permissions);
+
+  const role = {
+    id: name,
+    name,
+    label: label.trim(),
+    description: description.trim(),
+    permissions: [...new Set(permissions)],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  customRoles.insert(role);
+
+  return findRole(name);
+}
+
+/**
+ * Update a custom role
+ * @param {string} name - Role name
+ * @param {Object} updates - Label, description and/or permissions
+ * @returns {Object} Updated role
+ */
+function updateRole(name, updates) {
+  if (isBuiltInRole(name)) {
+    throw new Error('Built-in roles cannot be changed');
+  }
+
+  const role = customRoles.get(name);
+  if (!role) {
+    throw new Error('Role not found');
+  }
+
+  if (updates.permissions !== undefined) {
+    validatePermissions(updates.permissions);
+  }
+
+  const updatedRole = {
+    ...role,
+    label: updates.label !== undefined ? updates.label.trim() : role.label,
+    description: updates.description !== undefined ? updates.description.trim() : role.description,
+    permissions: updates.permissions !== undefined ? [...new Set(updates.permissions)] : role.permissions,
+    updatedAt: new Date().toISOString()
+  };
+
+  customRoles.update(updatedRole);
+
+  return findRole(name);
+}
+
+/**
+ * Delete a custom role
+ * @param {string} name - Role name
+ * @returns {boolean} Success
+ */
+function deleteRole(name) {
+  if (isBuiltInRole(name)) {
+    throw new Error('Built-in roles cannot be deleted');
+  }
+
+  if (!customRoles.remove(name)) {
+    throw new Error('Role not found');
+  }
+  return true;
+}
+
+/**
+ * Clear all custom roles (for testing)
+ */
+function clearCustomRoles() {
+  customRoles.clear();
+}
+
+module.exports = {
+  Permission,
+  UserRole,
+  findRole,
+  roleExists,
+  listRoles,
+  getRolePermissions,
+  hasPermission,
+  canAssignRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  clearCustomRoles
+};
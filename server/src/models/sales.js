@@ -0,0 +1,106 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { isDate } = require('../utils/time');
+
+/**
+ * Daily sales store
+ *
+ * One figure per date and location, entered by hand, so labor reports can
+ * show labor cost as a percentage of sales.
+ */
+const sales = createStore('sales', {
+  indexes: {
+    dayKey: record => `${record.date}|${record.location.toLowerCase()}`
+  },
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Enter the sales for a date and location, replacing any earlier figure
+ * @param {Object} salesData - { date, location, amount }
+ * @param {string} enteredBy - ID of the user entering it
+ * @returns {Object} Sales record
+ */
+function setSales(salesData, enteredBy) {
+  const { date, amount } = salesData;
+  const location = String(salesData.location || '').trim();
+  if (!isDate(date)) {
+    throw new Error('Date must be in YYYY-MM-DD format');
+  }
+  if (!location) {
+    throw new Error('Location is required');
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+    throw new Error('Amount must be a non-negative number');
+  }
+
+  const timestamp = new Date().toISOString();
+  const existing = sales.findBy('dayKey', `${date}|${location.toLowerCase()}`);
+  if (existing) {
+    const updated = { ...existing, amount, enteredBy, updatedAt: timestamp };
+    sales.update(updated);
+    return { ...updated };
+  }
+
+  const record = { id: uuidv4(), date, location, amount, enteredBy, createdAt: timestamp, updatedAt: timestamp };
+  sales.insert(record);
+  return { ...record };
+}
+
+/**
+ * Get sales figures by date then location
+ * @param {Object} options - Query options
+ * @param {string} options.location - Only this location
+ * @param {string} options.from - Only on or after this date
+ * @param {string} options.to - Only on or before this date
+ * @returns {Array} Sales records
+ */
+function getSales(options = {}) {
+  const { location, from, to } = options;
+  let result = sales.all();
+
+  if (location) {
+    const locationLower = location.toLowerCase();
+    result = result.filter(record => record.location.toLowerCase() === locationLower);
+  }
+
+  if (from) {
+    result = result.filter(record => record.date >= from);
+  }
+
+  if (to) {
+    result = result.filter(record => record.date <= to);
+  }
+
+  return result
+    .sort((a, b) => a.date.localeCompare(b.date) || a.location.localeCompare(b.location))
+    .map(record => ({ ...record }));
+}
+
+/**
+ * Remove the sales figure for a date and location
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} location - Location
+ * @returns {boolean} True if a figure was removed
+ */
+function removeSales(date, location) {
+  const existing = sales.findBy('dayKey', `${date}|${String(location || '').trim().toLowerCase()}`);
+  return existing ? sales.remove(existing.id) : false;
+}
+
+/**
+ * Clear all sales figures (for testing)
+ */
+function clearSales() {
+  sales.clear();
+}
+
+module.exports = {
+  setSales,
+  getSales,
+  removeSales,
+  clearSales
+};
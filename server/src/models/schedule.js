@@ -0,0 +1,944 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { createStore } = require('../storage');
+const { findStaffById, isStaffActive } = require('./staff');
+const { TimeOffStatus, findTimeOff, isWithinAvailability } = require('./availability');
+const { findUserById, findMissingCertifications } = require('./user');
+const { getRequiredCertifications } = require('./position');
+const { findHoliday } = require('./holiday');
+const { isDate, isDateTime, toMinutes, fromMinutes, addDays, startOfWeek } = require('../utils/time');
+
+/**
+ * Schedule status constants
+ *
+ * Schedules start as drafts that only schedulers can see, and become
+ * visible to everyone with schedule.view once published.
+ */
+const ScheduleStatus = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published'
+};
+
+/**
+ * Fields that can be set when creating or updating a schedule
+ */
+const SCHEDULE_FIELDS = ['name', 'location', 'startDate', 'endDate', 'notes'];
+
+/**
+ * Fields that can be set when creating or updating a shift
+ */
+const SHIFT_FIELDS = ['staffId', 'location', 'position', 'startsAt', 'endsAt', 'notes'];
+
+/**
+ * Schedule store
+ *
+ * A schedule covers a range of dates, optionally for a single location,
+ * and holds the shifts that start within it.
+ */
+const schedules = createStore('schedules', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Shift store
+ *
+ * Times are local wall-clock date-times ("YYYY-MM-DDTHH:mm"). A shift may
+ * end on the day after it starts. A shift without a staffId is open.
+ */
+const shifts = createStore('shifts', {
+  migrations: [
+    // 1: initial schema
+    records => records,
+    // 2: revision counter for calendar feeds
+    records => records.map(shift => ({ sequence: 0, ...shift }))
+  ]
+});
+
+/**
+ * Cancelled shift store
+ *
+ * When a shift staff could see (one in a published schedule) is changed,
+ * deleted or unpublished, the version they saw is kept here so calendar
+ * feeds can tell calendar apps to remove it. A shift's `sequence` goes up
+ * with every change, so the newest version always wins.
+ */
+const cancelledShifts = createStore('cancelledShifts', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Trim an optional string, turning blanks into null
+ * @param {*} value - Value
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalString(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Check a schedule record before it is saved
+ * @param {Object} schedule - Schedule record
+ */
+function validateSchedule(schedule) {
+  if (!schedule.name || !schedule.startDate || !schedule.endDate) {
+    throw new Error('Name, start date and end date are required');
+  }
+
+  if (!isDate(schedule.startDate) || !isDate(schedule.endDate)) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+
+  if (schedule.endDate < schedule.startDate) {
+    throw new Error('End date cannot be before start date');
+  }
+}
+
+/**
+ * Add derived fields to a schedule record
+ * @param {Object} schedule - Schedule record
+ * @returns {Object} Schedule with `shiftCount`
+ */
+function presentSchedule(schedule) {
+  const shiftCount = shifts.all().filter(shift => shift.scheduleId === schedule.id).length;
+  return { ...schedule, shiftCount };
+}
+
+/**
+ * Create a draft schedule
+ * @param {Object} scheduleData - Schedule data
+ * @param {string} createdBy - ID of the user creating it
+ * @returns {Object} Created schedule
+ */
+function createSchedule(scheduleData, createdBy) {
+  const now = new Date().toISOString();
+  const schedule = {
+    id: uuidv4(),
+    name: optionalString(scheduleData.name),
+    location: optionalString(scheduleData.location),
+    startDate: scheduleData.startDate,
+    endDate: scheduleData.endDate,
+    notes: optionalString(scheduleData.notes),
+    status: ScheduleStatus.DRAFT,
+    publishedAt: null,
+    publishedBy: null,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  validateSchedule(schedule);
+  schedules.insert(schedule);
+
+  return presentSchedule(schedule);
+}
+
+/**
+ * Find a schedule by ID
+ * @param {string} id - Schedule ID
+ * @returns {Object|null} Schedule or null
+ */
+function findScheduleById(id) {
+  const schedule = schedules.get(id);
+  return schedule ? presentSchedule(schedule) : null;
+}
+
+/**
+ * Get schedules, earliest first
+ * @param {Object} options - Query options
+ * @param {string} options.status - Only schedules with this status
+ * @param {string} options.location - Only schedules for this location
+ * @param {string} options.from - Only schedules ending on or after this date
+ * @param {string} options.to - Only schedules starting on or before this date
+ * @returns {Array} Schedules
+ */
+function getAllSchedules(options = {}) {
+  const { status, location, from, to } = options;
+  let result = schedules.all();
+
+  if (status) {
+    result = result.filter(schedule => schedule.status === status);
+  }
+
+  if (location) {
+    const locationLower = location.toLowerCase();
+    result = result.filter(schedule => schedule.location && schedule.location.toLowerCase() === locationLower);
+  }
+
+  if (from) {
+    result = result.filter(schedule => schedule.endDate >= from);
+  }
+
+  if (to) {
+    result = result.filter(schedule => schedule.startDate <= to);
+  }
+
+  return result
+    .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.createdAt.localeCompare(b.createdAt))
+    .map(presentSchedule);
+}
+
+/**
+ * Update a schedule's details
+ * @param {string} id - Schedule ID
+ * @param {Object} updates - Fields to update (see SCHEDULE_FIELDS)
+ * @returns {Object} Updated schedule
+ */
+function updateSchedule(id, updates) {
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  const updatedSchedule = { ...schedule, updatedAt: new Date().toISOString() };
+  for (const field of SCHEDULE_FIELDS) {
+    if (updates[field] !== undefined) {
+      updatedSchedule[field] = field === 'startDate' || field === 'endDate'
+        ? updates[field]
+        : optionalString(updates[field]);
+    }
+  }
+
+  validateSchedule(updatedSchedule);
+
+  const scheduleShifts = shifts.all().filter(shift => shift.scheduleId === id);
+  if (scheduleShifts.some(shift => !shiftFitsSchedule(shift, updatedSchedule))) {
+    throw new Error('Some shifts fall outside the new dates or location');
+  }
+
+  schedules.update(updatedSchedule);
+
+  return presentSchedule(updatedSchedule);
+}
+
+/**
+ * Publish a draft schedule
+ * @param {string} id - Schedule ID
+ * @param {string} publishedBy - ID of the user publishing it
+ * @returns {Object} Published schedule
+ */
+function publishSchedule(id, publishedBy) {
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  if (schedule.status === ScheduleStatus.PUBLISHED) {
+    throw new Error('Schedule is already published');
+  }
+
+  const now = new Date().toISOString();
+  schedule.status = ScheduleStatus.PUBLISHED;
+  schedule.publishedAt = now;
+  schedule.publishedBy = publishedBy;
+  schedule.updatedAt = now;
+  schedules.update(schedule);
+
+  // Supersede any cancellations left from an earlier unpublish
+  for (const shift of shifts.all().filter(shift => shift.scheduleId === id)) {
+    shifts.update({ ...shift, sequence: shift.sequence + 1 });
+  }
+
+  return presentSchedule(schedule);
+}
+
+/**
+ * Return a published schedule to draft, hiding it from staff again
+ * @param {string} id - Schedule ID
+ * @returns {Object} Draft schedule
+ */
+function unpublishSchedule(id) {
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  if (schedule.status !== ScheduleStatus.PUBLISHED) {
+    throw new Error('Schedule is not published');
+  }
+
+  for (const shift of shifts.all().filter(shift => shift.scheduleId === id)) {
+    recordCancellation(shift);
+    shifts.update({ ...shift, sequence: shift.sequence + 1 });
+  }
+
+  schedule.status = ScheduleStatus.DRAFT;
+  schedule.publishedAt = null;
+  schedule.publishedBy = null;
+  schedule.updatedAt = new Date().toISOString();
+  schedules.update(schedule);
+
+  return presentSchedule(schedule);
+}
+
+/**
+ * Delete a draft schedule and its shifts
+ * @param {string} id - Schedule ID
+ * @returns {boolean} Success
+ */
+function deleteSchedule(id) {
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  if (schedule.status === ScheduleStatus.PUBLISHED) {
+    throw new Error('Published schedules cannot be deleted; unpublish it first');
+  }
+
+  shifts.all()
+    .filter(shift => shift.scheduleId === id)
+    .forEach(shift => shifts.remove(shift.id));
+  schedules.remove(id);
+  return true;
+}
+
+/**
+ * Keep the version of a shift staff could see before it changes or goes
+ *
+ * Shifts in draft schedules were never visible, so nothing is kept.
+ * @param {Object} shift - Shift record as it was
+ */
+function recordCancellation(shift) {
+  const schedule = schedules.get(shift.scheduleId);
+  if (!schedule || schedule.status !== ScheduleStatus.PUBLISHED) {
+    return;
+  }
+
+  cancelledShifts.insert({
+    id: uuidv4(),
+    shiftId: shift.id,
+    scheduleId: shift.scheduleId,
+    staffId: shift.staffId,
+    location: shift.location,
+    position: shift.position,
+    startsAt: shift.startsAt,
+    endsAt: shift.endsAt,
+    notes: shift.notes,
+    sequence: shift.sequence + 1,
+    cancelledAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Get the latest cancelled version of each shift, in start order
+ * @param {Object} options - Query options
+ * @param {string} options.staffId - Only shifts that were for this staff member
+ * @param {string} options.location - Only shifts that were at this location
+ * @param {string} options.from - Only shifts starting on or after this date
+ * @returns {Array} Cancelled shift versions (shiftId identifies the shift)
+ */
+function getCancelledShifts(options = {}) {
+  const { staffId, location, from } = options;
+  const latest = new Map();
+
+  for (const cancelled of cancelledShifts.all()) {
+    if (staffId && cancelled.staffId !== staffId) {
+      continue;
+    }
+    if (location && cancelled.location.toLowerCase() !== location.toLowerCase()) {
+      continue;
+    }
+    if (from && cancelled.startsAt.slice(0, 10) < from) {
+      continue;
+    }
+    const previous = latest.get(cancelled.shiftId);
+    if (!previous || cancelled.sequence > previous.sequence) {
+      latest.set(cancelled.shiftId, cancelled);
+    }
+  }
+
+  return [...latest.values()].sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+}
+
+/**
+ * Check that a shift starts within its schedule's dates and at its location
+ * (matched without regard to case)
+ * @param {Object} shift - Shift record
+ * @param {Object} schedule - Schedule record
+ * @returns {boolean} True if the shift belongs in the schedule
+ */
+function shiftFitsSchedule(shift, schedule) {
+  const date = shift.startsAt.slice(0, 10);
+  return date >= schedule.startDate &&
+    date <= schedule.endDate &&
+    (!schedule.location || (Boolean(shift.location) && shift.location.toLowerCase() === schedule.location.toLowerCase()));
+}
+
+/**
+ * Length of a shift in hours
+ * @param {Object} shift - Shift record
+ * @returns {number} Hours
+ */
+function shiftHours(shift) {
+  return (toMinutes(shift.endsAt) - toMinutes(shift.startsAt)) / 60;
+}
+
+/**
+ * Get the last calendar date a shift covers
+ * @param {Object} shift - Shift record
+ * @returns {string} YYYY-MM-DD (a shift ending at midnight ends the day before)
+ */
+function shiftEndDate(shift) {
+  return fromMinutes(toMinutes(shift.endsAt) - 1).slice(0, 10);
+}
+
+/**
+ * Find the certifications a shift's position requires that its staff
+ * member doesn't hold for the whole shift
+ *
+ * Certifications belong to user accounts, so a staff member who isn't
+ * linked to a login has none.
+ * @param {Object} shift - Shift record (open shifts never lack any)
+ * @returns {Array} Certification names
+ */
+function findMissingShiftCertifications(shift) {
+  const required = shift.staffId === null ? [] : getRequiredCertifications(shift.position);
+  if (required.length === 0) {
+    return [];
+  }
+
+  const member = findStaffById(shift.staffId);
+  const user = member && member.userId ? findUserById(member.userId) : null;
+  return findMissingCertifications(user, required, shift.startsAt.slice(0, 10), shiftEndDate(shift));
+}
+
+/**
+ * Find the issues with a shift that are worth flagging but don't block it
+ *
+ * Working outside someone's availability is only a warning unless
+ * `scheduling.enforceAvailability` is set, and a missing certification
+ * only when `scheduling.enforceCertifications` is turned off. Pending
+ * time off is always just a warning, as is a shift on a holiday.
+ * @param {Object} shift - Shift record
+ * @returns {Array} Warnings: { type, message }
+ */
+function getShiftWarnings(shift) {
+  const warnings = [];
+  const holiday = findHoliday(shift.startsAt.slice(0, 10), shift.location);
+  if (holiday) {
+    warnings.push({ type: 'holiday', holidayId: holiday.id, message: `${holiday.name} is a public holiday` });
+  }
+
+  if (shift.staffId === null) {
+    return warnings;
+  }
+
+  if (!config.scheduling.enforceAvailability && !isWithinAvailability(shift.staffId, shift.startsAt, shift.endsAt)) {
+    warnings.push({ type: 'availability', message: 'Outside this staff member\'s availability' });
+  }
+
+  if (!config.scheduling.enforceCertifications) {
+    for (const certification of findMissingShiftCertifications(shift)) {
+      warnings.push({
+        type: 'certification',
+        certification,
+        message: `No current ${certification} certification, which ${shift.position} requires`
+      });
+    }
+  }
+
+  const pending = findTimeOff(shift.staffId, shift.startsAt.slice(0, 10), shiftEndDate(shift), [TimeOffStatus.PENDING]);
+  for (const request of pending) {
+    warnings.push({
+      type: 'time_off_pending',
+      timeOffId: request.id,
+      message: `Time off requested from ${request.startDate} to ${request.endDate}`
+    });
+  }
+  return warnings;
+}
+
+/**
+ * Add derived fields to a shift record
+ * @param {Object} shift - Shift record
+ * @returns {Object} Shift with `hours` and `warnings`
+ */
+function presentShift(shift) {
+  return { ...shift, hours: shiftHours(shift), warnings: getShiftWarnings(shift) };
+}
+
+/**
+ * Check a shift record before it is saved
+ * @param {Object} shift - Shift record
+ */
+function validateShift(shift) {
+  const schedule = schedules.get(shift.scheduleId);
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  if (!shift.location || !shift.position) {
+    throw new Error('Location and position are required');
+  }
+
+  if (!isDateTime(shift.startsAt) || !isDateTime(shift.endsAt)) {
+    throw new Error('Start and end must be in YYYY-MM-DDTHH:mm format');
+  }
+
+  const hours = shiftHours(shift);
+  if (hours <= 0) {
+    throw new Error('Shift must end after it starts');
+  }
+
+  if (hours > config.scheduling.maxShiftHours) {
+    throw new Error(`Shifts cannot be longer than ${config.scheduling.maxShiftHours} hours`);
+  }
+
+  if (!shiftFitsSchedule(shift, schedule)) {
+    throw new Error(schedule.location && shift.location !== schedule.location
+      ? `This schedule is for ${schedule.location} only`
+      : `Shift must start between ${schedule.startDate} and ${schedule.endDate}`);
+  }
+
+  if (shift.staffId !== null) {
+    const member = findStaffById(shift.staffId);
+    if (!member) {
+      throw new Error('Staff member not found');
+    }
+    if (!isStaffActive(member, shift.startsAt.slice(0, 10))) {
+      throw new Error(`${member.name} is not employed on ${shift.startsAt.slice(0, 10)}`);
+    }
+  }
+}
+
+/**
+ * Find what a staff member's shift would clash with
+ *
+ * Two shifts for the same person must not overlap, and shifts that start
+ * on different days need at least `minRestHours` between them. Shifts in
+ * every schedule count, drafts included. A shift can't fall on approved
+ * time off, outside the person's availability when that is enforced, or
+ * in a position they aren't certified for when that is enforced.
+ * @param {Object} shift - Shift record (open shifts never conflict)
+ * @param {Array} pending - Unsaved shift records to check against as well
+ * @returns {Array} Conflicts: { type, message } plus shiftId or timeOffId
+ */
+function findShiftConflicts(shift, pending = []) {
+  if (shift.staffId === null) {
+    return [];
+  }
+
+  const member = findStaffById(shift.staffId);
+  const name = member ? member.name : 'This staff member';
+  const minRestMinutes = config.scheduling.minRestHours * 60;
+  const start = toMinutes(shift.startsAt);
+  const end = toMinutes(shift.endsAt);
+  const conflicts = [];
+
+  for (const request of findTimeOff(shift.staffId, shift.startsAt.slice(0, 10), shiftEndDate(shift))) {
+    conflicts.push({
+      type: 'time_off',
+      timeOffId: request.id,
+      message: `${name} has approved time off from ${request.startDate} to ${request.endDate}`
+    });
+  }
+
+  if (config.scheduling.enforceAvailability && !isWithinAvailability(shift.staffId, shift.startsAt, shift.endsAt)) {
+    conflicts.push({
+      type: 'availability',
+      message: `${name} is not available from ${shift.startsAt} to ${shift.endsAt}`
+    });
+  }
+
+  if (config.scheduling.enforceCertifications) {
+    for (const certification of findMissingShiftCertifications(shift)) {
+      conflicts.push({
+        type: 'certification',
+        certification,
+        message: `${name} has no current ${certification} certification, which ${shift.position} requires`
+      });
+    }
+  }
+
+  for (const other of [...shifts.all(), ...pending]) {
+    if (other.id === shift.id || other.staffId !== shift.staffId) {
+      continue;
+    }
+
+    const otherStart = toMinutes(other.startsAt);
+    const otherEnd = toMinutes(other.endsAt);
+
+    if (start < otherEnd && otherStart < end) {
+      conflicts.push({
+        type: 'double_booking',
+        shiftId: other.id,
+        message: `${name} is already working from ${other.startsAt} to ${other.endsAt}`
+      });
+      continue;
+    }
+
+    if (other.startsAt.slice(0, 10) === shift.startsAt.slice(0, 10)) {
+      continue;
+    }
+
+    const rest = start >= otherEnd ? start - otherEnd : otherStart - end;
+    if (rest < minRestMinutes) {
+      conflicts.push({
+        type: 'rest',
+        shiftId: other.id,
+        message: `${name} would only have ${rest / 60} hours of rest next to the shift from ` +
+          `${other.startsAt} to ${other.endsAt} (minimum ${config.scheduling.minRestHours})`
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Hours a staff member is scheduled for in the week (Monday to Sunday) of a date
+ * @param {string} staffId - Staff ID
+ * @param {string} date - Any date in the week (YYYY-MM-DD)
+ * @param {Array} excludeIds - IDs of shifts to leave out
+ * @returns {number} Hours, across every schedule
+ */
+function getWeeklyHours(staffId, date, excludeIds = []) {
+  const weekStart = startOfWeek(date);
+  const weekEnd = addDays(weekStart, 6);
+  return shifts.all()
+    .filter(shift => shift.staffId === staffId && !excludeIds.includes(shift.id))
+    .filter(shift => shift.startsAt.slice(0, 10) >= weekStart && shift.startsAt.slice(0, 10) <= weekEnd)
+    .reduce((total, shift) => total + shiftHours(shift), 0);
+}
+
+/**
+ * Build the error thrown when a shift clashes with others
+ * @param {Array} conflicts - Conflicts from findShiftConflicts()
+ * @returns {Error} Error carrying the conflicts
+ */
+function conflictError(conflicts) {
+  const error = new Error(conflicts[0].message);
+  error.conflicts = conflicts;
+  return error;
+}
+
+/**
+ * Check a shift and make sure it doesn't clash with any other
+ * @param {Object} shift - Shift record
+ */
+function checkShift(shift) {
+  validateShift(shift);
+  const conflicts = findShiftConflicts(shift);
+  if (conflicts.length > 0) {
+    throw conflictError(conflicts);
+  }
+}
+
+/**
+ * Build a new shift record, not yet checked or saved
+ *
+ * The location defaults to the schedule's and the position to the staff
+ * member's.
+ * @param {Object} shiftData - Shift data (scheduleId plus SHIFT_FIELDS)
+ * @param {string} createdBy - ID of the user creating it
+ * @returns {Object} Shift record
+ */
+function buildShift(shiftData, createdBy) {
+  const schedule = schedules.get(shiftData.scheduleId);
+  const staffId = optionalString(shiftData.staffId);
+  const member = staffId ? findStaffById(staffId) : null;
+  const now = new Date().toISOString();
+
+  return {
+    id: uuidv4(),
+    scheduleId: shiftData.scheduleId,
+    staffId,
+    location: optionalString(shiftData.location) || (schedule ? schedule.location : null),
+    position: optionalString(shiftData.position) || (member ? member.position : null),
+    startsAt: shiftData.startsAt,
+    endsAt: shiftData.endsAt,
+    notes: optionalString(shiftData.notes),
+    sequence: 0,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Create a shift
+ * @param {Object} shiftData - Shift data (scheduleId plus SHIFT_FIELDS)
+ * @param {string} createdBy - ID of the user creating it
+ * @returns {Object} Created shift
+ */
+function createShift(shiftData, createdBy) {
+  const shift = buildShift(shiftData, createdBy);
+  checkShift(shift);
+  shifts.insert(shift);
+
+  return presentShift(shift);
+}
+
+/**
+ * Find everything that stops a new shift being added, without throwing
+ *
+ * Problems with the staff member are reported as `staff_not_found` or
+ * `not_employed`, and any other invalid field as `invalid`, alongside the
+ * conflicts from findShiftConflicts().
+ * @param {Object} shift - Shift record
+ * @param {Array} pending - Unsaved shift records to check against as well
+ * @returns {Array} Conflicts: { type, message }
+ */
+function findNewShiftProblems(shift, pending) {
+  const member = shift.staffId ? findStaffById(shift.staffId) : null;
+  if (shift.staffId && !member) {
+    return [{ type: 'staff_not_found', message: 'Staff member not found' }];
+  }
+  if (member && shift.startsAt && !isStaffActive(member, String(shift.startsAt).slice(0, 10))) {
+    return [{ type: 'not_employed', message: `${member.name} is not employed on ${shift.startsAt.slice(0, 10)}` }];
+  }
+
+  try {
+    validateShift(shift);
+  } catch (error) {
+    return [{ type: 'invalid', message: error.message }];
+  }
+  return findShiftConflicts(shift, pending);
+}
+
+/**
+ * Add a batch of shifts, leaving out the ones that can't be added
+ *
+ * Each shift is checked as createShift() would, and against the shifts
+ * before it in the batch, so a batch can't double-book anyone either.
+ * Nothing is saved on a dry run.
+ * @param {Array} shiftDataList - Shift data, as for createShift()
+ * @param {string} createdBy - ID of the user adding them
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { added, refused } - refused is { shift, conflicts } for each left out
+ */
+function addShifts(shiftDataList, createdBy, options = {}) {
+  const added = [];
+  const refused = [];
+
+  for (const shiftData of shiftDataList) {
+    const shift = buildShift(shiftData, createdBy);
+    const conflicts = findNewShiftProblems(shift, added);
+    if (conflicts.length > 0) {
+      refused.push({ shift: { ...shift, hours: shiftHours(shift) }, conflicts });
+    } else {
+      added.push(shift);
+    }
+  }
+
+  if (!options.dryRun) {
+    added.forEach(shift => shifts.insert(shift));
+  }
+  return { added: added.map(presentShift), refused };
+}
+
+/**
+ * Find a shift by ID
+ * @param {string} id - Shift ID
+ * @returns {Object|null} Shift or null
+ */
+function findShiftById(id) {
+  const shift = shifts.get(id);
+  return shift ? presentShift(shift) : null;
+}
+
+/**
+ * Get shifts in start order
+ * @param {Object} options - Query options
+ * @param {string} options.scheduleId - Only shifts in this schedule
+ * @param {string} options.staffId - Only shifts for this staff member
+ * @param {boolean} options.open - Only shifts with nobody assigned
+ * @param {string} options.location - Only shifts at this location
+ * @param {string} options.from - Only shifts starting on or after this date
+ * @param {string} options.to - Only shifts starting on or before this date
+ * @param {boolean} options.publishedOnly - Leave out shifts in draft schedules
+ * @returns {Array} Shifts
+ */
+function getShifts(options = {}) {
+  const { scheduleId, staffId, open, location, from, to, publishedOnly } = options;
+  let result = shifts.all();
+
+  if (scheduleId) {
+    result = result.filter(shift => shift.scheduleId === scheduleId);
+  }
+
+  if (staffId) {
+    result = result.filter(shift => shift.staffId === staffId);
+  }
+
+  if (open) {
+    result = result.filter(shift => shift.staffId === null);
+  }
+
+  if (location) {
+    const locationLower = location.toLowerCase();
+    result = result.filter(shift => shift.location.toLowerCase() === locationLower);
+  }
+
+  if (from) {
+    result = result.filter(shift => shift.startsAt.slice(0, 10) >= from);
+  }
+
+  if (to) {
+    result = result.filter(shift => shift.startsAt.slice(0, 10) <= to);
+  }
+
+  if (publishedOnly) {
+    result = result.filter(shift => {
+      const schedule = schedules.get(shift.scheduleId);
+      return schedule && schedule.status === ScheduleStatus.PUBLISHED;
+    });
+  }
+
+  return result
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt) || a.id.localeCompare(b.id))
+    .map(presentShift);
+}
+
+/**
+ * Update a shift: move it, reassign it or change its details
+ * @param {string} id - Shift ID
+ * @param {Object} updates - Fields to update (see SHIFT_FIELDS)
+ * @returns {Object} Updated shift
+ */
+function updateShift(id, updates) {
+  const shift = shifts.get(id);
+  if (!shift) {
+    throw new Error('Shift not found');
+  }
+
+  const updatedShift = { ...shift, sequence: shift.sequence + 1, updatedAt: new Date().toISOString() };
+  for (const field of SHIFT_FIELDS) {
+    if (updates[field] !== undefined) {
+      updatedShift[field] = field === 'startsAt' || field === 'endsAt'
+        ? updates[field]
+        : optionalString(updates[field]);
+    }
+  }
+
+  checkShift(updatedShift);
+  recordCancellation(shift);
+  shifts.update(updatedShift);
+
+  return presentShift(updatedShift);
+}
+
+/**
+ * Check that shifts can be handed to new staff members, all at once
+ *
+ * Each shift is checked as if every reassignment had already been made, so
+ * two people can swap shifts that would clash with each other's. Staff
+ * members with `maxWeeklyHours` can't be taken over it.
+ * @param {Array} assignments - { shiftId, staffId } for each shift to reassign
+ * @returns {Array} The reassigned shift records, not yet saved
+ */
+function checkReassignment(assignments) {
+  const movedIds = assignments.map(assignment => assignment.shiftId);
+  const now = new Date().toISOString();
+  const updated = assignments.map(({ shiftId, staffId }) => {
+    const shift = shifts.get(shiftId);
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+    return { ...shift, staffId, sequence: shift.sequence + 1, updatedAt: now };
+  });
+
+  const conflicts = [];
+  for (const shift of updated) {
+    validateShift(shift);
+    conflicts.push(...findShiftConflicts(shift).filter(conflict => !movedIds.includes(conflict.shiftId)));
+
+    const member = shift.staffId ? findStaffById(shift.staffId) : null;
+    if (member && member.maxWeeklyHours !== null) {
+      const date = shift.startsAt.slice(0, 10);
+      const weekStart = startOfWeek(date);
+      const hours = getWeeklyHours(member.id, date, movedIds) + updated
+        .filter(other => other.staffId === member.id && startOfWeek(other.startsAt.slice(0, 10)) === weekStart)
+        .reduce((total, other) => total + shiftHours(other), 0);
+      if (hours > member.maxWeeklyHours) {
+        conflicts.push({
+          type: 'weekly_hours',
+          message: `${member.name} would be scheduled for ${hours} hours in the week of ${weekStart} ` +
+            `(limit ${member.maxWeeklyHours})`
+        });
+      }
+    }
+  }
+
+  if (conflicts.length > 0) {
+    throw conflictError(conflicts);
+  }
+  return updated;
+}
+
+/**
+ * Hand shifts to new staff members, all at once (see checkReassignment)
+ * @param {Array} assignments - { shiftId, staffId } for each shift to reassign
+ * @returns {Array} Updated shifts
+ */
+function reassignShifts(assignments) {
+  const updated = checkReassignment(assignments);
+  updated.forEach(shift => {
+    recordCancellation(shifts.get(shift.id));
+    shifts.update(shift);
+  });
+  return updated.map(presentShift);
+}
+
+/**
+ * Delete a shift
+ * @param {string} id - Shift ID
+ * @returns {boolean} Success
+ */
+function deleteShift(id) {
+  const shift = shifts.get(id);
+  if (!shift) {
+    throw new Error('Shift not found');
+  }
+
+  recordCancellation(shift);
+  shifts.remove(id);
+  return true;
+}
+
+/**
+ * Clear all schedules and shifts (for testing)
+ */
+function clearSchedules() {
+  cancelledShifts.clear();
+  shifts.clear();
+  schedules.clear();
+}
+
+module.exports = {
+  ScheduleStatus,
+  SCHEDULE_FIELDS,
+  SHIFT_FIELDS,
+  createSchedule,
+  findScheduleById,
+  getAllSchedules,
+  updateSchedule,
+  publishSchedule,
+  unpublishSchedule,
+  deleteSchedule,
+  shiftHours,
+  findMissingShiftCertifications,
+  getShiftWarnings,
+  findShiftConflicts,
+  getWeeklyHours,
+  createShift,
+  addShifts,
+  findShiftById,
+  getShifts,
+  updateShift,
+  checkReassignment,
+  reassignShifts,
+  deleteShift,
+  getCancelledShifts,
+  clearSchedules
+};
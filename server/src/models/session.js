@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+
+/**
+ * Session store
+ *
+ * A session is created at login and owns one refresh token. Only a hash
+ * of the refresh token is kept, so a leaked store cannot be replayed.
+ * Revoked sessions drop out of the refresh token index.
+ */
+const sessions = createStore('sessions', {
+  indexes: {
+    refreshTokenHash: session => (session.revokedAt ? null : session.refreshTokenHash)
+  },
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new random refresh token
+ * @returns {string} Refresh token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Create a session for a user
+ * @param {string} userId - User ID
+ * @param {number} ttlSeconds - Refresh token lifetime in seconds
+ * @param {Object} meta - Optional request metadata (ip, userAgent)
+ * @returns {Object} The session and its raw refresh token
+ */
+function createSession(userId, ttlSeconds, meta = {}) {
+  const refreshToken = generateRefreshToken();
+  const now = Date.now();
+
+  pruneExpiredSessions(now);
+
+  const session = {
+    id: uuidv4(),
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    ip: meta.ip || null,
+    userAgent: meta.userAgent || null,
+    createdAt: new Date(now).toISOString(),
+    lastUsedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+    revokedAt: null
+  };
+
+  sessions.insert(session);
+
+  return { session, refreshToken };
+}
+
+/**
+ * Find a session by ID
+ * @param {string} id - Session ID
+ * @returns {Object|null} Session or null
+ */
+function findSessionById(id) {
+  return sessions.get(id);
+}
+
+/**
+ * Check whether a session can still be used
+ * @param {Object|null} session - Session
+ * @returns {boolean} True if not revoked and not expired
+ */
+function isSessionActive(session) {
+  return Boolean(session) &&
+    !session.revokedAt &&
+    new Date(session.expiresAt).getTime() > Date.now();
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ *
+ * The presented token is invalidated, so each refresh token works once.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {number} ttlSeconds - New refresh token lifetime in seconds
+ * @returns {Object} The session and its new raw refresh token
+ */
+function rotateSession(refreshToken, ttlSeconds) {
+  const session = sessions.findBy('refreshTokenHash', hashToken(refreshToken || ''));
+
+  if (!isSessionActive(session)) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  const newToken = generateRefreshToken();
+  const now = Date.now();
+
+  session.refreshTokenHash = hashToken(newToken);
+  session.lastUsedAt = new Date(now).toISOString();
+  session.expiresAt = new Date(now + ttlSeconds * 1000).toISOString();
+  sessions.update(session);
+
+  return { session, refreshToken: newToken };
+}
+
+/**
+ * Revoke a single session
+ * @param {string} id - Session ID
+ * @returns {boolean} True if the session existed
+ */
+function revokeSession(id) {
+  const session = sessions.get(id);
+  if (!session) {
+    return false;
+  }
+
+  session.revokedAt = session.revokedAt || new Date().toISOString();
+  sessions.update(session);
+  return true;
+}
+
+/**
+ * Revoke every session belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} exceptSessionId - Optional session to leave signed in
+ * @returns {number} Number of sessions revoked
+ */
+function revokeUserSessions(userId, exceptSessionId = null) {
+  let count = 0;
+  for (const session of sessions.all()) {
+    if (session.userId === userId && !session.revokedAt && session.id !== exceptSessionId) {
+      revokeSession(session.id);
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Remove sessions whose refresh token has expired
+ * @param {number} now - Current time in milliseconds
+ */
+function pruneExpiredSessions(now = Date.now()) {
+  for (const session of sessions.all()) {
+    if (new Date(session.expiresAt).getTime() <= now) {
+      sessions.remove(session.id);
+    }
+  }
+}
+
+/**
+ * Clear all sessions (for testing)
+ */
+function clearSessions() {
+  sessions.clear();
+}
+
+module.exports = {
+  createSession,
+  findSessionById,
+  isSessionActive,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  clearSessions
+};
@@ -0,0 +1,219 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { WEEKDAYS, parseTimeOfDay } = require('../utils/time');
+
+/**
+ * Fields that can be set when creating or updating a shift template
+ */
+const TEMPLATE_FIELDS = ['name', 'location', 'notes', 'shifts'];
+
+/**
+ * Most shifts a single template can hold
+ */
+const MAX_TEMPLATE_SHIFTS = 200;
+
+/**
+ * Shift template store
+ *
+ * A template is a named week of shifts, e.g. "Summer week", that can be
+ * stamped onto any date range. Each entry gives a weekday, times of day,
+ * a position and optionally the staff member who usually works it; an end
+ * time at or before the start time runs past midnight.
+ */
+const templates = createStore('shiftTemplates', {
+  indexes: {
+    name: template => template.name.toLowerCase()
+  },
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Trim an optional string, turning blanks into null
+ * @param {*} value - Value
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalString(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Normalise and check a template's shifts, putting them in week order
+ * @param {*} entries - Shift entries
+ * @returns {Array} Shift entries
+ */
+function normaliseEntries(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('A template needs at least one shift');
+  }
+  if (entries.length > MAX_TEMPLATE_SHIFTS) {
+    throw new Error(`A template can hold at most ${MAX_TEMPLATE_SHIFTS} shifts`);
+  }
+
+  const result = entries.map(entry => {
+    const shift = {
+      day: entry.day,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      position: optionalString(entry.position),
+      staffId: optionalString(entry.staffId),
+      location: optionalString(entry.location),
+      notes: optionalString(entry.notes)
+    };
+
+    if (!WEEKDAYS.includes(shift.day)) {
+      throw new Error(`Unknown day: ${shift.day}`);
+    }
+
+    const start = parseTimeOfDay(shift.startTime);
+    const end = parseTimeOfDay(shift.endTime);
+    if (start === null || end === null || start === 24 * 60) {
+      throw new Error('Times must be in HH:mm format');
+    }
+    if (start === end) {
+      throw new Error('Start and end times must differ');
+    }
+
+    if (!shift.position) {
+      throw new Error('Position is required');
+    }
+    return shift;
+  });
+
+  const dayIndex = day => (WEEKDAYS.indexOf(day) + 6) % 7;
+  return result.sort((a, b) =>
+    dayIndex(a.day) - dayIndex(b.day) ||
+    a.startTime.localeCompare(b.startTime) ||
+    a.position.localeCompare(b.position)
+  );
+}
+
+/**
+ * Check a template before it is saved
+ * @param {Object} template - Template record
+ */
+function validateTemplate(template) {
+  if (!template.name) {
+    throw new Error('Template name is required');
+  }
+
+  const existing = templates.findBy('name', template.name.toLowerCase());
+  if (existing && existing.id !== template.id) {
+    throw new Error('A template with that name already exists');
+  }
+
+  template.shifts = normaliseEntries(template.shifts);
+}
+
+/**
+ * Create a shift template
+ * @param {Object} templateData - Template data (see TEMPLATE_FIELDS)
+ * @param {string} createdBy - ID of the user creating it
+ * @returns {Object} Created template
+ */
+function createTemplate(templateData, createdBy) {
+  const now = new Date().toISOString();
+  const template = {
+    id: uuidv4(),
+    name: optionalString(templateData.name),
+    location: optionalString(templateData.location),
+    notes: optionalString(templateData.notes),
+    shifts: templateData.shifts,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  validateTemplate(template);
+  templates.insert(template);
+
+  return template;
+}
+
+/**
+ * Find a shift template by ID
+ * @param {string} id - Template ID
+ * @returns {Object|null} Template or null
+ */
+function findTemplateById(id) {
+  return templates.get(id);
+}
+
+/**
+ * Get shift templates by name
+ * @param {Object} options - Query options
+ * @param {string} options.location - Only templates for this location or for any
+ * @returns {Array} Templates
+ */
+function getTemplates(options = {}) {
+  const { location } = options;
+  let result = templates.all();
+
+  if (location) {
+    const locationLower = location.toLowerCase();
+    result = result.filter(template => !template.location || template.location.toLowerCase() === locationLower);
+  }
+
+  return result.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Update a shift template
+ * @param {string} id - Template ID
+ * @param {Object} updates - Fields to update (see TEMPLATE_FIELDS); shifts replaces the whole list
+ * @returns {Object} Updated template
+ */
+function updateTemplate(id, updates) {
+  const template = templates.get(id);
+  if (!template) {
+    throw new Error('Shift template not found');
+  }
+
+  const updatedTemplate = { ...template, updatedAt: new Date().toISOString() };
+  for (const field of TEMPLATE_FIELDS) {
+    if (updates[field] !== undefined) {
+      updatedTemplate[field] = field === 'shifts' ? updates[field] : optionalString(updates[field]);
+    }
+  }
+
+  validateTemplate(updatedTemplate);
+  templates.update(updatedTemplate);
+
+  return updatedTemplate;
+}
+
+/**
+ * Delete a shift template
+ * @param {string} id - Template ID
+ * @returns {boolean} Success
+ */
+function deleteTemplate(id) {
+  if (!templates.remove(id)) {
+    throw new Error('Shift template not found');
+  }
+  return true;
+}
+
+/**
+ * Clear all shift templates (for testing)
+ */
+function clearTemplates() {
+  templates.clear();
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  MAX_TEMPLATE_SHIFTS,
+  createTemplate,
+  findTemplateById,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  clearTemplates
+};
@@ -0,0 +1,446 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { findStaffById } = require('./staff');
+const {
+  ScheduleStatus,
+  findScheduleById,
+  findShiftById,
+  checkReassignment,
+  reassignShifts
+} = require('./schedule');
+
+/**
+ * Kinds of shift trade
+ *
+ * A drop offers your shift to any colleague; a swap offers it in exchange
+ * for one of theirs; a pickup claims an open shift.
+ */
+const ShiftTradeType = {
+  DROP: 'drop',
+  SWAP: 'swap',
+  PICKUP: 'pickup'
+};
+
+/**
+ * Shift trade states
+ *
+ * Drops and swaps start open until a colleague claims them; pickups start
+ * claimed. Claimed trades wait for a manager to approve or deny them.
+ */
+const ShiftTradeStatus = {
+  OPEN: 'open',
+  CLAIMED: 'claimed',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * States in which a trade still holds its shifts
+ */
+const ACTIVE_STATUSES = [ShiftTradeStatus.OPEN, ShiftTradeStatus.CLAIMED];
+
+/**
+ * Shift trade store
+ *
+ * Trades are never removed: each keeps a `history` of who moved it to each
+ * state and when, so approved trades double as the record of every swap.
+ */
+const trades = createStore('shiftTrades', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Trim an optional string, turning blanks into null
+ * @param {*} value - Value
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalString(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Add the shifts a trade is about to the record
+ * @param {Object} trade - Trade record
+ * @returns {Object} Trade with `shift` and `claimShift`
+ */
+function presentTrade(trade) {
+  return {
+    ...trade,
+    history: trade.history.map(entry => ({ ...entry })),
+    shift: findShiftById(trade.shiftId),
+    claimShift: trade.claimShiftId ? findShiftById(trade.claimShiftId) : null
+  };
+}
+
+/**
+ * Move a trade to a new state and record it in its history
+ * @param {Object} trade - Trade record (changed in place)
+ * @param {string} status - ShiftTradeStatus value
+ * @param {string} actorId - ID of the user making the change
+ * @param {string|null} note - Optional note
+ */
+function recordStatus(trade, status, actorId, note = null) {
+  const now = new Date().toISOString();
+  trade.status = status;
+  trade.updatedAt = now;
+  trade.history.push({ status, actorId, at: now, note: optionalString(note) });
+}
+
+/**
+ * Find a shift that can be put up for trade
+ * @param {string} shiftId - Shift ID
+ * @returns {Object} Shift
+ */
+function findTradableShift(shiftId) {
+  const shift = findShiftById(shiftId);
+  if (!shift) {
+    throw new Error('Shift not found');
+  }
+
+  const schedule = findScheduleById(shift.scheduleId);
+  if (!schedule || schedule.status !== ScheduleStatus.PUBLISHED) {
+    throw new Error('Only shifts in published schedules can be traded');
+  }
+
+  const active = trades.all().find(trade =>
+    ACTIVE_STATUSES.includes(trade.status) &&
+    (trade.shiftId === shiftId || trade.claimShiftId === shiftId)
+  );
+  if (active) {
+    throw new Error('This shift is already up for trade');
+  }
+
+  return shift;
+}
+
+/**
+ * Check that a staff member can work a shift's position
+ * @param {string} staffId - Staff ID
+ * @param {Object} shift - Shift
+ */
+function checkPosition(staffId, shift) {
+  const member = findStaffById(staffId);
+  if (!member) {
+    throw new Error('Staff member not found');
+  }
+  if (member.position.toLowerCase() !== shift.position.toLowerCase()) {
+    throw new Error(`${member.name} does not work as ${shift.position}`);
+  }
+}
+
+/**
+ * Work out who gets which shift if a claimed trade goes ahead
+ * @param {Object} trade - Claimed trade
+ * @returns {Array} { shiftId, staffId } for each shift that changes hands
+ */
+function tradeAssignments(trade) {
+  const assignments = [{ shiftId: trade.shiftId, staffId: trade.claimedBy }];
+  if (trade.type === ShiftTradeType.SWAP) {
+    assignments.push({ shiftId: trade.claimShiftId, staffId: trade.offeredBy });
+  }
+  return assignments;
+}
+
+/**
+ * Offer a shift for a drop or swap, or ask to pick up an open shift
+ * @param {Object} tradeData - Trade data
+ * @param {string} tradeData.shiftId - Shift to trade
+ * @param {string} tradeData.type - ShiftTradeType value
+ * @param {string} tradeData.note - Optional note
+ * @param {string} staffId - Staff member offering (or picking up) the shift
+ * @param {string} actorId - ID of the user making the request
+ * @returns {Object} Created trade
+ */
+function createTrade(tradeData, staffId, actorId) {
+  const { shiftId, type, note } = tradeData;
+  if (!Object.values(ShiftTradeType).includes(type)) {
+    throw new Error('Invalid trade type');
+  }
+
+  const shift = findTradableShift(shiftId);
+  const now = new Date().toISOString();
+  const trade = {
+    id: uuidv4(),
+    type,
+    shiftId,
+    offeredBy: null,
+    claimedBy: null,
+    claimShiftId: null,
+    status: null,
+    note: optionalString(note),
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewNote: null,
+    history: [],
+    createdBy: actorId,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  if (type === ShiftTradeType.PICKUP) {
+    if (shift.staffId !== null) {
+      throw new Error('Only open shifts can be picked up');
+    }
+    checkPosition(staffId, shift);
+    trade.claimedBy = staffId;
+    checkReassignment(tradeAssignments(trade));
+    recordStatus(trade, ShiftTradeStatus.CLAIMED, actorId, note);
+  } else {
+    if (shift.staffId !== staffId) {
+      throw new Error('You can only offer your own shifts');
+    }
+    trade.offeredBy = staffId;
+    recordStatus(trade, ShiftTradeStatus.OPEN, actorId, note);
+  }
+
+  trades.insert(trade);
+  return presentTrade(trade);
+}
+
+/**
+ * Find a trade by ID
+ * @param {string} id - Trade ID
+ * @returns {Object|null} Trade or null
+ */
+function findTradeById(id) {
+  const trade = trades.get(id);
+  return trade ? presentTrade(trade) : null;
+}
+
+/**
+ * Get trades, newest first
+ * @param {Object} options - Query options
+ * @param {string} options.status - Only trades in this state
+ * @param {string} options.type - Only trades of this type
+ * @param {string} options.shiftId - Only trades involving this shift
+ * @param {string} options.staffId - Only trades this staff member offered or claimed
+ * @returns {Array} Trades
+ */
+function getTrades(options = {}) {
+  const { status, type, shiftId, staffId } = options;
+  let result = trades.all();
+
+  if (status) {
+    result = result.filter(trade => trade.status === status);
+  }
+
+  if (type) {
+    result = result.filter(trade => trade.type === type);
+  }
+
+  if (shiftId) {
+    result = result.filter(trade => trade.shiftId === shiftId || trade.claimShiftId === shiftId);
+  }
+
+  if (staffId) {
+    result = result.filter(trade => trade.offeredBy === staffId || trade.claimedBy === staffId);
+  }
+
+  return result
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(presentTrade);
+}
+
+/**
+ * Claim an open drop or swap
+ *
+ * The trade is checked as if it had been approved, so claims that would
+ * double-book someone or take them over their weekly hours are refused
+ * straight away.
+ * @param {string} id - Trade ID
+ * @param {Object} claimData - Claim data
+ * @param {string} claimData.shiftId - For swaps, the claimant's shift to give in return
+ * @param {string} claimData.note - Optional note
+ * @param {string} staffId - Staff member claiming the shift
+ * @param {string} actorId - ID of the user making the claim
+ * @returns {Object} Claimed trade
+ */
+function claimTrade(id, claimData, staffId, actorId) {
+  const trade = trades.get(id);
+  if (!trade) {
+    throw new Error('Shift trade not found');
+  }
+
+  if (trade.status !== ShiftTradeStatus.OPEN) {
+    throw new Error('This trade is not open for claims');
+  }
+
+  if (trade.offeredBy === staffId) {
+    throw new Error('You cannot claim your own shift');
+  }
+
+  const claimed = { ...trade, history: [...trade.history], claimedBy: staffId };
+  checkPosition(staffId, findShiftById(trade.shiftId));
+
+  if (trade.type === ShiftTradeType.SWAP) {
+    if (!claimData.shiftId) {
+      throw new Error('Choose one of your shifts to swap in return');
+    }
+    const claimShift = findTradableShift(claimData.shiftId);
+    if (claimShift.staffId !== staffId) {
+      throw new Error('You can only swap one of your own shifts');
+    }
+    checkPosition(trade.offeredBy, claimShift);
+    claimed.claimShiftId = claimShift.id;
+  }
+
+  checkReassignment(tradeAssignments(claimed));
+  recordStatus(claimed, ShiftTradeStatus.CLAIMED, actorId, claimData.note);
+  trades.update(claimed);
+
+  return presentTrade(claimed);
+}
+
+/**
+ * Find a trade that is waiting for a manager
+ * @param {string} id - Trade ID
+ * @returns {Object} Trade record
+ */
+function findClaimedTrade(id) {
+  const trade = trades.get(id);
+  if (!trade) {
+    throw new Error('Shift trade not found');
+  }
+  if (trade.status !== ShiftTradeStatus.CLAIMED) {
+    throw new Error('This trade is not waiting for approval');
+  }
+  return trade;
+}
+
+/**
+ * Approve a claimed trade and hand the shifts over
+ *
+ * Everything is checked again first, since the shifts or the people's other
+ * shifts may have changed since the claim. Any other trades still open for
+ * the same shifts are cancelled.
+ * @param {string} id - Trade ID
+ * @param {string} reviewerId - ID of the approving user
+ * @param {string} note - Optional note
+ * @returns {Object} Approved trade
+ */
+function approveTrade(id, reviewerId, note) {
+  const trade = findClaimedTrade(id);
+
+  const shift = findShiftById(trade.shiftId);
+  const claimShift = trade.claimShiftId ? findShiftById(trade.claimShiftId) : null;
+  const unchanged = shift && shift.staffId === trade.offeredBy &&
+    (!trade.claimShiftId || (claimShift && claimShift.staffId === trade.claimedBy)) &&
+    [shift, claimShift].filter(Boolean).every(tradedShift => {
+      const schedule = findScheduleById(tradedShift.scheduleId);
+      return schedule && schedule.status === ScheduleStatus.PUBLISHED;
+    });
+  if (!unchanged) {
+    throw new Error('One of these shifts has changed since the trade was offered');
+  }
+
+  reassignShifts(tradeAssignments(trade));
+
+  const approved = {
+    ...trade,
+    history: [...trade.history],
+    reviewedBy: reviewerId,
+    reviewedAt: new Date().toISOString(),
+    reviewNote: optionalString(note)
+  };
+  recordStatus(approved, ShiftTradeStatus.APPROVED, reviewerId, note);
+  trades.update(approved);
+
+  cancelTradesForShift(trade.shiftId, reviewerId, 'Shift was reassigned by another trade');
+  if (trade.claimShiftId) {
+    cancelTradesForShift(trade.claimShiftId, reviewerId, 'Shift was reassigned by another trade');
+  }
+
+  return presentTrade(approved);
+}
+
+/**
+ * Deny a claimed trade, leaving the shifts as they are
+ * @param {string} id - Trade ID
+ * @param {string} reviewerId - ID of the denying user
+ * @param {string} note - Optional note
+ * @returns {Object} Denied trade
+ */
+function denyTrade(id, reviewerId, note) {
+  const trade = findClaimedTrade(id);
+
+  const denied = {
+    ...trade,
+    history: [...trade.history],
+    reviewedBy: reviewerId,
+    reviewedAt: new Date().toISOString(),
+    reviewNote: optionalString(note)
+  };
+  recordStatus(denied, ShiftTradeStatus.DENIED, reviewerId, note);
+  trades.update(denied);
+
+  return presentTrade(denied);
+}
+
+/**
+ * Withdraw an open or claimed trade
+ * @param {string} id - Trade ID
+ * @param {string} actorId - ID of the user withdrawing it
+ * @param {string} note - Optional note
+ * @returns {Object} Cancelled trade
+ */
+function cancelTrade(id, actorId, note) {
+  const trade = trades.get(id);
+  if (!trade) {
+    throw new Error('Shift trade not found');
+  }
+
+  if (!ACTIVE_STATUSES.includes(trade.status)) {
+    throw new Error('Only open or claimed trades can be cancelled');
+  }
+
+  const cancelled = { ...trade, history: [...trade.history] };
+  recordStatus(cancelled, ShiftTradeStatus.CANCELLED, actorId, note);
+  trades.update(cancelled);
+
+  return presentTrade(cancelled);
+}
+
+/**
+ * Cancel every open or claimed trade involving a shift
+ * @param {string} shiftId - Shift ID
+ * @param {string} actorId - ID of the user responsible
+ * @param {string} note - Why they were cancelled
+ * @returns {number} Number of trades cancelled
+ */
+function cancelTradesForShift(shiftId, actorId, note) {
+  const active = trades.all().filter(trade =>
+    ACTIVE_STATUSES.includes(trade.status) &&
+    (trade.shiftId === shiftId || trade.claimShiftId === shiftId)
+  );
+  active.forEach(trade => cancelTrade(trade.id, actorId, note));
+  return active.length;
+}
+
+/**
+ * Clear all shift trades (for testing)
+ */
+function clearShiftTrades() {
+  trades.clear();
+}
+
+module.exports = {
+  ShiftTradeType,
+  ShiftTradeStatus,
+  createTrade,
+  findTradeById,
+  getTrades,
+  claimTrade,
+  approveTrade,
+  denyTrade,
+  cancelTrade,
+  cancelTradesForShift,
+  clearShiftTrades
+};
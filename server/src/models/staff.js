@@ -0,0 +1,312 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { findUserById } = require('./user');
+const { isDate, today } = require('../utils/time');
+
+/**
+ * Employment type constants
+ */
+const EmploymentType = {
+  FULL_TIME: 'full_time',
+  PART_TIME: 'part_time',
+  CASUAL: 'casual',
+  CONTRACTOR: 'contractor'
+};
+
+/**
+ * Fields that can be set when creating or updating a staff member
+ */
+const STAFF_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'position',
+  'hourlyRate',
+  'maxWeeklyHours',
+  'employmentType',
+  'startDate',
+  'endDate',
+  'userId',
+  'notes'
+];
+
+/**
+ * Staff store
+ *
+ * Staff are the people on the rota. They are separate from system users
+ * (who can log in to the dashboard), but a staff member can be linked to
+ * at most one user and each user to at most one staff member.
+ */
+const staff = createStore('staff', {
+  indexes: {
+    userId: member => member.userId || null
+  },
+  migrations: [
+    // 1: initial schema
+    records => records,
+    // 2: weekly hour limit for the schedule generator (null = no limit)
+    records => records.map(member => ({ maxWeeklyHours: null, ...member }))
+  ]
+});
+
+/**
+ * Trim an optional string, turning blanks into null
+ * @param {*} value - Value
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalString(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Check a staff record before it is saved
+ * @param {Object} member - Staff record
+ */
+function validateStaff(member) {
+  if (!member.name || !member.position || !member.startDate) {
+    throw new Error('Name, position and start date are required');
+  }
+
+  if (!Object.values(EmploymentType).includes(member.employmentType)) {
+    throw new Error('Invalid employment type');
+  }
+
+  if (typeof member.hourlyRate !== 'number' || !Number.isFinite(member.hourlyRate) || member.hourlyRate < 0) {
+    throw new Error('Hourly rate must be a number of at least 0');
+  }
+
+  if (member.maxWeeklyHours !== null &&
+      (typeof member.maxWeeklyHours !== 'number' || !Number.isFinite(member.maxWeeklyHours) || member.maxWeeklyHours < 0)) {
+    throw new Error('Maximum weekly hours must be a number of at least 0');
+  }
+
+  if (!isDate(member.startDate) || (member.endDate !== null && !isDate(member.endDate))) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+
+  if (member.endDate !== null && member.endDate < member.startDate) {
+    throw new Error('End date cannot be before start date');
+  }
+
+  if (member.userId !== null) {
+    if (!findUserById(member.userId)) {
+      throw new Error('Linked user not found');
+    }
+    const linked = staff.findBy('userId', member.userId);
+    if (linked && linked.id !== member.id) {
+      throw new Error('This user is already linked to another staff member');
+    }
+  }
+}
+
+/**
+ * Check whether a staff member is employed on a date
+ * @param {Object} member - Staff record
+ * @param {string} date - YYYY-MM-DD (defaults to today)
+ * @returns {boolean} True if the date is within their active dates
+ */
+function isStaffActive(member, date = today()) {
+  return member.startDate <= date && (!member.endDate || member.endDate >= date);
+}
+
+/**
+ * Add derived fields to a staff record
+ * @param {Object} member - Staff record
+ * @returns {Object} Staff member with `active`
+ */
+function presentStaff(member) {
+  return { ...member, active: isStaffActive(member) };
+}
+
+/**
+ * Create a staff member
+ * @param {Object} staffData - Staff data
+ * @returns {Object} Created staff member
+ */
+function createStaff(staffData) {
+  const now = new Date().toISOString();
+  const member = {
+    id: uuidv4(),
+    name: optionalString(staffData.name),
+    email: optionalString(staffData.email),
+    phone: optionalString(staffData.phone),
+    position: optionalString(staffData.position),
+    hourlyRate: staffData.hourlyRate === undefined ? 0 : staffData.hourlyRate,
+    maxWeeklyHours: staffData.maxWeeklyHours === undefined ? null : staffData.maxWeeklyHours,
+    employmentType: staffData.employmentType || EmploymentType.PART_TIME,
+    startDate: staffData.startDate || today(),
+    endDate: optionalString(staffData.endDate),
+    userId: optionalString(staffData.userId),
+    notes: optionalString(staffData.notes),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  if (member.email) {
+    member.email = member.email.toLowerCase();
+  }
+
+  validateStaff(member);
+  staff.insert(member);
+
+  return presentStaff(member);
+}
+
+/**
+ * Find a staff member by ID
+ * @param {string} id - Staff ID
+ * @returns {Object|null} Staff member or null
+ */
+function findStaffById(id) {
+  const member = staff.get(id);
+  return member ? presentStaff(member) : null;
+}
+
+/**
+ * Find the staff member linked to a system user
+ * @param {string} userId - User ID
+ * @returns {Object|null} Staff member or null
+ */
+function findStaffByUserId(userId) {
+  const member = staff.findBy('userId', userId);
+  return member ? presentStaff(member) : null;
+}
+
+/**
+ * Get all staff, sorted by name
+ * @param {Object} options - Query options
+ * @param {string} options.search - Substring of the name, email or phone
+ * @param {string} options.position - Only staff in this position
+ * @param {string} options.employmentType - Only staff with this employment type
+ * @param {boolean} options.active - Only staff who are (or are not) employed today
+ * @returns {Array} Staff members
+ */
+function getAllStaff(options = {}) {
+  const { search, position, employmentType, active } = options;
+  let result = staff.all();
+
+  if (search) {
+    const searchLower = search.toLowerCase();
+    result = result.filter(member =>
+      [member.name, member.email, member.phone].some(value => value && value.toLowerCase().includes(searchLower))
+    );
+  }
+
+  if (position) {
+    const positionLower = position.toLowerCase();
+    result = result.filter(member => member.position.toLowerCase() === positionLower);
+  }
+
+  if (employmentType) {
+    result = result.filter(member => member.employmentType === employmentType);
+  }
+
+  if (active !== undefined) {
+    result = result.filter(member => isStaffActive(member) === active);
+  }
+
+  return result
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+    .map(presentStaff);
+}
+
+/**
+ * Get staff statistics
+ * @returns {Object} Staff statistics
+ */
+function getStaffStats() {
+  const allStaff = staff.all();
+  const active = allStaff.filter(member => isStaffActive(member));
+
+  return {
+    totalStaff: allStaff.length,
+    activeStaff: active.length,
+    positions: new Set(active.map(member => member.position.toLowerCase())).size,
+    linkedUsers: allStaff.filter(member => member.userId).length
+  };
+}
+
+/**
+ * Update a staff member
+ * @param {string} id - Staff ID
+ * @param {Object} updates - Fields to update (see STAFF_FIELDS)
+ * @returns {Object} Updated staff member
+ */
+function updateStaff(id, updates) {
+  const member = staff.get(id);
+  if (!member) {
+    throw new Error('Staff member not found');
+  }
+
+  const updatedMember = { ...member, updatedAt: new Date().toISOString() };
+  for (const field of STAFF_FIELDS) {
+    if (updates[field] === undefined) {
+      continue;
+    }
+    updatedMember[field] = ['hourlyRate', 'maxWeeklyHours', 'employmentType'].includes(field)
+      ? updates[field]
+      : optionalString(updates[field]);
+  }
+
+  if (updatedMember.email) {
+    updatedMember.email = updatedMember.email.toLowerCase();
+  }
+
+  validateStaff(updatedMember);
+  staff.update(updatedMember);
+
+  return presentStaff(updatedMember);
+}
+
+/**
+ * Delete a staff member
+ * @param {string} id - Staff ID
+ * @returns {boolean} Success
+ */
+function deleteStaff(id) {
+  if (!staff.remove(id)) {
+    throw new Error('Staff member not found');
+  }
+  return true;
+}
+
+/**
+ * Remove the link to a system user, e.g. when the user is deleted
+ * @param {string} userId - User ID
+ * @returns {Object|null} The staff member that was linked, or null
+ */
+function unlinkUser(userId) {
+  const member = staff.findBy('userId', userId);
+  if (!member) {
+    return null;
+  }
+  const updatedMember = { ...member, userId: null, updatedAt: new Date().toISOString() };
+  staff.update(updatedMember);
+  return presentStaff(updatedMember);
+}
+
+/**
+ * Clear all staff (for testing)
+ */
+function clearStaff() {
+  staff.clear();
+}
+
+module.exports = {
+  EmploymentType,
+  STAFF_FIELDS,
+  isStaffActive,
+  createStaff,
+  findStaffById,
+  findStaffByUserId,
+  getAllStaff,
+  getStaffStats,
+  updateStaff,
+  deleteStaff,
+  unlinkUser,
+  clearStaff
+};
@@ -0,0 +1,554 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { findUserById } = require('./user');
+const { isDateTime, toMinutes, startOfWeek, now } = require('../utils/time');
+
+/**
+ * Timesheet states
+ *
+ * A week is open until a manager approves it. Approved weeks are locked:
+ * their time entries can't be changed until the timesheet is reopened.
+ */
+const TimesheetStatus = {
+  OPEN: 'open',
+  APPROVED: 'approved'
+};
+
+/**
+ * Longest a single time entry may run, in minutes
+ */
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+/**
+ * Time entry store
+ *
+ * One entry per stretch of work, from clock-in to clock-out, with its
+ * breaks. Times are local wall-clock times like shift times. Corrections
+ * never lose a punch: `original` keeps the punches as first recorded and
+ * each correction keeps the punches it replaced.
+ */
+const entries = createStore('timeEntries', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Timesheet store: one record per person and week once it has been
+ * approved, with the hours as they stood at approval
+ */
+const timesheets = createStore('timesheets', {
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Get the stored entries for one person
+ * @param {string} userId - User ID
+ * @returns {Array} Stored entries
+ */
+function entriesFor(userId) {
+  return entries.all().filter(entry => entry.userId === userId);
+}
+
+/**
+ * Copy the punches of an entry
+ * @param {Object} entry - Time entry
+ * @returns {Object} { clockInAt, clockOutAt, breaks }
+ */
+function punchesOf(entry) {
+  return {
+    clockInAt: entry.clockInAt,
+    clockOutAt: entry.clockOutAt,
+    breaks: entry.breaks.map(item => ({ ...item }))
+  };
+}
+
+/**
+ * Copy an entry so callers can't change the stored record
+ * @param {Object} entry - Time entry
+ * @returns {Object} Entry copy
+ */
+function presentEntry(entry) {
+  return {
+    ...entry,
+    breaks: entry.breaks.map(item => ({ ...item })),
+    original: entry.original ? { ...entry.original, breaks: entry.original.breaks.map(item => ({ ...item })) } : null,
+    corrections: entry.corrections.map(correction => ({ ...correction }))
+  };
+}
+
+/**
+ * Get the Monday of the week a time entry is counted in
+ * @param {string} dateTime - Clock-in time, YYYY-MM-DDTHH:mm
+ * @returns {string} YYYY-MM-DD
+ */
+function weekOf(dateTime) {
+  return startOfWeek(dateTime.slice(0, 10));
+}
+
+/**
+ * Find the timesheet record for a person and week
+ * @param {string} userId - User ID
+ * @param {string} weekStart - Monday of the week, YYYY-MM-DD
+ * @returns {Object|null} Timesheet record or null
+ */
+function findTimesheet(userId, weekStart) {
+  const record = timesheets.all().find(item => item.userId === userId && item.weekStart === weekStart);
+  return record ? { ...record, history: record.history.map(item => ({ ...item })) } : null;
+}
+
+/**
+ * Refuse changes to a week whose timesheet has been approved
+ * @param {string} userId - User ID
+ * @param {string} dateTime - Any time in the week
+ */
+function requireOpenWeek(userId, dateTime) {
+  const record = findTimesheet(userId, weekOf(dateTime));
+  if (record && record.status === TimesheetStatus.APPROVED) {
+    throw new Error('This week\'s timesheet has already been approved');
+  }
+}
+
+/**
+ * Refuse an entry that overlaps another of the same person's entries
+ * @param {string} userId - User ID
+ * @param {string} clockInAt - Start of the entry
+ * @param {string|null} clockOutAt - End of the entry, or null while clocked in
+ * @param {string|null} excludeId - Entry being changed
+ */
+function requireNoOverlap(userId, clockInAt, clockOutAt, excludeId = null) {
+  const start = toMinutes(clockInAt);
+  const end = clockOutAt ? toMinutes(clockOutAt) : Infinity;
+  const clash = entriesFor(userId).some(entry => {
+    if (entry.id === excludeId) {
+      return false;
+    }
+    const otherEnd = entry.clockOutAt ? toMinutes(entry.clockOutAt) : Infinity;
+    return start < otherEnd && toMinutes(entry.clockInAt) < end;
+  });
+  if (clash) {
+    throw new Error('This overlaps another time entry');
+  }
+}
+
+/**
+ * Check and normalise a set of punches
+ *
+ * The clock-out and the last break's end may only be missing while the
+ * person is still clocked in.
+ * @param {Object} punches - { clockInAt, clockOutAt, breaks }
+ * @returns {Object} Normalised punches
+ */
+function validatePunches(punches) {
+  const { clockInAt } = punches;
+  const clockOutAt = punches.clockOutAt || null;
+  if (!isDateTime(clockInAt) || (clockOutAt !== null && !isDateTime(clockOutAt))) {
+    throw new Error('Times must be in YYYY-MM-DDTHH:mm format');
+  }
+
+  const start = toMinutes(clockInAt);
+  const end = clockOutAt ? toMinutes(clockOutAt) : Infinity;
+  if (end < start) {
+    throw new Error('Clock-out cannot be before clock-in');
+  }
+  if (clockOutAt !== null && end - start > MAX_ENTRY_MINUTES) {
+    throw new Error('A time entry cannot be longer than 24 hours');
+  }
+
+  if (!Array.isArray(punches.breaks || [])) {
+    throw new Error('Breaks must be a list');
+  }
+  const breaks = (punches.breaks || [])
+    .map(item => ({ startAt: item && item.startAt, endAt: (item && item.endAt) || null }))
+    .sort((a, b) => String(a.startAt).localeCompare(String(b.startAt)));
+
+  breaks.forEach((item, index) => {
+    const last = index === breaks.length - 1;
+    if (!isDateTime(item.startAt) || (item.endAt !== null && !isDateTime(item.endAt))) {
+      throw new Error('Times must be in YYYY-MM-DDTHH:mm format');
+    }
+    if (item.endAt === null && (clockOutAt !== null || !last)) {
+      throw new Error('Each break must have an end time');
+    }
+    const breakEnd = item.endAt ? toMinutes(item.endAt) : Infinity;
+    if (breakEnd < toMinutes(item.startAt)) {
+      throw new Error('A break cannot end before it starts');
+    }
+    if (toMinutes(item.startAt) < start || breakEnd > end) {
+      throw new Error('Breaks must be within the time entry');
+    }
+    if (index > 0 && toMinutes(item.startAt) < toMinutes(breaks[index - 1].endAt)) {
+      throw new Error('Breaks cannot overlap');
+    }
+  });
+
+  return { clockInAt, clockOutAt, breaks };
+}
+
+/**
+ * Find the entry a person is currently clocked in on
+ * @param {string} userId - User ID
+ * @returns {Object|null} Open entry or null
+ */
+function getOpenEntry(userId) {
+  const entry = entriesFor(userId).find(item => item.clockOutAt === null);
+  return entry ? presentEntry(entry) : null;
+}
+
+/**
+ * Get the stored open entry for a person, or fail
+ * @param {string} userId - User ID
+ * @returns {Object} Stored entry
+ */
+function requireOpenEntry(userId) {
+  const entry = entriesFor(userId).find(item => item.clockOutAt === null);
+  if (!entry) {
+    throw new Error('You are not clocked in');
+  }
+  return entry;
+}
+
+/**
+ * Clock in
+ * @param {string} userId - User ID
+ * @param {string} at - Time of the punch (defaults to now)
+ * @returns {Object} New time entry
+ */
+function clockIn(userId, at = now()) {
+  if (getOpenEntry(userId)) {
+    throw new Error('You are already clocked in');
+  }
+  requireOpenWeek(userId, at);
+  requireNoOverlap(userId, at, null);
+
+  const timestamp = new Date().toISOString();
+  const entry = {
+    id: uuidv4(),
+    userId,
+    clockInAt: at,
+    clockOutAt: null,
+    breaks: [],
+    manual: false,
+    original: null,
+    corrections: [],
+    createdBy: userId,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  entries.insert(entry);
+  return presentEntry(entry);
+}
+
+/**
+ * Clock out, ending any break still running
+ *
+ * A punch more than 24 hours after clocking in is refused, as the clock-in
+ * was most likely left open by mistake; a manager corrects the entry instead.
+ * @param {string} userId - User ID
+ * @param {string} at - Time of the punch (defaults to now)
+ * @returns {Object} Completed time entry
+ */
+function clockOut(userId, at = now()) {
+  const entry = requireOpenEntry(userId);
+  if (toMinutes(at) < toMinutes(entry.clockInAt)) {
+    throw new Error('Clock-out cannot be before clock-in');
+  }
+  if (toMinutes(at) - toMinutes(entry.clockInAt) > MAX_ENTRY_MINUTES) {
+    throw new Error('You have been clocked in for over 24 hours; ask a manager to correct this time entry');
+  }
+
+  entry.breaks.forEach(item => {
+    if (item.endAt === null) {
+      item.endAt = at;
+    }
+  });
+  entry.clockOutAt = at;
+  entry.updatedAt = new Date().toISOString();
+  entries.update(entry);
+  return presentEntry(entry);
+}
+
+/**
+ * Start a break
+ * @param {string} userId - User ID
+ * @param {string} at - Time of the punch (defaults to now)
+ * @returns {Object} Updated time entry
+ */
+function startBreak(userId, at = now()) {
+  const entry = requireOpenEntry(userId);
+  if (entry.breaks.some(item => item.endAt === null)) {
+    throw new Error('You are already on a break');
+  }
+  const last = entry.breaks[entry.breaks.length - 1];
+  if (toMinutes(at) < toMinutes(last ? last.endAt : entry.clockInAt)) {
+    throw new Error('Breaks must be within the time entry');
+  }
+
+  entry.breaks.push({ startAt: at, endAt: null });
+  entry.updatedAt = new Date().toISOString();
+  entries.update(entry);
+  return presentEntry(entry);
+}
+
+/**
+ * End the current break
+ * @param {string} userId - User ID
+ * @param {string} at - Time of the punch (defaults to now)
+ * @returns {Object} Updated time entry
+ */
+function endBreak(userId, at = now()) {
+  const entry = requireOpenEntry(userId);
+  const current = entry.breaks.find(item => item.endAt === null);
+  if (!current) {
+    throw new Error('You are not on a break');
+  }
+  if (toMinutes(at) < toMinutes(current.startAt)) {
+    throw new Error('A break cannot end before it starts');
+  }
+
+  current.endAt = at;
+  entry.updatedAt = new Date().toISOString();
+  entries.update(entry);
+  return presentEntry(entry);
+}
+
+/**
+ * Find a time entry by ID
+ * @param {string} id - Entry ID
+ * @returns {Object|null} Entry or null
+ */
+function findEntryById(id) {
+  const entry = entries.get(id);
+  return entry ? presentEntry(entry) : null;
+}
+
+/**
+ * Get time entries in clock-in order
+ * @param {Object} options - Query options
+ * @param {string} options.userId - Only this person's entries
+ * @param {string} options.from - Only entries clocked in on or after this date (YYYY-MM-DD)
+ * @param {string} options.to - Only entries clocked in on or before this date (YYYY-MM-DD)
+ * @returns {Array} Entries
+ */
+function getEntries(options = {}) {
+  const { userId, from, to } = options;
+  let result = userId ? entriesFor(userId) : entries.all();
+
+  if (from) {
+    result = result.filter(entry => entry.clockInAt.slice(0, 10) >= from);
+  }
+
+  if (to) {
+    result = result.filter(entry => entry.clockInAt.slice(0, 10) <= to);
+  }
+
+  return result
+    .sort((a, b) => a.clockInAt.localeCompare(b.clockInAt))
+    .map(presentEntry);
+}
+
+/**
+ * Add a time entry someone forgot to punch
+ * @param {Object} entryData - { userId, clockInAt, clockOutAt, breaks }
+ * @param {string} createdBy - ID of the manager adding it
+ * @param {string} reason - Why the entry was added
+ * @returns {Object} New time entry
+ */
+function addEntry(entryData, createdBy, reason) {
+  if (!findUserById(entryData.userId)) {
+    throw new Error('User not found');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required');
+  }
+  if (!entryData.clockOutAt) {
+    throw new Error('Clock-out is required');
+  }
+
+  const punches = validatePunches(entryData);
+  requireOpenWeek(entryData.userId, punches.clockInAt);
+  requireNoOverlap(entryData.userId, punches.clockInAt, punches.clockOutAt);
+
+  const timestamp = new Date().toISOString();
+  const entry = {
+    id: uuidv4(),
+    userId: entryData.userId,
+    ...punches,
+    manual: true,
+    original: null,
+    corrections: [{ correctedBy: createdBy, correctedAt: timestamp, reason: String(reason).trim(), previous: null }],
+    createdBy,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  entries.insert(entry);
+  return presentEntry(entry);
+}
+
+/**
+ * Correct the punches on a time entry
+ *
+ * The first correction copies the punches into `original`; every
+ * correction records who made it, why, and the punches it replaced.
+ * @param {string} id - Entry ID
+ * @param {Object} updates - Any of clockInAt, clockOutAt, breaks
+ * @param {string} correctedBy - ID of the manager making the correction
+ * @param {string} reason - Why the punches were wrong
+ * @returns {Object} Corrected entry
+ */
+function correctEntry(id, updates, correctedBy, reason) {
+  const entry = entries.get(id);
+  if (!entry) {
+    throw new Error('Time entry not found');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required');
+  }
+
+  const previous = punchesOf(entry);
+  const punches = validatePunches({
+    clockInAt: updates.clockInAt !== undefined ? updates.clockInAt : previous.clockInAt,
+    clockOutAt: updates.clockOutAt !== undefined ? updates.clockOutAt : previous.clockOutAt,
+    breaks: updates.breaks !== undefined ? updates.breaks : previous.breaks
+  });
+  if (previous.clockOutAt !== null && punches.clockOutAt === null) {
+    throw new Error('Clock-out is required');
+  }
+  requireOpenWeek(entry.userId, previous.clockInAt);
+  requireOpenWeek(entry.userId, punches.clockInAt);
+  requireNoOverlap(entry.userId, punches.clockInAt, punches.clockOutAt, entry.id);
+
+  const timestamp = new Date().toISOString();
+  const corrected = {
+    ...entry,
+    ...punches,
+    original: entry.original || (entry.manual ? null : previous),
+    corrections: [
+      ...entry.corrections,
+      { correctedBy, correctedAt: timestamp, reason: String(reason).trim(), previous }
+    ],
+    updatedAt: timestamp
+  };
+
+  entries.update(corrected);
+  return presentEntry(corrected);
+}
+
+/**
+ * Get timesheet records
+ * @param {Object} options - Query options
+ * @param {string} options.userId - Only this person's timesheets
+ * @param {string} options.status - TimesheetStatus value
+ * @param {string} options.from - Only weeks starting on or after this date
+ * @param {string} options.to - Only weeks starting on or before this date
+ * @returns {Array} Timesheet records, by week then user
+ */
+function getTimesheets(options = {}) {
+  const { userId, status, from, to } = options;
+  return timesheets.all()
+    .filter(record => !userId || record.userId === userId)
+    .filter(record => !status || record.status === status)
+    .filter(record => !from || record.weekStart >= from)
+    .filter(record => !to || record.weekStart <= to)
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart) || a.userId.localeCompare(b.userId))
+    .map(record => ({ ...record, history: record.history.map(item => ({ ...item })) }));
+}
+
+/**
+ * Approve a person's week, locking its time entries
+ * @param {string} userId - User ID
+ * @param {string} weekStart - Monday of the week
+ * @param {Object} summary - Hours at approval: { days, totals, rules }
+ * @param {string} approvedBy - ID of the approving manager
+ * @param {string} note - Optional note
+ * @returns {Object} Timesheet record
+ */
+function approveTimesheet(userId, weekStart, summary, approvedBy, note) {
+  const existing = timesheets.all().find(item => item.userId === userId && item.weekStart === weekStart);
+  if (existing && existing.status === TimesheetStatus.APPROVED) {
+    throw new Error('Timesheet is already approved');
+  }
+
+  const timestamp = new Date().toISOString();
+  const record = {
+    id: existing ? existing.id : uuidv4(),
+    userId,
+    weekStart,
+    status: TimesheetStatus.APPROVED,
+    summary,
+    approvedBy,
+    approvedAt: timestamp,
+    history: [
+      ...(existing ? existing.history : []),
+      { status: TimesheetStatus.APPROVED, actorId: approvedBy, at: timestamp, note: note || null }
+    ]
+  };
+
+  if (existing) {
+    timesheets.update(record);
+  } else {
+    timesheets.insert(record);
+  }
+  return findTimesheet(userId, weekStart);
+}
+
+/**
+ * Reopen an approved week so its time entries can be corrected
+ * @param {string} userId - User ID
+ * @param {string} weekStart - Monday of the week
+ * @param {string} actorId - ID of the manager reopening it
+ * @param {string} note - Optional note
+ * @returns {Object} Timesheet record
+ */
+function reopenTimesheet(userId, weekStart, actorId, note) {
+  const existing = timesheets.all().find(item => item.userId === userId && item.weekStart === weekStart);
+  if (!existing || existing.status !== TimesheetStatus.APPROVED) {
+    throw new Error('Timesheet is not approved');
+  }
+
+  const timestamp = new Date().toISOString();
+  timesheets.update({
+    ...existing,
+    status: TimesheetStatus.OPEN,
+    summary: null,
+    approvedBy: null,
+    approvedAt: null,
+    history: [
+      ...existing.history,
+      { status: TimesheetStatus.OPEN, actorId, at: timestamp, note: note || null }
+    ]
+  });
+  return findTimesheet(userId, weekStart);
+}
+
+/**
+ * Clear all time entries and timesheets (for testing)
+ */
+function clearTimeClock() {
+  entries.clear();
+  timesheets.clear();
+}
+
+module.exports = {
+  TimesheetStatus,
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  getOpenEntry,
+  findEntryById,
+  getEntries,
+  addEntry,
+  correctEntry,
+  findTimesheet,
+  getTimesheets,
+  approveTimesheet,
+  reopenTimesheet,
+  clearTimeClock
+};
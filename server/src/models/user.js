@@ -1,13 +1,9 @@
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
-
-/**
- * User role constants
- */
-const UserRole = {
-  USER: 'user',
-  ADMIN: 'admin'
-};
+const config = require('../config');
+const { createStore } = require('../storage');
+const { UserRole, Permission, hasPermission, canAssignRole, roleExists } = require('./role');
+const { isDate } = require('../utils/time');
 
 /**
  * User status constants
@@ -19,9 +15,89 @@ const UserStatus = {
 };
 
 /**
- * In-memory user store (in production, this would be a database)
+ * Approval status constants, for signups made while approval is required
+ */
+const ApprovalStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Fields users may change on their own account through updateOwnProfile
+ */
+const SELF_UPDATES = ['name'];
+
+/**
+ * Fields an administrator may change through updateUser
  */
-const users = new Map();
+const ALLOWED_UPDATES = ['name', 'role', 'status'];
+
+/**
+ * Normalize an email address for storage and lookup
+ * @param {string} email - Email address
+ * @returns {string} Normalized email
+ */
+function normalizeEmail(email) {
+  return email.toLowerCase().trim();
+}
+
+/**
+ * User record schema migrations
+ *
+ * Each entry upgrades the stored records by one version. Append new
+ * migrations to the end; never edit or reorder existing ones.
+ */
+const migrations = [
+  // 1: initial schema
+  records => records,
+  // 2: email verification; accounts created before it existed count as verified
+  records => records.map(user => ({
+    emailVerified: true,
+    emailVerifiedAt: null,
+    ...user
+  })),
+  // 3: signup approval
+  records => records.map(user => ({
+    approvalStatus: null,
+    approvalReviewedBy: null,
+    approvalReviewedAt: null,
+    rejectionReason: null,
+    ...user
+  })),
+  // 4: login throttling
+  records => records.map(user => ({
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    ...user
+  })),
+  // 5: certifications
+  records => records.map(user => ({
+    certifications: [],
+    ...user
+  }))
+];
+
+/**
+ * Fields tracking failed logins. Only shown to administrators.
+ */
+const LOGIN_SECURITY_FIELDS = ['failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil'];
+
+/**
+ * Fields that can be set when adding or updating a certification
+ */
+const CERTIFICATION_FIELDS = ['name', 'issueDate', 'expiryDate', 'notes'];
+
+/**
+ * User store, with a unique index on the normalized email
+ */
+const users = createStore('users', {
+  indexes: {
+    email: user => normalizeEmail(user.email)
+  },
+  migrations
+});
 
 /**
  * Create a new user
@@ -29,12 +105,24 @@ const users = new Map();
  * @returns {Object} Created user (without password)
  */
 async function createUser(userData) {
-  const { email, password, name, role = UserRole.USER } = userData;
+  const {
+    email,
+    password,
+    name,
+    role = UserRole.USER,
+    status = UserStatus.ACTIVE,
+    emailVerified = false,
+    requiresApproval = false
+  } = userData;
   
   if (!email || !password || !name) {
     throw new Error('Email, password, and name are required');
   }
 
+  if (!roleExists(role)) {
+    throw new Error('Invalid role');
+  }
+
   // Check if user already exists
   const existingUser = findUserByEmail(email);
   if (existingUser) {
@@ -45,17 +133,27 @@ async function createUser(userData) {
   
   const user = {
     id: uuidv4(),
-    email: email.toLowerCase().trim(),
+    email: normalizeEmail(email),
     password: hashedPassword,
     name: name.trim(),
     role,
-    status: UserStatus.ACTIVE,
+    status,
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date().toISOString() : null,
+    approvalStatus: requiresApproval ? ApprovalStatus.PENDING : null,
+    approvalReviewedBy: null,
+    approvalReviewedAt: null,
+    rejectionReason: null,
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    certifications: [],
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     lastLoginAt: null
   };
 
-  users.set(user.id, user);
+  users.insert(user);
   
   return sanitizeUser(user);
 }
@@ -66,7 +164,7 @@ async function createUser(userData) {
  * @returns {Object|null} User or null
  */
 function findUserById(id) {
-  return users.get(id) || null;
+  return users.get(id);
 }
 
 /**
@@ -75,23 +173,83 @@ function findUserById(id) {
  * @returns {Object|null} User or null
  */
 function findUserByEmail(email) {
-  const normalizedEmail = email.toLowerCase().trim();
-  for (const user of users.values()) {
-    if (user.email === normalizedEmail) {
-      return user;
+  return users.findBy('email', normalizeEmail(email));
+}
+
+/**
+ * Fields users can be sorted by
+ */
+const SORT_FIELDS = ['name', 'email', 'createdAt', 'lastLoginAt'];
+
+/**
+ * Default and largest page sizes for queryUsers
+ */
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Parse a sort option such as "name" or "-lastLoginAt"
+ * @param {string} sort - Field name, prefixed with "-" for descending
+ * @returns {Object} { field, descending }
+ */
+function parseSort(sort = 'createdAt') {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(`Cannot sort by ${field}`);
+  }
+  return { field, descending };
+}
+
+/**
+ * Compare two users for sorting
+ *
+ * Users without a value (e.g. who never logged in) always come last, and
+ * ties are broken by ID so that the order is stable between pages.
+ * @param {Object} a - User
+ * @param {Object} b - User
+ * @param {Object} sort - { field, descending }
+ * @returns {number} Negative, zero or positive
+ */
+function compareUsers(a, b, { field, descending }) {
+  const left = a[field];
+  const right = b[field];
+
+  let result = 0;
+  if (left == null || right == null) {
+    result = (left == null) - (right == null);
+  } else {
+    result = field === 'name' || field === 'email'
+      ? left.localeCompare(right, undefined, { sensitivity: 'base' })
+      : left.localeCompare(right);
+    if (descending) {
+      result = -result;
     }
   }
-  return null;
+
+  if (result !== 0) {
+    return result;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
 }
 
 /**
  * Get all users
  * @param {Object} options - Query options
+ * @param {string} options.search - Substring of the name or email
+ * @param {string} options.status - Only users with this status
+ * @param {string|Array<string>} options.role - Only users with this role (or any of these roles)
+ * @param {string} options.createdAfter - Only users created at or after this ISO date
+ * @param {string} options.createdBefore - Only users created before this ISO date
+ * @param {string} options.lastLoginAfter - Only users who last logged in at or after this ISO date
+ * @param {string} options.lastLoginBefore - Only users who last logged in before this ISO date, or never
+ * @param {string} options.sort - Sort field, "-" prefixed for descending (default createdAt)
  * @returns {Array} Array of users
  */
 function getAllUsers(options = {}) {
-  const { search, status, role } = options;
-  let result = Array.from(users.values());
+  const { search, status, role, createdAfter, createdBefore, lastLoginAfter, lastLoginBefore } = options;
+  const sort = parseSort(options.sort);
+  let result = users.all();
 
   if (search) {
     const searchLower = search.toLowerCase();
@@ -105,11 +263,102 @@ function getAllUsers(options = {}) {
     result = result.filter(user => user.status === status);
   }
 
-  if (role) {
-    result = result.filter(user => user.role === role);
+  if (role && role.length > 0) {
+    const roles = Array.isArray(role) ? role : [role];
+    result = result.filter(user => roles.includes(user.role));
+  }
+
+  if (createdAfter) {
+    const time = new Date(createdAfter).getTime();
+    result = result.filter(user => new Date(user.createdAt).getTime() >= time);
+  }
+
+  if (createdBefore) {
+    const time = new Date(createdBefore).getTime();
+    result = result.filter(user => new Date(user.createdAt).getTime() < time);
+  }
+
+  if (lastLoginAfter) {
+    const time = new Date(lastLoginAfter).getTime();
+    result = result.filter(user => user.lastLoginAt && new Date(user.lastLoginAt).getTime() >= time);
   }
 
-  return result.map(sanitizeUser);
+  if (lastLoginBefore) {
+    const time = new Date(lastLoginBefore).getTime();
+    result = result.filter(user => !user.lastLoginAt || new Date(user.lastLoginAt).getTime() < time);
+  }
+
+  return result
+    .sort((a, b) => compareUsers(a, b, sort))
+    .map(sanitizeUser);
+}
+
+/**
+ * Encode the position after a user as an opaque cursor
+ * @param {Object} user - Last user on a page
+ * @param {string} sort - Sort option the page was fetched with
+ * @returns {string} Cursor
+ */
+function encodeCursor(user, sort) {
+  const { field } = parseSort(sort);
+  return Buffer.from(JSON.stringify({ sort, value: user[field], id: user.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor
+ * @param {string} sort - Sort option of the current request
+ * @returns {Object} Stand-in user to compare against
+ */
+function decodeCursor(cursor, sort) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (_error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!position || position.sort !== sort || typeof position.id !== 'string') {
+    throw new Error('Invalid cursor');
+  }
+  const { field } = parseSort(sort);
+  return { id: position.id, [field]: position.value };
+}
+
+/**
+ * Get one page of users
+ *
+ * Takes the same filters and sort as getAllUsers. Pages are keyed on the
+ * last user returned rather than an offset, so users added or removed
+ * while paging don't shift later pages.
+ * @param {Object} options - getAllUsers options plus:
+ * @param {number} options.limit - Page size (default 50, at most 200)
+ * @param {string} options.cursor - nextCursor from the previous page
+ * @returns {Object} { users, total, limit, nextCursor }
+ */
+function queryUsers(options = {}) {
+  const sortOption = options.sort || 'createdAt';
+  const sort = parseSort(sortOption);
+  const limit = Math.min(options.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const matching = getAllUsers({ ...options, sort: sortOption });
+
+  let start = 0;
+  if (options.cursor) {
+    const after = decodeCursor(options.cursor, sortOption);
+    start = matching.findIndex(user => compareUsers(user, after, sort) > 0);
+    if (start === -1) {
+      start = matching.length;
+    }
+  }
+
+  const page = matching.slice(start, start + limit);
+  const hasMore = start + limit < matching.length;
+
+  return {
+    users: page,
+    total: matching.length,
+    limit,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortOption) : null
+  };
 }
 
 /**
@@ -117,24 +366,143 @@ function getAllUsers(options = {}) {
  * @returns {Object} User statistics
  */
 function getUserStats() {
-  const allUsers = Array.from(users.values());
+  const allUsers = users.all();
   
   return {
     totalUsers: allUsers.length,
     activeUsers: allUsers.filter(u => u.status === UserStatus.ACTIVE).length,
-    administrators: allUsers.filter(u => u.role === UserRole.ADMIN).length
+    administrators: allUsers.filter(u => hasPermission(u.role, Permission.ROLES_MANAGE)).length,
+    pendingApprovals: allUsers.filter(u => u.approvalStatus === ApprovalStatus.PENDING).length
   };
 }
 
 /**
- * Update a user (admin only)
+ * Get signups waiting for an administrator's decision, oldest first
+ * @returns {Array} Array of users
+ */
+function getPendingApprovals() {
+  return users.all()
+    .filter(user => user.approvalStatus === ApprovalStatus.PENDING)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(sanitizeUser);
+}
+
+/**
+ * Work out the status of a pending user after a verification or approval
+ *
+ * A signup stays pending until its email is verified and, if approval was
+ * required, an administrator has approved it.
+ * @param {Object} user - User record
+ * @returns {string} UserStatus value
+ */
+function resolvePendingStatus(user) {
+  if (user.status !== UserStatus.PENDING) {
+    return user.status;
+  }
+  if (user.emailVerified && user.approvalStatus !== ApprovalStatus.PENDING) {
+    return UserStatus.ACTIVE;
+  }
+  return UserStatus.PENDING;
+}
+
+/**
+ * Approve a signup (requires the users.approve permission)
+ * @param {string} id - User ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Object} Updated user
+ */
+function approveUser(id, currentUser) {
+  if (!currentUser || !hasPermission(currentUser.role, Permission.USERS_APPROVE)) {
+    throw new Error('Approving signups is restricted to administrators only');
+  }
+
+  const user = users.get(id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.approvalStatus !== ApprovalStatus.PENDING) {
+    throw new Error('User is not awaiting approval');
+  }
+
+  const now = new Date().toISOString();
+  const approvedUser = {
+    ...user,
+    approvalStatus: ApprovalStatus.APPROVED,
+    approvalReviewedBy: currentUser.id,
+    approvalReviewedAt: now,
+    updatedAt: now
+  };
+  approvedUser.status = resolvePendingStatus(approvedUser);
+
+  users.update(approvedUser);
+
+  return sanitizeUser(approvedUser);
+}
+
+/**
+ * Reject a signup (requires the users.approve permission)
+ *
+ * The account is kept, deactivated, so the decision stays on record.
+ * @param {string} id - User ID
+ * @param {string} reason - Optional reason shown to administrators
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Object} Updated user
+ */
+function rejectUser(id, reason, currentUser) {
+  if (!currentUser || !hasPermission(currentUser.role, Permission.USERS_APPROVE)) {
+    throw new Error('Approving signups is restricted to administrators only');
+  }
+
+  const user = users.get(id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.approvalStatus !== ApprovalStatus.PENDING) {
+    throw new Error('User is not awaiting approval');
+  }
+
+  const now = new Date().toISOString();
+  const rejectedUser = {
+    ...user,
+    status: UserStatus.INACTIVE,
+    approvalStatus: ApprovalStatus.REJECTED,
+    approvalReviewedBy: currentUser.id,
+    approvalReviewedAt: now,
+    rejectionReason: reason ? reason.trim() : null,
+    updatedAt: now
+  };
+
+  users.update(rejectedUser);
+
+  return sanitizeUser(rejectedUser);
+}
+
+/**
+ * Make sure the current user outranks, or matches, the user they're changing
+ *
+ * Someone with users.edit or users.delete can only act on accounts whose
+ * role they could have assigned themselves, so they can't demote, lock
+ * out or delete an owner or administrator.
+ * @param {Object} user - User record being changed
+ * @param {Object} currentUser - Current authenticated user
+ */
+function requireManageableUser(user, currentUser) {
+  if (!canAssignRole(currentUser.role, user.role)) {
+    throw new Error('You cannot change a user whose role has permissions you do not have');
+  }
+}
+
+/**
+ * Update a user (requires the users.edit permission)
  * @param {string} id - User ID
  * @param {Object} updates - Updates to apply
  * @param {Object} currentUser - Current authenticated user
  * @returns {Object} Updated user
  */
 function updateUser(id, updates, currentUser) {
-  if (!currentUser || currentUser.role !== UserRole.ADMIN) {
+  if (!currentUser || !hasPermission(currentUser.role, Permission.USERS_EDIT)) {
     throw new Error('User editing is restricted to administrators only');
   }
 
@@ -142,11 +510,20 @@ function updateUser(id, updates, currentUser) {
   if (!user) {
     throw new Error('User not found');
   }
+  requireManageableUser(user, currentUser);
+
+  if (updates.role !== undefined && updates.role !== user.role) {
+    if (!roleExists(updates.role)) {
+      throw new Error('Invalid role');
+    }
+    if (!canAssignRole(currentUser.role, updates.role)) {
+      throw new Error('You cannot assign a role with permissions you do not have');
+    }
+  }
 
-  const allowedUpdates = ['name', 'role', 'status'];
   const sanitizedUpdates = {};
   
-  for (const key of allowedUpdates) {
+  for (const key of ALLOWED_UPDATES) {
     if (updates[key] !== undefined) {
       sanitizedUpdates[key] = updates[key];
     }
@@ -158,30 +535,145 @@ function updateUser(id, updates, currentUser) {
     updatedAt: new Date().toISOString()
   };
 
-  users.set(id, updatedUser);
+  users.update(updatedUser);
   
   return sanitizeUser(updatedUser);
 }
 
 /**
- * Delete a user (admin only)
+ * Delete a user (requires the users.delete permission)
  * @param {string} id - User ID
  * @param {Object} currentUser - Current authenticated user
  * @returns {boolean} Success
  */
 function deleteUser(id, currentUser) {
-  if (!currentUser || currentUser.role !== UserRole.ADMIN) {
+  if (!currentUser || !hasPermission(currentUser.role, Permission.USERS_DELETE)) {
     throw new Error('User deletion is restricted to administrators only');
   }
 
-  if (!users.has(id)) {
+  const user = users.get(id);
+  if (!user) {
     throw new Error('User not found');
   }
+  requireManageableUser(user, currentUser);
 
-  users.delete(id);
+  users.remove(id);
   return true;
 }
 
+/**
+ * Mark a user's email address as verified
+ *
+ * Verification is what moves a new signup out of the pending status,
+ * unless it is still waiting for an administrator's approval.
+ * @param {string} id - User ID
+ * @returns {Object} Updated user
+ */
+function markEmailVerified(id) {
+  const user = users.get(id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const now = new Date().toISOString();
+  const updatedUser = {
+    ...user,
+    emailVerified: true,
+    emailVerifiedAt: user.emailVerifiedAt || now,
+    updatedAt: now
+  };
+  updatedUser.status = resolvePendingStatus(updatedUser);
+
+  users.update(updatedUser);
+
+  return sanitizeUser(updatedUser);
+}
+
+/**
+ * Set a new password for a user
+ * @param {string} id - User ID
+ * @param {string} password - New plain-text password
+ * @returns {Object} Updated user
+ */
+async function setPassword(id, password) {
+  if (!password) {
+    throw new Error('Password is required');
+  }
+
+  const user = users.get(id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const updatedUser = {
+    ...user,
+    password: await bcrypt.hash(password, 10),
+    // A new password ends any lockout
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    updatedAt: new Date().toISOString()
+  };
+
+  users.update(updatedUser);
+
+  return sanitizeUser(updatedUser);
+}
+
+/**
+ * Update the signed-in user's own profile
+ *
+ * Only SELF_UPDATES can be changed this way; role, status and everything
+ * else stay with administrators.
+ * @param {string} id - ID of the signed-in user
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Updated user
+ */
+function updateOwnProfile(id, updates) {
+  const user = users.get(id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const forbidden = Object.keys(updates).filter(key => !SELF_UPDATES.includes(key));
+  if (forbidden.length > 0) {
+    throw new Error(`You cannot change these fields yourself: ${forbidden.join(', ')}`);
+  }
+
+  const updatedUser = { ...user, updatedAt: new Date().toISOString() };
+  if (updates.name !== undefined) {
+    updatedUser.name = updates.name.trim();
+  }
+
+  users.update(updatedUser);
+
+  return sanitizeUser(updatedUser);
+}
+
+/**
+ * Change the signed-in user's password after checking the current one
+ * @param {string} id - ID of the signed-in user
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Updated user
+ */
+async function changePassword(id, currentPassword, newPassword) {
+  const user = users.get(id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (!currentPassword || !await bcrypt.compare(currentPassword, user.password)) {
+    throw new Error('Current password is incorrect');
+  }
+
+  if (currentPassword === newPassword) {
+    throw new Error('New password must be different from the current one');
+  }
+
+  return setPassword(id, newPassword);
+}
+
 /**
  * Remove sensitive data from user object
  * @param {Object} user - User object
@@ -189,11 +681,185 @@ function deleteUser(id, currentUser) {
  */
 function sanitizeUser(user) {
   const { password: _password, ...sanitizedUser } = user;
+  for (const field of LOGIN_SECURITY_FIELDS) {
+    delete sanitizedUser[field];
+  }
   return sanitizedUser;
 }
 
+/**
+ * Get a user's failed login count and lock status
+ * @param {Object} user - User record
+ * @returns {Object} { failedLoginAttempts, lastFailedLoginAt, lockedUntil, locked }
+ */
+function getLoginSecurity(user) {
+  const locked = Boolean(user.lockedUntil) && new Date(user.lockedUntil).getTime() > Date.now();
+  return {
+    failedLoginAttempts: user.failedLoginAttempts,
+    lastFailedLoginAt: user.lastFailedLoginAt,
+    lockedUntil: locked ? user.lockedUntil : null,
+    locked
+  };
+}
+
+/**
+ * Work out how long a user must wait before their next login attempt
+ *
+ * Each failure adds a delay that doubles with every further failure, and
+ * after config.auth.lockout.maxFailedAttempts the account is locked.
+ * @param {Object} user - User record
+ * @returns {Object|null} { code, message, retryAfter } or null if they may try now
+ */
+function getLoginThrottle(user) {
+  const now = Date.now();
+  const { baseDelaySeconds, maxDelaySeconds } = config.auth.lockout;
+
+  if (user.lockedUntil && new Date(user.lockedUntil).getTime() > now) {
+    const retryAfter = Math.ceil((new Date(user.lockedUntil).getTime() - now) / 1000);
+    return {
+      code: 'ACCOUNT_LOCKED',
+      message: `This account is locked after too many failed login attempts. Try again in ${formatWait(retryAfter)}.`,
+      retryAfter
+    };
+  }
+
+  if (user.failedLoginAttempts > 0 && user.lastFailedLoginAt) {
+    const delaySeconds = Math.min(baseDelaySeconds * 2 ** (user.failedLoginAttempts - 1), maxDelaySeconds);
+    const allowedAt = new Date(user.lastFailedLoginAt).getTime() + delaySeconds * 1000;
+    if (allowedAt > now) {
+      const retryAfter = Math.ceil((allowedAt - now) / 1000);
+      return {
+        code: 'LOGIN_THROTTLED',
+        message: `Too many failed login attempts. Try again in ${formatWait(retryAfter)}.`,
+        retryAfter
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe a wait in seconds or minutes
+ * @param {number} seconds - Wait in seconds
+ * @returns {string} e.g. "30 seconds" or "15 minutes"
+ */
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Count a failed login against a user, locking the account at the limit
+ * @param {string} id - User ID
+ */
+function recordFailedLogin(id) {
+  const user = users.get(id);
+  const now = new Date();
+  const { maxFailedAttempts, lockoutSeconds } = config.auth.lockout;
+
+  // Failures from before the last lock expired, or long ago, start afresh
+  const lastFailure = user.lastFailedLoginAt ? new Date(user.lastFailedLoginAt).getTime() : 0;
+  const expired = now.getTime() - lastFailure > lockoutSeconds * 1000 ||
+    (user.lockedUntil && new Date(user.lockedUntil) <= now);
+  const failedLoginAttempts = (expired ? 0 : user.failedLoginAttempts) + 1;
+
+  users.update({
+    ...user,
+    failedLoginAttempts,
+    lastFailedLoginAt: now.toISOString(),
+    lockedUntil: failedLoginAttempts >= maxFailedAttempts
+      ? new Date(now.getTime() + lockoutSeconds * 1000).toISOString()
+      : null
+  });
+}
+
+/**
+ * Clear a user's failed logins and lift any lock (requires users.edit)
+ * @param {string} id - User ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Object} Login security details after the unlock
+ */
+function unlockUser(id, currentUser) {
+  if (!currentUser || !hasPermission(currentUser.role, Permission.USERS_EDIT)) {
+    throw new Error('User editing is restricted to administrators only');
+  }
+
+  const user = users.get(id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  requireManageableUser(user, currentUser);
+
+  const unlockedUser = {
+    ...user,
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    updatedAt: new Date().toISOString()
+  };
+
+  users.update(unlockedUser);
+
+  return getLoginSecurity(unlockedUser);
+}
+
+/**
+ * Explain why a user may not log in
+ * @param {Object} user - User record
+ * @returns {Object|null} { code, message } or null if the user may log in
+ */
+function getLoginRestriction(user) {
+  if (user.status === UserStatus.ACTIVE) {
+    return null;
+  }
+
+  if (user.status === UserStatus.INACTIVE) {
+    if (user.approvalStatus === ApprovalStatus.REJECTED) {
+      return { code: 'ACCOUNT_REJECTED', message: 'Your account request was not approved.' };
+    }
+    return { code: 'ACCOUNT_INACTIVE', message: 'Your account has been deactivated. Contact an administrator.' };
+  }
+
+  if (!user.emailVerified) {
+    return {
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address before logging in. Check your inbox for the link.'
+    };
+  }
+
+  if (user.approvalStatus === ApprovalStatus.PENDING) {
+    return { code: 'ACCOUNT_PENDING_APPROVAL', message: 'Your account is waiting for an administrator to approve it.' };
+  }
+
+  return { code: 'ACCOUNT_PENDING', message: 'Your account is not active yet. Contact an administrator.' };
+}
+
+/**
+ * Build the error thrown when a login is refused
+ * @param {Object} reason - { code, message, retryAfter? }
+ * @returns {Error} Error carrying `code` (and `retryAfter` in seconds)
+ */
+function loginError(reason) {
+  const error = new Error(reason.message);
+  error.code = reason.code;
+  if (reason.retryAfter) {
+    error.retryAfter = reason.retryAfter;
+  }
+  return error;
+}
+
 /**
  * Verify user password
+ *
+ * Failed attempts are counted per account. While an account is throttled
+ * or locked the password isn't checked at all and an error with a `code`
+ * and `retryAfter` is thrown. Users who are pending or inactive are refused
+ * even with the right password, again with a `code` saying why. Wrong
+ * credentials never reveal the account's status.
  * @param {string} email - User email
  * @param {string} password - Password to verify
  * @returns {Object|null} User if verified, null otherwise
@@ -204,16 +870,208 @@ async function verifyPassword(email, password) {
     return null;
   }
 
+  const throttle = getLoginThrottle(user);
+  if (throttle) {
+    throw loginError(throttle);
+  }
+
   const isValid = await bcrypt.compare(password, user.password);
   if (!isValid) {
+    recordFailedLogin(user.id);
     return null;
   }
 
-  // Update last login
-  user.lastLoginAt = new Date().toISOString();
-  users.set(user.id, user);
+  const restriction = getLoginRestriction(user);
+  if (restriction) {
+    throw loginError(restriction);
+  }
 
-  return sanitizeUser(user);
+  const loggedInUser = {
+    ...users.get(user.id),
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    lastLoginAt: new Date().toISOString()
+  };
+  users.update(loggedInUser);
+
+  return sanitizeUser(loggedInUser);
+}
+
+/**
+ * Check a certification record before it is saved
+ * @param {Object} certification - Certification record
+ * @param {Array} others - The user's other certifications
+ */
+function validateCertification(certification, others) {
+  if (!certification.name) {
+    throw new Error('Certification name is required');
+  }
+  if (!isDate(certification.issueDate)) {
+    throw new Error('Issue date must be in YYYY-MM-DD format');
+  }
+  if (certification.expiryDate !== null && !isDate(certification.expiryDate)) {
+    throw new Error('Expiry date must be in YYYY-MM-DD format');
+  }
+  if (certification.expiryDate !== null && certification.expiryDate < certification.issueDate) {
+    throw new Error('Expiry date cannot be before issue date');
+  }
+  const nameLower = certification.name.toLowerCase();
+  if (others.some(other => other.name.toLowerCase() === nameLower)) {
+    throw new Error('This user already has that certification');
+  }
+}
+
+/**
+ * Trim a certification field, turning blanks into null
+ * @param {*} value - Raw value
+ * @returns {string|null} Trimmed value or null
+ */
+function certificationValue(value) {
+  const trimmed = typeof value === 'string' ? value.trim() : value;
+  return trimmed === '' || trimmed === undefined ? null : trimmed;
+}
+
+/**
+ * Add a certification to a user's account
+ *
+ * A user holds each certification once; a renewal updates its dates.
+ * @param {string} userId - User ID
+ * @param {Object} certificationData - { name, issueDate, expiryDate, notes }
+ * @param {string} addedBy - ID of the user adding it
+ * @returns {Object} Certification
+ */
+function addCertification(userId, certificationData, addedBy) {
+  const user = users.get(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const now = new Date().toISOString();
+  const certification = {
+    id: uuidv4(),
+    ...Object.fromEntries(CERTIFICATION_FIELDS.map(field => [field, certificationValue(certificationData[field])])),
+    addedBy,
+    createdAt: now,
+    updatedAt: now
+  };
+  validateCertification(certification, user.certifications);
+
+  users.update({ ...user, certifications: [...user.certifications, certification], updatedAt: now });
+  return { ...certification };
+}
+
+/**
+ * Change a certification's name, dates or notes
+ * @param {string} userId - User ID
+ * @param {string} certificationId - Certification ID
+ * @param {Object} updates - Fields to update (see CERTIFICATION_FIELDS)
+ * @returns {Object} Updated certification
+ */
+function updateCertification(userId, certificationId, updates) {
+  const user = users.get(userId);
+  const certification = user && user.certifications.find(item => item.id === certificationId);
+  if (!certification) {
+    throw new Error(user ? 'Certification not found' : 'User not found');
+  }
+
+  const now = new Date().toISOString();
+  const updated = { ...certification, updatedAt: now };
+  for (const field of CERTIFICATION_FIELDS) {
+    if (updates[field] !== undefined) {
+      updated[field] = certificationValue(updates[field]);
+    }
+  }
+  validateCertification(updated, user.certifications.filter(item => item.id !== certificationId));
+
+  users.update({
+    ...user,
+    certifications: user.certifications.map(item => (item.id === certificationId ? updated : item)),
+    updatedAt: now
+  });
+  return { ...updated };
+}
+
+/**
+ * Remove a certification from a user's account
+ * @param {string} userId - User ID
+ * @param {string} certificationId - Certification ID
+ * @returns {Object} The removed certification
+ */
+function removeCertification(userId, certificationId) {
+  const user = users.get(userId);
+  const certification = user && user.certifications.find(item => item.id === certificationId);
+  if (!certification) {
+    throw new Error(user ? 'Certification not found' : 'User not found');
+  }
+
+  users.update({
+    ...user,
+    certifications: user.certifications.filter(item => item.id !== certificationId),
+    updatedAt: new Date().toISOString()
+  });
+  return certification;
+}
+
+/**
+ * Find which certifications a user lacks, or won't hold throughout a period
+ *
+ * A certification counts if it was issued by the first date and doesn't
+ * expire before the last one. Names are matched without regard to case.
+ * @param {Object|null} user - User record (null means no certifications)
+ * @param {Array} names - Certification names needed
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Array} The names that aren't covered
+ */
+function findMissingCertifications(user, names, from, to) {
+  const held = user ? user.certifications : [];
+  return names.filter(name => !held.some(certification =>
+    certification.name.toLowerCase() === name.toLowerCase() &&
+    certification.issueDate <= from &&
+    (certification.expiryDate === null || certification.expiryDate >= to)));
+}
+
+/**
+ * Get the name a user can be @mentioned by: their name without spaces
+ * @param {Object} user - User
+ * @returns {string} Handle, e.g. "AnnSmith"
+ */
+function mentionHandle(user) {
+  return user.name.replace(/\s+/g, '');
+}
+
+/**
+ * Find the active users @mentioned in some text
+ *
+ * A mention matches a user's handle (see mentionHandle), the part of their
+ * email before the @, or their first name when only one active user has it,
+ * ignoring case. Mentions that match nobody, or several people, are left
+ * alone.
+ * @param {string} text - Text with @mentions
+ * @returns {Array} IDs of the users mentioned, in the order first mentioned
+ */
+function resolveMentions(text) {
+  const handles = [...String(text).matchAll(/(?:^|[^\w@])@([\w.-]+)/g)]
+    .map(match => match[1].replace(/[.-]+$/, '').toLowerCase());
+  if (handles.length === 0) {
+    return [];
+  }
+
+  const active = users.all().filter(user => user.status === UserStatus.ACTIVE);
+  const result = [];
+  for (const handle of handles) {
+    let matches = active.filter(user =>
+      mentionHandle(user).toLowerCase() === handle ||
+      user.email.split('@')[0] === handle);
+    if (matches.length === 0) {
+      matches = active.filter(user => user.name.split(/\s+/)[0].toLowerCase() === handle);
+    }
+    if (matches.length === 1 && !result.includes(matches[0].id)) {
+      result.push(matches[0].id);
+    }
+  }
+  return result;
 }
 
 /**
@@ -226,14 +1084,37 @@ function clearUsers() {
 module.exports = {
   UserRole,
   UserStatus,
+  ApprovalStatus,
+  ALLOWED_UPDATES,
+  SELF_UPDATES,
+  SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  CERTIFICATION_FIELDS,
   createUser,
   findUserById,
   findUserByEmail,
   getAllUsers,
+  queryUsers,
   getUserStats,
+  getPendingApprovals,
+  approveUser,
+  rejectUser,
+  getLoginRestriction,
+  getLoginSecurity,
+  unlockUser,
   updateUser,
   deleteUser,
+  markEmailVerified,
+  setPassword,
+  updateOwnProfile,
+  changePassword,
   verifyPassword,
   sanitizeUser,
+  addCertification,
+  updateCertification,
+  removeCertification,
+  findMissingCertifications,
+  mentionHandle,
+  resolveMentions,
   clearUsers
 };
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+
+/**
+ * What a one-time token can be used for
+ */
+const TokenPurpose = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset'
+};
+
+/**
+ * One-time token store
+ *
+ * Tokens are emailed to users for verification and password resets. Only
+ * a hash is stored, and each token can be consumed once before it expires.
+ */
+const userTokens = createStore('userTokens', {
+  indexes: {
+    tokenHash: record => record.tokenHash
+  },
+  migrations: [
+    // 1: initial schema
+    records => records
+  ]
+});
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a one-time token for a user
+ *
+ * Any earlier unused token with the same purpose is invalidated, so only
+ * the most recently emailed link works.
+ * @param {string} userId - User ID
+ * @param {string} purpose - TokenPurpose value
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} Raw token (to be emailed, never stored)
+ */
+function createUserToken(userId, purpose, ttlSeconds) {
+  if (!Object.values(TokenPurpose).includes(purpose)) {
+    throw new Error('Invalid token purpose');
+  }
+
+  invalidateUserTokens(userId, purpose);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  userTokens.insert({
+    id: uuidv4(),
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+    usedAt: null
+  });
+
+  return token;
+}
+
+/**
+ * Consume a one-time token
+ * @param {string} token - Raw token
+ * @param {string} purpose - Expected TokenPurpose value
+ * @returns {string} ID of the user the token belongs to
+ */
+function consumeUserToken(token, purpose) {
+  const record = userTokens.findBy('tokenHash', hashToken(token || ''));
+
+  if (!record ||
+      record.purpose !== purpose ||
+      record.usedAt ||
+      new Date(record.expiresAt).getTime() <= Date.now()) {
+    throw new Error('Invalid or expired token');
+  }
+
+  userTokens.update({ ...record, usedAt: new Date().toISOString() });
+  return record.userId;
+}
+
+/**
+ * Invalidate a user's unused tokens
+ * @param {string} userId - User ID
+ * @param {string} purpose - Optional TokenPurpose value to limit to
+ */
+function invalidateUserTokens(userId, purpose) {
+  const now = new Date().toISOString();
+  for (const record of userTokens.all()) {
+    if (record.userId === userId && !record.usedAt && (!purpose || record.purpose === purpose)) {
+      userTokens.update({ ...record, usedAt: now });
+    }
+  }
+}
+
+/**
+ * Clear all tokens (for testing)
+ */
+function clearUserTokens() {
+  userTokens.clear();
+}
+
+module.exports = {
+  TokenPurpose,
+  createUserToken,
+  consumeUserToken,
+  invalidateUserTokens,
+  clearUserTokens
+};
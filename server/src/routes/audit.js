@@ -0,0 +1,49 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { MAX_AUDIT_LIMIT, AuditAction, queryAuditLog } = require('../models/audit');
+const { Permission } = require('../models/role');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * Get audit log entries, newest first (requires audit.view)
+ *
+ * Returns the latest 100 matching entries unless `limit` asks for more, up
+ * to 1000.
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.AUDIT_VIEW),
+  [
+    query('actorId').optional().isString(),
+    query('targetId').optional().isString(),
+    query('action').optional().isIn(Object.values(AuditAction)),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: MAX_AUDIT_LIMIT }).toInt()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const entries = queryAuditLog({
+        actorId: req.query.actorId,
+        targetId: req.query.targetId,
+        action: req.query.action,
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit
+      });
+      res.json(entries);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getAvailability, setAvailability, resetAvailability } = require('../models/availability');
+const { findStaffByUserId } = require('../models/staff');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, recordAuditEvent } = require('../models/audit');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Work out which staff member a request is about
+ *
+ * `me` means the staff member linked to the current user. Anyone may see
+ * and change their own availability; other people's need staff.view to see
+ * and staff.edit to change.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} permission - Permission needed for someone else's record
+ * @returns {string|null} Staff ID, or null once a response has been sent
+ */
+function resolveStaffId(req, res, permission) {
+  const own = findStaffByUserId(req.currentUser.id);
+
+  if (req.params.staffId === 'me') {
+    if (!own) {
+      res.status(404).json({ error: 'Your account is not linked to a staff member' });
+      return null;
+    }
+    return own.id;
+  }
+
+  if ((!own || own.id !== req.params.staffId) && !hasPermission(req.currentUser.role, permission)) {
+    res.status(403).json({ error: `You do not have permission to do this (requires ${permission})` });
+    return null;
+  }
+  return req.params.staffId;
+}
+
+/**
+ * Send the response for an availability change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendAvailabilityError(res, error) {
+  if (error.message === 'Staff member not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Record an availability change in the audit log
+ * @param {Object} req - Express request
+ * @param {Object} before - Availability before the change
+ * @param {Object} after - Availability after the change
+ */
+function auditAvailability(req, before, after) {
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: after.staffId,
+    action: AuditAction.AVAILABILITY_UPDATE,
+    changes: { weekly: { from: before.weekly, to: after.weekly } },
+    ip: req.ip
+  });
+}
+
+/**
+ * GET /api/availability/:staffId
+ * Get a staff member's weekly availability (own, or requires staff.view)
+ */
+router.get('/:staffId', authenticate, (req, res) => {
+  const staffId = resolveStaffId(req, res, Permission.STAFF_VIEW);
+  if (!staffId) {
+    return;
+  }
+
+  try {
+    res.json(getAvailability(staffId));
+  } catch (error) {
+    sendAvailabilityError(res, error);
+  }
+});
+
+/**
+ * PUT /api/availability/:staffId
+ * Replace a staff member's weekly availability (own, or requires staff.edit)
+ */
+router.put('/:staffId',
+  authenticate,
+  [
+    body('weekly').isObject()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const staffId = resolveStaffId(req, res, Permission.STAFF_EDIT);
+    if (!staffId) {
+      return;
+    }
+
+    try {
+      const before = getAvailability(staffId);
+      const saved = setAvailability(staffId, req.body.weekly, req.currentUser.id);
+      auditAvailability(req, before, saved);
+      res.json(saved);
+    } catch (error) {
+      sendAvailabilityError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/availability/:staffId
+ * Clear a staff member's availability so they can work any time (own, or requires staff.edit)
+ */
+router.delete('/:staffId', authenticate, (req, res) => {
+  const staffId = resolveStaffId(req, res, Permission.STAFF_EDIT);
+  if (!staffId) {
+    return;
+  }
+
+  try {
+    const before = getAvailability(staffId);
+    const cleared = resetAvailability(staffId);
+    auditAvailability(req, before, cleared);
+    res.json(cleared);
+  } catch (error) {
+    sendAvailabilityError(res, error);
+  }
+});
+
+module.exports = router;
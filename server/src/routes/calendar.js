@@ -0,0 +1,161 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const config = require('../config');
+const {
+  FeedType,
+  createFeed,
+  findFeedById,
+  useFeedToken,
+  getFeeds,
+  revokeFeed
+} = require('../models/calendarFeed');
+const { findStaffById, findStaffByUserId } = require('../models/staff');
+const { findUserById, UserStatus } = require('../models/user');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { renderFeed } = require('../services/calendar');
+
+const router = express.Router();
+
+/**
+ * Build the secret URL calendar apps subscribe to
+ * @param {string} token - Raw feed token
+ * @returns {string} Feed URL
+ */
+function feedUrl(token) {
+  return `${config.appUrl}/api/calendar/feeds/${token}.ics`;
+}
+
+/**
+ * Check whether a feed's owner may still see what it shows
+ *
+ * Feeds are read without logging in, so the owner's account and role are
+ * checked on every read: a feed stops working when its owner is
+ * deactivated or loses access, as well as when it is revoked.
+ * @param {Object} feed - Calendar feed
+ * @returns {boolean} True if the feed may be served
+ */
+function ownerCanRead(feed) {
+  const owner = findUserById(feed.createdBy);
+  if (!owner || owner.status !== UserStatus.ACTIVE || !hasPermission(owner.role, Permission.SCHEDULE_VIEW)) {
+    return false;
+  }
+  if (feed.type === FeedType.LOCATION) {
+    return true;
+  }
+  const own = findStaffByUserId(owner.id);
+  return (own && own.id === feed.staffId) || hasPermission(owner.role, Permission.STAFF_VIEW);
+}
+
+/**
+ * Record a feed change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object} feed - Calendar feed
+ */
+function auditFeed(req, action, feed) {
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: feed.id,
+    action,
+    ip: req.ip,
+    metadata: { type: feed.type, staffId: feed.staffId, location: feed.location }
+  });
+}
+
+/**
+ * GET /api/calendar/feeds/:token.ics
+ * Read a calendar feed (no login; the secret token is the credential)
+ */
+router.get('/feeds/:token.ics', (req, res) => {
+  try {
+    const feed = useFeedToken(req.params.token);
+    if (!feed || !ownerCanRead(feed)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    res.set('Cache-Control', 'no-cache');
+    res.type('text/calendar').send(renderFeed(feed));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/calendar/feeds
+ * Get your calendar feeds (the URLs are only shown when created)
+ */
+router.get('/feeds', authenticate, (req, res) => {
+  try {
+    res.json(getFeeds({ createdBy: req.currentUser.id }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/calendar/feeds
+ * Create a feed of published shifts for a staff member or a location (requires schedule.view)
+ *
+ * Staff feeds default to your own shifts; anyone else's need staff.view.
+ */
+router.post('/feeds',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [
+    body('type').isIn(Object.values(FeedType)),
+    body('staffId').optional().isString(),
+    body('location').if(body('type').equals(FeedType.LOCATION)).isString().trim().isLength({ min: 1, max: 100 })
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = { type: req.body.type, location: req.body.location };
+    if (req.body.type === FeedType.STAFF) {
+      const own = findStaffByUserId(req.currentUser.id);
+      data.staffId = req.body.staffId || (own && own.id);
+      if (!data.staffId) {
+        return res.status(400).json({ error: 'Your account is not linked to a staff member' });
+      }
+      if ((!own || own.id !== data.staffId) && !hasPermission(req.currentUser.role, Permission.STAFF_VIEW)) {
+        return res.status(403).json({ error: 'You can only subscribe to your own shifts' });
+      }
+      if (!findStaffById(data.staffId)) {
+        return res.status(404).json({ error: 'Staff member not found' });
+      }
+    }
+
+    try {
+      const { feed, token } = createFeed(data, req.currentUser.id);
+      auditFeed(req, AuditAction.CALENDAR_FEED_CREATE, feed);
+      res.status(201).json({ ...feed, url: feedUrl(token) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/calendar/feeds/:id
+ * Revoke one of your feeds so its URL stops working
+ */
+router.delete('/feeds/:id', authenticate, (req, res) => {
+  try {
+    const existing = findFeedById(req.params.id);
+    if (!existing || existing.createdBy !== req.currentUser.id) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const feed = revokeFeed(req.params.id);
+    auditFeed(req, AuditAction.CALENDAR_FEED_REVOKE, feed);
+    res.status(204).send();
+  } catch (error) {
+    res.status(error.message === 'Calendar feed is already revoked' ? 409 : 400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
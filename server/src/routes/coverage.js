@@ -0,0 +1,182 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  COVERAGE_FIELDS,
+  createRequirement,
+  findRequirementById,
+  getRequirements,
+  updateRequirement,
+  deleteRequirement
+} = require('../models/coverage');
+const { Permission } = require('../models/role');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { WEEKDAYS, parseTimeOfDay } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Validators for the requirement fields, shared by create and update
+ * @param {boolean} creating - Whether required fields must be present
+ * @returns {Array} express-validator chains
+ */
+function requirementValidators(creating) {
+  const required = field => (creating ? body(field) : body(field).optional());
+  const isTime = value => parseTimeOfDay(value) !== null;
+  return [
+    required('position').isString().trim().isLength({ min: 1, max: 100 }),
+    required('startTime').custom(isTime).withMessage('Start time must be HH:mm'),
+    required('endTime').custom(isTime).withMessage('End time must be HH:mm'),
+    required('days').isArray({ min: 1 }),
+    body('days.*').isIn(WEEKDAYS),
+    body('count').optional().isInt({ min: 1 }).toInt(),
+    body('location').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+    body('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 })
+  ];
+}
+
+/**
+ * Send the response for a coverage change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendCoverageError(res, error) {
+  if (error.message === 'Coverage requirement not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Record a coverage change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object|null} before - Requirement before the change
+ * @param {Object|null} after - Requirement after the change
+ */
+function auditRequirement(req, action, before, after) {
+  const requirement = after || before;
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: requirement.id,
+    action,
+    changes: diffFields(
+      before && { ...before, days: before.days.join(',') },
+      after && { ...after, days: after.days.join(',') },
+      COVERAGE_FIELDS
+    ),
+    ip: req.ip
+  });
+}
+
+/**
+ * GET /api/coverage
+ * Get coverage requirements (requires schedule.view)
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [
+    query('location').optional().trim(),
+    query('position').optional().trim(),
+    query('day').optional().isIn(WEEKDAYS)
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(getRequirements({
+        location: req.query.location,
+        position: req.query.position,
+        day: req.query.day
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/coverage/:id
+ * Get a coverage requirement (requires schedule.view)
+ */
+router.get('/:id', authenticate, requirePermission(Permission.SCHEDULE_VIEW), (req, res) => {
+  const requirement = findRequirementById(req.params.id);
+  if (!requirement) {
+    return res.status(404).json({ error: 'Coverage requirement not found' });
+  }
+  res.json(requirement);
+});
+
+/**
+ * POST /api/coverage
+ * Add a coverage requirement (requires schedule.edit)
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  requirementValidators(true),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const requirement = createRequirement(req.body, req.currentUser.id);
+      auditRequirement(req, AuditAction.COVERAGE_CREATE, null, requirement);
+      res.status(201).json(requirement);
+    } catch (error) {
+      sendCoverageError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/coverage/:id
+ * Update a coverage requirement (requires schedule.edit)
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  requirementValidators(false),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = findRequirementById(req.params.id);
+      const requirement = updateRequirement(req.params.id, req.body);
+      auditRequirement(req, AuditAction.COVERAGE_UPDATE, before && { ...before }, requirement);
+      res.json(requirement);
+    } catch (error) {
+      sendCoverageError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/coverage/:id
+ * Delete a coverage requirement (requires schedule.edit)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  (req, res) => {
+    try {
+      const before = findRequirementById(req.params.id);
+      deleteRequirement(req.params.id);
+      auditRequirement(req, AuditAction.COVERAGE_DELETE, before, null);
+      res.status(204).send();
+    } catch (error) {
+      sendCoverageError(res, error);
+    }
+  }
+);
+
+module.exports = router;
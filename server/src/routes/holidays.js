@@ -0,0 +1,113 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  createHoliday,
+  findHolidayById,
+  getHolidays,
+  deleteHoliday
+} = require('../models/holiday');
+const { Permission } = require('../models/role');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { isDate } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Fields recorded in the audit log for holiday changes
+ */
+const HOLIDAY_FIELDS = ['date', 'name', 'location', 'recurring'];
+
+/**
+ * Record a holiday change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object|null} before - Holiday before the change
+ * @param {Object|null} after - Holiday after the change
+ */
+function auditHoliday(req, action, before, after) {
+  const holiday = after || before;
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: holiday.id,
+    action,
+    changes: diffFields(before, after, HOLIDAY_FIELDS),
+    ip: req.ip
+  });
+}
+
+/**
+ * GET /api/holidays
+ * Get the holiday calendar (requires schedule.view)
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [query('location').optional().trim()],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(getHolidays({ location: req.query.location }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/holidays
+ * Add a holiday to the calendar (requires schedule.edit)
+ *
+ * Without a location it applies everywhere; a recurring holiday falls on
+ * the same day every year.
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  [
+    body('date').custom(isDate).withMessage('Date must be YYYY-MM-DD'),
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('location').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+    body('recurring').optional().isBoolean().toBoolean()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const holiday = createHoliday(req.body, req.currentUser.id);
+      auditHoliday(req, AuditAction.HOLIDAY_CREATE, null, holiday);
+      res.status(201).json(holiday);
+    } catch (error) {
+      const status = error.message.endsWith('already on the calendar for that day') ? 409 : 400;
+      res.status(status).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/holidays/:id
+ * Remove a holiday from the calendar (requires schedule.edit)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  (req, res) => {
+    const before = findHolidayById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    deleteHoliday(req.params.id);
+    auditHoliday(req, AuditAction.HOLIDAY_DELETE, before, null);
+    res.status(204).send();
+  }
+);
+
+module.exports = router;
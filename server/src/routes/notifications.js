@@ -0,0 +1,65 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const {
+  MAX_NOTIFICATIONS,
+  getNotifications,
+  countUnread,
+  markRead,
+  markAllRead
+} = require('../models/notification');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/notifications
+ * Get the current user's notifications, newest first, with their unread count
+ */
+router.get('/',
+  authenticate,
+  [
+    query('unread').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: MAX_NOTIFICATIONS }).toInt()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json({
+        notifications: getNotifications(req.currentUser.id, { unreadOnly: req.query.unread, limit: req.query.limit }),
+        unreadCount: countUnread(req.currentUser.id)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/read-all
+ * Mark all of the current user's notifications read
+ */
+router.post('/read-all', authenticate, (req, res) => {
+  try {
+    res.json({ updated: markAllRead(req.currentUser.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ * Mark one of the current user's notifications read
+ */
+router.post('/:id/read', authenticate, (req, res) => {
+  try {
+    res.json(markRead(req.params.id, req.currentUser.id));
+  } catch (error) {
+    res.status(error.message === 'Notification not found' ? 404 : 400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const {
+  setRequiredCertifications,
+  getPositionRequirements,
+  getRequiredCertifications
+} = require('../models/position');
+const { Permission } = require('../models/role');
+const { AuditAction, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/positions
+ * Get the positions that require certifications (requires schedule.view)
+ */
+router.get('/', authenticate, requirePermission(Permission.SCHEDULE_VIEW), (_req, res) => {
+  try {
+    res.json(getPositionRequirements());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/positions/:position
+ * Set the certifications a position requires (requires
+ * certifications.manage). An empty list removes the requirement.
+ */
+router.put('/:position',
+  authenticate,
+  requirePermission(Permission.CERTIFICATIONS_MANAGE),
+  [
+    param('position').trim().isLength({ min: 1, max: 100 }),
+    body('certifications').isArray({ max: 20 }),
+    body('certifications.*').isString().trim().isLength({ min: 1, max: 100 })
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { position } = req.params;
+      const before = getRequiredCertifications(position);
+      const record = setRequiredCertifications(position, req.body.certifications, req.currentUser.id);
+      const after = record ? record.certifications : [];
+
+      if (before.join(',') !== after.join(',')) {
+        recordAuditEvent({
+          actorId: req.currentUser.id,
+          targetId: record ? record.id : null,
+          action: AuditAction.POSITION_UPDATE,
+          changes: { certifications: { from: before.join(','), to: after.join(',') } },
+          ip: req.ip,
+          metadata: { position }
+        });
+      }
+
+      if (!record) {
+        return res.status(204).send();
+      }
+      res.json(record);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
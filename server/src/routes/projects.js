@@ -0,0 +1,963 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  ProjectStatus,
+  TaskStatus,
+  TaskPriority,
+  PROJECT_FIELDS,
+  TASK_FIELDS,
+  createProject,
+  findProjectById,
+  getProjects,
+  updateProject,
+  archiveProject,
+  restoreProject,
+  deleteProject,
+  createTask,
+  findTaskById,
+  getTasks,
+  getBoard,
+  updateTask,
+  moveTask,
+  deleteTask
+} = require('../models/project');
+const {
+  MAX_COMMENT_LENGTH,
+  createComment,
+  findCommentById,
+  getComments,
+  updateComment,
+  deleteComment,
+  removeComments
+} = require('../models/comment');
+const { findAttachmentById, getAttachments } = require('../models/attachment');
+const { getProjectSchedule, previewTaskDates } = require('../services/taskSchedule');
+const {
+  THUMBNAIL_TYPE,
+  addAttachment,
+  readAttachment,
+  removeAttachment,
+  removeAllAttachments
+} = require('../services/attachments');
+const { notifyAboutComment } = require('../services/notifications');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { acceptUpload } = require('../middleware/upload');
+const { isDate } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Task fields an assignee may change without owning the project or having projects.edit
+ */
+const ASSIGNEE_TASK_FIELDS = ['status', 'checklist'];
+
+/**
+ * Load the project a request is about and check the current user may act on it
+ *
+ * Project owners may always change their own project; everyone else needs
+ * the given permission. Sends the response itself when the check fails.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} permission - Permission needed by users who don't own the project
+ * @returns {Object|null} Project, or null once a response has been sent
+ */
+function loadProject(req, res, permission) {
+  const project = findProjectById(req.params.id);
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+
+  if (permission && project.ownerId !== req.currentUser.id && !hasPermission(req.currentUser.role, permission)) {
+    res.status(403).json({ error: `You do not have permission to do this (requires ${permission})` });
+    return null;
+  }
+  return project;
+}
+
+/**
+ * Load the task a request is about, making sure it is in the project
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Task, or null once a response has been sent
+ */
+function loadTask(req, res) {
+  const task = findTaskById(req.params.taskId);
+  if (!task || task.projectId !== req.params.id) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+  return task;
+}
+
+/**
+ * Validators for the project fields, shared by create and update
+ * @param {boolean} creating - Whether required fields must be present
+ * @returns {Array} express-validator chains
+ */
+function projectValidators(creating) {
+  const required = field => (creating ? body(field) : body(field).optional());
+  return [
+    required('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 5000 }),
+    body('ownerId').optional({ values: 'null' }).isString()
+  ];
+}
+
+/**
+ * Validators for the task fields, shared by create and update
+ * @param {boolean} creating - Whether required fields must be present
+ * @returns {Array} express-validator chains
+ */
+function taskValidators(creating) {
+  const required = field => (creating ? body(field) : body(field).optional());
+  return [
+    required('title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 5000 }),
+    body('status').optional().isIn(Object.values(TaskStatus)),
+    body('priority').optional().isIn(Object.values(TaskPriority)),
+    body('startDate').optional({ values: 'null' }).custom(isDate).withMessage('Start date must be YYYY-MM-DD'),
+    body('dueDate').optional({ values: 'null' }).custom(isDate).withMessage('Due date must be YYYY-MM-DD'),
+    body('milestone').optional().isBoolean(),
+    body('dependsOn').optional().isArray(),
+    body('dependsOn.*').isString(),
+    body('assigneeIds').optional().isArray(),
+    body('assigneeIds.*').isString(),
+    body('labels').optional().isArray(),
+    body('labels.*').isString().trim().isLength({ min: 1, max: 30 }),
+    body('checklist').optional().isArray(),
+    body('checklist.*.text').isString().trim().isLength({ min: 1, max: 200 }),
+    body('checklist.*.done').optional().isBoolean()
+  ];
+}
+
+/**
+ * Send the response for a project or task change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendProjectError(res, error) {
+  if (['Project not found', 'Task not found', 'Comment not found', 'Comment being replied to not found',
+    'Attachment not found', 'File not found', 'This file has no thumbnail'].includes(error.message)) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (['This type of file can\'t be attached', 'The file\'s contents don\'t match its type'].includes(error.message)) {
+    return res.status(415).json({ error: error.message });
+  }
+  if (['Project is archived', 'Project is already archived', 'Project is not archived'].includes(error.message)) {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Check the current user may change a task: the project owner, an assignee,
+ * or anyone with projects.edit. Sends a 403 when they may not.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} project - Project
+ * @param {Object} task - Task
+ * @returns {boolean} True if they may
+ */
+function canChangeTask(req, res, project, task) {
+  if (project.ownerId !== req.currentUser.id &&
+      !task.assigneeIds.includes(req.currentUser.id) &&
+      !hasPermission(req.currentUser.role, Permission.PROJECTS_EDIT)) {
+    res.status(403).json({ error: `You do not have permission to do this (requires ${Permission.PROJECTS_EDIT})` });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Record a project change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object|null} before - Project before the change
+ * @param {Object|null} after - Project after the change
+ */
+function auditProject(req, action, before, after) {
+  const project = after || before;
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: project.id,
+    action,
+    changes: diffFields(before, after, [...PROJECT_FIELDS, 'status']),
+    ip: req.ip,
+    metadata: { name: project.name }
+  });
+}
+
+/**
+ * Flatten a task's lists so they can be compared in the audit log
+ * @param {Object|null} task - Task
+ * @returns {Object|null} Task with assignees and labels joined and the checklist as "done/total"
+ */
+function auditableTask(task) {
+  return task && {
+    ...task,
+    assigneeIds: task.assigneeIds.join(','),
+    dependsOn: task.dependsOn.join(','),
+    labels: task.labels.join(','),
+    checklist: `${task.checklist.filter(item => item.done).length}/${task.checklist.length}`
+  };
+}
+
+/**
+ * Record a task change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object|null} before - Task before the change
+ * @param {Object|null} after - Task after the change
+ */
+function auditTask(req, action, before, after) {
+  const task = after || before;
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: task.id,
+    action,
+    changes: diffFields(auditableTask(before), auditableTask(after), TASK_FIELDS),
+    ip: req.ip,
+    metadata: { projectId: task.projectId, title: task.title }
+  });
+}
+
+/**
+ * Record a comment change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object|null} before - Comment before the change
+ * @param {Object|null} after - Comment after the change
+ */
+function auditComment(req, action, before, after) {
+  const comment = after || before;
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: comment.id,
+    action,
+    changes: diffFields(before, after, ['body']),
+    ip: req.ip,
+    metadata: { projectId: comment.projectId, taskId: comment.taskId }
+  });
+}
+
+/**
+ * Record a file being attached or deleted in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object} attachment - Attachment
+ */
+function auditAttachment(req, action, attachment) {
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: attachment.id,
+    action,
+    ip: req.ip,
+    metadata: {
+      projectId: attachment.projectId,
+      taskId: attachment.taskId,
+      fileName: attachment.fileName,
+      size: attachment.size
+    }
+  });
+}
+
+/**
+ * Add a comment for a request and tell anyone it mentions or replies to
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string|null} taskId - Task being commented on, or null for the project
+ */
+function postComment(req, res, taskId) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const comment = createComment({
+      projectId: req.params.id,
+      taskId,
+      parentId: req.body.parentId,
+      body: req.body.body
+    }, req.currentUser.id);
+    notifyAboutComment(comment);
+    auditComment(req, AuditAction.COMMENT_CREATE, null, comment);
+    res.status(201).json(comment);
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+}
+
+/**
+ * Attach the file uploaded with a request to a project or task
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string|null} taskId - Task the file is for, or null for the project
+ */
+async function postAttachment(req, res, taskId) {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Choose a file to attach (form field "file")' });
+  }
+
+  try {
+    const attachment = await addAttachment({ projectId: req.params.id, taskId, file: req.file }, req.currentUser.id);
+    auditAttachment(req, AuditAction.ATTACHMENT_CREATE, attachment);
+    res.status(201).json(attachment);
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+}
+
+/**
+ * Load the attachment a request is about, making sure it is on the project
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Attachment, or null once a response has been sent
+ */
+function loadAttachment(req, res) {
+  const attachment = findAttachmentById(req.params.attachmentId);
+  if (!attachment || attachment.projectId !== req.params.id) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+  return attachment;
+}
+
+/**
+ * Validators for a new comment
+ */
+const commentValidators = [
+  body('body').isString().trim().isLength({ min: 1, max: MAX_COMMENT_LENGTH }),
+  body('parentId').optional({ values: 'null' }).isString()
+];
+
+/**
+ * GET /api/projects
+ * Get projects by name (requires projects.view)
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  [
+    query('status').optional().isIn(Object.values(ProjectStatus)),
+    query('ownerId').optional().isString(),
+    query('search').optional().trim()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(getProjects({
+        status: req.query.status,
+        ownerId: req.query.ownerId === 'me' ? req.currentUser.id : req.query.ownerId,
+        search: req.query.search
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id
+ * Get a project (requires projects.view)
+ */
+router.get('/:id', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const project = loadProject(req, res);
+  if (project) {
+    res.json(project);
+  }
+});
+
+/**
+ * POST /api/projects
+ * Create a project, owned by the creator unless ownerId says otherwise (requires projects.edit)
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.PROJECTS_EDIT),
+  projectValidators(true),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const project = createProject(req.body, req.currentUser.id);
+      auditProject(req, AuditAction.PROJECT_CREATE, null, project);
+      res.status(201).json(project);
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/projects/:id
+ * Update a project's name, description or owner (owner, or requires projects.edit)
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  projectValidators(false),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = loadProject(req, res, Permission.PROJECTS_EDIT);
+    if (!before) {
+      return;
+    }
+
+    try {
+      const project = updateProject(before.id, req.body);
+      auditProject(req, AuditAction.PROJECT_UPDATE, before, project);
+      res.json(project);
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/projects/:id/archive
+ * Archive a project, freezing its tasks (owner, or requires projects.manage)
+ */
+router.post('/:id/archive', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const before = loadProject(req, res, Permission.PROJECTS_MANAGE);
+  if (!before) {
+    return;
+  }
+
+  try {
+    const project = archiveProject(before.id);
+    auditProject(req, AuditAction.PROJECT_ARCHIVE, before, project);
+    res.json(project);
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * POST /api/projects/:id/restore
+ * Return an archived project to active (owner, or requires projects.manage)
+ */
+router.post('/:id/restore', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const before = loadProject(req, res, Permission.PROJECTS_MANAGE);
+  if (!before) {
+    return;
+  }
+
+  try {
+    const project = restoreProject(before.id);
+    auditProject(req, AuditAction.PROJECT_RESTORE, before, project);
+    res.json(project);
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Delete a project and its tasks (owner, or requires projects.manage)
+ */
+router.delete('/:id', authenticate, requirePermission(Permission.PROJECTS_VIEW), async (req, res) => {
+  const before = loadProject(req, res, Permission.PROJECTS_MANAGE);
+  if (!before) {
+    return;
+  }
+
+  try {
+    deleteProject(before.id);
+    removeComments({ projectId: before.id });
+    await removeAllAttachments({ projectId: before.id });
+    auditProject(req, AuditAction.PROJECT_DELETE, before, null);
+    res.status(204).send();
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/board
+ * Get a project's tasks as board columns, one per status (requires projects.view)
+ */
+router.get('/:id/board', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) {
+    return;
+  }
+
+  try {
+    res.json({ project, columns: getBoard(project.id) });
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/schedule
+ * Get a project's timeline with each task's dates and slack, and the critical path (requires projects.view)
+ */
+router.get('/:id/schedule', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) {
+    return;
+  }
+
+  try {
+    res.json(getProjectSchedule(project.id));
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * POST /api/projects/:id/schedule/preview
+ * Show which tasks would slip if a task's dates changed, without saving anything (requires projects.view)
+ */
+router.post('/:id/schedule/preview',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  [
+    body('taskId').isString(),
+    body('startDate').optional({ values: 'null' }).custom(isDate).withMessage('Start date must be YYYY-MM-DD'),
+    body('dueDate').optional({ values: 'null' }).custom(isDate).withMessage('Due date must be YYYY-MM-DD')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = loadProject(req, res);
+    if (!project) {
+      return;
+    }
+    const task = findTaskById(req.body.taskId);
+    if (!task || task.projectId !== project.id) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    try {
+      res.json(previewTaskDates(task.id, { startDate: req.body.startDate, dueDate: req.body.dueDate }));
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/tasks
+ * Get a project's tasks, soonest due first (requires projects.view)
+ *
+ * assigneeId may be `me`; status may list several statuses separated by commas.
+ */
+router.get('/:id/tasks',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  [
+    query('assigneeId').optional().isString(),
+    query('status').optional().custom(value => String(value).split(',').every(status => Object.values(TaskStatus).includes(status)))
+      .withMessage(`Status must be one of: ${Object.values(TaskStatus).join(', ')}`),
+    query('priority').optional().isIn(Object.values(TaskPriority)),
+    query('label').optional().trim(),
+    query('overdue').optional().isBoolean().toBoolean()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    try {
+      res.json(getTasks({
+        projectId: project.id,
+        assigneeId: req.query.assigneeId === 'me' ? req.currentUser.id : req.query.assigneeId,
+        statuses: req.query.status ? req.query.status.split(',') : undefined,
+        priority: req.query.priority,
+        label: req.query.label,
+        overdue: req.query.overdue
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/tasks/:taskId
+ * Get a task (requires projects.view)
+ */
+router.get('/:id/tasks/:taskId', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const task = loadProject(req, res) && loadTask(req, res);
+  if (task) {
+    res.json(task);
+  }
+});
+
+/**
+ * POST /api/projects/:id/tasks
+ * Add a task to a project (project owner, or requires projects.edit)
+ */
+router.post('/:id/tasks',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  taskValidators(true),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = loadProject(req, res, Permission.PROJECTS_EDIT);
+    if (!project) {
+      return;
+    }
+
+    try {
+      const task = createTask(project.id, req.body, req.currentUser.id);
+      auditTask(req, AuditAction.TASK_CREATE, null, task);
+      res.status(201).json(task);
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/projects/:id/tasks/:taskId
+ * Update a task (project owner, an assignee, or requires projects.edit)
+ *
+ * Assignees can move their own tasks along and tick off their checklists,
+ * but changing any other field needs ownership or projects.edit.
+ */
+router.put('/:id/tasks/:taskId',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  taskValidators(false),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = loadProject(req, res);
+    const before = project && loadTask(req, res);
+    if (!before) {
+      return;
+    }
+
+    if (!canChangeTask(req, res, project, before)) {
+      return;
+    }
+
+    const onlyAssignee = project.ownerId !== req.currentUser.id &&
+      !hasPermission(req.currentUser.role, Permission.PROJECTS_EDIT);
+    const restricted = TASK_FIELDS.filter(field => req.body[field] !== undefined && !ASSIGNEE_TASK_FIELDS.includes(field));
+    if (onlyAssignee && restricted.length > 0) {
+      return res.status(403).json({
+        error: `Assignees can only change a task's status and checklist (changing ${restricted.join(', ')} requires ${Permission.PROJECTS_EDIT})`
+      });
+    }
+
+    try {
+      const task = updateTask(before.id, req.body);
+      auditTask(req, AuditAction.TASK_UPDATE, before, task);
+      res.json(task);
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/move
+ * Move a task on the board, to a position in a status column (project owner, an assignee, or requires projects.edit)
+ *
+ * index counts from the top of the column; status defaults to the task's own.
+ * Only moves that change the status are audited.
+ */
+router.post('/:id/tasks/:taskId/move',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  [
+    body('status').optional().isIn(Object.values(TaskStatus)),
+    body('index').isInt({ min: 0 }).toInt()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = loadProject(req, res);
+    const before = project && loadTask(req, res);
+    if (!before || !canChangeTask(req, res, project, before)) {
+      return;
+    }
+
+    try {
+      const task = moveTask(before.id, { status: req.body.status, index: req.body.index });
+      if (task.status !== before.status) {
+        auditTask(req, AuditAction.TASK_UPDATE, before, task);
+      }
+      res.json(task);
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/tasks/:taskId
+ * Delete a task (project owner, or requires projects.edit)
+ */
+router.delete('/:id/tasks/:taskId', authenticate, requirePermission(Permission.PROJECTS_VIEW), async (req, res) => {
+  const before = loadProject(req, res, Permission.PROJECTS_EDIT) && loadTask(req, res);
+  if (!before) {
+    return;
+  }
+
+  try {
+    deleteTask(before.id);
+    removeComments({ taskId: before.id });
+    await removeAllAttachments({ taskId: before.id });
+    auditTask(req, AuditAction.TASK_DELETE, before, null);
+    res.status(204).send();
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/comments
+ * Get the discussion on a project, as threads, oldest first (requires projects.view)
+ */
+router.get('/:id/comments', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const project = loadProject(req, res);
+  if (project) {
+    res.json(getComments(project.id));
+  }
+});
+
+/**
+ * POST /api/projects/:id/comments
+ * Comment on a project, or reply in a thread with parentId (requires projects.view)
+ */
+router.post('/:id/comments',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  commentValidators,
+  (req, res) => postComment(req, res, null)
+);
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/comments
+ * Get the discussion on a task, as threads, oldest first (requires projects.view)
+ */
+router.get('/:id/tasks/:taskId/comments', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const task = loadProject(req, res) && loadTask(req, res);
+  if (task) {
+    res.json(getComments(task.projectId, task.id));
+  }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/comments
+ * Comment on a task, or reply in a thread with parentId (requires projects.view)
+ */
+router.post('/:id/tasks/:taskId/comments',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  commentValidators,
+  (req, res) => postComment(req, res, req.params.taskId)
+);
+
+/**
+ * PUT /api/projects/:id/comments/:commentId
+ * Edit a comment on the project or one of its tasks (its author only)
+ *
+ * People newly @mentioned by the edit are notified.
+ */
+router.put('/:id/comments/:commentId',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  [body('body').isString().trim().isLength({ min: 1, max: MAX_COMMENT_LENGTH })],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = findCommentById(req.params.commentId);
+    if (!before || before.projectId !== req.params.id) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (before.authorId !== req.currentUser.id) {
+      return res.status(403).json({ error: 'Only the author can edit a comment' });
+    }
+
+    try {
+      const comment = updateComment(before.id, req.body.body);
+      notifyAboutComment(comment, before.mentions);
+      auditComment(req, AuditAction.COMMENT_UPDATE, before, comment);
+      res.json(comment);
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/comments/:commentId
+ * Delete a comment and the replies to it (its author, the project owner, or requires projects.manage)
+ */
+router.delete('/:id/comments/:commentId', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) {
+    return;
+  }
+  const before = findCommentById(req.params.commentId);
+  if (!before || before.projectId !== project.id) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+  if (before.authorId !== req.currentUser.id &&
+      project.ownerId !== req.currentUser.id &&
+      !hasPermission(req.currentUser.role, Permission.PROJECTS_MANAGE)) {
+    return res.status(403).json({ error: `You do not have permission to do this (requires ${Permission.PROJECTS_MANAGE})` });
+  }
+
+  try {
+    deleteComment(before.id);
+    auditComment(req, AuditAction.COMMENT_DELETE, before, null);
+    res.status(204).send();
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/attachments
+ * Get the files attached to a project, oldest first (requires projects.view)
+ */
+router.get('/:id/attachments', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const project = loadProject(req, res);
+  if (project) {
+    res.json(getAttachments(project.id));
+  }
+});
+
+/**
+ * POST /api/projects/:id/attachments
+ * Attach a file to a project, sent as multipart/form-data in the "file" field (requires projects.view)
+ */
+router.post('/:id/attachments',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  acceptUpload('file'),
+  (req, res) => postAttachment(req, res, null)
+);
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/attachments
+ * Get the files attached to a task, oldest first (requires projects.view)
+ */
+router.get('/:id/tasks/:taskId/attachments', authenticate, requirePermission(Permission.PROJECTS_VIEW), (req, res) => {
+  const task = loadProject(req, res) && loadTask(req, res);
+  if (task) {
+    res.json(getAttachments(task.projectId, task.id));
+  }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/attachments
+ * Attach a file to a task, sent as multipart/form-data in the "file" field (requires projects.view)
+ */
+router.post('/:id/tasks/:taskId/attachments',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  acceptUpload('file'),
+  (req, res) => postAttachment(req, res, req.params.taskId)
+);
+
+/**
+ * GET /api/projects/:id/attachments/:attachmentId/download
+ * Download an attached file (requires projects.view)
+ */
+router.get('/:id/attachments/:attachmentId/download', authenticate, requirePermission(Permission.PROJECTS_VIEW), async (req, res) => {
+  const attachment = loadProject(req, res) && loadAttachment(req, res);
+  if (!attachment) {
+    return;
+  }
+
+  try {
+    const data = await readAttachment(attachment);
+    res.attachment(attachment.fileName);
+    // Never let the browser guess a different type and run the file
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(attachment.mimeType).send(data);
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/attachments/:attachmentId/thumbnail
+ * Get an attached image's thumbnail (requires projects.view)
+ */
+router.get('/:id/attachments/:attachmentId/thumbnail', authenticate, requirePermission(Permission.PROJECTS_VIEW), async (req, res) => {
+  const attachment = loadProject(req, res) && loadAttachment(req, res);
+  if (!attachment) {
+    return;
+  }
+
+  try {
+    const data = await readAttachment(attachment, { thumbnail: true });
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(THUMBNAIL_TYPE).send(data);
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/attachments/:attachmentId
+ * Delete an attached file (its uploader, the project owner, or requires projects.manage)
+ */
+router.delete('/:id/attachments/:attachmentId', authenticate, requirePermission(Permission.PROJECTS_VIEW), async (req, res) => {
+  const project = loadProject(req, res);
+  const before = project && loadAttachment(req, res);
+  if (!before) {
+    return;
+  }
+  if (before.uploadedBy !== req.currentUser.id &&
+      project.ownerId !== req.currentUser.id &&
+      !hasPermission(req.currentUser.role, Permission.PROJECTS_MANAGE)) {
+    return res.status(403).json({ error: `You do not have permission to do this (requires ${Permission.PROJECTS_MANAGE})` });
+  }
+
+  try {
+    await removeAttachment(before.id);
+    auditAttachment(req, AuditAction.ATTACHMENT_DELETE, before);
+    res.status(204).send();
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+module.exports = router;
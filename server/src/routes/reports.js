@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { setSales, getSales, removeSales } = require('../models/sales');
+const { Permission } = require('../models/role');
+const { AuditAction, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  MAX_EXPIRY_DAYS,
+  laborReport,
+  coverageReport,
+  certificationReport
+} = require('../services/reports');
+const { isDate } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Validators for the range a report covers
+ */
+const scopeValidators = [
+  query('from').optional().custom(isDate).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().custom(isDate).withMessage('to must be YYYY-MM-DD'),
+  query('location').optional().isString().trim().isLength({ max: 100 }),
+  query('scheduleId').optional().isString()
+];
+
+/**
+ * Create a handler that runs a report over the requested range
+ * @param {Function} report - laborReport or coverageReport
+ * @returns {Function} Express handler
+ */
+function reportHandler(report) {
+  return (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(report({
+        from: req.query.from,
+        to: req.query.to,
+        location: req.query.location,
+        scheduleId: req.query.scheduleId
+      }));
+    } catch (error) {
+      res.status(error.message === 'Schedule not found' ? 404 : 400).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * GET /api/reports/labor
+ * Scheduled and actual labor cost per day, location and position, and as
+ * a percentage of sales (requires reports.view). Takes `from` and `to`, or
+ * a `scheduleId` to cost a schedule before it is published.
+ */
+router.get('/labor',
+  authenticate,
+  requirePermission(Permission.REPORTS_VIEW),
+  scopeValidators,
+  reportHandler(laborReport)
+);
+
+/**
+ * GET /api/reports/coverage
+ * Hours that are under or over covered compared with the coverage
+ * requirements (requires reports.view). Takes the same range as /labor.
+ */
+router.get('/coverage',
+  authenticate,
+  requirePermission(Permission.REPORTS_VIEW),
+  scopeValidators,
+  reportHandler(coverageReport)
+);
+
+/**
+ * GET /api/reports/certifications
+ * Certifications expiring in the next `days` days (default 30), with the
+ * shifts scheduled past each expiry (requires reports.view)
+ */
+router.get('/certifications',
+  authenticate,
+  requirePermission(Permission.REPORTS_VIEW),
+  [
+    query('days').optional().isInt({ min: 0, max: MAX_EXPIRY_DAYS }).toInt()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(certificationReport({ days: req.query.days }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/reports/sales
+ * Get the sales figures entered for a range (requires reports.view)
+ */
+router.get('/sales',
+  authenticate,
+  requirePermission(Permission.REPORTS_VIEW),
+  [
+    query('from').optional().custom(isDate).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().custom(isDate).withMessage('to must be YYYY-MM-DD'),
+    query('location').optional().isString()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(getSales({ from: req.query.from, to: req.query.to, location: req.query.location }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/reports/sales
+ * Enter the sales for a date and location, replacing any earlier figure;
+ * an `amount` of null removes it (requires sales.edit)
+ */
+router.put('/sales',
+  authenticate,
+  requirePermission(Permission.SALES_EDIT),
+  [
+    body('date').custom(isDate).withMessage('date must be YYYY-MM-DD'),
+    body('location').isString().trim().isLength({ min: 1, max: 100 }),
+    body('amount').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { date, location } = req.body;
+      const [before] = getSales({ from: date, to: date, location });
+      const amount = req.body.amount === undefined ? null : req.body.amount;
+      const record = amount === null ? null : setSales({ date, location, amount }, req.currentUser.id);
+      if (amount === null) {
+        removeSales(date, location);
+      }
+
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: record ? record.id : (before ? before.id : null),
+        action: AuditAction.SALES_UPDATE,
+        changes: { amount: { from: before ? before.amount : null, to: amount } },
+        ip: req.ip,
+        metadata: { date, location }
+      });
+
+      if (!record) {
+        return res.status(204).send();
+      }
+      res.json(record);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
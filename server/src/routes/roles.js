@@ -0,0 +1,176 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  Permission,
+  listRoles,
+  findRole,
+  hasPermission,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../models/role');
+const { getAllUsers } = require('../models/user');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ROLE_FIELDS = ['label', 'description', 'permissions'];
+
+/**
+ * Compare roles for the audit log, with permissions as a sorted string
+ * @param {Object|null} role - Role
+ * @returns {Object|null} Comparable role
+ */
+function auditableRole(role) {
+  return role && { ...role, permissions: [...role.permissions].sort().join(', ') };
+}
+
+/**
+ * Middleware to stop users granting permissions they don't hold themselves
+ */
+function requireHeldPermissions(req, res, next) {
+  const requested = Array.isArray(req.body.permissions) ? req.body.permissions : [];
+  const missing = requested.filter(permission => !hasPermission(req.currentUser.role, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: `You cannot grant permissions you do not have: ${missing.join(', ')}`
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/roles
+ * Get all built-in and custom roles
+ */
+router.get('/', authenticate, (_req, res) => {
+  try {
+    res.json(listRoles());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/roles/permissions
+ * Get every permission name a role can grant
+ */
+router.get('/permissions', authenticate, (_req, res) => {
+  res.json(Object.values(Permission));
+});
+
+/**
+ * POST /api/roles
+ * Define a custom role (requires roles.manage)
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.ROLES_MANAGE),
+  [
+    body('name').isString().trim().notEmpty(),
+    body('label').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('permissions').isArray()
+  ],
+  requireHeldPermissions,
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const role = createRole(req.body);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: role.name,
+        action: AuditAction.ROLE_CREATE,
+        changes: diffFields(null, auditableRole(role), ROLE_FIELDS),
+        ip: req.ip
+      });
+      res.status(201).json(role);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/roles/:name
+ * Update a custom role (requires roles.manage)
+ */
+router.put('/:name',
+  authenticate,
+  requirePermission(Permission.ROLES_MANAGE),
+  [
+    body('label').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('permissions').optional().isArray()
+  ],
+  requireHeldPermissions,
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = findRole(req.params.name);
+      const role = updateRole(req.params.name, req.body);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: role.name,
+        action: AuditAction.ROLE_UPDATE,
+        changes: diffFields(auditableRole(before), auditableRole(role), ROLE_FIELDS),
+        ip: req.ip
+      });
+      res.json(role);
+    } catch (error) {
+      if (error.message === 'Role not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === 'Built-in roles cannot be changed') {
+        return res.status(403).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/roles/:name
+ * Delete a custom role that no user has (requires roles.manage)
+ */
+router.delete('/:name',
+  authenticate,
+  requirePermission(Permission.ROLES_MANAGE),
+  (req, res) => {
+    const assigned = getAllUsers({ role: req.params.name }).length;
+    if (assigned > 0) {
+      return res.status(409).json({
+        error: `Role is assigned to ${assigned} user(s). Give them another role first.`
+      });
+    }
+
+    try {
+      const before = findRole(req.params.name);
+      deleteRole(req.params.name);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.params.name,
+        action: AuditAction.ROLE_DELETE,
+        changes: diffFields(auditableRole(before), null, ROLE_FIELDS),
+        ip: req.ip
+      });
+      res.status(204).send();
+    } catch (error) {
+      if (error.message === 'Role not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(403).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
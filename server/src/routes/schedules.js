@@ -0,0 +1,398 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  ScheduleStatus,
+  SCHEDULE_FIELDS,
+  createSchedule,
+  findScheduleById,
+  getAllSchedules,
+  updateSchedule,
+  publishSchedule,
+  unpublishSchedule,
+  deleteSchedule,
+  getShifts
+} = require('../models/schedule');
+const { cancelTradesForShift } = require('../models/shiftTrade');
+const { generateSchedule } = require('../services/scheduleGenerator');
+const { applyTemplate, copyWeek } = require('../services/rota');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { isDate } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Check whether the current user can see draft schedules
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {boolean} True if drafts are visible
+ */
+function canSeeDrafts(currentUser) {
+  return hasPermission(currentUser.role, Permission.SCHEDULE_EDIT);
+}
+
+/**
+ * Validators for the schedule fields, shared by create and update
+ * @param {boolean} creating - Whether required fields must be present
+ * @returns {Array} express-validator chains
+ */
+function scheduleValidators(creating) {
+  const required = field => (creating ? body(field) : body(field).optional());
+  return [
+    required('name').isString().trim().isLength({ min: 1, max: 100 }),
+    required('startDate').custom(isDate).withMessage('Start date must be YYYY-MM-DD'),
+    required('endDate').custom(isDate).withMessage('End date must be YYYY-MM-DD'),
+    body('location').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+    body('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 })
+  ];
+}
+
+/**
+ * Send the response for a schedule change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendScheduleError(res, error) {
+  if (['Schedule not found', 'Source schedule not found', 'Shift template not found'].includes(error.message)) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Schedule is already published' ||
+      error.message === 'Schedule is not published' ||
+      error.message.startsWith('Published schedules cannot be deleted')) {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Record a schedule change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object|null} before - Schedule before the change
+ * @param {Object|null} after - Schedule after the change
+ */
+function auditSchedule(req, action, before, after) {
+  const schedule = after || before;
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: schedule.id,
+    action,
+    changes: diffFields(before, after, [...SCHEDULE_FIELDS, 'status']),
+    ip: req.ip,
+    metadata: { name: schedule.name }
+  });
+}
+
+/**
+ * GET /api/schedules
+ * Get schedules, earliest first (requires schedule.view)
+ *
+ * Only users with schedule.edit see drafts.
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [
+    query('status').optional().isIn(Object.values(ScheduleStatus)),
+    query('location').optional().trim(),
+    query('from').optional().custom(isDate).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().custom(isDate).withMessage('to must be YYYY-MM-DD')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const status = canSeeDrafts(req.currentUser) ? req.query.status : ScheduleStatus.PUBLISHED;
+      res.json(getAllSchedules({
+        status,
+        location: req.query.location,
+        from: req.query.from,
+        to: req.query.to
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/schedules/:id
+ * Get a schedule with its shifts (requires schedule.view)
+ */
+router.get('/:id', authenticate, requirePermission(Permission.SCHEDULE_VIEW), (req, res) => {
+  try {
+    const schedule = findScheduleById(req.params.id);
+    if (!schedule || (schedule.status === ScheduleStatus.DRAFT && !canSeeDrafts(req.currentUser))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ ...schedule, shifts: getShifts({ scheduleId: schedule.id }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a draft schedule (requires schedule.edit)
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  scheduleValidators(true),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const schedule = createSchedule(req.body, req.currentUser.id);
+      auditSchedule(req, AuditAction.SCHEDULE_CREATE, null, schedule);
+      res.status(201).json(schedule);
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/schedules/generate
+ * Generate a draft schedule from the coverage requirements (requires schedule.edit)
+ *
+ * The response includes the new schedule with its shifts and a report of
+ * the places that could not be filled and why.
+ */
+router.post('/generate',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('startDate').custom(isDate).withMessage('Start date must be YYYY-MM-DD'),
+    body('endDate').custom(isDate).withMessage('End date must be YYYY-MM-DD'),
+    body('location').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+    body('openShifts').optional().isBoolean().toBoolean()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { schedule, report } = generateSchedule(req.body, req.currentUser.id);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: schedule.id,
+        action: AuditAction.SCHEDULE_CREATE,
+        changes: diffFields(null, schedule, [...SCHEDULE_FIELDS, 'status']),
+        ip: req.ip,
+        metadata: {
+          name: schedule.name,
+          generated: true,
+          filled: report.filled,
+          unfilled: report.needed - report.filled
+        }
+      });
+      res.status(201).json({ schedule: { ...schedule, shifts: getShifts({ scheduleId: schedule.id }) }, report });
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+/**
+ * Validators shared by the routes that fill a schedule in bulk
+ * @returns {Array} express-validator chains
+ */
+function fillValidators() {
+  return [
+    body('from').optional().custom(isDate).withMessage('From must be YYYY-MM-DD'),
+    body('to').optional().custom(isDate).withMessage('To must be YYYY-MM-DD'),
+    body('dryRun').optional().isBoolean().toBoolean(),
+    body('includeHolidays').optional().isBoolean().toBoolean()
+  ];
+}
+
+/**
+ * Respond to a bulk fill, recording it in the audit log unless it was a dry run
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} result - From applyTemplate() or copyWeek()
+ * @param {Object} source - What was copied, for the audit metadata
+ */
+function sendFillResult(req, res, result, source) {
+  const { schedule, ...report } = result;
+  if (!result.dryRun) {
+    recordAuditEvent({
+      actorId: req.currentUser.id,
+      targetId: schedule.id,
+      action: AuditAction.SCHEDULE_FILL,
+      ip: req.ip,
+      metadata: {
+        ...source,
+        from: result.from,
+        to: result.to,
+        added: result.added.length,
+        refused: result.refused.length,
+        holidays: result.holidays.length
+      }
+    });
+  }
+  res.status(result.dryRun ? 200 : 201).json({ scheduleId: schedule.id, ...report });
+}
+
+/**
+ * POST /api/schedules/:id/apply-template
+ * Add a shift template's shifts to every matching day (requires schedule.edit)
+ *
+ * Shifts that clash with leave, someone's other shifts or their leaving
+ * date are refused and listed rather than added, and shifts on a holiday
+ * are held back unless includeHolidays is set. With dryRun nothing is
+ * saved, so the report can be previewed first.
+ */
+router.post('/:id/apply-template',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  [
+    body('templateId').isString().isLength({ min: 1 }),
+    ...fillValidators()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = applyTemplate(req.params.id, req.body, req.currentUser.id);
+      sendFillResult(req, res, result, { templateId: result.template.id, template: result.template.name });
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/schedules/:id/copy-week
+ * Copy a week's shifts into the later weeks of a schedule (requires schedule.edit)
+ *
+ * sourceWeek defaults to the week before `from` ("copy last week").
+ * Copies are checked as for apply-template.
+ */
+router.post('/:id/copy-week',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  [
+    body('sourceWeek').optional().custom(isDate).withMessage('Source week must be YYYY-MM-DD'),
+    body('sourceScheduleId').optional().isString(),
+    ...fillValidators()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = copyWeek(req.params.id, req.body, req.currentUser.id);
+      sendFillResult(req, res, result, {
+        sourceWeek: result.sourceWeek,
+        sourceScheduleId: req.body.sourceScheduleId || null
+      });
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/schedules/:id
+ * Update a schedule's name, location, dates or notes (requires schedule.edit)
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  scheduleValidators(false),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = findScheduleById(req.params.id);
+      const schedule = updateSchedule(req.params.id, req.body);
+      auditSchedule(req, AuditAction.SCHEDULE_UPDATE, before, schedule);
+      res.json(schedule);
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/schedules/:id/publish
+ * Publish a draft schedule so staff can see it (requires schedule.publish)
+ */
+router.post('/:id/publish',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_PUBLISH, 'Publishing schedules is restricted to managers'),
+  (req, res) => {
+    try {
+      const before = findScheduleById(req.params.id);
+      const schedule = publishSchedule(req.params.id, req.currentUser.id);
+      auditSchedule(req, AuditAction.SCHEDULE_PUBLISH, before, schedule);
+      res.json(schedule);
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/schedules/:id/unpublish
+ * Return a published schedule to draft (requires schedule.publish)
+ *
+ * Shift trades still open in the schedule are cancelled.
+ */
+router.post('/:id/unpublish',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_PUBLISH, 'Publishing schedules is restricted to managers'),
+  (req, res) => {
+    try {
+      const before = findScheduleById(req.params.id);
+      const schedule = unpublishSchedule(req.params.id);
+      for (const shift of getShifts({ scheduleId: schedule.id })) {
+        cancelTradesForShift(shift.id, req.currentUser.id, 'Schedule was unpublished');
+      }
+      auditSchedule(req, AuditAction.SCHEDULE_UNPUBLISH, before, schedule);
+      res.json(schedule);
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a draft schedule and its shifts (requires schedule.edit)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  (req, res) => {
+    try {
+      const before = findScheduleById(req.params.id);
+      deleteSchedule(req.params.id);
+      auditSchedule(req, AuditAction.SCHEDULE_DELETE, before, null);
+      res.status(204).send();
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+module.exports = router;
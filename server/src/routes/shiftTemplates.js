@@ -0,0 +1,181 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  TEMPLATE_FIELDS,
+  MAX_TEMPLATE_SHIFTS,
+  createTemplate,
+  findTemplateById,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate
+} = require('../models/shiftTemplate');
+const { Permission } = require('../models/role');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { WEEKDAYS, parseTimeOfDay } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Validators for the template fields, shared by create and update
+ * @param {boolean} creating - Whether required fields must be present
+ * @returns {Array} express-validator chains
+ */
+function templateValidators(creating) {
+  const required = field => (creating ? body(field) : body(field).optional());
+  const isTime = value => parseTimeOfDay(value) !== null;
+  return [
+    required('name').isString().trim().isLength({ min: 1, max: 100 }),
+    required('shifts').isArray({ min: 1, max: MAX_TEMPLATE_SHIFTS }),
+    body('shifts.*.day').isIn(WEEKDAYS),
+    body('shifts.*.startTime').custom(isTime).withMessage('Start time must be HH:mm'),
+    body('shifts.*.endTime').custom(isTime).withMessage('End time must be HH:mm'),
+    body('shifts.*.position').isString().trim().isLength({ min: 1, max: 100 }),
+    body('shifts.*.staffId').optional({ values: 'null' }).isString(),
+    body('shifts.*.location').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+    body('shifts.*.notes').optional({ values: 'null' }).isString().isLength({ max: 1000 }),
+    body('location').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+    body('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 })
+  ];
+}
+
+/**
+ * Send the response for a template change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendTemplateError(res, error) {
+  if (error.message === 'Shift template not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'A template with that name already exists') {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Record a template change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object|null} before - Template before the change
+ * @param {Object|null} after - Template after the change
+ */
+function auditTemplate(req, action, before, after) {
+  const template = after || before;
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: template.id,
+    action,
+    changes: diffFields(
+      before && { ...before, shifts: before.shifts.length },
+      after && { ...after, shifts: after.shifts.length },
+      TEMPLATE_FIELDS
+    ),
+    ip: req.ip
+  });
+}
+
+/**
+ * GET /api/shift-templates
+ * Get shift templates (requires schedule.view)
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [query('location').optional().trim()],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(getTemplates({ location: req.query.location }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/shift-templates/:id
+ * Get a shift template (requires schedule.view)
+ */
+router.get('/:id', authenticate, requirePermission(Permission.SCHEDULE_VIEW), (req, res) => {
+  const template = findTemplateById(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Shift template not found' });
+  }
+  res.json(template);
+});
+
+/**
+ * POST /api/shift-templates
+ * Add a shift template (requires schedule.edit)
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  templateValidators(true),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const template = createTemplate(req.body, req.currentUser.id);
+      auditTemplate(req, AuditAction.SHIFT_TEMPLATE_CREATE, null, template);
+      res.status(201).json(template);
+    } catch (error) {
+      sendTemplateError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/shift-templates/:id
+ * Update a shift template; shifts, if given, replaces the whole week (requires schedule.edit)
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  templateValidators(false),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = findTemplateById(req.params.id);
+      const template = updateTemplate(req.params.id, req.body);
+      auditTemplate(req, AuditAction.SHIFT_TEMPLATE_UPDATE, before, template);
+      res.json(template);
+    } catch (error) {
+      sendTemplateError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/shift-templates/:id
+ * Delete a shift template (requires schedule.edit)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  (req, res) => {
+    try {
+      const before = findTemplateById(req.params.id);
+      deleteTemplate(req.params.id);
+      auditTemplate(req, AuditAction.SHIFT_TEMPLATE_DELETE, before, null);
+      res.status(204).send();
+    } catch (error) {
+      sendTemplateError(res, error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  ShiftTradeType,
+  ShiftTradeStatus,
+  createTrade,
+  findTradeById,
+  getTrades,
+  claimTrade,
+  approveTrade,
+  denyTrade,
+  cancelTrade
+} = require('../models/shiftTrade');
+const { findStaffByUserId } = require('../models/staff');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Check whether the current user can see every trade and decide claims
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {boolean} True if they manage the schedule
+ */
+function canManageTrades(currentUser) {
+  return hasPermission(currentUser.role, Permission.SCHEDULE_EDIT);
+}
+
+/**
+ * Check whether a trade is visible to a user
+ *
+ * Everyone can browse open offers; otherwise staff only see trades they
+ * offered or claimed.
+ * @param {Object} trade - Trade
+ * @param {Object|null} own - Staff member linked to the current user
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {boolean} True if visible
+ */
+function canSeeTrade(trade, own, currentUser) {
+  return canManageTrades(currentUser) ||
+    trade.status === ShiftTradeStatus.OPEN ||
+    Boolean(own && (trade.offeredBy === own.id || trade.claimedBy === own.id));
+}
+
+/**
+ * Send the response for a trade change that failed
+ *
+ * Claims and approvals that would double-book someone or take them over
+ * their weekly hours are 409s listing every clash.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendTradeError(res, error) {
+  if (error.message === 'Shift trade not found' || error.message === 'Shift not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.conflicts) {
+    return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+  }
+  if (error.message === 'You can only offer your own shifts' ||
+      error.message === 'You can only swap one of your own shifts' ||
+      error.message === 'You cannot claim your own shift') {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.message === 'This shift is already up for trade' ||
+      error.message === 'This trade is not open for claims' ||
+      error.message === 'This trade is not waiting for approval' ||
+      error.message === 'Only open or claimed trades can be cancelled' ||
+      error.message.startsWith('One of these shifts has changed')) {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Record a trade change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object} trade - Trade after the change
+ * @param {string|null} from - Status before the change
+ */
+function auditTrade(req, action, trade, from) {
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: trade.id,
+    action,
+    changes: { status: { from, to: trade.status } },
+    ip: req.ip,
+    metadata: {
+      type: trade.type,
+      shiftId: trade.shiftId,
+      claimShiftId: trade.claimShiftId,
+      offeredBy: trade.offeredBy,
+      claimedBy: trade.claimedBy
+    }
+  });
+}
+
+/**
+ * Find the staff member linked to the current user, or answer 400
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Staff member, or null once a response has been sent
+ */
+function requireOwnStaff(req, res) {
+  const own = findStaffByUserId(req.currentUser.id);
+  if (!own) {
+    res.status(400).json({ error: 'Your account is not linked to a staff member' });
+  }
+  return own;
+}
+
+/**
+ * GET /api/shift-trades
+ * Get shift trades, newest first (requires schedule.view)
+ *
+ * Users with schedule.edit see every trade; others see open offers and
+ * the trades they offered or claimed. `mine=true` keeps only your own.
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [
+    query('status').optional().isIn(Object.values(ShiftTradeStatus)),
+    query('type').optional().isIn(Object.values(ShiftTradeType)),
+    query('shiftId').optional().isString(),
+    query('staffId').optional().isString(),
+    query('mine').optional().isBoolean().toBoolean()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const own = findStaffByUserId(req.currentUser.id);
+      if (req.query.mine && !own) {
+        return res.json([]);
+      }
+
+      const trades = getTrades({
+        status: req.query.status,
+        type: req.query.type,
+        shiftId: req.query.shiftId,
+        staffId: req.query.mine ? own.id : req.query.staffId
+      });
+      res.json(trades.filter(trade => canSeeTrade(trade, own, req.currentUser)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/shift-trades/:id
+ * Get a shift trade with its history (requires schedule.view)
+ */
+router.get('/:id', authenticate, requirePermission(Permission.SCHEDULE_VIEW), (req, res) => {
+  try {
+    const trade = findTradeById(req.params.id);
+    if (!trade || !canSeeTrade(trade, findStaffByUserId(req.currentUser.id), req.currentUser)) {
+      return res.status(404).json({ error: 'Shift trade not found' });
+    }
+    res.json(trade);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/shift-trades
+ * Offer one of your shifts for a drop or swap, or ask to pick up an open
+ * shift (requires schedule.view)
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [
+    body('shiftId').isString().notEmpty(),
+    body('type').isIn(Object.values(ShiftTradeType)),
+    body('note').optional({ values: 'null' }).isString().isLength({ max: 500 })
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const own = requireOwnStaff(req, res);
+    if (!own) {
+      return;
+    }
+
+    try {
+      const trade = createTrade(req.body, own.id, req.currentUser.id);
+      const action = trade.type === ShiftTradeType.PICKUP ? AuditAction.SHIFT_TRADE_CLAIM : AuditAction.SHIFT_TRADE_OFFER;
+      auditTrade(req, action, trade, null);
+      res.status(201).json(trade);
+    } catch (error) {
+      sendTradeError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/shift-trades/:id/claim
+ * Claim an open drop, or a swap in return for one of your shifts (requires schedule.view)
+ */
+router.post('/:id/claim',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [
+    body('shiftId').optional().isString(),
+    body('note').optional({ values: 'null' }).isString().isLength({ max: 500 })
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const own = requireOwnStaff(req, res);
+    if (!own) {
+      return;
+    }
+
+    try {
+      const trade = claimTrade(req.params.id, req.body, own.id, req.currentUser.id);
+      auditTrade(req, AuditAction.SHIFT_TRADE_CLAIM, trade, ShiftTradeStatus.OPEN);
+      res.json(trade);
+    } catch (error) {
+      sendTradeError(res, error);
+    }
+  }
+);
+
+/**
+ * Create a handler that approves or denies a claimed trade
+ * @param {Function} review - approveTrade or denyTrade
+ * @param {string} action - AuditAction value
+ * @returns {Function} Express handler
+ */
+function reviewHandler(review, action) {
+  return (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const trade = review(req.params.id, req.currentUser.id, req.body.note);
+      auditTrade(req, action, trade, ShiftTradeStatus.CLAIMED);
+      res.json(trade);
+    } catch (error) {
+      sendTradeError(res, error);
+    }
+  };
+}
+
+/**
+ * POST /api/shift-trades/:id/approve
+ * Approve a claimed trade and reassign the shifts (requires schedule.edit)
+ *
+ * Double-booking, rest and weekly-hour limits are checked again first.
+ */
+router.post('/:id/approve',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT, 'Approving shift trades is restricted to managers'),
+  [body('note').optional({ values: 'null' }).isString().isLength({ max: 500 })],
+  reviewHandler(approveTrade, AuditAction.SHIFT_TRADE_APPROVE)
+);
+
+/**
+ * POST /api/shift-trades/:id/deny
+ * Deny a claimed trade (requires schedule.edit)
+ */
+router.post('/:id/deny',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT, 'Approving shift trades is restricted to managers'),
+  [body('note').optional({ values: 'null' }).isString().isLength({ max: 500 })],
+  reviewHandler(denyTrade, AuditAction.SHIFT_TRADE_DENY)
+);
+
+/**
+ * POST /api/shift-trades/:id/cancel
+ * Withdraw an open or claimed trade (whoever offered or claimed it, or requires schedule.edit)
+ */
+router.post('/:id/cancel',
+  authenticate,
+  [body('note').optional({ values: 'null' }).isString().isLength({ max: 500 })],
+  (req, res) => {
+    try {
+      const existing = findTradeById(req.params.id);
+      const own = findStaffByUserId(req.currentUser.id);
+      const involved = existing && own && (existing.offeredBy === own.id || existing.claimedBy === own.id);
+      if (existing && !involved && !canManageTrades(req.currentUser)) {
+        return res.status(403).json({ error: 'You can only cancel your own trades' });
+      }
+
+      const from = existing ? existing.status : null;
+      const trade = cancelTrade(req.params.id, req.currentUser.id, req.body.note);
+      auditTrade(req, AuditAction.SHIFT_TRADE_CANCEL, trade, from);
+      res.json(trade);
+    } catch (error) {
+      sendTradeError(res, error);
+    }
+  }
+);
+
+module.exports = router;
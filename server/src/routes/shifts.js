@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  ScheduleStatus,
+  SHIFT_FIELDS,
+  findScheduleById,
+  createShift,
+  findShiftById,
+  getShifts,
+  updateShift,
+  deleteShift
+} = require('../models/schedule');
+const { cancelTradesForShift } = require('../models/shiftTrade');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { isDate, isDateTime } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Validators for the shift fields, shared by create and update
+ * @param {boolean} creating - Whether required fields must be present
+ * @returns {Array} express-validator chains
+ */
+function shiftValidators(creating) {
+  const required = field => (creating ? body(field) : body(field).optional());
+  return [
+    ...(creating ? [body('scheduleId').isString().notEmpty()] : []),
+    body('staffId').optional({ values: 'null' }).isString(),
+    body('location').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+    body('position').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+    required('startsAt').custom(isDateTime).withMessage('Start must be YYYY-MM-DDTHH:mm'),
+    required('endsAt').custom(isDateTime).withMessage('End must be YYYY-MM-DDTHH:mm'),
+    body('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 })
+  ];
+}
+
+/**
+ * Send the response for a shift change that failed
+ *
+ * Double-booking and rest violations are 409s listing every clash.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendShiftError(res, error) {
+  if (error.message === 'Shift not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.conflicts) {
+    return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Record a shift change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object|null} before - Shift before the change
+ * @param {Object|null} after - Shift after the change
+ */
+function auditShift(req, action, before, after) {
+  const shift = after || before;
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: shift.id,
+    action,
+    changes: diffFields(before, after, SHIFT_FIELDS),
+    ip: req.ip,
+    metadata: { scheduleId: shift.scheduleId }
+  });
+}
+
+/**
+ * GET /api/shifts
+ * Get shifts in start order (requires schedule.view)
+ *
+ * `open=true` lists only shifts with nobody assigned. Only users with schedule.edit see shifts in draft schedules.
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_VIEW),
+  [
+    query('scheduleId').optional().isString(),
+    query('staffId').optional().isString(),
+    query('open').optional().isBoolean().toBoolean(),
+    query('location').optional().trim(),
+    query('from').optional().custom(isDate).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().custom(isDate).withMessage('to must be YYYY-MM-DD')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(getShifts({
+        scheduleId: req.query.scheduleId,
+        staffId: req.query.staffId,
+        open: req.query.open,
+        location: req.query.location,
+        from: req.query.from,
+        to: req.query.to,
+        publishedOnly: !hasPermission(req.currentUser.role, Permission.SCHEDULE_EDIT)
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/shifts/:id
+ * Get a shift (requires schedule.view)
+ */
+router.get('/:id', authenticate, requirePermission(Permission.SCHEDULE_VIEW), (req, res) => {
+  try {
+    const shift = findShiftById(req.params.id);
+    const schedule = shift ? findScheduleById(shift.scheduleId) : null;
+    if (!shift || (schedule.status === ScheduleStatus.DRAFT &&
+        !hasPermission(req.currentUser.role, Permission.SCHEDULE_EDIT))) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    res.json(shift);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/shifts
+ * Add a shift to a schedule (requires schedule.edit)
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  shiftValidators(true),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const shift = createShift(req.body, req.currentUser.id);
+      auditShift(req, AuditAction.SHIFT_CREATE, null, shift);
+      res.status(201).json(shift);
+    } catch (error) {
+      sendShiftError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/shifts/:id
+ * Move, reassign or change a shift (requires schedule.edit)
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  shiftValidators(false),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = findShiftById(req.params.id);
+      const shift = updateShift(req.params.id, req.body);
+      auditShift(req, AuditAction.SHIFT_UPDATE, before, shift);
+      res.json(shift);
+    } catch (error) {
+      sendShiftError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/shifts/:id
+ * Delete a shift (requires schedule.edit)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission(Permission.SCHEDULE_EDIT),
+  (req, res) => {
+    try {
+      const before = findShiftById(req.params.id);
+      deleteShift(req.params.id);
+      cancelTradesForShift(req.params.id, req.currentUser.id, 'Shift was deleted');
+      auditShift(req, AuditAction.SHIFT_DELETE, before, null);
+      res.status(204).send();
+    } catch (error) {
+      sendShiftError(res, error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  EmploymentType,
+  STAFF_FIELDS,
+  createStaff,
+  findStaffById,
+  getAllStaff,
+  getStaffStats,
+  updateStaff,
+  deleteStaff
+} = require('../models/staff');
+const { getShifts } = require('../models/schedule');
+const { removeStaffAvailability } = require('../models/availability');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { isDate } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Hide pay from users who don't manage staff or see reports
+ * @param {Object} member - Staff member
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Object} Staff member as this user may see it
+ */
+function visibleStaff(member, currentUser) {
+  if (hasPermission(currentUser.role, Permission.STAFF_EDIT) ||
+      hasPermission(currentUser.role, Permission.REPORTS_VIEW)) {
+    return member;
+  }
+  const { hourlyRate: _hourlyRate, ...rest } = member;
+  return rest;
+}
+
+/**
+ * Validators for the staff fields, shared by create and update
+ * @param {boolean} creating - Whether required fields must be present
+ * @returns {Array} express-validator chains
+ */
+function staffValidators(creating) {
+  const required = field => (creating ? body(field) : body(field).optional());
+  return [
+    required('name').isString().trim().isLength({ min: 1, max: 100 }),
+    required('position').isString().trim().isLength({ min: 1, max: 100 }),
+    body('email').optional({ values: 'falsy' }).isEmail(),
+    body('phone').optional({ values: 'null' }).isString().isLength({ max: 50 }),
+    body('hourlyRate').optional().isFloat({ min: 0 }).toFloat(),
+    body('maxWeeklyHours').optional({ values: 'null' }).isFloat({ min: 0, max: 168 }).toFloat(),
+    body('employmentType').optional().isIn(Object.values(EmploymentType)),
+    body('startDate').optional().custom(isDate).withMessage('Start date must be YYYY-MM-DD'),
+    body('endDate').optional({ values: 'null' }).custom(isDate).withMessage('End date must be YYYY-MM-DD'),
+    body('userId').optional({ values: 'null' }).isString(),
+    body('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 })
+  ];
+}
+
+/**
+ * Send the response for a staff change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendStaffError(res, error) {
+  if (error.message === 'Staff member not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * GET /api/staff
+ * Get the staff roster with optional search and filters (requires staff.view)
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.STAFF_VIEW),
+  [
+    query('search').optional().trim(),
+    query('position').optional().trim(),
+    query('employmentType').optional().isIn(Object.values(EmploymentType)),
+    query('active').optional().isBoolean().toBoolean()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const members = getAllStaff({
+        search: req.query.search,
+        position: req.query.position,
+        employmentType: req.query.employmentType,
+        active: req.query.active
+      });
+      res.json(members.map(member => visibleStaff(member, req.currentUser)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/staff/stats
+ * Get staff statistics (requires staff.view)
+ */
+router.get('/stats', authenticate, requirePermission(Permission.STAFF_VIEW), (_req, res) => {
+  try {
+    res.json(getStaffStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/staff/:id
+ * Get a staff member (requires staff.view)
+ */
+router.get('/:id', authenticate, requirePermission(Permission.STAFF_VIEW), (req, res) => {
+  try {
+    const member = findStaffById(req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    res.json(visibleStaff(member, req.currentUser));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/staff
+ * Add a staff member (requires staff.edit)
+ */
+router.post('/',
+  authenticate,
+  requirePermission(Permission.STAFF_EDIT),
+  staffValidators(true),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const member = createStaff(req.body);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: member.id,
+        action: AuditAction.STAFF_CREATE,
+        changes: diffFields(null, member, STAFF_FIELDS),
+        ip: req.ip
+      });
+      res.status(201).json(member);
+    } catch (error) {
+      sendStaffError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/staff/:id
+ * Update a staff member (requires staff.edit)
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission(Permission.STAFF_EDIT),
+  staffValidators(false),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = findStaffById(req.params.id);
+      const member = updateStaff(req.params.id, req.body);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: member.id,
+        action: AuditAction.STAFF_UPDATE,
+        changes: diffFields(before, member, STAFF_FIELDS),
+        ip: req.ip
+      });
+      res.json(member);
+    } catch (error) {
+      sendStaffError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/staff/:id
+ * Remove a staff member who has no shifts (requires staff.edit)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission(Permission.STAFF_EDIT),
+  (req, res) => {
+    try {
+      const before = findStaffById(req.params.id);
+      if (before && getShifts({ staffId: before.id }).length > 0) {
+        return res.status(409).json({
+          error: 'This staff member has shifts; set an end date instead of removing them'
+        });
+      }
+      deleteStaff(req.params.id);
+      removeStaffAvailability(req.params.id);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.params.id,
+        action: AuditAction.STAFF_DELETE,
+        changes: diffFields(before, null, STAFF_FIELDS),
+        ip: req.ip,
+        metadata: { name: before.name }
+      });
+      res.status(204).send();
+    } catch (error) {
+      sendStaffError(res, error);
+    }
+  }
+);
+
+module.exports = router;
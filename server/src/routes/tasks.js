@@ -0,0 +1,59 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { TaskStatus, TaskPriority, findProjectById, getTasks } = require('../models/project');
+const { Permission } = require('../models/role');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/tasks
+ * Get tasks across all active projects, soonest due first (requires projects.view)
+ *
+ * Takes the same filters as GET /api/projects/:id/tasks plus projectId, so
+ * `?assigneeId=me` gives the current user's own tasks. Each task carries the
+ * name of its project.
+ */
+router.get('/',
+  authenticate,
+  requirePermission(Permission.PROJECTS_VIEW),
+  [
+    query('projectId').optional().isString(),
+    query('assigneeId').optional().isString(),
+    query('status').optional().custom(value => String(value).split(',').every(status => Object.values(TaskStatus).includes(status)))
+      .withMessage(`Status must be one of: ${Object.values(TaskStatus).join(', ')}`),
+    query('priority').optional().isIn(Object.values(TaskPriority)),
+    query('label').optional().trim(),
+    query('overdue').optional().isBoolean().toBoolean()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tasks = getTasks({
+        projectId: req.query.projectId,
+        assigneeId: req.query.assigneeId === 'me' ? req.currentUser.id : req.query.assigneeId,
+        statuses: req.query.status ? req.query.status.split(',') : undefined,
+        priority: req.query.priority,
+        label: req.query.label,
+        overdue: req.query.overdue,
+        activeOnly: true
+      });
+
+      const names = new Map();
+      res.json(tasks.map(task => {
+        if (!names.has(task.projectId)) {
+          names.set(task.projectId, findProjectById(task.projectId).name);
+        }
+        return { ...task, projectName: names.get(task.projectId) };
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
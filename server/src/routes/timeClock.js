@@ -0,0 +1,266 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  getOpenEntry,
+  findEntryById,
+  getEntries,
+  addEntry,
+  correctEntry
+} = require('../models/timeClock');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { isDate, isDateTime } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Check whether the current user can see everyone's time entries
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {boolean} True if they approve or export timesheets
+ */
+function canSeeAllEntries(currentUser) {
+  return hasPermission(currentUser.role, Permission.TIMESHEETS_APPROVE) ||
+    hasPermission(currentUser.role, Permission.TIMESHEETS_EXPORT);
+}
+
+/**
+ * Send the response for a time clock change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendTimeClockError(res, error) {
+  if (error.message === 'Time entry not found' || error.message === 'User not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'You are already clocked in' ||
+      error.message === 'You are not clocked in' ||
+      error.message === 'You have been clocked in for over 24 hours; ask a manager to correct this time entry' ||
+      error.message === 'You are already on a break' ||
+      error.message === 'You are not on a break' ||
+      error.message === 'This overlaps another time entry' ||
+      error.message === 'This week\'s timesheet has already been approved') {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Describe an entry's punches for the audit log
+ * @param {Object} entry - Time entry
+ * @returns {Object} Flat fields for diffing
+ */
+function auditPunches(entry) {
+  return {
+    clockInAt: entry.clockInAt,
+    clockOutAt: entry.clockOutAt,
+    breaks: entry.breaks.map(item => `${item.startAt}-${item.endAt || ''}`).join(', ')
+  };
+}
+
+/**
+ * Create a handler for one of the signed-in user's own punches
+ * @param {Function} punch - clockIn, clockOut, startBreak or endBreak
+ * @param {number} status - Status code on success
+ * @returns {Function} Express handler
+ */
+function punchHandler(punch, status = 200) {
+  return (req, res) => {
+    try {
+      res.status(status).json(punch(req.currentUser.id));
+    } catch (error) {
+      sendTimeClockError(res, error);
+    }
+  };
+}
+
+/**
+ * Validators for the punches in a manual entry or correction
+ */
+const punchValidators = [
+  body('clockInAt').optional().custom(isDateTime).withMessage('clockInAt must be YYYY-MM-DDTHH:mm'),
+  body('clockOutAt').optional().custom(isDateTime).withMessage('clockOutAt must be YYYY-MM-DDTHH:mm'),
+  body('breaks').optional().isArray({ max: 10 }),
+  body('reason').isString().trim().isLength({ min: 1, max: 500 })
+];
+
+/**
+ * GET /api/time-clock/status
+ * Get whether you are clocked in or on a break, and the current entry
+ */
+router.get('/status', authenticate, (req, res) => {
+  try {
+    const entry = getOpenEntry(req.currentUser.id);
+    res.json({
+      clockedIn: Boolean(entry),
+      onBreak: Boolean(entry && entry.breaks.some(item => item.endAt === null)),
+      entry
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/time-clock/clock-in
+ * Clock in now
+ */
+router.post('/clock-in', authenticate, punchHandler(clockIn, 201));
+
+/**
+ * POST /api/time-clock/clock-out
+ * Clock out now, ending any break
+ */
+router.post('/clock-out', authenticate, punchHandler(clockOut));
+
+/**
+ * POST /api/time-clock/break/start
+ * Start a break now
+ */
+router.post('/break/start', authenticate, punchHandler(startBreak));
+
+/**
+ * POST /api/time-clock/break/end
+ * End your break now
+ */
+router.post('/break/end', authenticate, punchHandler(endBreak));
+
+/**
+ * GET /api/time-clock/entries
+ * Get time entries in clock-in order
+ *
+ * Users with timesheets.approve or timesheets.export see everyone's;
+ * others see only their own.
+ */
+router.get('/entries',
+  authenticate,
+  [
+    query('userId').optional().isString(),
+    query('from').optional().custom(isDate).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().custom(isDate).withMessage('to must be YYYY-MM-DD')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      let userId = req.query.userId;
+      if (!canSeeAllEntries(req.currentUser)) {
+        if (userId && userId !== req.currentUser.id) {
+          return res.json([]);
+        }
+        userId = req.currentUser.id;
+      }
+
+      res.json(getEntries({ userId, from: req.query.from, to: req.query.to }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/time-clock/entries/:id
+ * Get a time entry with its original punches and corrections
+ */
+router.get('/entries/:id', authenticate, (req, res) => {
+  try {
+    const entry = findEntryById(req.params.id);
+    if (!entry || (entry.userId !== req.currentUser.id && !canSeeAllEntries(req.currentUser))) {
+      return res.status(404).json({ error: 'Time entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/time-clock/entries
+ * Add an entry someone forgot to punch (requires timesheets.approve)
+ */
+router.post('/entries',
+  authenticate,
+  requirePermission(Permission.TIMESHEETS_APPROVE),
+  [
+    body('userId').isString().notEmpty(),
+    body('clockInAt').exists(),
+    body('clockOutAt').exists(),
+    ...punchValidators
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.body.userId === req.currentUser.id) {
+      return res.status(403).json({ error: 'You cannot add time entries for yourself' });
+    }
+
+    try {
+      const entry = addEntry(req.body, req.currentUser.id, req.body.reason);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: entry.id,
+        action: AuditAction.TIME_ENTRY_CREATE,
+        ip: req.ip,
+        metadata: { userId: entry.userId, reason: req.body.reason, ...auditPunches(entry) }
+      });
+      res.status(201).json(entry);
+    } catch (error) {
+      sendTimeClockError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/time-clock/entries/:id
+ * Correct the punches on an entry, keeping the originals (requires timesheets.approve)
+ */
+router.put('/entries/:id',
+  authenticate,
+  requirePermission(Permission.TIMESHEETS_APPROVE),
+  punchValidators,
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const existing = findEntryById(req.params.id);
+      if (existing && existing.userId === req.currentUser.id) {
+        return res.status(403).json({ error: 'You cannot correct your own time entries' });
+      }
+
+      const updates = {};
+      ['clockInAt', 'clockOutAt', 'breaks'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      });
+
+      const entry = correctEntry(req.params.id, updates, req.currentUser.id, req.body.reason);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: entry.id,
+        action: AuditAction.TIME_ENTRY_CORRECT,
+        changes: diffFields(auditPunches(existing), auditPunches(entry), ['clockInAt', 'clockOutAt', 'breaks']),
+        ip: req.ip,
+        metadata: { userId: entry.userId, reason: req.body.reason }
+      });
+      res.json(entry);
+    } catch (error) {
+      sendTimeClockError(res, error);
+    }
+  }
+);
+
+module.exports = router;
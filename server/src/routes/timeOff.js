@@ -0,0 +1,235 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  TimeOffStatus,
+  requestTimeOff,
+  findTimeOffById,
+  getTimeOffRequests,
+  getPendingTimeOff,
+  approveTimeOff,
+  denyTimeOff,
+  cancelTimeOff
+} = require('../models/availability');
+const { getShifts } = require('../models/schedule');
+const { findStaffByUserId } = require('../models/staff');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { isDate } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Check whether the current user can see and decide everyone's requests
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {boolean} True if they can approve time off
+ */
+function canApprove(currentUser) {
+  return hasPermission(currentUser.role, Permission.TIME_OFF_APPROVE);
+}
+
+/**
+ * Send the response for a time-off change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendTimeOffError(res, error) {
+  if (error.message === 'Time-off request not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Time-off request is not pending' ||
+      error.message === 'Only pending or approved requests can be cancelled' ||
+      error.message.startsWith('Time off has already been requested')) {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Record a time-off change in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object} request - Time-off request after the change
+ * @param {string|null} from - Status before the change
+ */
+function auditTimeOff(req, action, request, from) {
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: request.id,
+    action,
+    changes: { status: { from, to: request.status } },
+    ip: req.ip,
+    metadata: { staffId: request.staffId, startDate: request.startDate, endDate: request.endDate }
+  });
+}
+
+/**
+ * GET /api/time-off
+ * Get time-off requests, earliest first
+ *
+ * Users with timeoff.approve see everyone's; others see only their own.
+ */
+router.get('/',
+  authenticate,
+  [
+    query('staffId').optional().isString(),
+    query('status').optional().isIn(Object.values(TimeOffStatus)),
+    query('from').optional().custom(isDate).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().custom(isDate).withMessage('to must be YYYY-MM-DD')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      let staffId = req.query.staffId;
+      if (!canApprove(req.currentUser)) {
+        const own = findStaffByUserId(req.currentUser.id);
+        if (!own || (staffId && staffId !== own.id)) {
+          return res.json([]);
+        }
+        staffId = own.id;
+      }
+
+      res.json(getTimeOffRequests({
+        staffId,
+        status: req.query.status,
+        from: req.query.from,
+        to: req.query.to
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/time-off/pending
+ * Get requests waiting for a decision, oldest first (requires timeoff.approve)
+ */
+router.get('/pending',
+  authenticate,
+  requirePermission(Permission.TIME_OFF_APPROVE),
+  (_req, res) => {
+    try {
+      res.json(getPendingTimeOff());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/time-off
+ * Request time off for yourself, or for anyone with timeoff.approve
+ */
+router.post('/',
+  authenticate,
+  [
+    body('staffId').optional().isString(),
+    body('startDate').custom(isDate).withMessage('Start date must be YYYY-MM-DD'),
+    body('endDate').optional().custom(isDate).withMessage('End date must be YYYY-MM-DD'),
+    body('reason').optional().isString().isLength({ max: 500 })
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const own = findStaffByUserId(req.currentUser.id);
+    const staffId = req.body.staffId || (own && own.id);
+    if (!staffId) {
+      return res.status(400).json({ error: 'Your account is not linked to a staff member' });
+    }
+    if ((!own || own.id !== staffId) && !canApprove(req.currentUser)) {
+      return res.status(403).json({ error: 'You can only request time off for yourself' });
+    }
+
+    try {
+      const request = requestTimeOff({ ...req.body, staffId }, req.currentUser.id);
+      auditTimeOff(req, AuditAction.TIME_OFF_REQUEST, request, null);
+      res.status(201).json(request);
+    } catch (error) {
+      sendTimeOffError(res, error);
+    }
+  }
+);
+
+/**
+ * Create a handler that approves or denies a pending request
+ * @param {Function} review - approveTimeOff or denyTimeOff
+ * @param {string} action - AuditAction value
+ * @returns {Function} Express handler
+ */
+function reviewHandler(review, action) {
+  return (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const request = review(req.params.id, req.currentUser.id, req.body.note);
+      auditTimeOff(req, action, request, TimeOffStatus.PENDING);
+
+      // Shifts already planned during the leave need reassigning
+      const conflictingShifts = request.status === TimeOffStatus.APPROVED
+        ? getShifts({ staffId: request.staffId, from: request.startDate, to: request.endDate })
+        : [];
+      res.json({ ...request, conflictingShifts });
+    } catch (error) {
+      sendTimeOffError(res, error);
+    }
+  };
+}
+
+/**
+ * POST /api/time-off/:id/approve
+ * Approve a pending request (requires timeoff.approve)
+ *
+ * The response lists any shifts the staff member already has during the
+ * leave, so they can be reassigned.
+ */
+router.post('/:id/approve',
+  authenticate,
+  requirePermission(Permission.TIME_OFF_APPROVE, 'Approving time off is restricted to managers'),
+  [body('note').optional().isString().isLength({ max: 500 })],
+  reviewHandler(approveTimeOff, AuditAction.TIME_OFF_APPROVE)
+);
+
+/**
+ * POST /api/time-off/:id/deny
+ * Deny a pending request (requires timeoff.approve)
+ */
+router.post('/:id/deny',
+  authenticate,
+  requirePermission(Permission.TIME_OFF_APPROVE, 'Approving time off is restricted to managers'),
+  [body('note').optional().isString().isLength({ max: 500 })],
+  reviewHandler(denyTimeOff, AuditAction.TIME_OFF_DENY)
+);
+
+/**
+ * POST /api/time-off/:id/cancel
+ * Withdraw a pending or approved request (own, or requires timeoff.approve)
+ */
+router.post('/:id/cancel', authenticate, (req, res) => {
+  try {
+    const existing = findTimeOffById(req.params.id);
+    const own = findStaffByUserId(req.currentUser.id);
+    if (existing && (!own || own.id !== existing.staffId) && !canApprove(req.currentUser)) {
+      return res.status(403).json({ error: 'You can only cancel your own requests' });
+    }
+
+    const from = existing ? existing.status : null;
+    const request = cancelTimeOff(req.params.id);
+    auditTimeOff(req, AuditAction.TIME_OFF_CANCEL, request, from);
+    res.json(request);
+  } catch (error) {
+    sendTimeOffError(res, error);
+  }
+});
+
+module.exports = router;
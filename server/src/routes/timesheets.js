@@ -0,0 +1,219 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { TimesheetStatus, reopenTimesheet } = require('../models/timeClock');
+const { findUserById } = require('../models/user');
+const { Permission, hasPermission } = require('../models/role');
+const { AuditAction, recordAuditEvent } = require('../models/audit');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  EXPORT_COLUMNS,
+  buildTimesheet,
+  getWeekTimesheets,
+  approveWeek,
+  getPayrollRows
+} = require('../services/timesheets');
+const { toCsv } = require('../utils/csv');
+const { isDate, startOfWeek, today } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Check whether the current user can see everyone's timesheets
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {boolean} True if they approve or export timesheets
+ */
+function canSeeAllTimesheets(currentUser) {
+  return hasPermission(currentUser.role, Permission.TIMESHEETS_APPROVE) ||
+    hasPermission(currentUser.role, Permission.TIMESHEETS_EXPORT);
+}
+
+/**
+ * Send the response for a timesheet change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendTimesheetError(res, error) {
+  if (error.message === 'Timesheet is already approved' ||
+      error.message === 'Timesheet is not approved' ||
+      error.message === 'Cannot approve a timesheet while still clocked in') {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Record a timesheet decision in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - AuditAction value
+ * @param {Object} timesheet - Timesheet after the change
+ * @param {string} from - Status before the change
+ */
+function auditTimesheet(req, action, timesheet, from) {
+  recordAuditEvent({
+    actorId: req.currentUser.id,
+    targetId: timesheet.userId,
+    action,
+    changes: { status: { from, to: timesheet.status } },
+    ip: req.ip,
+    metadata: { weekStart: timesheet.weekStart, note: req.body.note || null, ...timesheet.totals }
+  });
+}
+
+/**
+ * Validators for routes addressing one person's week
+ */
+const weekValidators = [
+  param('week').custom(isDate).withMessage('week must be YYYY-MM-DD'),
+  body('note').optional({ values: 'null' }).isString().isLength({ max: 500 })
+];
+
+/**
+ * GET /api/timesheets
+ * Get the timesheets for a week (`week`, any date in it; default this week)
+ *
+ * Users with timesheets.approve or timesheets.export get everyone who
+ * worked that week; others get only their own.
+ */
+router.get('/',
+  authenticate,
+  [query('week').optional().custom(isDate).withMessage('week must be YYYY-MM-DD')],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const weekStart = startOfWeek(req.query.week || today());
+      if (canSeeAllTimesheets(req.currentUser)) {
+        return res.json(getWeekTimesheets(weekStart));
+      }
+      res.json([buildTimesheet(req.currentUser.id, weekStart)]);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/timesheets/export
+ * Download approved timesheets as CSV for payroll (requires timesheets.export).
+ * `from` and `to` limit the weeks by their start date.
+ */
+router.get('/export',
+  authenticate,
+  requirePermission(Permission.TIMESHEETS_EXPORT),
+  [
+    query('from').optional().custom(isDate).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().custom(isDate).withMessage('to must be YYYY-MM-DD')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const from = req.query.from ? startOfWeek(req.query.from) : undefined;
+      const to = req.query.to;
+      const rows = getPayrollRows({ from, to });
+
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        action: AuditAction.TIMESHEET_EXPORT,
+        ip: req.ip,
+        metadata: { count: rows.length, from: from || null, to: to || null }
+      });
+
+      res.attachment(`timesheets-${today()}.csv`);
+      res.type('text/csv').send(toCsv(rows, EXPORT_COLUMNS));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/timesheets/:userId/:week
+ * Get one person's timesheet for the week containing `week` (own, or
+ * requires timesheets.approve or timesheets.export)
+ */
+router.get('/:userId/:week',
+  authenticate,
+  [param('week').custom(isDate).withMessage('week must be YYYY-MM-DD')],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const own = req.params.userId === req.currentUser.id;
+      if ((!own && !canSeeAllTimesheets(req.currentUser)) || !findUserById(req.params.userId)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json(buildTimesheet(req.params.userId, startOfWeek(req.params.week)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/timesheets/:userId/:week/approve
+ * Approve someone's week, locking its time entries (requires timesheets.approve)
+ */
+router.post('/:userId/:week/approve',
+  authenticate,
+  requirePermission(Permission.TIMESHEETS_APPROVE),
+  weekValidators,
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.userId === req.currentUser.id) {
+      return res.status(403).json({ error: 'You cannot approve your own timesheet' });
+    }
+    if (!findUserById(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    try {
+      const timesheet = approveWeek(req.params.userId, startOfWeek(req.params.week), req.currentUser.id, req.body.note);
+      auditTimesheet(req, AuditAction.TIMESHEET_APPROVE, timesheet, TimesheetStatus.OPEN);
+      res.json(timesheet);
+    } catch (error) {
+      sendTimesheetError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/timesheets/:userId/:week/reopen
+ * Reopen an approved week so its entries can be corrected (requires timesheets.approve)
+ */
+router.post('/:userId/:week/reopen',
+  authenticate,
+  requirePermission(Permission.TIMESHEETS_APPROVE),
+  weekValidators,
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const weekStart = startOfWeek(req.params.week);
+      reopenTimesheet(req.params.userId, weekStart, req.currentUser.id, req.body.note);
+      const timesheet = buildTimesheet(req.params.userId, weekStart);
+      auditTimesheet(req, AuditAction.TIMESHEET_REOPEN, timesheet, TimesheetStatus.APPROVED);
+      res.json(timesheet);
+    } catch (error) {
+      sendTimesheetError(res, error);
+    }
+  }
+);
+
+module.exports = router;
@@ -2,53 +2,77 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const {
   UserRole,
+  UserStatus,
+  ALLOWED_UPDATES,
+  SELF_UPDATES,
+  SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  CERTIFICATION_FIELDS,
   createUser,
   getAllUsers,
+  queryUsers,
   getUserStats,
+  getPendingApprovals,
+  approveUser,
+  rejectUser,
+  getLoginSecurity,
+  unlockUser,
   findUserById,
   updateUser,
   deleteUser,
-  verifyPassword
+  findUserByEmail,
+  markEmailVerified,
+  setPassword,
+  updateOwnProfile,
+  changePassword,
+  sanitizeUser,
+  verifyPassword,
+  addCertification,
+  updateCertification,
+  removeCertification
 } = require('../models/user');
+const { revokeSession, revokeUserSessions } = require('../models/session');
+const { unlinkUser } = require('../models/staff');
+const { revokeUserFeeds } = require('../models/calendarFeed');
+const { removeUserFromProjects } = require('../models/project');
+const { removeNotificationsForUser } = require('../models/notification');
+const { TokenPurpose, consumeUserToken } = require('../models/userToken');
+const { AuditAction, diffFields, recordAuditEvent } = require('../models/audit');
+const { issueTokens, refreshTokens } = require('../services/tokens');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInviteEmail,
+  sendAccountApprovedEmail
+} = require('../services/accountEmails');
+const { EXPORT_COLUMNS, parseImportData, importUsers } = require('../services/userImport');
+const { toCsv } = require('../utils/csv');
+const { isDate } = require('../utils/time');
+const config = require('../config');
+const { Permission, hasPermission, roleExists, getRolePermissions } = require('../models/role');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-/**
- * Middleware to simulate authentication
- * 
- * SECURITY NOTE: This is a demonstration implementation only.
- * In production, this must be replaced with proper JWT token verification
- * that validates and decodes signed tokens from a trusted authentication provider.
- * Never trust user-supplied headers for authentication in production.
- */
-function authenticate(req, _res, next) {
-  // Get user from header (simulated - in production use JWT)
-  const userId = req.headers['x-user-id'];
-  const userRole = req.headers['x-user-role'] || UserRole.USER;
-  
-  if (userId) {
-    req.currentUser = { id: userId, role: userRole };
-  } else {
-    req.currentUser = null;
-  }
-  next();
-}
+const USER_EDIT_RESTRICTED = 'User editing is restricted to administrators only. Contact an admin if you need changes made to user accounts.';
 
 /**
- * Middleware to require admin access
+ * Send an account email without failing the request if delivery fails
+ * @param {Function} send - Function returning the send promise
  */
-function requireAdmin(req, res, next) {
-  if (!req.currentUser || req.currentUser.role !== UserRole.ADMIN) {
-    return res.status(403).json({
-      error: 'User editing is restricted to administrators only. Contact an admin if you need changes made to user accounts.'
-    });
+async function sendAccountEmail(send) {
+  try {
+    await send();
+  } catch (error) {
+    console.error('Failed to send account email:', error);
   }
-  next();
 }
 
 /**
  * POST /api/users/signup
- * Users sign up via the login page
+ * Users sign up via the login page. The account stays pending until the
+ * emailed verification link is used and, when SIGNUP_REQUIRES_APPROVAL is
+ * set, until an administrator approves it.
  */
 router.post('/signup',
   [
@@ -67,8 +91,11 @@ router.post('/signup',
         email: req.body.email,
         password: req.body.password,
         name: req.body.name,
-        role: UserRole.USER // New signups are always regular users
+        role: UserRole.USER, // New signups are always regular users
+        status: UserStatus.PENDING,
+        requiresApproval: config.signup.requireApproval
       });
+      await sendAccountEmail(() => sendVerificationEmail(user));
       res.status(201).json(user);
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -91,36 +118,295 @@ router.post('/login',
       return res.status(400).json({ errors: errors.array() });
     }
 
+    let user;
+    try {
+      user = await verifyPassword(req.body.email, req.body.password);
+    } catch (error) {
+      if (!error.code) {
+        return res.status(500).json({ error: error.message });
+      }
+      // Throttled or locked, or the right password for an account that
+      // can't be used yet (or any more)
+      recordAuditEvent({
+        targetId: findUserByEmail(req.body.email).id,
+        action: AuditAction.LOGIN_FAILED,
+        ip: req.ip,
+        metadata: { email: req.body.email, reason: error.code }
+      });
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ error: error.message, code: error.code, retryAfter: error.retryAfter });
+      }
+      return res.status(403).json({ error: error.message, code: error.code });
+    }
+
     try {
-      const user = await verifyPassword(req.body.email, req.body.password);
       if (!user) {
+        const existingUser = findUserByEmail(req.body.email);
+        const metadata = { email: req.body.email };
+        if (existingUser && getLoginSecurity(existingUser).locked) {
+          metadata.locked = true;
+        }
+        recordAuditEvent({
+          targetId: existingUser ? existingUser.id : null,
+          action: AuditAction.LOGIN_FAILED,
+          ip: req.ip,
+          metadata
+        });
         return res.status(401).json({ error: 'Invalid credentials' });
       }
+      recordAuditEvent({
+        actorId: user.id,
+        targetId: user.id,
+        action: AuditAction.LOGIN,
+        ip: req.ip
+      });
+      const tokens = issueTokens(user, {
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+      res.json({ user, permissions: getRolePermissions(user.role), ...tokens });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/users/refresh
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+router.post('/refresh',
+  [
+    body('refreshToken').isString().notEmpty()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { userId, ...tokens } = refreshTokens(req.body.refreshToken);
+      const user = findUserById(userId);
+      if (!user || user.status !== UserStatus.ACTIVE) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+      res.json({ user: sanitizeUser(user), permissions: getRolePermissions(user.role), ...tokens });
+    } catch (error) {
+      res.status(401).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/users/logout
+ * Revoke the current session, or every session of the user with `allSessions`
+ */
+router.post('/logout',
+  authenticate,
+  [
+    body('allSessions').optional().isBoolean()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.body.allSessions === true) {
+      revokeUserSessions(req.currentUser.id);
+    } else {
+      revokeSession(req.currentUser.sessionId);
+    }
+    res.status(204).send();
+  }
+);
+
+/**
+ * POST /api/users/verify-email
+ * Verify an email address with the token from the verification email
+ */
+router.post('/verify-email',
+  [
+    body('token').isString().notEmpty()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const userId = consumeUserToken(req.body.token, TokenPurpose.EMAIL_VERIFICATION);
+      const before = findUserById(userId);
+      const user = markEmailVerified(userId);
+      recordAuditEvent({
+        actorId: userId,
+        targetId: userId,
+        action: AuditAction.EMAIL_VERIFIED,
+        changes: diffFields(before, user, ALLOWED_UPDATES),
+        ip: req.ip
+      });
       res.json(user);
     } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/users/resend-verification
+ * Send a fresh verification email. Always answers 202 so the response
+ * doesn't reveal which emails have accounts.
+ */
+router.post('/resend-verification',
+  [
+    body('email').isEmail().normalizeEmail()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = findUserByEmail(req.body.email);
+    if (user && !user.emailVerified) {
+      await sendAccountEmail(() => sendVerificationEmail(sanitizeUser(user)));
+    }
+    res.status(202).json({ message: 'If that account needs verifying, a new link has been sent.' });
+  }
+);
+
+/**
+ * POST /api/users/forgot-password
+ * Email a password reset link. Always answers 202 so the response doesn't
+ * reveal which emails have accounts.
+ */
+router.post('/forgot-password',
+  [
+    body('email').isEmail().normalizeEmail()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = findUserByEmail(req.body.email);
+    if (user) {
+      await sendAccountEmail(() => sendPasswordResetEmail(sanitizeUser(user)));
+    }
+    res.status(202).json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  }
+);
+
+/**
+ * POST /api/users/reset-password
+ * Set a new password with the token from the reset email. Every existing
+ * session is signed out.
+ */
+router.post('/reset-password',
+  [
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 8 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let userId;
+    try {
+      userId = consumeUserToken(req.body.token, TokenPurpose.PASSWORD_RESET);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      await setPassword(userId, req.body.password);
+      revokeUserSessions(userId);
+      recordAuditEvent({
+        actorId: userId,
+        targetId: userId,
+        action: AuditAction.PASSWORD_RESET,
+        ip: req.ip
+      });
+      res.json({ message: 'Your password has been reset. Please log in.' });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(400).json({ error: 'Invalid or expired token' });
+      }
       res.status(500).json({ error: error.message });
     }
   }
 );
 
+/**
+ * Validators for the user list filters shared by GET /api/users and the export
+ */
+const userFilterValidators = [
+  query('search').optional().trim().escape(),
+  query('status').optional().isIn(Object.values(UserStatus)),
+  // Accepts ?role=a&role=b or ?role=a,b
+  query('role').optional().customSanitizer(value => [].concat(value).flatMap(role => String(role).split(',')).filter(Boolean)),
+  query('createdAfter').optional().isISO8601(),
+  query('createdBefore').optional().isISO8601(),
+  query('lastLoginAfter').optional().isISO8601(),
+  query('lastLoginBefore').optional().isISO8601(),
+  query('sort').optional().isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+];
+
+/**
+ * Pick the user list filters out of a validated query string
+ * @param {Object} reqQuery - req.query
+ * @returns {Object} Options for getAllUsers / queryUsers
+ */
+function userFilters(reqQuery) {
+  return {
+    search: reqQuery.search,
+    status: reqQuery.status,
+    role: reqQuery.role,
+    createdAfter: reqQuery.createdAfter,
+    createdBefore: reqQuery.createdBefore,
+    lastLoginAfter: reqQuery.lastLoginAfter,
+    lastLoginBefore: reqQuery.lastLoginBefore,
+    sort: reqQuery.sort
+  };
+}
+
 /**
  * GET /api/users
- * Get all authenticated users with optional search
+ * Get one page of users with optional search, filters and sort. Responds
+ * with { users, total, limit, nextCursor }; pass nextCursor back as
+ * `cursor` for the next page.
  */
 router.get('/',
   authenticate,
+  requirePermission(Permission.USERS_VIEW),
   [
-    query('search').optional().trim().escape()
+    ...userFilterValidators,
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+    query('cursor').optional().isString()
   ],
   (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
-      const users = getAllUsers({
-        search: req.query.search,
-        status: req.query.status,
-        role: req.query.role
+      const page = queryUsers({
+        ...userFilters(req.query),
+        limit: req.query.limit,
+        cursor: req.query.cursor
       });
-      res.json(users);
+      res.json(page);
     } catch (error) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({ error: error.message });
+      }
       res.status(500).json({ error: error.message });
     }
   }
@@ -130,7 +416,7 @@ router.get('/',
  * GET /api/users/stats
  * Get user statistics
  */
-router.get('/stats', authenticate, (_req, res) => {
+router.get('/stats', authenticate, requirePermission(Permission.USERS_VIEW), (_req, res) => {
   try {
     const stats = getUserStats();
     res.json(stats);
@@ -139,19 +425,237 @@ router.get('/stats', authenticate, (_req, res) => {
   }
 });
 
+/**
+ * POST /api/users/import
+ * Import users from CSV (text/csv with a header row) or a JSON array
+ * (requires users.import). Columns: email, name, role, status, password.
+ * `?dryRun=true` only validates; `?upsert=true` updates users whose email
+ * already exists (needs users.edit, and never changes their password).
+ * Nothing is written if any row has errors.
+ */
+router.post('/import',
+  authenticate,
+  requirePermission(Permission.USERS_IMPORT),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  [
+    query('dryRun').optional().isBoolean().toBoolean(),
+    query('upsert').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let records;
+    try {
+      records = parseImportData(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const { report, changes } = await importUsers(records, {
+        dryRun: req.query.dryRun === true,
+        upsert: req.query.upsert === true,
+        currentUser: req.currentUser,
+        onApply: change => {
+          if (change.after.status !== UserStatus.ACTIVE) {
+            revokeUserSessions(change.after.id);
+          }
+          recordAuditEvent({
+            actorId: req.currentUser.id,
+            targetId: change.after.id,
+            action: change.action === 'create' ? AuditAction.USER_CREATE : AuditAction.USER_UPDATE,
+            changes: diffFields(change.before, change.after, ALLOWED_UPDATES),
+            ip: req.ip,
+            metadata: { email: change.after.email, source: 'import' }
+          });
+        }
+      });
+
+      for (const change of changes.filter(item => item.invite)) {
+        await sendAccountEmail(() => sendInviteEmail(change.after));
+      }
+
+      if (report.failed > 0) {
+        return res.status(400).json({ error: 'Some rows have errors, so nothing was imported', ...report });
+      }
+      res.json(report);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/users/export
+ * Download users as CSV (default) or JSON (requires users.export). Takes
+ * the same filters and sort as GET /api/users, without paging.
+ */
+router.get('/export',
+  authenticate,
+  requirePermission(Permission.USERS_EXPORT),
+  [
+    query('format').optional().isIn(['csv', 'json']),
+    ...userFilterValidators
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const format = req.query.format || 'csv';
+      const filters = userFilters(req.query);
+      const users = getAllUsers(filters).map(user => {
+        const row = {};
+        for (const column of EXPORT_COLUMNS) {
+          row[column] = user[column];
+        }
+        return row;
+      });
+
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        action: AuditAction.USER_EXPORT,
+        ip: req.ip,
+        metadata: {
+          format,
+          count: users.length,
+          filters
+        }
+      });
+
+      const filename = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.attachment(filename);
+      if (format === 'json') {
+        return res.json(users);
+      }
+      res.type('text/csv').send(toCsv(users, EXPORT_COLUMNS));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/users/me
+ * Get the signed-in user's own account and the permissions their role grants
+ */
+router.get('/me', authenticate, (req, res) => {
+  try {
+    const user = findUserById(req.currentUser.id);
+    res.json({ user: sanitizeUser(user), permissions: getRolePermissions(user.role) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/users/me
+ * Update the signed-in user's own profile. Only the name can be changed;
+ * role, status and email stay with administrators.
+ */
+router.patch('/me',
+  authenticate,
+  [
+    body().custom(updates => {
+      const forbidden = Object.keys(updates).filter(key => !SELF_UPDATES.includes(key));
+      if (forbidden.length > 0) {
+        throw new Error(`You cannot change these fields yourself: ${forbidden.join(', ')}`);
+      }
+      return true;
+    }),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 })
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = findUserById(req.currentUser.id);
+      const user = updateOwnProfile(req.currentUser.id, req.body);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.currentUser.id,
+        action: AuditAction.USER_UPDATE,
+        changes: diffFields(before, user, ALLOWED_UPDATES),
+        ip: req.ip
+      });
+      res.json(user);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/users/me/password
+ * Change the signed-in user's password. Requires the current password and
+ * signs out every other session.
+ */
+router.post('/me/password',
+  authenticate,
+  [
+    body('currentPassword').isString().notEmpty(),
+    body('newPassword').isString().isLength({ min: 8 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      await changePassword(req.currentUser.id, req.body.currentPassword, req.body.newPassword);
+      revokeUserSessions(req.currentUser.id, req.currentUser.sessionId);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.currentUser.id,
+        action: AuditAction.PASSWORD_CHANGE,
+        ip: req.ip
+      });
+      res.json({ message: 'Your password has been changed. Other sessions have been signed out.' });
+    } catch (error) {
+      if (error.message === 'Current password is incorrect') {
+        return res.status(403).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/users/pending
+ * Get signups waiting for approval, oldest first (requires users.approve)
+ */
+router.get('/pending', authenticate, requirePermission(Permission.USERS_APPROVE), (_req, res) => {
+  try {
+    res.json(getPendingApprovals());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/users/:id
- * Get a specific user by ID
+ * Get a specific user by ID. Users with users.edit also see failed login
+ * counts and lock status.
  */
-router.get('/:id', authenticate, (req, res) => {
+router.get('/:id', authenticate, requirePermission(Permission.USERS_VIEW), (req, res) => {
   try {
     const user = findUserById(req.params.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    // Return sanitized user (without password)
-    const { password: _password, ...sanitizedUser } = user;
-    res.json(sanitizedUser);
+    if (hasPermission(req.currentUser.role, Permission.USERS_EDIT)) {
+      return res.json({ ...sanitizeUser(user), ...getLoginSecurity(user) });
+    }
+    res.json(sanitizeUser(user));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -159,14 +663,14 @@ router.get('/:id', authenticate, (req, res) => {
 
 /**
  * PUT /api/users/:id
- * Update a user (admin only)
+ * Update a user (requires users.edit)
  */
 router.put('/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(Permission.USERS_EDIT, USER_EDIT_RESTRICTED),
   [
     body('name').optional().trim().isLength({ min: 1, max: 100 }),
-    body('role').optional().isIn([UserRole.USER, UserRole.ADMIN]),
+    body('role').optional().custom(role => roleExists(role)).withMessage('Unknown role'),
     body('status').optional().isIn(['active', 'inactive', 'pending'])
   ],
   (req, res) => {
@@ -176,7 +680,18 @@ router.put('/:id',
     }
 
     try {
+      const before = findUserById(req.params.id);
       const updatedUser = updateUser(req.params.id, req.body, req.currentUser);
+      if (updatedUser.status !== UserStatus.ACTIVE) {
+        revokeUserSessions(updatedUser.id);
+      }
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.params.id,
+        action: AuditAction.USER_UPDATE,
+        changes: diffFields(before, updatedUser, ALLOWED_UPDATES),
+        ip: req.ip
+      });
       res.json(updatedUser);
     } catch (error) {
       if (error.message === 'User not found') {
@@ -187,16 +702,254 @@ router.put('/:id',
   }
 );
 
+/**
+ * POST /api/users/:id/unlock
+ * Clear failed logins and lift a lockout (requires users.edit)
+ */
+router.post('/:id/unlock',
+  authenticate,
+  requirePermission(Permission.USERS_EDIT, USER_EDIT_RESTRICTED),
+  (req, res) => {
+    try {
+      const before = findUserById(req.params.id);
+      const security = unlockUser(req.params.id, req.currentUser);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.params.id,
+        action: AuditAction.USER_UNLOCK,
+        ip: req.ip,
+        metadata: { failedLoginAttempts: before.failedLoginAttempts }
+      });
+      res.json(security);
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(403).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * Send the response for an approval decision that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendApprovalError(res, error) {
+  if (error.message === 'User not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'User is not awaiting approval') {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(403).json({ error: error.message });
+}
+
+/**
+ * POST /api/users/:id/approve
+ * Approve a pending signup (requires users.approve)
+ */
+router.post('/:id/approve',
+  authenticate,
+  requirePermission(Permission.USERS_APPROVE),
+  async (req, res) => {
+    try {
+      const before = findUserById(req.params.id);
+      const user = approveUser(req.params.id, req.currentUser);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: user.id,
+        action: AuditAction.USER_APPROVE,
+        changes: diffFields(before, user, ['status', 'approvalStatus']),
+        ip: req.ip
+      });
+      await sendAccountEmail(() => sendAccountApprovedEmail(user));
+      res.json(user);
+    } catch (error) {
+      sendApprovalError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/users/:id/reject
+ * Reject a pending signup (requires users.approve). The account is kept
+ * but deactivated.
+ */
+router.post('/:id/reject',
+  authenticate,
+  requirePermission(Permission.USERS_APPROVE),
+  [
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = findUserById(req.params.id);
+      const user = rejectUser(req.params.id, req.body.reason, req.currentUser);
+      revokeUserSessions(user.id);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: user.id,
+        action: AuditAction.USER_REJECT,
+        changes: diffFields(before, user, ['status', 'approvalStatus']),
+        ip: req.ip,
+        metadata: user.rejectionReason ? { reason: user.rejectionReason } : {}
+      });
+      res.json(user);
+    } catch (error) {
+      sendApprovalError(res, error);
+    }
+  }
+);
+
+/**
+ * Validators for a certification's fields
+ * @param {boolean} creating - Whether name and issue date are required
+ * @returns {Array} express-validator chains
+ */
+function certificationValidators(creating) {
+  const required = chain => (creating ? chain : chain.optional());
+  return [
+    required(body('name')).isString().trim().isLength({ min: 1, max: 100 }),
+    required(body('issueDate')).custom(isDate).withMessage('issueDate must be YYYY-MM-DD'),
+    body('expiryDate').optional({ values: 'null' }).custom(isDate).withMessage('expiryDate must be YYYY-MM-DD'),
+    body('notes').optional({ values: 'null' }).isString().isLength({ max: 500 })
+  ];
+}
+
+/**
+ * Send the response for a certification change that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model
+ */
+function sendCertificationError(res, error) {
+  if (error.message === 'User not found' || error.message === 'Certification not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'This user already has that certification') {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * POST /api/users/:id/certifications
+ * Add a certification to a user's account (requires certifications.manage)
+ */
+router.post('/:id/certifications',
+  authenticate,
+  requirePermission(Permission.CERTIFICATIONS_MANAGE),
+  certificationValidators(true),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const certification = addCertification(req.params.id, req.body, req.currentUser.id);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.params.id,
+        action: AuditAction.CERTIFICATION_CREATE,
+        changes: diffFields(null, certification, CERTIFICATION_FIELDS),
+        ip: req.ip,
+        metadata: { certificationId: certification.id }
+      });
+      res.status(201).json(certification);
+    } catch (error) {
+      sendCertificationError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/users/:id/certifications/:certificationId
+ * Renew or correct a certification (requires certifications.manage)
+ */
+router.put('/:id/certifications/:certificationId',
+  authenticate,
+  requirePermission(Permission.CERTIFICATIONS_MANAGE),
+  certificationValidators(false),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = findUserById(req.params.id);
+      const before = user && user.certifications.find(item => item.id === req.params.certificationId);
+      const certification = updateCertification(req.params.id, req.params.certificationId, req.body);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.params.id,
+        action: AuditAction.CERTIFICATION_UPDATE,
+        changes: diffFields(before, certification, CERTIFICATION_FIELDS),
+        ip: req.ip,
+        metadata: { certificationId: certification.id }
+      });
+      res.json(certification);
+    } catch (error) {
+      sendCertificationError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/users/:id/certifications/:certificationId
+ * Remove a certification (requires certifications.manage)
+ */
+router.delete('/:id/certifications/:certificationId',
+  authenticate,
+  requirePermission(Permission.CERTIFICATIONS_MANAGE),
+  (req, res) => {
+    try {
+      const certification = removeCertification(req.params.id, req.params.certificationId);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.params.id,
+        action: AuditAction.CERTIFICATION_DELETE,
+        changes: diffFields(certification, null, CERTIFICATION_FIELDS),
+        ip: req.ip,
+        metadata: { certificationId: certification.id }
+      });
+      res.status(204).send();
+    } catch (error) {
+      sendCertificationError(res, error);
+    }
+  }
+);
+
 /**
  * DELETE /api/users/:id
- * Delete a user (admin only)
+ * Delete a user (requires users.delete)
  */
 router.delete('/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(Permission.USERS_DELETE, USER_EDIT_RESTRICTED),
   (req, res) => {
     try {
+      const before = findUserById(req.params.id);
       deleteUser(req.params.id, req.currentUser);
+      revokeUserSessions(req.params.id);
+      unlinkUser(req.params.id);
+      revokeUserFeeds(req.params.id);
+      removeUserFromProjects(req.params.id);
+      removeNotificationsForUser(req.params.id);
+      recordAuditEvent({
+        actorId: req.currentUser.id,
+        targetId: req.params.id,
+        action: AuditAction.USER_DELETE,
+        changes: diffFields(before, null, ALLOWED_UPDATES),
+        ip: req.ip,
+        metadata: { email: before.email }
+      });
       res.status(204).send();
     } catch (error) {
       if (error.message === 'User not found') {
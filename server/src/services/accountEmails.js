@@ -0,0 +1,118 @@
+const config = require('../config');
+const { sendMail } = require('../mail');
+const { TokenPurpose, createUserToken } = require('../models/userToken');
+
+/**
+ * Build a link into the login page carrying a one-time token
+ * @param {string} param - Query parameter name
+ * @param {string} token - Raw token
+ * @returns {string} Absolute URL
+ */
+function buildLink(param, token) {
+  return `${config.appUrl}/login.html?${param}=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email a user a link to verify their address
+ * @param {Object} user - User (sanitized)
+ * @returns {Promise<Object>} Sent message
+ */
+function sendVerificationEmail(user) {
+  const token = createUserToken(user.id, TokenPurpose.EMAIL_VERIFICATION, config.auth.emailVerificationTtlSeconds);
+  const hours = Math.round(config.auth.emailVerificationTtlSeconds / 3600);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your JustFlour account',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address to finish setting up your JustFlour account:',
+      '',
+      buildLink('verify', token),
+      '',
+      `This link expires in ${hours} hours.`
+    ].join('\n')
+  });
+}
+
+/**
+ * Email a user a link to choose a new password
+ * @param {Object} user - User (sanitized)
+ * @returns {Promise<Object>} Sent message
+ */
+function sendPasswordResetEmail(user) {
+  const token = createUserToken(user.id, TokenPurpose.PASSWORD_RESET, config.auth.passwordResetTtlSeconds);
+  const minutes = Math.round(config.auth.passwordResetTtlSeconds / 60);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your JustFlour password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone asked to reset the password for your JustFlour account. If it was you, choose a new password here:',
+      '',
+      buildLink('reset', token),
+      '',
+      `This link expires in ${minutes} minutes and can only be used once. If you didn't ask for this, you can ignore this email.`
+    ].join('\n')
+  });
+}
+
+/**
+ * Email an imported user a link to choose their password
+ *
+ * Uses a password reset token that lasts as long as a verification link,
+ * since the recipient may not be expecting it.
+ * @param {Object} user - User (sanitized)
+ * @returns {Promise<Object>} Sent message
+ */
+function sendInviteEmail(user) {
+  const token = createUserToken(user.id, TokenPurpose.PASSWORD_RESET, config.auth.emailVerificationTtlSeconds);
+  const hours = Math.round(config.auth.emailVerificationTtlSeconds / 3600);
+
+  return sendMail({
+    to: user.email,
+    subject: 'You have been added to JustFlour',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'An administrator has created a JustFlour account for you. Choose a password to start using it:',
+      '',
+      buildLink('reset', token),
+      '',
+      `This link expires in ${hours} hours and can only be used once.`
+    ].join('\n')
+  });
+}
+
+/**
+ * Tell a user their signup has been approved
+ * @param {Object} user - User (sanitized)
+ * @returns {Promise<Object>} Sent message
+ */
+function sendAccountApprovedEmail(user) {
+  const nextStep = user.emailVerified
+    ? 'You can now log in:'
+    : 'Once you have verified your email address you can log in:';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your JustFlour account has been approved',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `An administrator has approved your JustFlour account. ${nextStep}`,
+      '',
+      `${config.appUrl}/login.html`
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInviteEmail,
+  sendAccountApprovedEmail
+};
@@ -0,0 +1,169 @@
+const { v4: uuidv4 } = require('uuid');
+const sharp = require('sharp');
+const config = require('../config');
+const { getFileStorage } = require('../files');
+const {
+  checkAttachmentTarget,
+  createAttachment,
+  deleteAttachment,
+  removeAttachments
+} = require('../models/attachment');
+
+/**
+ * Type of every thumbnail
+ */
+const THUMBNAIL_TYPE = 'image/webp';
+
+/**
+ * How each binary type's files start
+ */
+const SIGNATURES = {
+  'application/pdf': [Buffer.from('%PDF-')],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')]
+};
+
+/**
+ * Check a file's contents look like the type the browser said it was, so a
+ * script can't be uploaded as a "photo"
+ * @param {Buffer} data - File contents
+ * @param {string} mimeType - Declared type
+ * @returns {boolean} True if they match, or the type has no signature to check
+ */
+function contentsMatchType(data, mimeType) {
+  if (mimeType === 'image/webp') {
+    return data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP';
+  }
+  if (mimeType.startsWith('text/')) {
+    return !data.includes(0);
+  }
+  const signatures = SIGNATURES[mimeType];
+  return !signatures || signatures.some(signature => data.subarray(0, signature.length).equals(signature));
+}
+
+/**
+ * Shrink an image to a thumbnail
+ * @param {Buffer} data - Image contents
+ * @returns {Promise<Buffer>} WebP thumbnail
+ */
+async function makeThumbnail(data) {
+  const size = config.attachments.thumbnailSize;
+  try {
+    return await sharp(data)
+      .rotate() // follow the camera's orientation
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch (error) {
+    throw new Error('The image could not be read', { cause: error });
+  }
+}
+
+/**
+ * Save an uploaded file and attach it to a project or task
+ *
+ * Images also get a thumbnail. Nothing is left in file storage if the
+ * attachment can't be recorded.
+ * @param {Object} attachmentData - { projectId, taskId, file } where `file`
+ *   is an upload with `originalname`, `mimetype`, `size` and `buffer`
+ * @param {string} uploaderId - ID of the user attaching it
+ * @returns {Promise<Object>} Attachment
+ */
+async function addAttachment(attachmentData, uploaderId) {
+  const { projectId, file } = attachmentData;
+  const taskId = attachmentData.taskId || null;
+  checkAttachmentTarget(projectId, taskId);
+
+  if (!config.attachments.allowedTypes.includes(file.mimetype)) {
+    throw new Error('This type of file can\'t be attached');
+  }
+  if (file.size === 0) {
+    throw new Error('The file is empty');
+  }
+  if (!contentsMatchType(file.buffer, file.mimetype)) {
+    throw new Error('The file\'s contents don\'t match its type');
+  }
+
+  const thumbnail = file.mimetype.startsWith('image/') ? await makeThumbnail(file.buffer) : null;
+  const storage = getFileStorage();
+  const storageKey = uuidv4();
+  const thumbnailKey = thumbnail ? `${storageKey}-thumbnail` : null;
+
+  try {
+    await storage.write(storageKey, file.buffer);
+    if (thumbnail) {
+      await storage.write(thumbnailKey, thumbnail);
+    }
+    return createAttachment({
+      projectId,
+      taskId,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      storageKey,
+      thumbnailKey
+    }, uploaderId);
+  } catch (error) {
+    await removeFiles({ storageKey, thumbnailKey });
+    throw error;
+  }
+}
+
+/**
+ * Read an attachment's file, or its thumbnail
+ * @param {Object} attachment - Attachment
+ * @param {Object} options - Options
+ * @param {boolean} options.thumbnail - Read the thumbnail instead
+ * @returns {Promise<Buffer>} File contents
+ */
+async function readAttachment(attachment, options = {}) {
+  if (options.thumbnail && !attachment.thumbnailKey) {
+    throw new Error('This file has no thumbnail');
+  }
+  return getFileStorage().read(options.thumbnail ? attachment.thumbnailKey : attachment.storageKey);
+}
+
+/**
+ * Remove an attachment's files from file storage
+ * @param {Object} attachment - Attachment record
+ */
+async function removeFiles(attachment) {
+  const storage = getFileStorage();
+  await storage.remove(attachment.storageKey);
+  if (attachment.thumbnailKey) {
+    await storage.remove(attachment.thumbnailKey);
+  }
+}
+
+/**
+ * Delete an attachment and its files
+ * @param {string} id - Attachment ID
+ * @returns {Promise<Object>} The deleted attachment
+ */
+async function removeAttachment(id) {
+  const attachment = deleteAttachment(id);
+  await removeFiles(attachment);
+  return attachment;
+}
+
+/**
+ * Delete the attachments, and their files, on a project and its tasks or on one task
+ * @param {Object} target - { projectId } or { taskId }
+ * @returns {Promise<number>} How many were deleted
+ */
+async function removeAllAttachments(target) {
+  const removed = removeAttachments(target);
+  for (const attachment of removed) {
+    await removeFiles(attachment);
+  }
+  return removed.length;
+}
+
+module.exports = {
+  THUMBNAIL_TYPE,
+  addAttachment,
+  readAttachment,
+  removeAttachment,
+  removeAllAttachments
+};
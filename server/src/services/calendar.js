@@ -0,0 +1,94 @@
+const { FeedType } = require('../models/calendarFeed');
+const { findStaffById, getAllStaff } = require('../models/staff');
+const { getShifts, getCancelledShifts } = require('../models/schedule');
+const { buildCalendar } = require('../utils/ical');
+const { addDays, today } = require('../utils/time');
+
+/**
+ * How far back feeds go, in days; older shifts are left out to keep feeds small
+ */
+const FEED_PAST_DAYS = 60;
+
+/**
+ * Stable UID for a shift's calendar event
+ *
+ * The UID never changes, so calendar apps update or remove the event they
+ * already have instead of adding a duplicate.
+ * @param {string} shiftId - Shift ID
+ * @returns {string} UID
+ */
+function shiftUid(shiftId) {
+  return `shift-${shiftId}@justflour`;
+}
+
+/**
+ * Build the calendar events for a feed
+ *
+ * Published shifts are confirmed events. Versions of shifts that were
+ * removed from the feed (deleted, unpublished, reassigned or moved to
+ * another location) are cancelled events with a higher SEQUENCE.
+ * @param {Object} feed - Calendar feed
+ * @param {string} date - Today's local date (YYYY-MM-DD)
+ * @returns {Array} Events for buildCalendar()
+ */
+function feedEvents(feed, date) {
+  const filter = feed.type === FeedType.STAFF ? { staffId: feed.staffId } : { location: feed.location };
+  const from = addDays(date, -FEED_PAST_DAYS);
+  const names = new Map(getAllStaff().map(member => [member.id, member.name]));
+
+  const summary = shift => (feed.type === FeedType.STAFF
+    ? `${shift.position} shift`
+    : `${shift.staffId ? names.get(shift.staffId) || 'Unknown' : 'Open shift'} (${shift.position})`);
+
+  const live = getShifts({ ...filter, from, publishedOnly: true });
+  const liveIds = new Set(live.map(shift => shift.id));
+  const cancelled = getCancelledShifts({ ...filter, from }).filter(shift => !liveIds.has(shift.shiftId));
+
+  return [
+    ...live.map(shift => ({
+      uid: shiftUid(shift.id),
+      sequence: shift.sequence,
+      status: 'CONFIRMED',
+      startsAt: shift.startsAt,
+      endsAt: shift.endsAt,
+      summary: summary(shift),
+      location: shift.location,
+      description: shift.notes,
+      lastModified: shift.updatedAt
+    })),
+    ...cancelled.map(shift => ({
+      uid: shiftUid(shift.shiftId),
+      sequence: shift.sequence,
+      status: 'CANCELLED',
+      startsAt: shift.startsAt,
+      endsAt: shift.endsAt,
+      summary: `Cancelled: ${summary(shift)}`,
+      location: shift.location,
+      lastModified: shift.cancelledAt
+    }))
+  ];
+}
+
+/**
+ * Render a feed as an iCalendar document
+ * @param {Object} feed - Calendar feed
+ * @param {string} date - Today's local date (YYYY-MM-DD)
+ * @returns {string} iCalendar text
+ */
+function renderFeed(feed, date = today()) {
+  let name;
+  if (feed.type === FeedType.STAFF) {
+    const member = findStaffById(feed.staffId);
+    name = `${member ? member.name : 'Staff'} - JustFlour shifts`;
+  } else {
+    name = `${feed.location} - JustFlour shifts`;
+  }
+
+  return buildCalendar({ name, events: feedEvents(feed, date) });
+}
+
+module.exports = {
+  FEED_PAST_DAYS,
+  shiftUid,
+  renderFeed
+};
@@ -0,0 +1,61 @@
+const { findUserById, UserStatus } = require('../models/user');
+const { Permission, hasPermission } = require('../models/role');
+const { findProjectById, findTaskById } = require('../models/project');
+const { findCommentById } = require('../models/comment');
+const { NotificationType, createNotification } = require('../models/notification');
+
+/**
+ * Check a user should hear about project discussions: they exist, are
+ * active, and can see projects
+ * @param {string} userId - User ID
+ * @returns {Object|null} User, or null if not
+ */
+function findRecipient(userId) {
+  const user = findUserById(userId);
+  if (!user || user.status !== UserStatus.ACTIVE || !hasPermission(user.role, Permission.PROJECTS_VIEW)) {
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Tell people about a new or edited comment
+ *
+ * Everyone @mentioned hears about it, except the author and anyone the
+ * comment mentioned before an edit. The author of the comment being
+ * replied to hears about a new reply, unless they are mentioned in it too.
+ * @param {Object} comment - Comment, just saved
+ * @param {Array} alreadyMentioned - IDs of users the comment mentioned before it was edited
+ * @returns {Array} Notifications sent
+ */
+function notifyAboutComment(comment, alreadyMentioned = []) {
+  const author = findUserById(comment.authorId);
+  const authorName = author ? author.name : 'Someone';
+  const task = comment.taskId ? findTaskById(comment.taskId) : null;
+  const where = task ? task.title : findProjectById(comment.projectId).name;
+  const about = { actorId: comment.authorId, projectId: comment.projectId, taskId: comment.taskId, commentId: comment.id };
+
+  const sent = [];
+  const notify = (userId, type, message) => {
+    if (userId === comment.authorId || sent.some(notification => notification.userId === userId) || !findRecipient(userId)) {
+      return;
+    }
+    sent.push(createNotification({ ...about, userId, type, message }));
+  };
+
+  for (const userId of comment.mentions.filter(id => !alreadyMentioned.includes(id))) {
+    notify(userId, NotificationType.MENTION, `${authorName} mentioned you on ${where}`);
+  }
+
+  const isNew = comment.editedAt === null;
+  const parent = isNew && comment.parentId ? findCommentById(comment.parentId) : null;
+  if (parent) {
+    notify(parent.authorId, NotificationType.REPLY, `${authorName} replied to your comment on ${where}`);
+  }
+
+  return sent;
+}
+
+module.exports = {
+  notifyAboutComment
+};
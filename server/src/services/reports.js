@@ -0,0 +1,547 @@
+const config = require('../config');
+const { findStaffById, findStaffByUserId } = require('../models/staff');
+const { ScheduleStatus, findScheduleById, getShifts } = require('../models/schedule');
+const { getRequirements } = require('../models/coverage');
+const { getEntries } = require('../models/timeClock');
+const { getSales } = require('../models/sales');
+const { getAllUsers } = require('../models/user');
+const { getPositionRequirements } = require('../models/position');
+const { getTimesheetRules, splitEntries } = require('./timesheets');
+const {
+  isDate,
+  addDays,
+  toMinutes,
+  fromMinutes,
+  weekdayOf,
+  startOfWeek,
+  parseTimeOfDay,
+  today
+} = require('../utils/time');
+
+/**
+ * Longest range a report can cover, in days
+ */
+const MAX_REPORT_DAYS = 62;
+
+/**
+ * Furthest ahead the certification report can look, in days
+ */
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Work out the shifts and dates a report covers
+ *
+ * With a schedule, every shift in it counts, published or not, so a draft
+ * rota can be costed before it goes out. Otherwise only published shifts
+ * count.
+ * @param {Object} options - { from, to, location, scheduleId }
+ * @returns {Object} { from, to, location, schedule, shifts, query } - query
+ *   is the getShifts() filter used, for fetching shifts on other dates
+ */
+function resolveScope(options) {
+  const schedule = options.scheduleId ? findScheduleById(options.scheduleId) : null;
+  if (options.scheduleId && !schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  const from = options.from || (schedule && schedule.startDate);
+  const to = options.to || (schedule && schedule.endDate);
+  if (!isDate(from) || !isDate(to)) {
+    throw new Error('A date range or a schedule is required');
+  }
+  if (to < from) {
+    throw new Error('End date cannot be before start date');
+  }
+  if (addDays(from, MAX_REPORT_DAYS - 1) < to) {
+    throw new Error(`Reports can cover at most ${MAX_REPORT_DAYS} days`);
+  }
+
+  const location = options.location || (schedule && schedule.location) || null;
+  const query = {
+    scheduleId: schedule ? schedule.id : undefined,
+    location: location || undefined,
+    publishedOnly: !schedule
+  };
+  return { from, to, location, schedule, shifts: getShifts({ ...query, from, to }), query };
+}
+
+/**
+ * Check whether a shift counts as planned for a report
+ * @param {Object} shift - Shift
+ * @param {Object|null} schedule - Schedule the report is for
+ * @returns {boolean} True if the shift is published or in the schedule
+ */
+function isPlanned(shift, schedule) {
+  if (schedule && shift.scheduleId === schedule.id) {
+    return true;
+  }
+  const own = findScheduleById(shift.scheduleId);
+  return Boolean(own && own.status === ScheduleStatus.PUBLISHED);
+}
+
+/**
+ * Treat a shift as a time entry so the timesheet rules can split it
+ * @param {Object} shift - Shift
+ * @returns {Object} Pseudo time entry
+ */
+function shiftAsEntry(shift) {
+  return { id: shift.id, clockInAt: shift.startsAt, clockOutAt: shift.endsAt, breaks: [] };
+}
+
+/**
+ * Group items by a key
+ * @param {Array} items - Items
+ * @param {Function} keyOf - Returns each item's key
+ * @returns {Map} Key -> items
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Split the planned shifts into regular and overtime minutes
+ *
+ * Overtime depends on everything a person is planned to work that week,
+ * so their other planned shifts in the same weeks are counted too.
+ * @param {Array} shifts - Staffed shifts in the report
+ * @param {Object|null} schedule - Schedule the report is for
+ * @param {Object} rules - Timesheet rules
+ * @returns {Map} Shift ID -> split minutes
+ */
+function splitPlannedShifts(shifts, schedule, rules) {
+  const splits = new Map();
+  const groups = groupBy(shifts, shift => `${shift.staffId}|${startOfWeek(shift.startsAt.slice(0, 10))}`);
+
+  for (const [key, group] of groups) {
+    const [staffId, weekStart] = key.split('|');
+    const week = new Map(getShifts({ staffId, from: weekStart, to: addDays(weekStart, 6) })
+      .filter(shift => isPlanned(shift, schedule))
+      .map(shift => [shift.id, shift]));
+    group.forEach(shift => week.set(shift.id, shift));
+
+    const entries = Array.from(week.values())
+      .sort((a, b) => a.startsAt.localeCompare(b.startsAt))
+      .map(shiftAsEntry);
+    for (const split of splitEntries(entries, rules)) {
+      splits.set(split.entry.id, split);
+    }
+  }
+  return splits;
+}
+
+/**
+ * Find the planned shift a time entry was most likely worked against
+ * @param {Object} entry - Time entry
+ * @param {string} staffId - Staff member
+ * @param {Object|null} schedule - Schedule the report is for
+ * @returns {Object|null} Shift overlapping the entry the most, or null
+ */
+function matchShift(entry, staffId, schedule) {
+  const start = toMinutes(entry.clockInAt);
+  const end = toMinutes(entry.clockOutAt);
+  let best = null;
+  let bestOverlap = 0;
+
+  const date = entry.clockInAt.slice(0, 10);
+  for (const shift of getShifts({ staffId, from: addDays(date, -1), to: entry.clockOutAt.slice(0, 10) })) {
+    if (!isPlanned(shift, schedule)) {
+      continue;
+    }
+    const overlap = Math.min(end, toMinutes(shift.endsAt)) - Math.max(start, toMinutes(shift.startsAt));
+    if (overlap > bestOverlap) {
+      best = shift;
+      bestOverlap = overlap;
+    }
+  }
+  return best;
+}
+
+/**
+ * Create an empty labor cost bucket
+ * @returns {Object} Bucket
+ */
+function emptyBucket() {
+  return {
+    scheduledMinutes: 0,
+    scheduledOvertimeMinutes: 0,
+    scheduledCost: 0,
+    actualMinutes: 0,
+    actualOvertimeMinutes: 0,
+    actualCost: 0,
+    sales: null
+  };
+}
+
+/**
+ * Add labor to the day, location and position buckets it belongs to
+ * @param {Object} buckets - { totals, byDay, byLocation, byPosition }
+ * @param {Object} item - { kind: 'scheduled'|'actual', date, location, position, minutes, overtime, cost }
+ */
+function addLabor(buckets, item) {
+  const positionKey = item.position.toLowerCase();
+  const targets = [
+    buckets.totals,
+    bucketFor(buckets.byDay, item.date, { date: item.date }),
+    bucketFor(buckets.byLocation, (item.location || '').toLowerCase(), { location: item.location }),
+    bucketFor(buckets.byPosition, positionKey, { position: item.position })
+  ];
+  for (const bucket of targets) {
+    bucket[`${item.kind}Minutes`] += item.minutes;
+    bucket[`${item.kind}OvertimeMinutes`] += item.overtime;
+    bucket[`${item.kind}Cost`] += item.cost;
+  }
+}
+
+/**
+ * Get or create a bucket in a map
+ * @param {Map} map - Key -> bucket
+ * @param {string} key - Bucket key
+ * @param {Object} label - Fields identifying the bucket
+ * @returns {Object} Bucket
+ */
+function bucketFor(map, key, label) {
+  if (!map.has(key)) {
+    map.set(key, { ...label, ...emptyBucket() });
+  }
+  return map.get(key);
+}
+
+/**
+ * Turn a bucket's running totals into hours, money and percentages
+ * @param {Object} bucket - Bucket
+ * @returns {Object} Report row
+ */
+function presentBucket(bucket) {
+  const {
+    scheduledMinutes,
+    scheduledOvertimeMinutes,
+    actualMinutes,
+    actualOvertimeMinutes,
+    ...rest
+  } = bucket;
+  const percentOf = cost => (bucket.sales ? Math.round(cost / bucket.sales * 1000) / 10 : null);
+
+  return {
+    ...rest,
+    scheduledHours: round2(scheduledMinutes / 60),
+    scheduledOvertimeHours: round2(scheduledOvertimeMinutes / 60),
+    scheduledCost: round2(bucket.scheduledCost),
+    actualHours: round2(actualMinutes / 60),
+    actualOvertimeHours: round2(actualOvertimeMinutes / 60),
+    actualCost: round2(bucket.actualCost),
+    scheduledPercentOfSales: percentOf(bucket.scheduledCost),
+    actualPercentOfSales: percentOf(bucket.actualCost)
+  };
+}
+
+/**
+ * Work out scheduled and actual labor cost per day, location and position
+ *
+ * Scheduled cost comes from planned shifts, actual cost from clocked time
+ * of staff linked to a login, each at the staff member's hourly rate.
+ * Hours past the overtime limits cost the overtime multiplier. Worked time
+ * is put against the planned shift it overlaps most, or against the staff
+ * member's position with no location if it matches none. Labor is shown as
+ * a percentage of sales wherever sales have been entered.
+ * @param {Object} options - Report options
+ * @param {string} options.from - First date (YYYY-MM-DD)
+ * @param {string} options.to - Last date (YYYY-MM-DD)
+ * @param {string} options.location - Only this location
+ * @param {string} options.scheduleId - Cost this schedule, even as a draft
+ * @returns {Object} Labor report
+ */
+function laborReport(options = {}) {
+  const { from, to, location, schedule, shifts } = resolveScope(options);
+  const rules = getTimesheetRules();
+  const multiplier = config.timesheets.overtimePayMultiplier;
+  const buckets = { totals: emptyBucket(), byDay: new Map(), byLocation: new Map(), byPosition: new Map() };
+  const unrated = new Map();
+  let unlinkedHours = 0;
+
+  const costOf = (split, member) => (split.regular + split.overtime * multiplier) / 60 * member.hourlyRate;
+  const noteRate = (member, minutes) => {
+    if (!member.hourlyRate && minutes > 0) {
+      unrated.set(member.id, { staffId: member.id, name: member.name });
+    }
+  };
+
+  const staffed = shifts.filter(shift => shift.staffId);
+  const openShiftHours = shifts.filter(shift => !shift.staffId).reduce((sum, shift) => sum + shift.hours, 0);
+  const plannedSplits = splitPlannedShifts(staffed, schedule, rules);
+  for (const shift of staffed) {
+    const member = findStaffById(shift.staffId);
+    const split = plannedSplits.get(shift.id);
+    if (!member || !split) {
+      continue;
+    }
+    noteRate(member, split.worked);
+    addLabor(buckets, {
+      kind: 'scheduled',
+      date: split.date,
+      location: shift.location,
+      position: shift.position,
+      minutes: split.worked,
+      overtime: split.overtime,
+      cost: costOf(split, member)
+    });
+  }
+
+  const entries = getEntries({ from: startOfWeek(from), to: addDays(startOfWeek(to), 6) });
+  const locationLower = location ? location.toLowerCase() : null;
+  for (const group of groupBy(entries, entry => `${entry.userId}|${startOfWeek(entry.clockInAt.slice(0, 10))}`).values()) {
+    const member = findStaffByUserId(group[0].userId);
+    for (const split of splitEntries(group, rules)) {
+      if (split.date < from || split.date > to) {
+        continue;
+      }
+      if (!member) {
+        unlinkedHours += split.worked / 60;
+        continue;
+      }
+      const shift = matchShift(split.entry, member.id, schedule);
+      const where = shift ? shift.location : null;
+      if (locationLower && (!where || where.toLowerCase() !== locationLower)) {
+        continue;
+      }
+      noteRate(member, split.worked);
+      addLabor(buckets, {
+        kind: 'actual',
+        date: split.date,
+        location: where,
+        position: shift ? shift.position : member.position,
+        minutes: split.worked,
+        overtime: split.overtime,
+        cost: costOf(split, member)
+      });
+    }
+  }
+
+  for (const record of getSales({ from, to, location: location || undefined })) {
+    const targets = [
+      buckets.totals,
+      bucketFor(buckets.byDay, record.date, { date: record.date }),
+      bucketFor(buckets.byLocation, record.location.toLowerCase(), { location: record.location })
+    ];
+    targets.forEach(bucket => {
+      bucket.sales = (bucket.sales || 0) + record.amount;
+    });
+  }
+
+  const byKey = map => Array.from(map.keys()).sort().map(key => map.get(key));
+  return {
+    from,
+    to,
+    location,
+    scheduleId: schedule ? schedule.id : null,
+    overtimePayMultiplier: multiplier,
+    totals: presentBucket(buckets.totals),
+    byDay: byKey(buckets.byDay).map(presentBucket),
+    byLocation: byKey(buckets.byLocation).map(presentBucket),
+    byPosition: byKey(buckets.byPosition).map(bucket => {
+      const { sales: _sales, scheduledPercentOfSales: _scheduled, actualPercentOfSales: _actual, ...row } = presentBucket(bucket);
+      return row;
+    }),
+    openShiftHours: round2(openShiftHours),
+    unlinkedHours: round2(unlinkedHours),
+    staffWithoutRate: Array.from(unrated.values())
+  };
+}
+
+/**
+ * Expand coverage requirements into the windows they need on each date
+ * @param {Array} requirements - Requirements that apply at the location
+ * @param {string} from - First date
+ * @param {string} to - Last date
+ * @returns {Array} Windows: { positionKey, position, start, end, count } in minutes
+ */
+function requirementWindows(requirements, from, to) {
+  const windows = [];
+  // Start the day before so that overnight requirements reach into the range
+  for (let date = addDays(from, -1); date <= to; date = addDays(date, 1)) {
+    const weekday = weekdayOf(date);
+    const midnight = toMinutes(`${date}T00:00`);
+    for (const requirement of requirements) {
+      if (!requirement.days.includes(weekday)) {
+        continue;
+      }
+      const start = parseTimeOfDay(requirement.startTime);
+      let end = parseTimeOfDay(requirement.endTime);
+      if (end <= start) {
+        end += 24 * 60;
+      }
+      windows.push({
+        positionKey: requirement.position.toLowerCase(),
+        position: requirement.position,
+        start: midnight + start,
+        end: midnight + end,
+        count: requirement.count
+      });
+    }
+  }
+  return windows;
+}
+
+/**
+ * Compare coverage requirements with the staff scheduled, hour by hour
+ *
+ * Each hour is checked at its start: a requirement or a staffed shift
+ * counts if it is running at that moment. Only positions with a
+ * requirement at the location are checked, and open shifts don't count
+ * as coverage.
+ * @param {Object} options - Report options (see laborReport)
+ * @returns {Object} { from, to, locations, summary, slots } - slots lists
+ *   every hour that is under or over covered
+ */
+function coverageReport(options = {}) {
+  const { from, to, location, shifts, query } = resolveScope(options);
+  // Shifts from the day before can run into the first morning
+  const earlier = getShifts({ ...query, from: addDays(from, -1), to: addDays(from, -1) });
+  const staffed = [...earlier, ...shifts].filter(shift => shift.staffId);
+  const requirements = getRequirements({ location: location || undefined });
+
+  const locations = location ? [location] : Array.from(new Map([
+    ...staffed.map(shift => [shift.location.toLowerCase(), shift.location]),
+    ...requirements.filter(item => item.location).map(item => [item.location.toLowerCase(), item.location])
+  ]).values()).sort();
+
+  const summary = { requiredHours: 0, coveredHours: 0, underHours: 0, overHours: 0 };
+  const slots = [];
+
+  for (const where of locations) {
+    const whereLower = where.toLowerCase();
+    const windows = requirementWindows(
+      requirements.filter(item => !item.location || item.location.toLowerCase() === whereLower),
+      from,
+      to
+    );
+    const here = staffed.filter(shift => shift.location.toLowerCase() === whereLower);
+    const positions = new Map(windows.map(window => [window.positionKey, window.position]));
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const midnight = toMinutes(`${date}T00:00`);
+      for (let hour = 0; hour < 24; hour++) {
+        const moment = midnight + hour * 60;
+        for (const [positionKey, position] of positions) {
+          const required = windows
+            .filter(window => window.positionKey === positionKey && window.start <= moment && moment < window.end)
+            .reduce((sum, window) => sum + window.count, 0);
+          const scheduled = here.filter(shift =>
+            shift.position.toLowerCase() === positionKey &&
+            toMinutes(shift.startsAt) <= moment && moment < toMinutes(shift.endsAt)
+          ).length;
+
+          summary.requiredHours += required;
+          summary.coveredHours += Math.min(required, scheduled);
+          if (scheduled === required) {
+            continue;
+          }
+          if (scheduled < required) {
+            summary.underHours += required - scheduled;
+          } else {
+            summary.overHours += scheduled - required;
+          }
+          slots.push({
+            date,
+            hour: fromMinutes(moment).slice(11),
+            location: where,
+            position,
+            required,
+            scheduled,
+            difference: scheduled - required
+          });
+        }
+      }
+    }
+  }
+
+  return { from, to, locations, summary, slots };
+}
+
+/**
+ * List certifications that expire in the next few days
+ *
+ * Each one lists the positions that require it and the shifts its holder
+ * is already scheduled for in those positions that run past the expiry
+ * date, drafts included, so they can be renewed or reassigned in time.
+ * @param {Object} options - Report options
+ * @param {number} options.days - How many days ahead to look (default 30)
+ * @returns {Object} { from, to, days, certifications }
+ */
+function certificationReport(options = {}) {
+  const days = options.days === undefined ? 30 : options.days;
+  if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRY_DAYS) {
+    throw new Error(`Days must be a whole number from 0 to ${MAX_EXPIRY_DAYS}`);
+  }
+
+  const from = today();
+  const to = addDays(from, days);
+  const requirements = getPositionRequirements();
+  const certifications = [];
+
+  for (const user of getAllUsers()) {
+    const member = findStaffByUserId(user.id);
+    for (const certification of user.certifications) {
+      if (certification.expiryDate === null || certification.expiryDate < from || certification.expiryDate > to) {
+        continue;
+      }
+
+      const nameLower = certification.name.toLowerCase();
+      const positions = requirements
+        .filter(requirement => requirement.certifications.some(name => name.toLowerCase() === nameLower))
+        .map(requirement => requirement.position);
+      const positionsLower = positions.map(position => position.toLowerCase());
+      const shifts = member
+        ? getShifts({ staffId: member.id, from: certification.expiryDate })
+          .filter(shift => positionsLower.includes(shift.position.toLowerCase()))
+          .filter(shift => fromMinutes(toMinutes(shift.endsAt) - 1).slice(0, 10) > certification.expiryDate)
+        : [];
+
+      certifications.push({
+        userId: user.id,
+        name: user.name,
+        email: user.email,
+        staffId: member ? member.id : null,
+        certification,
+        daysLeft: (toMinutes(`${certification.expiryDate}T00:00`) - toMinutes(`${from}T00:00`)) / (24 * 60),
+        positions,
+        shiftsAfterExpiry: shifts.map(shift => ({
+          id: shift.id,
+          scheduleId: shift.scheduleId,
+          position: shift.position,
+          location: shift.location,
+          startsAt: shift.startsAt,
+          endsAt: shift.endsAt
+        }))
+      });
+    }
+  }
+
+  certifications.sort((a, b) =>
+    a.certification.expiryDate.localeCompare(b.certification.expiryDate) || a.name.localeCompare(b.name));
+  return { from, to, days, certifications };
+}
+
+module.exports = {
+  MAX_REPORT_DAYS,
+  MAX_EXPIRY_DAYS,
+  laborReport,
+  coverageReport,
+  certificationReport
+};
@@ -0,0 +1,182 @@
+const { findScheduleById, getShifts, addShifts } = require('../models/schedule');
+const { findTemplateById } = require('../models/shiftTemplate');
+const { findHoliday } = require('../models/holiday');
+const {
+  isDate,
+  addDays,
+  toMinutes,
+  fromMinutes,
+  parseTimeOfDay,
+  weekdayOf,
+  startOfWeek
+} = require('../utils/time');
+
+/**
+ * Work out the schedule and dates a rota fill covers
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} options - { from, to }, defaulting to the schedule's dates
+ * @returns {Object} { schedule, from, to }
+ */
+function resolveTarget(scheduleId, options) {
+  const schedule = findScheduleById(scheduleId);
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  const from = options.from || schedule.startDate;
+  const to = options.to || schedule.endDate;
+  if (!isDate(from) || !isDate(to)) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+  if (to < from) {
+    throw new Error('End date cannot be before start date');
+  }
+  if (from < schedule.startDate || to > schedule.endDate) {
+    throw new Error(`Dates must fall between ${schedule.startDate} and ${schedule.endDate}`);
+  }
+
+  return { schedule, from, to };
+}
+
+/**
+ * Add shifts to a schedule, holding back the ones that fall on a holiday
+ * @param {Object} target - From resolveTarget()
+ * @param {Array} shiftDataList - Shift data, in start order
+ * @param {Object} options - { dryRun, includeHolidays }
+ * @param {string} createdBy - ID of the user filling the rota
+ * @returns {Object} { schedule, dryRun, from, to, added, refused, holidays }
+ */
+function fillSchedule(target, shiftDataList, options, createdBy) {
+  const { schedule, from, to } = target;
+  const holidays = [];
+  const toAdd = [];
+
+  for (const shiftData of shiftDataList) {
+    const holiday = options.includeHolidays
+      ? null
+      : findHoliday(shiftData.startsAt.slice(0, 10), shiftData.location || schedule.location);
+    if (holiday) {
+      holidays.push({ shift: shiftData, holiday });
+    } else {
+      toAdd.push(shiftData);
+    }
+  }
+
+  const dryRun = Boolean(options.dryRun);
+  const { added, refused } = addShifts(toAdd, createdBy, { dryRun });
+  return { schedule, dryRun, from, to, added, refused, holidays };
+}
+
+/**
+ * Stamp a shift template onto every matching weekday in a schedule
+ *
+ * Nothing is applied blindly: shifts that would double-book someone, fall
+ * on their time off, or go to someone who has left are refused and listed
+ * with their conflicts, and shifts on a holiday are held back unless
+ * `includeHolidays` is set. The rest are added.
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} options - { templateId, from, to, dryRun, includeHolidays }
+ * @param {string} createdBy - ID of the user applying it
+ * @returns {Object} { schedule, dryRun, from, to, added, refused, holidays }
+ */
+function applyTemplate(scheduleId, options, createdBy) {
+  const target = resolveTarget(scheduleId, options);
+  const template = findTemplateById(options.templateId);
+  if (!template) {
+    throw new Error('Shift template not found');
+  }
+
+  const scheduleLocation = target.schedule.location;
+  if (template.location && scheduleLocation && template.location.toLowerCase() !== scheduleLocation.toLowerCase()) {
+    throw new Error(`This template is for ${template.location} only`);
+  }
+
+  const shiftDataList = [];
+  for (let date = target.from; date <= target.to; date = addDays(date, 1)) {
+    const weekday = weekdayOf(date);
+    for (const entry of template.shifts.filter(item => item.day === weekday)) {
+      const midnight = toMinutes(`${date}T00:00`);
+      const start = parseTimeOfDay(entry.startTime);
+      let end = parseTimeOfDay(entry.endTime);
+      if (end <= start) {
+        end += 24 * 60;
+      }
+      shiftDataList.push({
+        scheduleId,
+        staffId: entry.staffId,
+        location: entry.location || template.location || scheduleLocation,
+        position: entry.position,
+        startsAt: fromMinutes(midnight + start),
+        endsAt: fromMinutes(midnight + end),
+        notes: entry.notes
+      });
+    }
+  }
+
+  return { ...fillSchedule(target, shiftDataList, options, createdBy), template };
+}
+
+/**
+ * Copy one week's shifts forward into every later week of a schedule
+ *
+ * Without a source schedule the week's published shifts at the schedule's
+ * location are copied, along with any the schedule already has that
+ * week. The source week defaults to the one before `from`, i.e. "copy
+ * last week". Copies are checked as in applyTemplate().
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} options - { sourceWeek, sourceScheduleId, from, to, dryRun, includeHolidays }
+ * @param {string} createdBy - ID of the user copying it
+ * @returns {Object} { schedule, dryRun, from, to, sourceWeek, added, refused, holidays }
+ */
+function copyWeek(scheduleId, options, createdBy) {
+  const target = resolveTarget(scheduleId, options);
+  if (options.sourceWeek !== undefined && !isDate(options.sourceWeek)) {
+    throw new Error('Source week must be in YYYY-MM-DD format');
+  }
+  if (options.sourceScheduleId && !findScheduleById(options.sourceScheduleId)) {
+    throw new Error('Source schedule not found');
+  }
+
+  const sourceWeek = startOfWeek(options.sourceWeek || addDays(target.from, -7));
+  const sourceEnd = addDays(sourceWeek, 6);
+  if (target.from <= sourceEnd) {
+    throw new Error('Copies must go after the week being copied');
+  }
+
+  const window = { from: sourceWeek, to: sourceEnd };
+  const source = options.sourceScheduleId
+    ? getShifts({ ...window, scheduleId: options.sourceScheduleId })
+    : [
+      ...getShifts({ ...window, location: target.schedule.location || undefined, publishedOnly: true }),
+      ...getShifts({ ...window, scheduleId })
+    ].filter((shift, index, list) => list.findIndex(other => other.id === shift.id) === index);
+
+  const shiftDataList = [];
+  for (let weeks = 1; addDays(sourceWeek, weeks * 7) <= target.to; weeks++) {
+    const offset = weeks * 7 * 24 * 60;
+    for (const shift of source) {
+      const startsAt = fromMinutes(toMinutes(shift.startsAt) + offset);
+      const date = startsAt.slice(0, 10);
+      if (date < target.from || date > target.to) {
+        continue;
+      }
+      shiftDataList.push({
+        scheduleId,
+        staffId: shift.staffId,
+        location: shift.location,
+        position: shift.position,
+        startsAt,
+        endsAt: fromMinutes(toMinutes(shift.endsAt) + offset),
+        notes: shift.notes
+      });
+    }
+  }
+
+  shiftDataList.sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+  return { ...fillSchedule(target, shiftDataList, options, createdBy), sourceWeek };
+}
+
+module.exports = {
+  applyTemplate,
+  copyWeek
+};
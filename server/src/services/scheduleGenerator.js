@@ -0,0 +1,311 @@
+const config = require('../config');
+const { getRequirements } = require('../models/coverage');
+const { getAllStaff, isStaffActive } = require('../models/staff');
+const { findTimeOff, isWithinAvailability } = require('../models/availability');
+const {
+  createSchedule,
+  findScheduleById,
+  deleteSchedule,
+  createShift,
+  getWeeklyHours,
+  findMissingShiftCertifications,
+  findShiftConflicts
+} = require('../models/schedule');
+const {
+  isDate,
+  addDays,
+  toMinutes,
+  fromMinutes,
+  parseTimeOfDay,
+  weekdayOf
+} = require('../utils/time');
+
+/**
+ * Longest range a schedule can be generated for, in days
+ */
+const MAX_GENERATE_DAYS = 31;
+
+/**
+ * Reasons a staff member can't take a slot, in the order they are checked
+ */
+const SkipReason = {
+  NOT_EMPLOYED: 'notEmployed',
+  TIME_OFF: 'timeOff',
+  UNAVAILABLE: 'unavailable',
+  UNCERTIFIED: 'uncertified',
+  WEEKLY_HOURS: 'weeklyHours',
+  CONFLICT: 'conflict'
+};
+
+/**
+ * Expand coverage requirements into the slots needed on each date
+ * @param {Array} requirements - Coverage requirements
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {string|null} location - Schedule location, used for requirements without one
+ * @returns {Array} Slots: { requirement, date, location, position, startsAt, endsAt, count }
+ */
+function buildSlots(requirements, startDate, endDate, location) {
+  const slots = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    const weekday = weekdayOf(date);
+    for (const requirement of requirements) {
+      if (!requirement.days.includes(weekday)) {
+        continue;
+      }
+      const midnight = toMinutes(`${date}T00:00`);
+      const start = parseTimeOfDay(requirement.startTime);
+      let end = parseTimeOfDay(requirement.endTime);
+      if (end <= start) {
+        end += 24 * 60;
+      }
+      slots.push({
+        requirement,
+        date,
+        location: location || requirement.location,
+        position: requirement.position,
+        startsAt: fromMinutes(midnight + start),
+        endsAt: fromMinutes(midnight + end),
+        count: requirement.count
+      });
+    }
+  }
+  return slots.sort((a, b) => a.startsAt.localeCompare(b.startsAt) || a.position.localeCompare(b.position));
+}
+
+/**
+ * Find why a staff member can't take a slot
+ * @param {Object} member - Staff member
+ * @param {Object} slot - Slot from buildSlots()
+ * @param {number} hours - Length of the slot in hours
+ * @returns {string|null} SkipReason value, or null if they can take it
+ */
+function skipReason(member, slot, hours) {
+  if (!isStaffActive(member, slot.date)) {
+    return SkipReason.NOT_EMPLOYED;
+  }
+
+  const lastDate = fromMinutes(toMinutes(slot.endsAt) - 1).slice(0, 10);
+  if (findTimeOff(member.id, slot.date, lastDate).length > 0) {
+    return SkipReason.TIME_OFF;
+  }
+
+  if (!isWithinAvailability(member.id, slot.startsAt, slot.endsAt)) {
+    return SkipReason.UNAVAILABLE;
+  }
+
+  const candidate = { id: null, staffId: member.id, position: slot.position, startsAt: slot.startsAt, endsAt: slot.endsAt };
+  if (findMissingShiftCertifications(candidate).length > 0) {
+    return SkipReason.UNCERTIFIED;
+  }
+
+  if (member.maxWeeklyHours !== null &&
+      getWeeklyHours(member.id, slot.date) + hours > member.maxWeeklyHours) {
+    return SkipReason.WEEKLY_HOURS;
+  }
+
+  if (findShiftConflicts(candidate).length > 0) {
+    return SkipReason.CONFLICT;
+  }
+
+  return null;
+}
+
+/**
+ * Length of a requirement's shift in hours
+ * @param {Object} requirement - Coverage requirement
+ * @returns {number} Hours
+ */
+function requirementHours(requirement) {
+  const minutes = parseTimeOfDay(requirement.endTime) - parseTimeOfDay(requirement.startTime);
+  return (minutes > 0 ? minutes : minutes + 24 * 60) / 60;
+}
+
+/**
+ * Check the request and find the coverage requirements that apply
+ * @param {Object} options - Generation options (see generateSchedule)
+ * @returns {Array} Requirements
+ */
+function planRequirements(options) {
+  const { startDate, endDate, location } = options;
+
+  if (!isDate(startDate) || !isDate(endDate)) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+
+  if (endDate < startDate) {
+    throw new Error('End date cannot be before start date');
+  }
+
+  if (addDays(startDate, MAX_GENERATE_DAYS - 1) < endDate) {
+    throw new Error(`Schedules can be generated for at most ${MAX_GENERATE_DAYS} days`);
+  }
+
+  const requirements = getRequirements({ location });
+  if (requirements.length === 0) {
+    throw new Error('No coverage requirements apply to this schedule');
+  }
+
+  if (!location && requirements.some(requirement => !requirement.location)) {
+    throw new Error('Give the schedule a location, or set one on every coverage requirement');
+  }
+
+  const tooLong = requirements.find(requirement => requirementHours(requirement) > config.scheduling.maxShiftHours);
+  if (tooLong) {
+    throw new Error(`Coverage for ${tooLong.position} from ${tooLong.startTime} to ${tooLong.endTime} ` +
+      `is longer than the ${config.scheduling.maxShiftHours} hour shift limit`);
+  }
+
+  return requirements;
+}
+
+/**
+ * Add shifts to a new draft schedule to meet the coverage requirements
+ * @param {Object} schedule - The draft schedule
+ * @param {Array} requirements - Coverage requirements from planRequirements()
+ * @param {Object} options - { location, startDate, endDate, openShifts } as for generateSchedule()
+ * @param {string} createdBy - ID of the user generating it
+ * @returns {Object} { schedule, report }
+ */
+function fillSchedule(schedule, requirements, options, createdBy) {
+  const { location, startDate, endDate, openShifts } = options;
+  const staff = getAllStaff();
+  const assignedHours = new Map();
+  const unfilled = [];
+  let needed = 0;
+  let filled = 0;
+
+  for (const slot of buildSlots(requirements, startDate, endDate, location)) {
+    const hours = (toMinutes(slot.endsAt) - toMinutes(slot.startsAt)) / 60;
+    const inPosition = staff.filter(member => member.position.toLowerCase() === slot.position.toLowerCase());
+    const takenHere = new Set();
+    let reasons = {};
+    needed += slot.count;
+
+    for (let place = 0; place < slot.count; place++) {
+      reasons = {};
+      const eligible = [];
+      for (const member of inPosition) {
+        if (takenHere.has(member.id)) {
+          continue;
+        }
+        const reason = skipReason(member, slot, hours);
+        if (reason) {
+          reasons[reason] = (reasons[reason] || 0) + 1;
+        } else {
+          eligible.push({
+            member,
+            runHours: assignedHours.get(member.id) || 0,
+            weekHours: getWeeklyHours(member.id, slot.date)
+          });
+        }
+      }
+
+      if (eligible.length === 0) {
+        break;
+      }
+
+      eligible.sort((a, b) =>
+        a.runHours - b.runHours ||
+        a.weekHours - b.weekHours ||
+        a.member.name.localeCompare(b.member.name)
+      );
+      const { member } = eligible[0];
+      createShift({
+        scheduleId: schedule.id,
+        staffId: member.id,
+        location: slot.location,
+        position: slot.position,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt
+      }, createdBy);
+      assignedHours.set(member.id, (assignedHours.get(member.id) || 0) + hours);
+      takenHere.add(member.id);
+      filled++;
+    }
+
+    const missing = slot.count - takenHere.size;
+    if (missing > 0) {
+      unfilled.push({
+        requirementId: slot.requirement.id,
+        date: slot.date,
+        location: slot.location,
+        position: slot.position,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        required: slot.count,
+        filled: takenHere.size,
+        missing,
+        candidates: inPosition.length,
+        reasons
+      });
+
+      for (let place = 0; openShifts && place < missing; place++) {
+        createShift({
+          scheduleId: schedule.id,
+          staffId: null,
+          location: slot.location,
+          position: slot.position,
+          startsAt: slot.startsAt,
+          endsAt: slot.endsAt
+        }, createdBy);
+      }
+    }
+  }
+
+  const hoursByStaff = staff
+    .filter(member => assignedHours.has(member.id))
+    .map(member => ({ staffId: member.id, name: member.name, hours: assignedHours.get(member.id) }));
+
+  return {
+    schedule: findScheduleById(schedule.id),
+    report: { needed, filled, unfilled, hoursByStaff }
+  };
+}
+
+/**
+ * Generate a draft schedule that meets the coverage requirements
+ *
+ * Slots are filled in start order. Each place goes to the staff member in
+ * that position who has been given the fewest hours so far in this run
+ * (then the fewest hours that week overall), skipping anyone who isn't
+ * employed that day, is on approved leave, is outside their availability,
+ * lacks a certification the position requires, would go over their weekly
+ * hour limit, or would be double-booked or short of rest. Availability and
+ * certifications are always respected here, even when they are not
+ * enforced for shifts added by hand. If a shift can't be added, the
+ * draft is deleted again rather than left half filled.
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Schedule name
+ * @param {string} options.location - Schedule location (optional)
+ * @param {string} options.startDate - First date (YYYY-MM-DD)
+ * @param {string} options.endDate - Last date (YYYY-MM-DD)
+ * @param {boolean} options.openShifts - Add open shifts for places that can't be filled (default true)
+ * @param {string} createdBy - ID of the user generating it
+ * @returns {Object} { schedule, report }
+ */
+function generateSchedule(options, createdBy) {
+  const { name, location = null, startDate, endDate, openShifts = true } = options;
+  const requirements = planRequirements({ startDate, endDate, location });
+
+  const schedule = createSchedule({
+    name,
+    location,
+    startDate,
+    endDate,
+    notes: 'Generated from coverage requirements'
+  }, createdBy);
+
+  try {
+    return fillSchedule(schedule, requirements, { location, startDate, endDate, openShifts }, createdBy);
+  } catch (error) {
+    deleteSchedule(schedule.id);
+    throw error;
+  }
+}
+
+module.exports = {
+  MAX_GENERATE_DAYS,
+  SkipReason,
+  generateSchedule
+};
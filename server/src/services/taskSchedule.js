@@ -0,0 +1,194 @@
+const { TaskStatus, findProjectById, findTaskById, getTasks } = require('../models/project');
+const { isDate, addDays, today } = require('../utils/time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn a calendar date into a day number, counting from 1970-01-01
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Day number
+ */
+function dayNumber(date) {
+  return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+/**
+ * Turn a day number back into a calendar date
+ * @param {number} day - Day number
+ * @returns {string} YYYY-MM-DD
+ */
+function dateOf(day) {
+  return addDays('1970-01-01', day);
+}
+
+/**
+ * Order tasks so every task comes after the tasks it depends on
+ * @param {Array} tasks - Tasks
+ * @returns {Array} Tasks, dependencies first
+ */
+function sortByDependencies(tasks) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const waiting = new Map(tasks.map(task => [task.id, task.dependsOn.filter(id => byId.has(id)).length]));
+  const ready = tasks.filter(task => waiting.get(task.id) === 0);
+  const result = [];
+
+  while (ready.length > 0) {
+    const task = ready.shift();
+    result.push(task);
+    for (const dependent of tasks.filter(item => item.dependsOn.includes(task.id))) {
+      waiting.set(dependent.id, waiting.get(dependent.id) - 1);
+      if (waiting.get(dependent.id) === 0) {
+        ready.push(dependent);
+      }
+    }
+  }
+
+  if (result.length !== tasks.length) {
+    throw new Error('Dependencies would form a cycle');
+  }
+  return result;
+}
+
+/**
+ * Lay tasks out on a timeline and find the critical path
+ *
+ * Dependencies are finish-to-start: a task can't start until the day after
+ * everything it depends on finishes, however early its own start date is.
+ * A task runs from its start date to its due date; with only one of them it
+ * takes a single day, and undated tasks start with the project. Slack is
+ * how many days a task could slip without pushing back the project's last
+ * finish; tasks with none are critical.
+ *
+ * Days are worked in half-open [start, finish) day numbers. A milestone
+ * takes no time, sitting at the end of its due date.
+ * @param {Array} tasks - Tasks in one project
+ * @returns {Object} { start, finish, criticalPath, tasks }
+ */
+function layOutTasks(tasks) {
+  const ordered = sortByDependencies(tasks);
+  const dated = tasks.flatMap(task => [task.startDate, task.dueDate]).filter(Boolean).sort();
+  const origin = dayNumber(dated.length > 0 ? dated[0] : today());
+
+  const plan = new Map();
+  for (const task of ordered) {
+    let duration = 1;
+    let planned = origin;
+    if (task.milestone) {
+      duration = 0;
+      planned = dayNumber(task.dueDate) + 1;
+    } else if (task.startDate) {
+      duration = task.dueDate ? dayNumber(task.dueDate) - dayNumber(task.startDate) + 1 : 1;
+      planned = dayNumber(task.startDate);
+    } else if (task.dueDate) {
+      planned = dayNumber(task.dueDate);
+    }
+
+    const start = Math.max(planned, ...task.dependsOn.filter(id => plan.has(id)).map(id => plan.get(id).finish));
+    plan.set(task.id, { task, duration, start, finish: start + duration });
+  }
+
+  const finish = Math.max(origin, ...[...plan.values()].map(item => item.finish));
+  for (const task of [...ordered].reverse()) {
+    const item = plan.get(task.id);
+    const successors = ordered.filter(other => other.dependsOn.includes(task.id));
+    item.latestFinish = Math.min(finish, ...successors.map(other => plan.get(other.id).latestStart));
+    item.latestStart = item.latestFinish - item.duration;
+  }
+
+  const laidOut = [...plan.values()]
+    .sort((a, b) => a.start - b.start || a.finish - b.finish || a.task.title.localeCompare(b.task.title))
+    .map(({ task, duration, start, finish: end, latestStart }) => {
+      const slack = latestStart - start;
+      const lastDay = end - 1;
+      const slipDays = task.dueDate && task.status !== TaskStatus.DONE
+        ? Math.max(0, lastDay - dayNumber(task.dueDate))
+        : 0;
+      return {
+        taskId: task.id,
+        title: task.title,
+        status: task.status,
+        milestone: task.milestone,
+        dependsOn: [...task.dependsOn],
+        dueDate: task.dueDate,
+        start: dateOf(duration === 0 ? lastDay : start),
+        finish: dateOf(lastDay),
+        slack,
+        critical: slack === 0,
+        slipDays
+      };
+    });
+
+  return {
+    start: laidOut.length > 0 ? laidOut[0].start : null,
+    finish: laidOut.length > 0 ? dateOf(finish - 1) : null,
+    criticalPath: laidOut.filter(item => item.critical).map(item => item.taskId),
+    tasks: laidOut
+  };
+}
+
+/**
+ * Get a project's timeline: when each task can run, its slack, and the
+ * critical path through the dependencies
+ * @param {string} projectId - Project ID
+ * @returns {Object} { projectId, start, finish, criticalPath, tasks }
+ */
+function getProjectSchedule(projectId) {
+  if (!findProjectById(projectId)) {
+    throw new Error('Project not found');
+  }
+  return { projectId, ...layOutTasks(getTasks({ projectId })) };
+}
+
+/**
+ * Work out what would slip if a task's dates changed, without changing them
+ * @param {string} taskId - Task ID
+ * @param {Object} dates - { startDate, dueDate }; leave one out to keep it, or send null to clear it
+ * @returns {Object} { task, finishFrom, finishTo, slipped: [{ taskId, title, finishFrom, finishTo, days }] }
+ */
+function previewTaskDates(taskId, dates) {
+  const task = findTaskById(taskId);
+  if (!task) {
+    throw new Error('Task not found');
+  }
+
+  const moved = { ...task };
+  for (const field of ['startDate', 'dueDate']) {
+    if (dates[field] !== undefined) {
+      moved[field] = dates[field] || null;
+    }
+    if (moved[field] !== null && !isDate(moved[field])) {
+      throw new Error('Dates must be in YYYY-MM-DD format');
+    }
+  }
+  if (moved.startDate && moved.dueDate && moved.startDate > moved.dueDate) {
+    throw new Error('Start date must not be after the due date');
+  }
+  if (moved.milestone && !moved.dueDate) {
+    throw new Error('A milestone needs a due date');
+  }
+
+  const current = getTasks({ projectId: task.projectId });
+  const before = layOutTasks(current);
+  const after = layOutTasks(current.map(item => (item.id === taskId ? moved : item)));
+  const finishes = new Map(before.tasks.map(item => [item.taskId, item.finish]));
+
+  return {
+    task: after.tasks.find(item => item.taskId === taskId),
+    finishFrom: before.finish,
+    finishTo: after.finish,
+    slipped: after.tasks
+      .filter(item => item.taskId !== taskId && item.finish > finishes.get(item.taskId))
+      .map(item => ({
+        taskId: item.taskId,
+        title: item.title,
+        finishFrom: finishes.get(item.taskId),
+        finishTo: item.finish,
+        days: dayNumber(item.finish) - dayNumber(finishes.get(item.taskId))
+      }))
+  };
+}
+
+module.exports = {
+  getProjectSchedule,
+  previewTaskDates
+};
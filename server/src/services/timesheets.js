@@ -0,0 +1,285 @@
+const config = require('../config');
+const { findUserById } = require('../models/user');
+const { findStaffByUserId } = require('../models/staff');
+const {
+  TimesheetStatus,
+  getEntries,
+  findTimesheet,
+  getTimesheets,
+  approveTimesheet
+} = require('../models/timeClock');
+const { addDays, toMinutes, parseTimeOfDay } = require('../utils/time');
+
+/**
+ * Columns in the payroll export, in order
+ */
+const EXPORT_COLUMNS = [
+  'weekStart',
+  'weekEnd',
+  'userId',
+  'name',
+  'email',
+  'staffId',
+  'regularHours',
+  'overtimeHours',
+  'lateNightHours',
+  'workedHours',
+  'breakHours',
+  'approvedBy',
+  'approvedAt'
+];
+
+/**
+ * Get the rules timesheets are currently calculated with
+ * @returns {Object} { overtimeWeeklyHours, overtimeDailyHours, lateNightStart, lateNightEnd }
+ */
+function getTimesheetRules() {
+  const { overtimeWeeklyHours, overtimeDailyHours, lateNightStart, lateNightEnd } = config.timesheets;
+  return { overtimeWeeklyHours, overtimeDailyHours, lateNightStart, lateNightEnd };
+}
+
+/**
+ * Convert minutes to hours, to two decimal places
+ * @param {number} minutes - Minutes
+ * @returns {number} Hours
+ */
+function toHours(minutes) {
+  return Math.round(minutes / 60 * 100) / 100;
+}
+
+/**
+ * Split an entry into the stretches actually worked, leaving out breaks
+ * @param {Object} entry - Completed time entry
+ * @returns {Array} Intervals: { start, end } in minutes
+ */
+function workedIntervals(entry) {
+  const intervals = [];
+  let start = toMinutes(entry.clockInAt);
+  for (const item of entry.breaks) {
+    intervals.push({ start, end: toMinutes(item.startAt) });
+    start = toMinutes(item.endAt);
+  }
+  intervals.push({ start, end: toMinutes(entry.clockOutAt) });
+  return intervals.filter(interval => interval.end > interval.start);
+}
+
+/**
+ * Count the minutes of an interval that fall in the late-night window
+ *
+ * The window is laid over every day the interval touches, starting the
+ * day before so that a window running past midnight is counted too.
+ * @param {Object} interval - { start, end } in minutes
+ * @param {Object} rules - Timesheet rules
+ * @returns {number} Late-night minutes
+ */
+function lateNightMinutes(interval, rules) {
+  const windowStart = parseTimeOfDay(rules.lateNightStart);
+  let windowEnd = parseTimeOfDay(rules.lateNightEnd);
+  if (windowStart === null || windowEnd === null || windowStart === windowEnd) {
+    return 0;
+  }
+  if (windowEnd < windowStart) {
+    windowEnd += 24 * 60;
+  }
+
+  const day = 24 * 60;
+  let minutes = 0;
+  for (let midnight = Math.floor(interval.start / day) * day - day; midnight < interval.end; midnight += day) {
+    const start = Math.max(interval.start, midnight + windowStart);
+    const end = Math.min(interval.end, midnight + windowEnd);
+    minutes += Math.max(0, end - start);
+  }
+  return minutes;
+}
+
+/**
+ * Split each entry in a week into regular, overtime and late-night minutes
+ *
+ * Entries count towards the day they were clocked in on. Time beyond the
+ * daily limit is overtime; after that, time beyond the weekly limit is
+ * overtime too (daily overtime doesn't count towards the weekly limit).
+ * Late-night time is the part of the worked time, regular or overtime,
+ * that falls in the late-night window. Entries still open are left out.
+ * @param {Array} entries - One person's time entries for a week, in clock-in order
+ * @param {Object} rules - Timesheet rules (see getTimesheetRules)
+ * @returns {Array} { entry, date, worked, breaks, regular, overtime, lateNight } in minutes
+ */
+function splitEntries(entries, rules) {
+  const dailyLimit = rules.overtimeDailyHours > 0 ? rules.overtimeDailyHours * 60 : Infinity;
+  const weeklyLimit = rules.overtimeWeeklyHours * 60;
+  const workedByDay = new Map();
+  let weekRegular = 0;
+
+  return entries.filter(entry => entry.clockOutAt !== null).map(entry => {
+    const date = entry.clockInAt.slice(0, 10);
+    const dayWorked = workedByDay.get(date) || 0;
+    const intervals = workedIntervals(entry);
+    const worked = intervals.reduce((sum, interval) => sum + interval.end - interval.start, 0);
+    const span = toMinutes(entry.clockOutAt) - toMinutes(entry.clockInAt);
+    const regular = Math.min(worked, Math.max(0, dailyLimit - dayWorked), Math.max(0, weeklyLimit - weekRegular));
+
+    workedByDay.set(date, dayWorked + worked);
+    weekRegular += regular;
+    return {
+      entry,
+      date,
+      worked,
+      breaks: span - worked,
+      regular,
+      overtime: worked - regular,
+      lateNight: intervals.reduce((sum, interval) => sum + lateNightMinutes(interval, rules), 0)
+    };
+  });
+}
+
+/**
+ * Work out regular, overtime and late-night hours for a week of entries
+ * (see splitEntries for the rules)
+ * @param {Array} entries - One person's time entries for a week, in clock-in order
+ * @param {Object} rules - Timesheet rules (see getTimesheetRules)
+ * @returns {Object} { days, totals } - hours per day and for the week
+ */
+function calculateHours(entries, rules) {
+  const days = new Map();
+  for (const split of splitEntries(entries, rules)) {
+    if (!days.has(split.date)) {
+      days.set(split.date, { worked: 0, breaks: 0, regular: 0, overtime: 0, lateNight: 0 });
+    }
+    const day = days.get(split.date);
+    ['worked', 'breaks', 'regular', 'overtime', 'lateNight'].forEach(key => {
+      day[key] += split[key];
+    });
+  }
+
+  const totals = { worked: 0, breaks: 0, regular: 0, overtime: 0, lateNight: 0 };
+  const toSummary = minutes => ({
+    workedHours: toHours(minutes.worked),
+    breakHours: toHours(minutes.breaks),
+    regularHours: toHours(minutes.regular),
+    overtimeHours: toHours(minutes.overtime),
+    lateNightHours: toHours(minutes.lateNight)
+  });
+
+  const summaries = Array.from(days.keys()).sort().map(date => {
+    const minutes = days.get(date);
+    Object.keys(totals).forEach(key => {
+      totals[key] += minutes[key];
+    });
+    return { date, ...toSummary(minutes) };
+  });
+
+  return { days: summaries, totals: toSummary(totals) };
+}
+
+/**
+ * Build a person's timesheet for a week
+ *
+ * Approved weeks show the hours as they were approved, so a later change
+ * to the rules doesn't alter what was sent to payroll.
+ * @param {string} userId - User ID
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {Object} Timesheet
+ */
+function buildTimesheet(userId, weekStart) {
+  const user = findUserById(userId);
+  const staff = findStaffByUserId(userId);
+  const weekEnd = addDays(weekStart, 6);
+  const entries = getEntries({ userId, from: weekStart, to: weekEnd });
+  const record = findTimesheet(userId, weekStart);
+  const approved = Boolean(record && record.status === TimesheetStatus.APPROVED);
+  const rules = getTimesheetRules();
+
+  return {
+    userId,
+    name: user ? user.name : null,
+    email: user ? user.email : null,
+    staffId: staff ? staff.id : null,
+    weekStart,
+    weekEnd,
+    status: approved ? TimesheetStatus.APPROVED : TimesheetStatus.OPEN,
+    approvedBy: approved ? record.approvedBy : null,
+    approvedAt: approved ? record.approvedAt : null,
+    clockedIn: entries.some(entry => entry.clockOutAt === null),
+    entries,
+    ...(approved ? record.summary : { ...calculateHours(entries, rules), rules }),
+    history: record ? record.history : []
+  };
+}
+
+/**
+ * Build the timesheets of everyone who worked, or was approved, in a week
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {Array} Timesheets, by name
+ */
+function getWeekTimesheets(weekStart) {
+  const userIds = new Set([
+    ...getEntries({ from: weekStart, to: addDays(weekStart, 6) }).map(entry => entry.userId),
+    ...getTimesheets({ from: weekStart, to: weekStart }).map(record => record.userId)
+  ]);
+
+  return Array.from(userIds)
+    .map(userId => buildTimesheet(userId, weekStart))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * Approve a person's week with the hours as they stand now
+ * @param {string} userId - User ID
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {string} approvedBy - ID of the approving manager
+ * @param {string} note - Optional note
+ * @returns {Object} Approved timesheet
+ */
+function approveWeek(userId, weekStart, approvedBy, note) {
+  const timesheet = buildTimesheet(userId, weekStart);
+  if (timesheet.status === TimesheetStatus.APPROVED) {
+    throw new Error('Timesheet is already approved');
+  }
+  if (timesheet.entries.length === 0) {
+    throw new Error('There are no time entries this week');
+  }
+  if (timesheet.clockedIn) {
+    throw new Error('Cannot approve a timesheet while still clocked in');
+  }
+
+  const { days, totals, rules } = timesheet;
+  approveTimesheet(userId, weekStart, { days, totals, rules }, approvedBy, note);
+  return buildTimesheet(userId, weekStart);
+}
+
+/**
+ * Build payroll export rows for approved timesheets
+ * @param {Object} options - Query options
+ * @param {string} options.from - Only weeks starting on or after this date
+ * @param {string} options.to - Only weeks starting on or before this date
+ * @returns {Array} Rows keyed by EXPORT_COLUMNS
+ */
+function getPayrollRows(options = {}) {
+  return getTimesheets({ status: TimesheetStatus.APPROVED, from: options.from, to: options.to })
+    .map(record => {
+      const timesheet = buildTimesheet(record.userId, record.weekStart);
+      const approver = findUserById(record.approvedBy);
+      return {
+        weekStart: timesheet.weekStart,
+        weekEnd: timesheet.weekEnd,
+        userId: timesheet.userId,
+        name: timesheet.name,
+        email: timesheet.email,
+        staffId: timesheet.staffId,
+        ...timesheet.totals,
+        approvedBy: approver ? approver.name : record.approvedBy,
+        approvedAt: record.approvedAt
+      };
+    });
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  getTimesheetRules,
+  splitEntries,
+  calculateHours,
+  buildTimesheet,
+  getWeekTimesheets,
+  approveWeek,
+  getPayrollRows
+};
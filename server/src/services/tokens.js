@@ -0,0 +1,94 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const {
+  createSession,
+  findSessionById,
+  isSessionActive,
+  rotateSession
+} = require('../models/session');
+
+/**
+ * Sign a short-lived access token for a session
+ *
+ * The token only carries identity (user and session IDs). Roles are
+ * always looked up from the user store when the token is used.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ sid: sessionId }, config.auth.tokenSecret, {
+    subject: userId,
+    issuer: config.auth.tokenIssuer,
+    expiresIn: config.auth.accessTokenTtlSeconds
+  });
+}
+
+/**
+ * Build the token response returned to clients
+ * @param {string} userId - User ID
+ * @param {Object} session - Session
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Object} Token pair
+ */
+function buildTokenPair(userId, session, refreshToken) {
+  return {
+    tokenType: 'Bearer',
+    accessToken: signAccessToken(userId, session.id),
+    expiresIn: config.auth.accessTokenTtlSeconds,
+    refreshToken
+  };
+}
+
+/**
+ * Start a new session and issue tokens for a user
+ * @param {Object} user - User (sanitized)
+ * @param {Object} meta - Optional request metadata (ip, userAgent)
+ * @returns {Object} Token pair
+ */
+function issueTokens(user, meta = {}) {
+  const { session, refreshToken } = createSession(user.id, config.auth.refreshTokenTtlSeconds, meta);
+  return buildTokenPair(user.id, session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Object} Token pair plus the owning user ID
+ */
+function refreshTokens(refreshToken) {
+  const { session, refreshToken: newToken } = rotateSession(refreshToken, config.auth.refreshTokenTtlSeconds);
+  return {
+    userId: session.userId,
+    ...buildTokenPair(session.userId, session, newToken)
+  };
+}
+
+/**
+ * Verify an access token and its session
+ * @param {string} token - Signed JWT
+ * @returns {Object|null} { userId, sessionId } or null if invalid
+ */
+function verifyAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.auth.tokenSecret, {
+      issuer: config.auth.tokenIssuer
+    });
+  } catch (_error) {
+    return null;
+  }
+
+  const session = findSessionById(payload.sid);
+  if (!payload.sub || !isSessionActive(session) || session.userId !== payload.sub) {
+    return null;
+  }
+
+  return { userId: payload.sub, sessionId: payload.sid };
+}
+
+module.exports = {
+  issueTokens,
+  refreshTokens,
+  verifyAccessToken
+};
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const {
+  UserRole,
+  UserStatus,
+  ALLOWED_UPDATES,
+  createUser,
+  findUserByEmail,
+  findUserById,
+  updateUser,
+  sanitizeUser
+} = require('../models/user');
+const { Permission, hasPermission, roleExists, canAssignRole } = require('../models/role');
+const { parseCsvObjects } = require('../utils/csv');
+
+/**
+ * Largest number of users accepted in one import
+ */
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Columns written by an export, in order
+ */
+const EXPORT_COLUMNS = ['id', 'email', 'name', 'role', 'status', 'emailVerified', 'createdAt', 'lastLoginAt'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Turn an import request body into a list of records
+ * @param {string|Array|Object} body - CSV text, an array of users or { users: [...] }
+ * @returns {Array<Object>} Records
+ */
+function parseImportData(body) {
+  let records;
+  if (typeof body === 'string') {
+    records = parseCsvObjects(body);
+  } else if (Array.isArray(body)) {
+    records = body;
+  } else if (body && Array.isArray(body.users)) {
+    records = body.users;
+  } else {
+    throw new Error('Send a CSV file (text/csv) or a JSON array of users');
+  }
+
+  if (records.length === 0) {
+    throw new Error('No users to import');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} users`);
+  }
+  return records;
+}
+
+/**
+ * Read an optional text field from an import record
+ * @param {Object} record - Import record
+ * @param {string} field - Field name
+ * @returns {string|undefined} Trimmed value, or undefined if blank
+ */
+function readField(record, field) {
+  const value = record[field];
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+}
+
+/**
+ * Validate one import record and work out what importing it would do
+ * @param {Object} record - Import record
+ * @param {Object} options - { upsert, currentUser, seenEmails }
+ * @returns {Object} { action, email, data, existing, errors }
+ */
+function planRow(record, options) {
+  const { upsert, currentUser, seenEmails } = options;
+  const errors = [];
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { action: 'error', email: null, errors: ['Row must be an object'] };
+  }
+
+  const rawEmail = readField(record, 'email');
+  const email = rawEmail ? rawEmail.toLowerCase() : null;
+  const name = readField(record, 'name');
+  const role = readField(record, 'role');
+  const status = readField(record, 'status');
+  const password = readField(record, 'password');
+
+  if (!email) {
+    errors.push('Email is required');
+  } else if (!EMAIL_PATTERN.test(email)) {
+    errors.push('Email is not valid');
+  } else if (seenEmails.has(email)) {
+    errors.push('Email appears more than once in this import');
+  }
+  if (email) {
+    seenEmails.add(email);
+  }
+
+  const existing = email ? findUserByEmail(email) : null;
+  if (existing && !upsert) {
+    errors.push('A user with this email already exists');
+  }
+
+  if (!existing && !name) {
+    errors.push('Name is required');
+  } else if (name && name.length > 100) {
+    errors.push('Name must be at most 100 characters');
+  }
+
+  if (role !== undefined) {
+    if (!roleExists(role)) {
+      errors.push(`Unknown role: ${role}`);
+    } else if ((!existing || existing.role !== role) && !canAssignRole(currentUser.role, role)) {
+      errors.push('You cannot assign a role with permissions you do not have');
+    }
+  }
+
+  if (status !== undefined && !Object.values(UserStatus).includes(status)) {
+    errors.push(`Unknown status: ${status}`);
+  }
+
+  if (password !== undefined) {
+    if (existing) {
+      errors.push('An import cannot change the password of an existing user');
+    } else if (password.length < 8) {
+      errors.push('Password must be at least 8 characters');
+    }
+  }
+
+  const data = { name, role, status, password };
+  const changed = existing && ALLOWED_UPDATES.some(field => data[field] !== undefined && data[field] !== existing[field]);
+
+  // Checked here so that applying a valid import can't fail part way through
+  if (changed && upsert) {
+    if (!hasPermission(currentUser.role, Permission.USERS_EDIT)) {
+      errors.push('Updating existing users needs the users.edit permission');
+    } else if (!canAssignRole(currentUser.role, existing.role)) {
+      errors.push('You cannot change a user whose role has permissions you do not have');
+    }
+  }
+
+  if (errors.length > 0) {
+    return { action: 'error', email, errors };
+  }
+
+  if (!existing) {
+    return { action: 'create', email, data };
+  }
+  return { action: changed ? 'update' : 'unchanged', email, data, existing };
+}
+
+/**
+ * Import users, creating new ones and (with `upsert`) updating existing
+ * ones matched by email
+ *
+ * Every row is validated first, permissions included. If any row has
+ * errors, or this is a dry run, nothing is written and the report says
+ * what would have happened. Users created without a password get a random
+ * one and are flagged `invite` so they can be emailed a link to choose
+ * their own. Existing users' passwords are never changed.
+ * @param {Array<Object>} records - Records from parseImportData()
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Only validate
+ * @param {boolean} options.upsert - Update users whose email already exists
+ * @param {Object} options.currentUser - Current authenticated user
+ * @param {Function} options.onApply - Called with each change as soon as it
+ *   is written, e.g. to audit it
+ * @returns {Promise<Object>} { report, changes } where changes lists { action, before, after, invite }
+ */
+async function importUsers(records, options) {
+  const { dryRun = false, upsert = false, currentUser, onApply = () => {} } = options;
+  const seenEmails = new Set();
+  const plans = records.map(record => planRow(record, { upsert, currentUser, seenEmails }));
+
+  const report = {
+    dryRun,
+    upsert,
+    total: plans.length,
+    created: plans.filter(plan => plan.action === 'create').length,
+    updated: plans.filter(plan => plan.action === 'update').length,
+    unchanged: plans.filter(plan => plan.action === 'unchanged').length,
+    failed: plans.filter(plan => plan.action === 'error').length,
+    rows: plans.map((plan, index) => ({
+      row: index + 1,
+      email: plan.email,
+      action: plan.action,
+      ...(plan.errors ? { errors: plan.errors } : {})
+    }))
+  };
+  report.imported = !dryRun && report.failed === 0;
+
+  const changes = [];
+  if (!report.imported) {
+    return { report, changes };
+  }
+
+  for (const [index, plan] of plans.entries()) {
+    const { data } = plan;
+
+    if (plan.action === 'create') {
+      const user = await createUser({
+        email: plan.email,
+        name: data.name,
+        role: data.role || UserRole.USER,
+        status: data.status || UserStatus.ACTIVE,
+        password: data.password || crypto.randomBytes(24).toString('hex')
+      });
+      report.rows[index].userId = user.id;
+      const change = { action: 'create', before: null, after: user, invite: !data.password };
+      changes.push(change);
+      await onApply(change);
+    } else if (plan.action === 'update') {
+      const before = sanitizeUser(plan.existing);
+      updateUser(plan.existing.id, { name: data.name, role: data.role, status: data.status }, currentUser);
+      report.rows[index].userId = plan.existing.id;
+      const change = { action: 'update', before, after: sanitizeUser(findUserById(plan.existing.id)), invite: false };
+      changes.push(change);
+      await onApply(change);
+    } else {
+      report.rows[index].userId = plan.existing.id;
+    }
+  }
+
+  return { report, changes };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  EXPORT_COLUMNS,
+  parseImportData,
+  importUsers
+};
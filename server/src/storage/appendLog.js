@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an append-only log held in memory
+ * @returns {Object} Log with `append(record)`, `all()` and `clear()`
+ */
+function createMemoryLog() {
+  const records = [];
+
+  return {
+    /**
+     * Add a record to the end of the log
+     * @param {Object} record - Record
+     * @returns {Object} The record
+     */
+    append(record) {
+      records.push({ ...record });
+      return record;
+    },
+
+    /**
+     * Get all records, oldest first
+     * @returns {Array} Copies of the records
+     */
+    all() {
+      return records.map(record => ({ ...record }));
+    },
+
+    /**
+     * Remove every record
+     */
+    clear() {
+      records.length = 0;
+    }
+  };
+}
+
+/**
+ * Write records to a JSON Lines file atomically (temp file, then rename)
+ * @param {string} filePath - Path to the .jsonl file
+ * @param {Array} records - Records
+ */
+function writeLogFile(filePath, records) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read the records from a JSON Lines file
+ *
+ * A last line cut short by a crash mid-append is dropped, and the file
+ * rewritten without it, rather than stopping the server from starting.
+ * @param {string} filePath - Path to the .jsonl file
+ * @returns {Array} Records
+ */
+function readLogFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+  const records = [];
+  lines.forEach((line, index) => {
+    try {
+      records.push(JSON.parse(line));
+    } catch (_error) {
+      if (index < lines.length - 1) {
+        throw new Error(`${filePath} line ${index + 1} is not valid JSON`);
+      }
+      writeLogFile(filePath, records);
+    }
+  });
+  return records;
+}
+
+/**
+ * Create an append-only log persisted as a JSON Lines file
+ *
+ * Each record is appended to the file as one line, so recording an entry
+ * costs the same however long the log grows, unlike a record store which
+ * rewrites its whole file on every change. Records are also held in memory
+ * for reading.
+ *
+ * When the file doesn't exist yet but `legacyPath` holds a record store
+ * file for the same collection, its records are moved into the log.
+ *
+ * @param {string} filePath - Path to the .jsonl file
+ * @param {Object} options - Log options
+ * @param {string} options.legacyPath - Record store file to take records from
+ * @returns {Object} Log
+ */
+function createFileLog(filePath, options = {}) {
+  const memory = createMemoryLog();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (!fs.existsSync(filePath) && options.legacyPath && fs.existsSync(options.legacyPath)) {
+    const legacy = JSON.parse(fs.readFileSync(options.legacyPath, 'utf8'));
+    writeLogFile(filePath, legacy.records || []);
+    fs.rmSync(options.legacyPath);
+  }
+
+  readLogFile(filePath).forEach(record => memory.append(record));
+
+  return {
+    ...memory,
+    append(record) {
+      fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+      return memory.append(record);
+    },
+    clear() {
+      fs.writeFileSync(filePath, '');
+      memory.clear();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryLog,
+  createFileLog
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Read a store file from disk
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object|null} Parsed contents or null if the file doesn't exist
+ */
+function readStoreFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a store file atomically (write to a temp file, then rename)
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} contents - Data to write
+ */
+function writeStoreFile(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(contents, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Create a record store persisted to a JSON file
+ *
+ * All records are held in memory and the whole file is rewritten after
+ * every change, which suits the small data sets of a single bakery.
+ *
+ * The file records a schema version. On load, every migration after that
+ * version is applied in order and the result is written back, so the
+ * schema version always equals `migrations.length`.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} options - Store options
+ * @param {Object<string, Function>} options.indexes - Unique indexes (see createMemoryStore)
+ * @param {Array<Function>} options.migrations - Functions taking the array
+ *   of records at version N and returning the records at version N + 1
+ * @returns {Object} Store
+ */
+function createFileStore(filePath, options = {}) {
+  const { migrations = [] } = options;
+  const memory = createMemoryStore(options);
+  const schemaVersion = migrations.length;
+
+  const stored = readStoreFile(filePath);
+  if (stored) {
+    const fromVersion = stored.schemaVersion || 0;
+    if (fromVersion > schemaVersion) {
+      throw new Error(`${filePath} has schema version ${fromVersion}, but only ${schemaVersion} is supported`);
+    }
+
+    let records = stored.records || [];
+    for (const migrate of migrations.slice(fromVersion)) {
+      records = migrate(records);
+    }
+    records.forEach(record => memory.insert(record));
+
+    if (fromVersion < schemaVersion) {
+      persist();
+    }
+  }
+
+  function persist() {
+    writeStoreFile(filePath, { schemaVersion, records: memory.all() });
+  }
+
+  function withPersist(fn) {
+    return (...args) => {
+      const result = fn(...args);
+      persist();
+      return result;
+    };
+  }
+
+  return {
+    ...memory,
+    insert: withPersist(memory.insert),
+    update: withPersist(memory.update),
+    remove: withPersist(memory.remove),
+    clear: withPersist(memory.clear)
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,50 @@
+const path = require('path');
+const config = require('../config');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createMemoryLog, createFileLog } = require('./appendLog');
+
+/**
+ * Create a named record store using the configured driver
+ *
+ * With the `file` driver the store lives in `<dataDir>/<name>.json`; with
+ * the `memory` driver (the default under test) nothing is persisted.
+ *
+ * @param {string} name - Collection name
+ * @param {Object} options - Store options (indexes, migrations)
+ * @returns {Object} Store
+ */
+function createStore(name, options = {}) {
+  switch (config.storage.driver) {
+    case 'memory':
+      return createMemoryStore(options);
+    case 'file':
+      return createFileStore(path.join(config.storage.dataDir, `${name}.json`), options);
+    default:
+      throw new Error(`Unknown storage driver "${config.storage.driver}"`);
+  }
+}
+
+/**
+ * Create a named append-only log using the configured driver
+ *
+ * With the `file` driver the log lives in `<dataDir>/<name>.jsonl`, taking
+ * over the records of a `<name>.json` record store if there is one.
+ *
+ * @param {string} name - Collection name
+ * @returns {Object} Log
+ */
+function createLog(name) {
+  switch (config.storage.driver) {
+    case 'memory':
+      return createMemoryLog();
+    case 'file':
+      return createFileLog(path.join(config.storage.dataDir, `${name}.jsonl`), {
+        legacyPath: path.join(config.storage.dataDir, `${name}.json`)
+      });
+    default:
+      throw new Error(`Unknown storage driver "${config.storage.driver}"`);
+  }
+}
+
+module.exports = { createStore, createLog };
@@ -0,0 +1,178 @@
+/**
+ * Create an in-memory record store
+ *
+ * Records are plain objects keyed by their `id`. Unique indexes map a
+ * derived key (e.g. a normalized email) to a record ID so lookups don't
+ * need to scan every record.
+ *
+ * @param {Object} options - Store options
+ * @param {Object<string, Function>} options.indexes - Unique indexes as
+ *   name -> function(record) returning the key, or null to leave the
+ *   record out of that index
+ * @returns {Object} Store
+ */
+function createMemoryStore(options = {}) {
+  const { indexes = {} } = options;
+  const records = new Map();
+  const indexMaps = {};
+  const recordKeys = new Map();
+
+  for (const name of Object.keys(indexes)) {
+    indexMaps[name] = new Map();
+  }
+
+  function keysFor(record) {
+    const keys = {};
+    for (const [name, keyFn] of Object.entries(indexes)) {
+      const key = keyFn(record);
+      if (key !== null && key !== undefined) {
+        keys[name] = key;
+      }
+    }
+    return keys;
+  }
+
+  function assertUnique(record, keys) {
+    for (const [name, key] of Object.entries(keys)) {
+      const ownerId = indexMaps[name].get(key);
+      if (ownerId !== undefined && ownerId !== record.id) {
+        throw new Error(`Duplicate value for unique index "${name}"`);
+      }
+    }
+  }
+
+  function unindex(id) {
+    const keys = recordKeys.get(id) || {};
+    for (const [name, key] of Object.entries(keys)) {
+      indexMaps[name].delete(key);
+    }
+    recordKeys.delete(id);
+  }
+
+  function index(record, keys) {
+    for (const [name, key] of Object.entries(keys)) {
+      indexMaps[name].set(key, record.id);
+    }
+    recordKeys.set(record.id, keys);
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Object|null} Record or null
+   */
+  function get(id) {
+    return records.get(id) || null;
+  }
+
+  /**
+   * Find a record through a unique index
+   * @param {string} name - Index name
+   * @param {*} key - Index key
+   * @returns {Object|null} Record or null
+   */
+  function findBy(name, key) {
+    if (!indexMaps[name]) {
+      throw new Error(`Unknown index "${name}"`);
+    }
+    const id = indexMaps[name].get(key);
+    return id === undefined ? null : get(id);
+  }
+
+  /**
+   * Get all records in insertion order
+   * @returns {Array} Records
+   */
+  function all() {
+    return Array.from(records.values());
+  }
+
+  /**
+   * Insert a new record
+   * @param {Object} record - Record with an `id`
+   * @returns {Object} The record
+   */
+  function insert(record) {
+    if (records.has(record.id)) {
+      throw new Error(`Record ${record.id} already exists`);
+    }
+    const keys = keysFor(record);
+    assertUnique(record, keys);
+    records.set(record.id, record);
+    index(record, keys);
+    return record;
+  }
+
+  /**
+   * Replace an existing record
+   * @param {Object} record - Record with an `id`
+   * @returns {Object} The record
+   */
+  function update(record) {
+    if (!records.has(record.id)) {
+      throw new Error(`Record ${record.id} does not exist`);
+    }
+    const keys = keysFor(record);
+    assertUnique(record, keys);
+    unindex(record.id);
+    records.set(record.id, record);
+    index(record, keys);
+    return record;
+  }
+
+  /**
+   * Remove a record
+   * @param {string} id - Record ID
+   * @returns {boolean} True if the record existed
+   */
+  function remove(id) {
+    if (!records.has(id)) {
+      return false;
+    }
+    unindex(id);
+    records.delete(id);
+    return true;
+  }
+
+  /**
+   * Check whether a record exists
+   * @param {string} id - Record ID
+   * @returns {boolean} True if present
+   */
+  function has(id) {
+    return records.has(id);
+  }
+
+  /**
+   * Count records
+   * @returns {number} Number of records
+   */
+  function count() {
+    return records.size;
+  }
+
+  /**
+   * Remove every record
+   */
+  function clear() {
+    records.clear();
+    recordKeys.clear();
+    for (const map of Object.values(indexMaps)) {
+      map.clear();
+    }
+  }
+
+  return {
+    get,
+    findBy,
+    all,
+    insert,
+    update,
+    remove,
+    has,
+    count,
+    clear
+  };
+}
+
+module.exports = { createMemoryStore };
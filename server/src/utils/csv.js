@@ -0,0 +1,127 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180: comma separated, fields
+ * optionally quoted with doubled quotes inside)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row, keyed by header
+ */
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const keys = header.map(key => key.trim());
+  return rows.map(fields => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = fields[index] !== undefined ? fields[index] : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * A plain number, which spreadsheets read as a number rather than a formula
+ */
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+/**
+ * Format one value as a CSV field
+ *
+ * Values a spreadsheet would run as a formula are prefixed with a quote.
+ * Plain numbers such as `-2.5` are left alone so they stay numbers.
+ * @param {*} value - Value
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !NUMBER_PATTERN.test(text))) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Write objects as CSV with a header row
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>} columns - Keys to write, in order
+ * @returns {string} CSV text
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(formatField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => formatField(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  toCsv
+};
@@ -0,0 +1,120 @@
+/**
+ * Minimal iCalendar writing (RFC 5545): a VCALENDAR of VEVENTs with
+ * escaped text, folded lines and CRLF line endings
+ */
+
+/**
+ * Longest line allowed before folding, in octets
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line is longer than 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line (continuations start with a space)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a local wall-clock date-time as a floating DATE-TIME
+ * @param {string} value - YYYY-MM-DDTHH:mm
+ * @returns {string} YYYYMMDDTHHmmss
+ */
+function formatLocalDateTime(value) {
+  return `${value.replace(/[-:]/g, '')}00`;
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME
+ * @param {string|Date} value - ISO timestamp or Date
+ * @returns {string} YYYYMMDDTHHmmssZ
+ */
+function formatUtcDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar - Calendar details
+ * @param {string} calendar.name - Calendar name shown by calendar apps
+ * @param {Array} calendar.events - Events: { uid, sequence, status, startsAt,
+ *   endsAt, summary, location, description, lastModified }
+ * @returns {string} iCalendar text
+ */
+function buildCalendar(calendar) {
+  const stamp = formatUtcDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//JustFlour//Schedules//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendar.name)}`
+  ];
+
+  for (const event of calendar.events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `SEQUENCE:${event.sequence}`,
+      `STATUS:${event.status}`,
+      `DTSTART:${formatLocalDateTime(event.startsAt)}`,
+      `DTEND:${formatLocalDateTime(event.endsAt)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.lastModified) {
+      lines.push(`LAST-MODIFIED:${formatUtcDateTime(event.lastModified)}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  buildCalendar
+};
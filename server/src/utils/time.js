@@ -0,0 +1,161 @@
+/**
+ * Date helpers for calendar dates ("YYYY-MM-DD") and local date-times
+ * ("YYYY-MM-DDTHH:mm")
+ *
+ * Rota times are wall-clock times at the bakery, so they are kept as plain
+ * strings rather than Date objects. Arithmetic treats them as UTC, which
+ * keeps every day exactly 24 hours long.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const TIME_PATTERN = /^(\d{2}):(\d{2})$/;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Days of the week, in the order Date#getUTCDay() numbers them
+ */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD form
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Check that a value is a real local date-time in YYYY-MM-DDTHH:mm form
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isDateTime(value) {
+  if (typeof value !== 'string' || !DATE_TIME_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 16) === value;
+}
+
+/**
+ * Convert a local date-time to minutes, for comparing and subtracting
+ * @param {string} dateTime - YYYY-MM-DDTHH:mm
+ * @returns {number} Minutes since the epoch
+ */
+function toMinutes(dateTime) {
+  return Date.parse(`${dateTime}:00Z`) / MINUTE_MS;
+}
+
+/**
+ * Convert minutes back to a local date-time
+ * @param {number} minutes - Minutes since the epoch
+ * @returns {string} YYYY-MM-DDTHH:mm
+ */
+function fromMinutes(minutes) {
+  return new Date(minutes * MINUTE_MS).toISOString().slice(0, 16);
+}
+
+/**
+ * Convert a time of day to minutes after midnight
+ *
+ * "24:00" is accepted so that a window can run to the end of the day.
+ * @param {*} value - HH:mm
+ * @returns {number|null} Minutes, or null if not a valid time
+ */
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' ? TIME_PATTERN.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Get the day of the week a calendar date falls on
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} Lowercase weekday name (see WEEKDAYS)
+ */
+function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the Monday of the week a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function startOfWeek(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, day === 0 ? -6 : 1 - day);
+}
+
+/**
+ * Format a Date as a local calendar date
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a Date as a local date-time, to the minute
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DDTHH:mm
+ */
+function toDateTimeString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${toDateString(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Get the current local date-time, to the minute
+ * @returns {string} YYYY-MM-DDTHH:mm
+ */
+function now() {
+  return toDateTimeString(new Date());
+}
+
+/**
+ * Get today's local calendar date
+ * @returns {string} YYYY-MM-DD
+ */
+function today() {
+  return toDateString(new Date());
+}
+
+module.exports = {
+  WEEKDAYS,
+  isDate,
+  isDateTime,
+  toMinutes,
+  fromMinutes,
+  addDays,
+  parseTimeOfDay,
+  weekdayOf,
+  startOfWeek,
+  toDateString,
+  toDateTimeString,
+  now,
+  today
+};
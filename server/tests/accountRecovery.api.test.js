@@ -0,0 +1,194 @@
+const request = require('supertest');
+const app = require('../src/index');
+const config = require('../src/config');
+const { clearUsers, createUser, findUserById, UserStatus } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearUserTokens } = require('../src/models/userToken');
+const { getTransport } = require('../src/mail');
+const { createAuthenticatedUser } = require('./helpers');
+
+/**
+ * Pull the token for a query parameter out of the last email sent to an address
+ */
+function tokenFromLastEmail(to, param) {
+  const message = getTransport().messages.filter(m => m.to === to).pop();
+  const match = message && message.text.match(new RegExp(`[?&]${param}=([^\\s&]+)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+describe('Account verification and recovery API', () => {
+  beforeEach(() => {
+    clearUsers();
+    clearSessions();
+    clearUserTokens();
+    getTransport().clear();
+  });
+
+  describe('POST /api/users/verify-email', () => {
+    let userId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/users/signup')
+        .send({ email: 'new@example.com', password: 'password123', name: 'New Baker' });
+      userId = response.body.id;
+    });
+
+    it('should create signups as pending and email a verification link', () => {
+      const user = findUserById(userId);
+      expect(user.status).toBe(UserStatus.PENDING);
+      expect(user.emailVerified).toBe(false);
+
+      const [message] = getTransport().messages;
+      expect(message.to).toBe('new@example.com');
+      expect(message.from).toBe(config.mail.from);
+      expect(message.text).toContain(`${config.appUrl}/login.html?verify=`);
+    });
+
+    it('should activate the account with a valid token', async () => {
+      const token = tokenFromLastEmail('new@example.com', 'verify');
+
+      const response = await request(app)
+        .post('/api/users/verify-email')
+        .send({ token });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe(UserStatus.ACTIVE);
+      expect(response.body.emailVerified).toBe(true);
+      expect(response.body.emailVerifiedAt).toBeDefined();
+    });
+
+    it('should only accept a token once', async () => {
+      const token = tokenFromLastEmail('new@example.com', 'verify');
+      await request(app).post('/api/users/verify-email').send({ token });
+
+      const response = await request(app)
+        .post('/api/users/verify-email')
+        .send({ token });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid or expired token');
+    });
+
+    it('should reject expired tokens', async () => {
+      const ttl = config.auth.emailVerificationTtlSeconds;
+      config.auth.emailVerificationTtlSeconds = -1;
+      try {
+        await request(app)
+          .post('/api/users/resend-verification')
+          .send({ email: 'new@example.com' });
+      } finally {
+        config.auth.emailVerificationTtlSeconds = ttl;
+      }
+
+      const response = await request(app)
+        .post('/api/users/verify-email')
+        .send({ token: tokenFromLastEmail('new@example.com', 'verify') });
+
+      expect(response.status).toBe(400);
+      expect(findUserById(userId).status).toBe(UserStatus.PENDING);
+    });
+
+    it('should invalidate the previous link when a new one is sent', async () => {
+      const oldToken = tokenFromLastEmail('new@example.com', 'verify');
+      await request(app)
+        .post('/api/users/resend-verification')
+        .send({ email: 'new@example.com' });
+
+      const response = await request(app)
+        .post('/api/users/verify-email')
+        .send({ token: oldToken });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not accept a password reset token', async () => {
+      await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: 'new@example.com' });
+
+      const response = await request(app)
+        .post('/api/users/verify-email')
+        .send({ token: tokenFromLastEmail('new@example.com', 'reset') });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/users/forgot-password', () => {
+    it('should email a reset link to existing accounts', async () => {
+      await createUser({ email: 'baker@example.com', password: 'password123', name: 'Baker' });
+
+      const response = await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: 'baker@example.com' });
+
+      expect(response.status).toBe(202);
+      expect(tokenFromLastEmail('baker@example.com', 'reset')).not.toBeNull();
+    });
+
+    it('should give the same answer for unknown emails without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(202);
+      expect(getTransport().messages).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/users/reset-password', () => {
+    let token;
+    let accessToken;
+
+    beforeEach(async () => {
+      ({ token: accessToken } = await createAuthenticatedUser({ email: 'baker@example.com' }));
+      await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: 'baker@example.com' });
+      token = tokenFromLastEmail('baker@example.com', 'reset');
+    });
+
+    it('should set the new password and sign out existing sessions', async () => {
+      const response = await request(app)
+        .post('/api/users/reset-password')
+        .send({ token, password: 'new-password-456' });
+      expect(response.status).toBe(200);
+
+      const newLogin = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'baker@example.com', password: 'new-password-456' });
+      expect(newLogin.status).toBe(200);
+
+      const oldLogin = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'baker@example.com', password: 'password123' });
+      expect(oldLogin.status).toBe(401);
+
+      const stats = await request(app)
+        .get('/api/users/stats')
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(stats.status).toBe(401);
+    });
+
+    it('should only accept a token once', async () => {
+      await request(app)
+        .post('/api/users/reset-password')
+        .send({ token, password: 'new-password-456' });
+
+      const response = await request(app)
+        .post('/api/users/reset-password')
+        .send({ token, password: 'another-password-789' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should validate the new password', async () => {
+      const response = await request(app)
+        .post('/api/users/reset-password')
+        .send({ token, password: 'short' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
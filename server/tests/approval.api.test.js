@@ -0,0 +1,181 @@
+const request = require('supertest');
+const app = require('../src/index');
+const config = require('../src/config');
+const { clearUsers, createUser, findUserById, UserRole, UserStatus, ApprovalStatus } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearUserTokens } = require('../src/models/userToken');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { getTransport } = require('../src/mail');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+/**
+ * Sign up through the API and follow the verification link
+ */
+async function signUpAndVerify(email) {
+  const signup = await request(app)
+    .post('/api/users/signup')
+    .send({ email, password: 'password123', name: 'New Baker' });
+  const message = getTransport().messages.filter(m => m.to === email).pop();
+  const token = decodeURIComponent(message.text.match(/[?&]verify=([^\s&]+)/)[1]);
+  await request(app).post('/api/users/verify-email').send({ token });
+  return signup.body.id;
+}
+
+describe('Signup approval API', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearUserTokens();
+    clearAuditLog();
+    getTransport().clear();
+    config.signup.requireApproval = true;
+    ({ token: adminToken } = await createAuthenticatedAdmin());
+  });
+
+  afterEach(() => {
+    config.signup.requireApproval = false;
+  });
+
+  it('should keep verified signups pending until approved', async () => {
+    const userId = await signUpAndVerify('new@example.com');
+
+    const user = findUserById(userId);
+    expect(user.approvalStatus).toBe(ApprovalStatus.PENDING);
+    expect(user.status).toBe(UserStatus.PENDING);
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'new@example.com', password: 'password123' });
+
+    expect(login.status).toBe(403);
+    expect(login.body.code).toBe('ACCOUNT_PENDING_APPROVAL');
+    expect(login.body.error).toContain('administrator');
+
+    const [failure] = queryAuditLog({ action: AuditAction.LOGIN_FAILED });
+    expect(failure.targetId).toBe(userId);
+    expect(failure.metadata.reason).toBe('ACCOUNT_PENDING_APPROVAL');
+  });
+
+  it('should not require approval when the setting is off', async () => {
+    config.signup.requireApproval = false;
+    const userId = await signUpAndVerify('new@example.com');
+
+    expect(findUserById(userId).status).toBe(UserStatus.ACTIVE);
+  });
+
+  describe('GET /api/users/pending', () => {
+    it('should list pending signups for admins', async () => {
+      const userId = await signUpAndVerify('new@example.com');
+
+      const response = await request(app)
+        .get('/api/users/pending')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(u => u.id)).toEqual([userId]);
+      expect(response.body[0].password).toBeUndefined();
+    });
+
+    it('should return 403 for users without users.approve', async () => {
+      const { token } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER });
+
+      const response = await request(app)
+        .get('/api/users/pending')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/users/:id/approve', () => {
+    it('should activate the account, audit it and email the user', async () => {
+      const userId = await signUpAndVerify('new@example.com');
+
+      const response = await request(app)
+        .post(`/api/users/${userId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe(UserStatus.ACTIVE);
+      expect(response.body.approvalStatus).toBe(ApprovalStatus.APPROVED);
+
+      const [entry] = queryAuditLog({ action: AuditAction.USER_APPROVE });
+      expect(entry.targetId).toBe(userId);
+      expect(entry.changes.status).toEqual({ from: UserStatus.PENDING, to: UserStatus.ACTIVE });
+
+      const message = getTransport().messages.pop();
+      expect(message.to).toBe('new@example.com');
+      expect(message.subject).toContain('approved');
+
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'new@example.com', password: 'password123' });
+      expect(login.status).toBe(200);
+    });
+
+    it('should return 409 for users not awaiting approval', async () => {
+      const user = await createUser({ email: 'active@example.com', password: 'password123', name: 'Active' });
+
+      const response = await request(app)
+        .post(`/api/users/${user.id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      const response = await request(app)
+        .post('/api/users/non-existent/approve')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/users/:id/reject', () => {
+    it('should deactivate the account and record the reason', async () => {
+      const userId = await signUpAndVerify('new@example.com');
+
+      const response = await request(app)
+        .post(`/api/users/${userId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Not a member of staff' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe(UserStatus.INACTIVE);
+      expect(response.body.rejectionReason).toBe('Not a member of staff');
+
+      const [entry] = queryAuditLog({ action: AuditAction.USER_REJECT });
+      expect(entry.metadata.reason).toBe('Not a member of staff');
+
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'new@example.com', password: 'password123' });
+      expect(login.status).toBe(403);
+      expect(login.body.code).toBe('ACCOUNT_REJECTED');
+    });
+  });
+
+  describe('deactivated accounts', () => {
+    it('should stop existing tokens from working', async () => {
+      const { user, token, refreshToken } = await createAuthenticatedUser();
+
+      await request(app)
+        .put(`/api/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: UserStatus.INACTIVE });
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${token}`);
+      expect(response.status).toBe(401);
+
+      const refresh = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  createAttachment,
+  findAttachmentById,
+  getAttachments,
+  deleteAttachment,
+  removeAttachments,
+  clearAttachments
+} = require('../src/models/attachment');
+const { createProject, createTask, archiveProject, clearProjects } = require('../src/models/project');
+const { createUser, clearUsers } = require('../src/models/user');
+
+describe('Attachment Model', () => {
+  let ann;
+  let project;
+  let task;
+
+  beforeEach(async () => {
+    clearAttachments();
+    clearProjects();
+    clearUsers();
+
+    ann = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann Smith' });
+    project = createProject({ name: 'Christmas market' }, ann.id);
+    task = createTask(project.id, { title: 'Order tins' }, ann.id);
+  });
+
+  const attach = (data = {}) => createAttachment({
+    projectId: project.id,
+    taskId: task.id,
+    fileName: 'invoice.pdf',
+    mimeType: 'application/pdf',
+    size: 1200,
+    storageKey: 'key',
+    ...data
+  }, ann.id);
+
+  it('should record a file on a task or project', () => {
+    const onTask = attach();
+    const onProject = attach({ taskId: null, fileName: 'stall.jpg', mimeType: 'image/jpeg', thumbnailKey: 'thumb' });
+
+    expect(onTask).toEqual(expect.objectContaining({
+      projectId: project.id,
+      taskId: task.id,
+      fileName: 'invoice.pdf',
+      thumbnailKey: null,
+      uploadedBy: ann.id,
+      uploaderName: 'Ann Smith'
+    }));
+    expect(getAttachments(project.id, task.id).map(item => item.id)).toEqual([onTask.id]);
+    expect(getAttachments(project.id).map(item => item.id)).toEqual([onProject.id]);
+  });
+
+  it('should keep only the name of an uploaded file', () => {
+    expect(attach({ fileName: 'C:\\Users\\ann\\invoice "May".pdf' }).fileName).toBe('invoice May.pdf');
+    expect(attach({ fileName: '../../etc/passwd' }).fileName).toBe('passwd');
+    expect(attach({ fileName: '' }).fileName).toBe('file');
+    expect(attach({ fileName: 'menu\u0000\n\u007f.txt' }).fileName).toBe('menu.txt');
+  });
+
+  it('should check where a file goes', () => {
+    const other = createProject({ name: 'Shop refit' }, ann.id);
+
+    expect(() => attach({ projectId: other.id })).toThrow('Task not found');
+    expect(() => attach({ projectId: 'missing' })).toThrow('Project not found');
+
+    const attachment = attach();
+    archiveProject(project.id);
+    expect(() => attach()).toThrow('Project is archived');
+    expect(() => deleteAttachment(attachment.id)).toThrow('Project is archived');
+  });
+
+  it('should delete records one at a time or by task and project', () => {
+    const first = attach();
+    const second = attach();
+    const onProject = attach({ taskId: null });
+
+    expect(deleteAttachment(first.id).id).toBe(first.id);
+    expect(() => deleteAttachment(first.id)).toThrow('Attachment not found');
+
+    expect(removeAttachments({ taskId: task.id }).map(item => item.id)).toEqual([second.id]);
+    expect(findAttachmentById(onProject.id)).not.toBeNull();
+    expect(removeAttachments({ projectId: project.id })).toHaveLength(1);
+    expect(findAttachmentById(onProject.id)).toBeNull();
+  });
+});
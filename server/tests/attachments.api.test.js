@@ -0,0 +1,186 @@
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../src/index');
+const config = require('../src/config');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearProjects } = require('../src/models/project');
+const { clearAttachments, findAttachmentById } = require('../src/models/attachment');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { getFileStorage } = require('../src/files');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+describe('Attachments API', () => {
+  const pdf = Buffer.from('%PDF-1.4\n% Pumpkin loaf recipe\n');
+  let photo;
+  let adminToken;
+  let managerToken;
+  let bakerToken;
+  let project;
+  let task;
+
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#d2691e' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearProjects();
+    clearAttachments();
+    clearAuditLog();
+    getFileStorage().clear();
+
+    ({ token: adminToken } = await createAuthenticatedAdmin());
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER, name: 'Mia Manager' }));
+    ({ token: bakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER, name: 'Ben Baker' }));
+
+    project = (await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'Christmas market' })).body;
+    task = (await request(app)
+      .post(`/api/projects/${project.id}/tasks`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ title: 'Decorate gingerbread' })).body;
+  });
+
+  const upload = (data, options = {}, token = managerToken, path = `/api/projects/${project.id}/tasks/${task.id}/attachments`) =>
+    request(app)
+      .post(path)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', data, { filename: 'recipe.pdf', contentType: 'application/pdf', ...options });
+
+  const download = (attachment, token = bakerToken, what = 'download') =>
+    request(app)
+      .get(`/api/projects/${project.id}/attachments/${attachment.id}/${what}`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+  it('should attach files to tasks and projects and list them', async () => {
+    const response = await upload(pdf, {}, bakerToken);
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual(expect.objectContaining({
+      projectId: project.id,
+      taskId: task.id,
+      fileName: 'recipe.pdf',
+      mimeType: 'application/pdf',
+      size: pdf.length,
+      thumbnailKey: null,
+      uploaderName: 'Ben Baker'
+    }));
+    await upload(pdf, { filename: 'invoice.pdf' }, managerToken, `/api/projects/${project.id}/attachments`);
+
+    const onTask = await request(app)
+      .get(`/api/projects/${project.id}/tasks/${task.id}/attachments`)
+      .set('Authorization', `Bearer ${bakerToken}`);
+    expect(onTask.body.map(item => item.fileName)).toEqual(['recipe.pdf']);
+
+    const onProject = await request(app)
+      .get(`/api/projects/${project.id}/attachments`)
+      .set('Authorization', `Bearer ${bakerToken}`);
+    expect(onProject.body.map(item => item.fileName)).toEqual(['invoice.pdf']);
+
+    const [entry] = queryAuditLog({ action: AuditAction.ATTACHMENT_CREATE, targetId: response.body.id });
+    expect(entry.metadata).toEqual(expect.objectContaining({ fileName: 'recipe.pdf', taskId: task.id }));
+  });
+
+  it('should download files only for signed-in users who can see projects', async () => {
+    const attachment = (await upload(pdf)).body;
+
+    const response = await download(attachment);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^application\/pdf/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="recipe.pdf"');
+    expect(response.headers['x-content-type-options']).toBe('nosniff');
+    expect(response.body.equals(pdf)).toBe(true);
+
+    await request(app).get(`/api/projects/${project.id}/attachments/${attachment.id}/download`).expect(401);
+    const { token: userToken } = await createAuthenticatedUser();
+    expect((await download(attachment, userToken)).status).toBe(403);
+    expect((await download({ id: 'missing' })).status).toBe(404);
+  });
+
+  it('should make thumbnails of images', async () => {
+    const image = (await upload(photo, { filename: 'gingerbread.jpg', contentType: 'image/jpeg' })).body;
+    expect(image.thumbnailKey).not.toBeNull();
+
+    const thumbnail = await download(image, bakerToken, 'thumbnail');
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    const { width, height } = await sharp(thumbnail.body).metadata();
+    expect([width, height]).toEqual([config.attachments.thumbnailSize, config.attachments.thumbnailSize * 3 / 4]);
+
+    const document = (await upload(pdf)).body;
+    const missing = await download(document, bakerToken, 'thumbnail');
+    expect(missing.status).toBe(404);
+  });
+
+  it('should refuse files of the wrong type or size', async () => {
+    const script = await upload(Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/x-msdownload' });
+    expect(script.status).toBe(415);
+    expect(script.body.error).toBe('This type of file can\'t be attached');
+
+    const disguised = await upload(Buffer.from('<script>alert(1)</script>'), { filename: 'cake.png', contentType: 'image/png' });
+    expect(disguised.status).toBe(415);
+    expect(disguised.body.error).toBe('The file\'s contents don\'t match its type');
+
+    const broken = await upload(Buffer.from([0xff, 0xd8, 0xff, 0x00]), { filename: 'cake.jpg', contentType: 'image/jpeg' });
+    expect(broken.status).toBe(400);
+    expect(broken.body.error).toBe('The image could not be read');
+
+    const maxFileBytes = config.attachments.maxFileBytes;
+    config.attachments.maxFileBytes = 1024 * 1024;
+    try {
+      const large = await upload(Buffer.concat([pdf, Buffer.alloc(1024 * 1024)]));
+      expect(large.status).toBe(413);
+      expect(large.body.error).toBe('Files can be at most 1 MB');
+    } finally {
+      config.attachments.maxFileBytes = maxFileBytes;
+    }
+
+    const none = await request(app)
+      .post(`/api/projects/${project.id}/attachments`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({});
+    expect(none.status).toBe(400);
+    expect(getFileStorage().files.size).toBe(0);
+  });
+
+  it('should let the uploader, the owner or an administrator delete files', async () => {
+    const attachment = (await upload(photo, { filename: 'gingerbread.jpg', contentType: 'image/jpeg' }, bakerToken)).body;
+    const path = `/api/projects/${project.id}/attachments/${attachment.id}`;
+    expect(getFileStorage().files.size).toBe(2);
+
+    const { token: otherBakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER });
+    await request(app).delete(path).set('Authorization', `Bearer ${otherBakerToken}`).expect(403);
+    await request(app).delete(path).set('Authorization', `Bearer ${managerToken}`).expect(204);
+    await request(app).delete(path).set('Authorization', `Bearer ${adminToken}`).expect(404);
+
+    expect(getFileStorage().files.size).toBe(0);
+    expect(queryAuditLog({ action: AuditAction.ATTACHMENT_DELETE })).toHaveLength(1);
+  });
+
+  it('should remove files with their task and keep archived projects read-only', async () => {
+    const onTask = (await upload(pdf)).body;
+
+    await request(app)
+      .delete(`/api/projects/${project.id}/tasks/${task.id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(204);
+    expect(findAttachmentById(onTask.id)).toBeNull();
+    expect(getFileStorage().files.size).toBe(0);
+
+    await request(app)
+      .post(`/api/projects/${project.id}/archive`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+    const archived = await upload(pdf, {}, managerToken, `/api/projects/${project.id}/attachments`);
+    expect(archived.status).toBe(409);
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, createUser, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { AuditAction, clearAuditLog, queryAuditLog } = require('../src/models/audit');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+describe('Audit API', () => {
+  let admin;
+  let adminToken;
+  let target;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearAuditLog();
+    ({ user: admin, token: adminToken } = await createAuthenticatedAdmin());
+    target = await createUser({
+      email: 'target@example.com',
+      password: 'password123',
+      name: 'Target User'
+    });
+  });
+
+  describe('recorded events', () => {
+    it('should record user updates with a diff of the changed fields', async () => {
+      await request(app)
+        .put(`/api/users/${target.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Target User', role: UserRole.ADMIN });
+
+      const [entry] = queryAuditLog({ action: AuditAction.USER_UPDATE });
+      expect(entry.actorId).toBe(admin.id);
+      expect(entry.targetId).toBe(target.id);
+      expect(entry.changes).toEqual({ role: { from: UserRole.USER, to: UserRole.ADMIN } });
+      expect(entry.ip).toBeDefined();
+      expect(entry.timestamp).toBeDefined();
+    });
+
+    it('should record user deletions', async () => {
+      await request(app)
+        .delete(`/api/users/${target.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const [entry] = queryAuditLog({ action: AuditAction.USER_DELETE });
+      expect(entry.targetId).toBe(target.id);
+      expect(entry.changes.name).toEqual({ from: 'Target User', to: null });
+      expect(entry.metadata.email).toBe('target@example.com');
+    });
+
+    it('should not record rejected updates', async () => {
+      const { token } = await createAuthenticatedUser();
+
+      await request(app)
+        .put(`/api/users/${target.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: UserRole.ADMIN });
+
+      expect(queryAuditLog({ action: AuditAction.USER_UPDATE })).toHaveLength(0);
+    });
+
+    it('should record successful and failed logins', async () => {
+      await request(app)
+        .post('/api/users/login')
+        .send({ email: 'target@example.com', password: 'password123' });
+      await request(app)
+        .post('/api/users/login')
+        .send({ email: 'target@example.com', password: 'wrong-password' });
+      await request(app)
+        .post('/api/users/login')
+        .send({ email: 'nobody@example.com', password: 'wrong-password' });
+
+      const [login] = queryAuditLog({ action: AuditAction.LOGIN });
+      expect(login.actorId).toBe(target.id);
+
+      const failed = queryAuditLog({ action: AuditAction.LOGIN_FAILED });
+      expect(failed).toHaveLength(2);
+      expect(failed[1].targetId).toBe(target.id);
+      expect(failed[0].targetId).toBeNull();
+      expect(failed[0].metadata.email).toBe('nobody@example.com');
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    beforeEach(async () => {
+      await request(app)
+        .put(`/api/users/${target.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Renamed' });
+      await request(app)
+        .post('/api/users/login')
+        .send({ email: 'target@example.com', password: 'password123' });
+    });
+
+    it('should restrict the audit log to admins', async () => {
+      const { token } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return entries newest first', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(e => e.action)).toEqual([AuditAction.LOGIN, AuditAction.USER_UPDATE]);
+    });
+
+    it('should filter by actor, target and action', async () => {
+      const byActor = await request(app)
+        .get(`/api/audit?actorId=${admin.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(byActor.body).toHaveLength(1);
+
+      const byTargetAndAction = await request(app)
+        .get(`/api/audit?targetId=${target.id}&action=${AuditAction.LOGIN}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(byTargetAndAction.body).toHaveLength(1);
+      expect(byTargetAndAction.body[0].action).toBe(AuditAction.LOGIN);
+    });
+
+    it('should filter by date range', async () => {
+      const future = new Date(Date.now() + 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .get(`/api/audit?from=${encodeURIComponent(future)}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(0);
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/audit?action=unknown&from=yesterday')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
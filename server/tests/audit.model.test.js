@@ -0,0 +1,108 @@
+const {
+  DEFAULT_AUDIT_LIMIT,
+  AuditAction,
+  diffFields,
+  recordAuditEvent,
+  queryAuditLog,
+  clearAuditLog
+} = require('../src/models/audit');
+
+describe('Audit Model', () => {
+  beforeEach(() => {
+    clearAuditLog();
+  });
+
+  describe('diffFields', () => {
+    it('should only include fields that changed', () => {
+      const changes = diffFields(
+        { name: 'Old', role: 'user', status: 'active' },
+        { name: 'New', role: 'user', status: 'active' },
+        ['name', 'role', 'status']
+      );
+
+      expect(changes).toEqual({ name: { from: 'Old', to: 'New' } });
+    });
+
+    it('should treat a missing record as null values', () => {
+      const changes = diffFields({ name: 'Gone' }, null, ['name']);
+      expect(changes).toEqual({ name: { from: 'Gone', to: null } });
+    });
+  });
+
+  describe('recordAuditEvent', () => {
+    it('should record an entry with a timestamp', () => {
+      const entry = recordAuditEvent({
+        actorId: 'admin-id',
+        targetId: 'user-id',
+        action: AuditAction.USER_UPDATE,
+        changes: { role: { from: 'user', to: 'admin' } },
+        ip: '127.0.0.1'
+      });
+
+      expect(entry.id).toBeDefined();
+      expect(entry.timestamp).toBeDefined();
+      expect(queryAuditLog()).toHaveLength(1);
+    });
+
+    it('should require an action', () => {
+      expect(() => recordAuditEvent({ actorId: 'admin-id' }))
+        .toThrow('Audit action is required');
+    });
+  });
+
+  describe('queryAuditLog', () => {
+    beforeEach(() => {
+      recordAuditEvent({ actorId: 'admin-1', targetId: 'user-1', action: AuditAction.USER_UPDATE });
+      recordAuditEvent({ actorId: 'admin-2', targetId: 'user-1', action: AuditAction.USER_DELETE });
+      recordAuditEvent({ actorId: 'user-2', targetId: 'user-2', action: AuditAction.LOGIN });
+    });
+
+    it('should return newest entries first', () => {
+      const entries = queryAuditLog();
+      expect(entries.map(e => e.action)).toEqual([
+        AuditAction.LOGIN,
+        AuditAction.USER_DELETE,
+        AuditAction.USER_UPDATE
+      ]);
+    });
+
+    it('should filter by actor, target and action', () => {
+      expect(queryAuditLog({ actorId: 'admin-1' })).toHaveLength(1);
+      expect(queryAuditLog({ targetId: 'user-1' })).toHaveLength(2);
+      expect(queryAuditLog({ action: AuditAction.LOGIN })).toHaveLength(1);
+    });
+
+    it('should filter by date range', () => {
+      const future = new Date(Date.now() + 60 * 1000).toISOString();
+      const past = new Date(Date.now() - 60 * 1000).toISOString();
+
+      expect(queryAuditLog({ from: future })).toHaveLength(0);
+      expect(queryAuditLog({ from: past, to: future })).toHaveLength(3);
+      expect(queryAuditLog({ to: past })).toHaveLength(0);
+    });
+
+    it('should include the whole day when "to" is a date', () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+      expect(queryAuditLog({ to: today })).toHaveLength(3);
+      expect(queryAuditLog({ from: today, to: today })).toHaveLength(3);
+      expect(queryAuditLog({ to: yesterday })).toHaveLength(0);
+    });
+
+    it('should limit the number of entries', () => {
+      expect(queryAuditLog({ limit: 2 })).toHaveLength(2);
+    });
+
+    it('should return the latest 100 entries unless asked for more', () => {
+      for (let i = 0; i < 120; i++) {
+        recordAuditEvent({ actorId: 'user-3', action: AuditAction.LOGIN, metadata: { attempt: i } });
+      }
+
+      const entries = queryAuditLog();
+      expect(entries).toHaveLength(DEFAULT_AUDIT_LIMIT);
+      expect(entries[0].metadata.attempt).toBe(119);
+      expect(queryAuditLog({ limit: 200 })).toHaveLength(123);
+    });
+  });
+});
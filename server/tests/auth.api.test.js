@@ -0,0 +1,271 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/index');
+const config = require('../src/config');
+const { clearUsers, createUser, updateUser, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+describe('Authentication API', () => {
+  let user;
+
+  async function login() {
+    const response = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'baker@example.com', password: 'password123' });
+    return response.body;
+  }
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    user = await createUser({
+      email: 'baker@example.com',
+      password: 'password123',
+      name: 'Baker'
+    });
+  });
+
+  describe('access tokens', () => {
+    it('should authenticate requests with a token issued at login', async () => {
+      const { accessToken } = await login();
+
+      const response = await request(app)
+        .get('/api/users/stats')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject requests that only send identity headers', async () => {
+      const response = await request(app)
+        .get('/api/users/stats')
+        .set('x-user-id', user.id)
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject tokens signed with another secret', async () => {
+      const { accessToken } = await login();
+      const { sid } = jwt.decode(accessToken);
+      const forged = jwt.sign({ sid }, 'not-the-secret', {
+        subject: user.id,
+        issuer: config.auth.tokenIssuer
+      });
+
+      const response = await request(app)
+        .get('/api/users/stats')
+        .set('Authorization', `Bearer ${forged}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject expired tokens', async () => {
+      const { accessToken } = await login();
+      const { sid } = jwt.decode(accessToken);
+      const expired = jwt.sign({ sid, exp: Math.floor(Date.now() / 1000) - 10 }, config.auth.tokenSecret, {
+        subject: user.id,
+        issuer: config.auth.tokenIssuer
+      });
+
+      const response = await request(app)
+        .get('/api/users/stats')
+        .set('Authorization', `Bearer ${expired}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should read the role from the user store rather than the token', async () => {
+      const { accessToken } = await login();
+      const target = await createUser({
+        email: 'target@example.com',
+        password: 'password123',
+        name: 'Target'
+      });
+
+      const before = await request(app)
+        .put(`/api/users/${target.id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Renamed' });
+      expect(before.status).toBe(403);
+
+      updateUser(user.id, { role: UserRole.ADMIN }, { id: 'admin-id', role: UserRole.ADMIN });
+
+      const after = await request(app)
+        .put(`/api/users/${target.id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Renamed' });
+      expect(after.status).toBe(200);
+    });
+  });
+
+  describe('POST /api/users/refresh', () => {
+    it('should issue a new token pair for a valid refresh token', async () => {
+      const { refreshToken } = await login();
+
+      const response = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.id).toBe(user.id);
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should only accept each refresh token once', async () => {
+      const { refreshToken } = await login();
+      await request(app).post('/api/users/refresh').send({ refreshToken });
+
+      const response = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: 'not-a-real-token' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/users/logout', () => {
+    it('should revoke the access and refresh tokens of the session', async () => {
+      const { accessToken, refreshToken } = await login();
+
+      const logout = await request(app)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(logout.status).toBe(204);
+
+      const stats = await request(app)
+        .get('/api/users/stats')
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(stats.status).toBe(401);
+
+      const refresh = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    it('should revoke every session when allSessions is set', async () => {
+      const first = await login();
+      const second = await login();
+
+      await request(app)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${first.accessToken}`)
+        .send({ allSessions: true });
+
+      const response = await request(app)
+        .get('/api/users/stats')
+        .set('Authorization', `Bearer ${second.accessToken}`);
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('login throttling', () => {
+    const defaults = { ...config.auth.lockout };
+
+    async function failLogins(count) {
+      for (let i = 0; i < count; i++) {
+        await request(app)
+          .post('/api/users/login')
+          .send({ email: 'baker@example.com', password: 'wrong-password' });
+      }
+    }
+
+    beforeEach(() => {
+      clearAuditLog();
+      config.auth.lockout.baseDelaySeconds = 0;
+    });
+
+    afterEach(() => {
+      Object.assign(config.auth.lockout, defaults);
+    });
+
+    it('should answer 429 while a failed login is being waited out', async () => {
+      config.auth.lockout.baseDelaySeconds = 60;
+      await failLogins(1);
+
+      const response = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'baker@example.com', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('LOGIN_THROTTLED');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('should lock the account after too many failures and audit it', async () => {
+      await failLogins(config.auth.lockout.maxFailedAttempts);
+
+      const response = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'baker@example.com', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+      expect(response.body.error).toContain('locked');
+
+      const failures = queryAuditLog({ action: AuditAction.LOGIN_FAILED });
+      expect(failures[0].metadata.reason).toBe('ACCOUNT_LOCKED');
+      expect(failures[1].metadata.locked).toBe(true);
+    });
+
+    it('should show failed attempts and lock status to admins only', async () => {
+      await failLogins(config.auth.lockout.maxFailedAttempts);
+      const { token: adminToken } = await createAuthenticatedAdmin();
+      const { token: viewerToken } = await createAuthenticatedUser();
+
+      const asAdmin = await request(app)
+        .get(`/api/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(asAdmin.body.failedLoginAttempts).toBe(config.auth.lockout.maxFailedAttempts);
+      expect(asAdmin.body.locked).toBe(true);
+      expect(asAdmin.body.lockedUntil).toBeDefined();
+
+      const asViewer = await request(app)
+        .get(`/api/users/${user.id}`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(asViewer.status).toBe(200);
+      expect(asViewer.body.failedLoginAttempts).toBeUndefined();
+      expect(asViewer.body.locked).toBeUndefined();
+    });
+
+    it('should let admins unlock the account', async () => {
+      await failLogins(config.auth.lockout.maxFailedAttempts);
+      const { token: adminToken } = await createAuthenticatedAdmin();
+
+      const response = await request(app)
+        .post(`/api/users/${user.id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.locked).toBe(false);
+      expect(queryAuditLog({ action: AuditAction.USER_UNLOCK })[0].targetId).toBe(user.id);
+
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'baker@example.com', password: 'password123' });
+      expect(login.status).toBe(200);
+    });
+
+    it('should not let other users unlock accounts', async () => {
+      const { token } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .post(`/api/users/${user.id}/unlock`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearStaff, createStaff } = require('../src/models/staff');
+const { clearSchedules, createSchedule, createShift } = require('../src/models/schedule');
+const { clearAvailability, requestTimeOff, approveTimeOff } = require('../src/models/availability');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Availability and Time-off API', () => {
+  let managerToken;
+  let bakerToken;
+  let bakerUser;
+  let ann;
+  let bob;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearSchedules();
+    clearAvailability();
+    clearAuditLog();
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: bakerToken, user: bakerUser } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01', userId: bakerUser.id });
+    bob = createStaff({ name: 'Bob', position: 'Cashier', startDate: '2024-01-01' });
+  });
+
+  describe('availability', () => {
+    const weekly = { monday: [{ start: '04:00', end: '12:00' }] };
+
+    it('should let staff record their own availability', async () => {
+      const response = await request(app)
+        .put('/api/availability/me')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ weekly });
+
+      expect(response.status).toBe(200);
+      expect(response.body.staffId).toBe(ann.id);
+      expect(response.body.weekly.monday).toEqual([{ start: '04:00', end: '12:00' }]);
+
+      const [entry] = queryAuditLog({ action: AuditAction.AVAILABILITY_UPDATE });
+      expect(entry.targetId).toBe(ann.id);
+      expect(entry.changes.weekly.from).toBeNull();
+    });
+
+    it('should not let staff change someone else\'s availability', async () => {
+      const response = await request(app)
+        .put(`/api/availability/${bob.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ weekly });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should let managers set and clear anyone\'s availability', async () => {
+      await request(app)
+        .put(`/api/availability/${bob.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ weekly });
+
+      const response = await request(app)
+        .delete(`/api/availability/${bob.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.weekly).toBeNull();
+    });
+
+    it('should return 400 for a bad pattern', async () => {
+      const response = await request(app)
+        .put('/api/availability/me')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ weekly: { monday: [{ start: '12:00', end: '04:00' }] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Each window must end after it starts');
+    });
+
+    it('should return 404 for users without a staff record', async () => {
+      const response = await request(app)
+        .get('/api/availability/me')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('time off', () => {
+    it('should let staff request time off for themselves', async () => {
+      const response = await request(app)
+        .post('/api/time-off')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ startDate: '2024-03-04', endDate: '2024-03-05', reason: 'Wedding' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ staffId: ann.id, status: 'pending', requestedBy: bakerUser.id });
+      expect(queryAuditLog({ action: AuditAction.TIME_OFF_REQUEST })).toHaveLength(1);
+    });
+
+    it('should not let staff request time off for others', async () => {
+      const response = await request(app)
+        .post('/api/time-off')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ staffId: bob.id, startDate: '2024-03-04' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 409 for overlapping requests', async () => {
+      requestTimeOff({ staffId: ann.id, startDate: '2024-03-04' });
+
+      const response = await request(app)
+        .post('/api/time-off')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ startDate: '2024-03-04' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should only show staff their own requests', async () => {
+      requestTimeOff({ staffId: ann.id, startDate: '2024-03-04' });
+      requestTimeOff({ staffId: bob.id, startDate: '2024-03-04' });
+
+      const own = await request(app)
+        .get('/api/time-off')
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(own.body.map(r => r.staffId)).toEqual([ann.id]);
+
+      const all = await request(app)
+        .get('/api/time-off')
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(all.body).toHaveLength(2);
+    });
+
+    it('should give managers a pending queue', async () => {
+      const first = requestTimeOff({ staffId: ann.id, startDate: '2024-03-11' });
+      approveTimeOff(requestTimeOff({ staffId: bob.id, startDate: '2024-03-04' }).id, 'manager');
+
+      const response = await request(app)
+        .get('/api/time-off/pending')
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(response.body.map(r => r.id)).toEqual([first.id]);
+
+      const forbidden = await request(app)
+        .get('/api/time-off/pending')
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(forbidden.status).toBe(403);
+    });
+
+    it('should approve a request and list shifts during the leave', async () => {
+      const schedule = createSchedule({ name: 'Week 10', startDate: '2024-03-04', endDate: '2024-03-10' });
+      const shift = createShift({ scheduleId: schedule.id, staffId: ann.id, location: 'Main St', startsAt: '2024-03-05T06:00', endsAt: '2024-03-05T14:00' });
+      const pending = requestTimeOff({ staffId: ann.id, startDate: '2024-03-05' });
+
+      const response = await request(app)
+        .post(`/api/time-off/${pending.id}/approve`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ note: 'Find cover' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('approved');
+      expect(response.body.conflictingShifts.map(s => s.id)).toEqual([shift.id]);
+      expect(queryAuditLog({ action: AuditAction.TIME_OFF_APPROVE })[0].changes.status)
+        .toEqual({ from: 'pending', to: 'approved' });
+    });
+
+    it('should deny a request once', async () => {
+      const pending = requestTimeOff({ staffId: ann.id, startDate: '2024-03-05' });
+
+      const response = await request(app)
+        .post(`/api/time-off/${pending.id}/deny`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(response.body.status).toBe('denied');
+
+      const again = await request(app)
+        .post(`/api/time-off/${pending.id}/deny`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(again.status).toBe(409);
+    });
+
+    it('should not let staff approve requests', async () => {
+      const pending = requestTimeOff({ staffId: ann.id, startDate: '2024-03-05' });
+
+      const response = await request(app)
+        .post(`/api/time-off/${pending.id}/approve`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Approving time off is restricted to managers');
+    });
+
+    it('should let staff cancel only their own requests', async () => {
+      const mine = requestTimeOff({ staffId: ann.id, startDate: '2024-03-05' });
+      const theirs = requestTimeOff({ staffId: bob.id, startDate: '2024-03-05' });
+
+      const cancelled = await request(app)
+        .post(`/api/time-off/${mine.id}/cancel`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(cancelled.body.status).toBe('cancelled');
+
+      const forbidden = await request(app)
+        .post(`/api/time-off/${theirs.id}/cancel`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(forbidden.status).toBe(403);
+    });
+  });
+
+  describe('shift checks', () => {
+    it('should refuse shifts during approved leave with 409', async () => {
+      const schedule = createSchedule({ name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' });
+      approveTimeOff(requestTimeOff({ staffId: ann.id, startDate: '2024-03-05' }).id, 'manager');
+
+      const response = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-05T06:00', endsAt: '2024-03-05T14:00' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.conflicts[0].type).toBe('time_off');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const {
+  TimeOffStatus,
+  getAvailability,
+  setAvailability,
+  resetAvailability,
+  isWithinAvailability,
+  requestTimeOff,
+  findTimeOff,
+  getTimeOffRequests,
+  getPendingTimeOff,
+  approveTimeOff,
+  denyTimeOff,
+  cancelTimeOff,
+  removeStaffAvailability,
+  clearAvailability
+} = require('../src/models/availability');
+const { createStaff, clearStaff } = require('../src/models/staff');
+
+describe('Availability Model', () => {
+  let ann;
+
+  beforeEach(() => {
+    clearAvailability();
+    clearStaff();
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+  });
+
+  describe('weekly availability', () => {
+    it('should be unrestricted until set', () => {
+      expect(getAvailability(ann.id).weekly).toBeNull();
+      expect(isWithinAvailability(ann.id, '2024-03-04T02:00', '2024-03-04T10:00')).toBe(true);
+    });
+
+    it('should save a normalised weekly pattern', () => {
+      const saved = setAvailability(ann.id, {
+        monday: [{ start: '12:00', end: '16:00' }, { start: '04:00', end: '10:00' }]
+      }, 'user-1');
+
+      expect(saved.weekly.monday).toEqual([{ start: '04:00', end: '10:00' }, { start: '12:00', end: '16:00' }]);
+      expect(saved.weekly.sunday).toEqual([]);
+      expect(saved.updatedBy).toBe('user-1');
+      expect(getAvailability(ann.id).weekly.monday).toHaveLength(2);
+    });
+
+    it('should reject bad patterns', () => {
+      expect(() => setAvailability(ann.id, { funday: [] })).toThrow('Unknown day: funday');
+      expect(() => setAvailability(ann.id, { monday: [{ start: '4am', end: '10:00' }] })).toThrow('Times must be in HH:mm format');
+      expect(() => setAvailability(ann.id, { monday: [{ start: '10:00', end: '04:00' }] })).toThrow('Each window must end after it starts');
+      expect(() => setAvailability(ann.id, { monday: [{ start: '04:00', end: '10:00' }, { start: '09:00', end: '12:00' }] }))
+        .toThrow('Windows on monday overlap');
+      expect(() => setAvailability('missing', {})).toThrow('Staff member not found');
+    });
+
+    it('should check shifts against the pattern', () => {
+      setAvailability(ann.id, {
+        monday: [{ start: '04:00', end: '12:00' }],
+        tuesday: [{ start: '20:00', end: '24:00' }],
+        wednesday: [{ start: '00:00', end: '06:00' }]
+      });
+
+      expect(isWithinAvailability(ann.id, '2024-03-04T04:00', '2024-03-04T12:00')).toBe(true);
+      expect(isWithinAvailability(ann.id, '2024-03-04T03:30', '2024-03-04T12:00')).toBe(false);
+      expect(isWithinAvailability(ann.id, '2024-03-10T04:00', '2024-03-10T12:00')).toBe(false);
+      expect(isWithinAvailability(ann.id, '2024-03-05T22:00', '2024-03-06T05:00')).toBe(true);
+      expect(isWithinAvailability(ann.id, '2024-03-05T22:00', '2024-03-06T07:00')).toBe(false);
+    });
+
+    it('should reset to unrestricted', () => {
+      setAvailability(ann.id, { monday: [] });
+      expect(resetAvailability(ann.id).weekly).toBeNull();
+    });
+  });
+
+  describe('time off', () => {
+    it('should create a pending request', () => {
+      const request = requestTimeOff({ staffId: ann.id, startDate: '2024-03-04', endDate: '2024-03-06', reason: 'Holiday' }, 'user-1');
+
+      expect(request.status).toBe(TimeOffStatus.PENDING);
+      expect(request.requestedBy).toBe('user-1');
+      expect(getPendingTimeOff().map(r => r.id)).toEqual([request.id]);
+    });
+
+    it('should default to a single day and validate dates', () => {
+      expect(requestTimeOff({ staffId: ann.id, startDate: '2024-03-04' }).endDate).toBe('2024-03-04');
+      expect(() => requestTimeOff({ staffId: ann.id, startDate: '2024-03-06', endDate: '2024-03-05' }))
+        .toThrow('End date cannot be before start date');
+    });
+
+    it('should reject overlapping requests', () => {
+      requestTimeOff({ staffId: ann.id, startDate: '2024-03-04', endDate: '2024-03-06' });
+      expect(() => requestTimeOff({ staffId: ann.id, startDate: '2024-03-06', endDate: '2024-03-08' }))
+        .toThrow('Time off has already been requested for some of these dates');
+    });
+
+    it('should approve and deny pending requests only', () => {
+      const first = requestTimeOff({ staffId: ann.id, startDate: '2024-03-04' });
+      const second = requestTimeOff({ staffId: ann.id, startDate: '2024-03-11' });
+
+      const approved = approveTimeOff(first.id, 'manager-1', 'Enjoy');
+      expect(approved).toMatchObject({ status: TimeOffStatus.APPROVED, reviewedBy: 'manager-1', reviewNote: 'Enjoy' });
+      expect(denyTimeOff(second.id, 'manager-1').status).toBe(TimeOffStatus.DENIED);
+      expect(() => denyTimeOff(first.id, 'manager-1')).toThrow('Time-off request is not pending');
+      expect(() => approveTimeOff('missing', 'manager-1')).toThrow('Time-off request not found');
+      expect(getPendingTimeOff()).toEqual([]);
+    });
+
+    it('should find approved leave overlapping dates', () => {
+      const request = requestTimeOff({ staffId: ann.id, startDate: '2024-03-04', endDate: '2024-03-06' });
+      expect(findTimeOff(ann.id, '2024-03-06', '2024-03-07')).toEqual([]);
+
+      approveTimeOff(request.id, 'manager-1');
+      expect(findTimeOff(ann.id, '2024-03-06', '2024-03-07').map(r => r.id)).toEqual([request.id]);
+      expect(findTimeOff(ann.id, '2024-03-07', '2024-03-08')).toEqual([]);
+    });
+
+    it('should cancel pending or approved requests', () => {
+      const request = requestTimeOff({ staffId: ann.id, startDate: '2024-03-04' });
+      approveTimeOff(request.id, 'manager-1');
+
+      expect(cancelTimeOff(request.id).status).toBe(TimeOffStatus.CANCELLED);
+      expect(() => cancelTimeOff(request.id)).toThrow('Only pending or approved requests can be cancelled');
+      expect(requestTimeOff({ staffId: ann.id, startDate: '2024-03-04' }).status).toBe(TimeOffStatus.PENDING);
+    });
+
+    it('should filter requests', () => {
+      const bob = createStaff({ name: 'Bob', position: 'Cashier', startDate: '2024-01-01' });
+      requestTimeOff({ staffId: ann.id, startDate: '2024-03-11' });
+      const early = requestTimeOff({ staffId: bob.id, startDate: '2024-03-04' });
+      approveTimeOff(early.id, 'manager-1');
+
+      expect(getTimeOffRequests().map(r => r.startDate)).toEqual(['2024-03-04', '2024-03-11']);
+      expect(getTimeOffRequests({ staffId: ann.id })).toHaveLength(1);
+      expect(getTimeOffRequests({ status: TimeOffStatus.APPROVED }).map(r => r.staffId)).toEqual([bob.id]);
+      expect(getTimeOffRequests({ from: '2024-03-05' })).toHaveLength(1);
+    });
+
+    it('should remove everything for a staff member', () => {
+      setAvailability(ann.id, { monday: [] });
+      requestTimeOff({ staffId: ann.id, startDate: '2024-03-04' });
+
+      removeStaffAvailability(ann.id);
+      expect(getAvailability(ann.id).weekly).toBeNull();
+      expect(getTimeOffRequests()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, updateUser, UserRole, UserStatus } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearStaff, createStaff } = require('../src/models/staff');
+const {
+  clearSchedules,
+  createSchedule,
+  publishSchedule,
+  createShift,
+  updateShift,
+  deleteShift
+} = require('../src/models/schedule');
+const { clearCalendarFeeds } = require('../src/models/calendarFeed');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Calendar Feeds API', () => {
+  let annToken;
+  let annUser;
+  let outsiderToken;
+  let ann;
+  let bob;
+  let schedule;
+  let shift;
+
+  // Feeds go back 60 days from today, so use shifts in the near future
+  const dayAfter = days => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+  const createFeedFor = async (token, data) => {
+    const response = await request(app)
+      .post('/api/calendar/feeds')
+      .set('Authorization', `Bearer ${token}`)
+      .send(data);
+    return response;
+  };
+
+  const readFeed = url => request(app).get(new URL(url).pathname);
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearSchedules();
+    clearCalendarFeeds();
+    clearAuditLog();
+
+    ({ token: annToken, user: annUser } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+    ({ token: outsiderToken } = await createAuthenticatedUser({ role: UserRole.USER }));
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01', userId: annUser.id });
+    bob = createStaff({ name: 'Bob', position: 'Baker', startDate: '2024-01-01' });
+
+    schedule = createSchedule({ name: 'Next week', location: 'Main St', startDate: dayAfter(1), endDate: dayAfter(7) });
+    shift = createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: `${dayAfter(2)}T04:00`, endsAt: `${dayAfter(2)}T12:00`, notes: 'Sourdough, rye' });
+    publishSchedule(schedule.id, 'manager-1');
+  });
+
+  it('should create a personal feed with a secret URL', async () => {
+    const response = await createFeedFor(annToken, { type: 'staff' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.staffId).toBe(ann.id);
+    expect(response.body.url).toMatch(/\/api\/calendar\/feeds\/[A-Za-z0-9_-]+\.ics$/);
+    expect(queryAuditLog({ action: AuditAction.CALENDAR_FEED_CREATE })).toHaveLength(1);
+
+    const list = await request(app)
+      .get('/api/calendar/feeds')
+      .set('Authorization', `Bearer ${annToken}`);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0].url).toBeUndefined();
+  });
+
+  it('should serve published shifts without logging in', async () => {
+    const { body: feed } = await createFeedFor(annToken, { type: 'staff' });
+
+    const response = await readFeed(feed.url);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(response.text).toContain(`UID:shift-${shift.id}@justflour`);
+    expect(response.text).toContain('STATUS:CONFIRMED');
+    expect(response.text).toContain('DESCRIPTION:Sourdough\\, rye');
+    expect(response.text).toContain('X-WR-CALNAME:Ann - JustFlour shifts');
+  });
+
+  it('should send updates and cancellations under the same UID', async () => {
+    const { body: annFeed } = await createFeedFor(annToken, { type: 'staff' });
+    const { body: locationFeed } = await createFeedFor(annToken, { type: 'location', location: 'Main St' });
+
+    updateShift(shift.id, { staffId: bob.id });
+
+    const annCalendar = await readFeed(annFeed.url);
+    expect(annCalendar.text).toContain(`UID:shift-${shift.id}@justflour`);
+    expect(annCalendar.text).toContain('SEQUENCE:2\r\nSTATUS:CANCELLED');
+
+    const locationCalendar = await readFeed(locationFeed.url);
+    expect(locationCalendar.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(locationCalendar.text).toContain('SEQUENCE:2\r\nSTATUS:CONFIRMED');
+    expect(locationCalendar.text).toContain('SUMMARY:Bob (Baker)');
+
+    deleteShift(shift.id);
+    const afterDelete = await readFeed(locationFeed.url);
+    expect(afterDelete.text).toContain('SEQUENCE:3\r\nSTATUS:CANCELLED');
+  });
+
+  it('should leave out draft shifts', async () => {
+    const draft = createSchedule({ name: 'Later', startDate: dayAfter(8), endDate: dayAfter(14) });
+    const hidden = createShift({ scheduleId: draft.id, staffId: ann.id, location: 'Main St', startsAt: `${dayAfter(9)}T04:00`, endsAt: `${dayAfter(9)}T12:00` });
+    const { body: feed } = await createFeedFor(annToken, { type: 'staff' });
+
+    const response = await readFeed(feed.url);
+
+    expect(response.text).not.toContain(hidden.id);
+  });
+
+  it('should stop serving a revoked feed', async () => {
+    const { body: feed } = await createFeedFor(annToken, { type: 'staff' });
+
+    const revoke = await request(app)
+      .delete(`/api/calendar/feeds/${feed.id}`)
+      .set('Authorization', `Bearer ${annToken}`);
+    expect(revoke.status).toBe(204);
+    expect(queryAuditLog({ action: AuditAction.CALENDAR_FEED_REVOKE })).toHaveLength(1);
+
+    expect((await readFeed(feed.url)).status).toBe(404);
+  });
+
+  it('should stop serving feeds when the owner is deactivated', async () => {
+    const { body: feed } = await createFeedFor(annToken, { type: 'staff' });
+
+    await updateUser(annUser.id, { status: UserStatus.INACTIVE }, { id: 'admin-1', role: UserRole.ADMIN });
+
+    expect((await readFeed(feed.url)).status).toBe(404);
+  });
+
+  it('should not let users revoke other people\'s feeds', async () => {
+    const { body: feed } = await createFeedFor(annToken, { type: 'staff' });
+
+    const response = await request(app)
+      .delete(`/api/calendar/feeds/${feed.id}`)
+      .set('Authorization', `Bearer ${outsiderToken}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should check access when creating feeds', async () => {
+    const noSchedule = await createFeedFor(outsiderToken, { type: 'location', location: 'Main St' });
+    expect(noSchedule.status).toBe(403);
+
+    const { token: cashierToken } = await createAuthenticatedUser({ role: UserRole.BAKER });
+    const unlinked = await createFeedFor(cashierToken, { type: 'staff' });
+    expect(unlinked.status).toBe(400);
+    expect(unlinked.body.error).toBe('Your account is not linked to a staff member');
+
+    const missing = await createFeedFor(annToken, { type: 'location' });
+    expect(missing.status).toBe(400);
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  FeedType,
+  createFeed,
+  findFeedById,
+  useFeedToken,
+  getFeeds,
+  revokeFeed,
+  revokeUserFeeds,
+  clearCalendarFeeds
+} = require('../src/models/calendarFeed');
+
+describe('Calendar Feed Model', () => {
+  beforeEach(() => {
+    clearCalendarFeeds();
+  });
+
+  describe('createFeed', () => {
+    it('should create a feed and return its token once', () => {
+      const { feed, token } = createFeed({ type: FeedType.STAFF, staffId: 'staff-1' }, 'user-1');
+
+      expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(feed).toMatchObject({ type: FeedType.STAFF, staffId: 'staff-1', location: null, createdBy: 'user-1', revokedAt: null });
+      expect(feed.tokenHash).toBeUndefined();
+      expect(findFeedById(feed.id).tokenHash).toBeUndefined();
+    });
+
+    it('should validate the feed', () => {
+      expect(() => createFeed({ type: 'team' }, 'user-1')).toThrow('Invalid feed type');
+      expect(() => createFeed({ type: FeedType.STAFF }, 'user-1')).toThrow('Staff member is required');
+      expect(() => createFeed({ type: FeedType.LOCATION, location: ' ' }, 'user-1')).toThrow('Location is required');
+    });
+  });
+
+  describe('useFeedToken', () => {
+    it('should find live feeds by token and record the read', () => {
+      const { feed, token } = createFeed({ type: FeedType.LOCATION, location: 'Main St' }, 'user-1');
+
+      const found = useFeedToken(token);
+      expect(found.id).toBe(feed.id);
+      expect(found.lastAccessedAt).not.toBeNull();
+      expect(useFeedToken('wrong')).toBeNull();
+      expect(useFeedToken(undefined)).toBeNull();
+    });
+
+    it('should not find revoked feeds', () => {
+      const { feed, token } = createFeed({ type: FeedType.LOCATION, location: 'Main St' }, 'user-1');
+
+      expect(revokeFeed(feed.id).revokedAt).not.toBeNull();
+      expect(useFeedToken(token)).toBeNull();
+      expect(() => revokeFeed(feed.id)).toThrow('Calendar feed is already revoked');
+      expect(() => revokeFeed('missing')).toThrow('Calendar feed not found');
+    });
+  });
+
+  describe('getFeeds', () => {
+    it('should list live feeds by owner', () => {
+      const { feed } = createFeed({ type: FeedType.STAFF, staffId: 'staff-1' }, 'user-1');
+      createFeed({ type: FeedType.LOCATION, location: 'Main St' }, 'user-1');
+      createFeed({ type: FeedType.LOCATION, location: 'Main St' }, 'user-2');
+      revokeFeed(feed.id);
+
+      expect(getFeeds({ createdBy: 'user-1' })).toHaveLength(1);
+      expect(getFeeds({ createdBy: 'user-1', includeRevoked: true })).toHaveLength(2);
+      expect(getFeeds()).toHaveLength(2);
+    });
+
+    it('should revoke all of a user\'s feeds', () => {
+      createFeed({ type: FeedType.STAFF, staffId: 'staff-1' }, 'user-1');
+      createFeed({ type: FeedType.LOCATION, location: 'Main St' }, 'user-1');
+
+      expect(revokeUserFeeds('user-1')).toBe(2);
+      expect(getFeeds({ createdBy: 'user-1' })).toEqual([]);
+    });
+  });
+});
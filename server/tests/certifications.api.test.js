@@ -0,0 +1,161 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { createStaff, clearStaff } = require('../src/models/staff');
+const { createSchedule, clearSchedules } = require('../src/models/schedule');
+const { clearPositions } = require('../src/models/position');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { addDays, today } = require('../src/utils/time');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Certifications API', () => {
+  let managerToken;
+  let bakerToken;
+  let baker;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearSchedules();
+    clearPositions();
+    clearAuditLog();
+
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: bakerToken, user: baker } = await createAuthenticatedUser({ role: UserRole.BAKER, name: 'Ann Baker' }));
+  });
+
+  const addFoodHandler = (expiryDate = '2030-01-01') => request(app)
+    .post(`/api/users/${baker.id}/certifications`)
+    .set('Authorization', `Bearer ${managerToken}`)
+    .send({ name: 'Food Handler', issueDate: '2024-01-01', expiryDate });
+
+  describe('/api/users/:id/certifications', () => {
+    it('should add, renew and remove a certification', async () => {
+      const added = await addFoodHandler('2025-01-01');
+      expect(added.status).toBe(201);
+
+      const user = await request(app).get(`/api/users/${baker.id}`).set('Authorization', `Bearer ${bakerToken}`);
+      expect(user.body.certifications).toEqual([expect.objectContaining({ name: 'Food Handler' })]);
+
+      const renewed = await request(app)
+        .put(`/api/users/${baker.id}/certifications/${added.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ expiryDate: '2026-01-01' });
+      expect(renewed.status).toBe(200);
+      expect(renewed.body.expiryDate).toBe('2026-01-01');
+
+      await request(app)
+        .delete(`/api/users/${baker.id}/certifications/${added.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(204);
+
+      const [update] = queryAuditLog({ action: AuditAction.CERTIFICATION_UPDATE });
+      expect(update.changes).toEqual({ expiryDate: { from: '2025-01-01', to: '2026-01-01' } });
+      expect(queryAuditLog({ action: AuditAction.CERTIFICATION_CREATE })).toHaveLength(1);
+      expect(queryAuditLog({ action: AuditAction.CERTIFICATION_DELETE })).toHaveLength(1);
+    });
+
+    it('should answer 409 for a duplicate, 404 for an unknown user and 400 for bad dates', async () => {
+      await addFoodHandler();
+
+      const duplicate = await addFoodHandler();
+      const missing = await request(app)
+        .post('/api/users/missing/certifications')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Food Handler', issueDate: '2024-01-01' });
+      const badDate = await request(app)
+        .post(`/api/users/${baker.id}/certifications`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Mixer Training', issueDate: 'last week' });
+
+      expect(duplicate.status).toBe(409);
+      expect(missing.status).toBe(404);
+      expect(badDate.status).toBe(400);
+    });
+
+    it('should require certifications.manage', async () => {
+      await request(app)
+        .post(`/api/users/${baker.id}/certifications`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ name: 'Food Handler', issueDate: '2024-01-01' })
+        .expect(403);
+    });
+  });
+
+  describe('/api/positions', () => {
+    it('should set and list position requirements', async () => {
+      const saved = await request(app)
+        .put('/api/positions/Baker')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ certifications: ['Food Handler', 'Oven Training'] });
+      expect(saved.status).toBe(200);
+
+      const listed = await request(app).get('/api/positions').set('Authorization', `Bearer ${bakerToken}`);
+      expect(listed.body).toEqual([expect.objectContaining({ position: 'Baker', certifications: ['Food Handler', 'Oven Training'] })]);
+
+      await request(app)
+        .put('/api/positions/Baker')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ certifications: [] })
+        .expect(204);
+      expect(queryAuditLog({ action: AuditAction.POSITION_UPDATE })).toHaveLength(2);
+    });
+
+    it('should require certifications.manage to change them', async () => {
+      await request(app)
+        .put('/api/positions/Baker')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ certifications: ['Food Handler'] })
+        .expect(403);
+    });
+  });
+
+  describe('scheduling', () => {
+    it('should refuse shifts for staff without a required certification', async () => {
+      const member = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01', userId: baker.id });
+      const schedule = createSchedule({ name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' });
+      await request(app)
+        .put('/api/positions/Baker')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ certifications: ['Food Handler'] });
+      const shift = { scheduleId: schedule.id, staffId: member.id, startsAt: '2024-03-04T04:00', endsAt: '2024-03-04T12:00' };
+
+      const refused = await request(app).post('/api/shifts').set('Authorization', `Bearer ${managerToken}`).send(shift);
+      expect(refused.status).toBe(409);
+      expect(refused.body.conflicts).toEqual([expect.objectContaining({ type: 'certification', certification: 'Food Handler' })]);
+
+      await addFoodHandler();
+      const created = await request(app).post('/api/shifts').set('Authorization', `Bearer ${managerToken}`).send(shift);
+      expect(created.status).toBe(201);
+    });
+  });
+
+  describe('GET /api/reports/certifications', () => {
+    it('should list certifications expiring soon', async () => {
+      await addFoodHandler(addDays(today(), 10));
+      await request(app)
+        .post(`/api/users/${baker.id}/certifications`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Oven Training', issueDate: '2024-01-01', expiryDate: addDays(today(), 60) });
+
+      const response = await request(app)
+        .get('/api/reports/certifications?days=30')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.certifications).toEqual([expect.objectContaining({
+        userId: baker.id,
+        name: 'Ann Baker',
+        daysLeft: 10,
+        certification: expect.objectContaining({ name: 'Food Handler' })
+      })]);
+    });
+
+    it('should validate days and require reports.view', async () => {
+      await request(app).get('/api/reports/certifications?days=-1').set('Authorization', `Bearer ${managerToken}`).expect(400);
+      await request(app).get('/api/reports/certifications').set('Authorization', `Bearer ${bakerToken}`).expect(403);
+    });
+  });
+});
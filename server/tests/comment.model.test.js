@@ -0,0 +1,108 @@
+const {
+  createComment,
+  findCommentById,
+  getComments,
+  updateComment,
+  deleteComment,
+  removeComments,
+  clearComments
+} = require('../src/models/comment');
+const { createProject, createTask, archiveProject, clearProjects } = require('../src/models/project');
+const { createUser, clearUsers } = require('../src/models/user');
+
+describe('Comment Model', () => {
+  let ann;
+  let bob;
+  let project;
+  let task;
+
+  beforeEach(async () => {
+    clearComments();
+    clearProjects();
+    clearUsers();
+
+    ann = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann Smith' });
+    bob = await createUser({ email: 'bob@example.com', password: 'password123', name: 'Bob Jones' });
+    project = createProject({ name: 'Christmas market' }, ann.id);
+    task = createTask(project.id, { title: 'Order tins' }, ann.id);
+  });
+
+  const comment = (data = {}, authorId = ann.id) =>
+    createComment({ projectId: project.id, taskId: task.id, body: 'Tins ordered', ...data }, authorId);
+
+  it('should add a comment and pick out its mentions', () => {
+    const created = comment({ body: ' @BobJones can you check the sizes? ' });
+
+    expect(created).toEqual(expect.objectContaining({
+      projectId: project.id,
+      taskId: task.id,
+      parentId: null,
+      body: '@BobJones can you check the sizes?',
+      mentions: [bob.id],
+      authorId: ann.id,
+      authorName: 'Ann Smith',
+      editedAt: null
+    }));
+  });
+
+  it('should keep threads one level deep', () => {
+    const first = comment();
+    const reply = comment({ parentId: first.id, body: 'Thanks' }, bob.id);
+    const replyToReply = comment({ parentId: reply.id, body: 'No problem' });
+    comment({ body: 'Second thread' });
+    createComment({ projectId: project.id, body: 'About the whole project' }, ann.id);
+
+    expect(replyToReply.parentId).toBe(first.id);
+    expect(getComments(project.id, task.id).map(thread => [thread.body, thread.replies.map(item => item.body)])).toEqual([
+      ['Tins ordered', ['Thanks', 'No problem']],
+      ['Second thread', []]
+    ]);
+    expect(getComments(project.id).map(thread => thread.body)).toEqual(['About the whole project']);
+  });
+
+  it('should check where a comment goes and what it says', () => {
+    const other = createProject({ name: 'Shop refit' }, ann.id);
+    const projectComment = createComment({ projectId: project.id, body: 'Hello' }, ann.id);
+
+    expect(() => comment({ body: '  ' })).toThrow('Comment text is required');
+    expect(() => comment({ body: 'x'.repeat(5001) })).toThrow('Comments can be at most 5000 characters');
+    expect(() => createComment({ projectId: other.id, taskId: task.id, body: 'Hi' }, ann.id)).toThrow('Task not found');
+    expect(() => comment({ parentId: projectComment.id })).toThrow('Comment being replied to not found');
+    expect(() => createComment({ projectId: 'missing', body: 'Hi' }, ann.id)).toThrow('Project not found');
+
+    archiveProject(project.id);
+    expect(() => comment()).toThrow('Project is archived');
+  });
+
+  it('should edit a comment and mark it edited', () => {
+    const created = comment();
+
+    const edited = updateComment(created.id, 'Tins ordered, @AnnSmith to collect');
+
+    expect(edited.editedAt).not.toBeNull();
+    expect(edited.mentions).toEqual([ann.id]);
+    expect(findCommentById(created.id).body).toBe('Tins ordered, @AnnSmith to collect');
+    expect(() => updateComment('missing', 'x')).toThrow('Comment not found');
+  });
+
+  it('should delete a thread with its replies', () => {
+    const first = comment();
+    const reply = comment({ parentId: first.id, body: 'Thanks' }, bob.id);
+
+    expect(deleteComment(first.id)).toBe(true);
+    expect(findCommentById(reply.id)).toBeNull();
+    expect(() => deleteComment(first.id)).toThrow('Comment not found');
+  });
+
+  it('should remove the comments on a task or project', () => {
+    const onTask = comment();
+    const onProject = createComment({ projectId: project.id, body: 'Hello' }, ann.id);
+
+    removeComments({ taskId: task.id });
+    expect(findCommentById(onTask.id)).toBeNull();
+    expect(findCommentById(onProject.id)).not.toBeNull();
+
+    removeComments({ projectId: project.id });
+    expect(findCommentById(onProject.id)).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearProjects } = require('../src/models/project');
+const { clearComments, findCommentById } = require('../src/models/comment');
+const { clearNotifications, getNotifications } = require('../src/models/notification');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+describe('Comments and Notifications API', () => {
+  let adminToken;
+  let managerToken;
+  let manager;
+  let bakerToken;
+  let project;
+  let task;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearProjects();
+    clearComments();
+    clearNotifications();
+    clearAuditLog();
+
+    ({ token: adminToken } = await createAuthenticatedAdmin());
+    ({ token: managerToken, user: manager } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER, name: 'Mia Manager' }));
+    ({ token: bakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER, name: 'Ben Baker' }));
+
+    project = (await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'Christmas market' })).body;
+    task = (await request(app)
+      .post(`/api/projects/${project.id}/tasks`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ title: 'Order tins' })).body;
+  });
+
+  const postComment = (data, token = managerToken, path = `/api/projects/${project.id}/tasks/${task.id}/comments`) =>
+    request(app).post(path).set('Authorization', `Bearer ${token}`).send(data);
+
+  const inbox = token => request(app).get('/api/notifications').set('Authorization', `Bearer ${token}`);
+
+  describe('comments', () => {
+    it('should post threaded comments on tasks and projects', async () => {
+      const first = await postComment({ body: 'Ordered 40 tins' });
+      expect(first.status).toBe(201);
+      await postComment({ body: 'Great', parentId: first.body.id }, bakerToken);
+      await postComment({ body: 'Stall is booked' }, managerToken, `/api/projects/${project.id}/comments`);
+
+      const onTask = await request(app)
+        .get(`/api/projects/${project.id}/tasks/${task.id}/comments`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(onTask.body.map(thread => [thread.body, thread.replies.map(reply => reply.body)])).toEqual([
+        ['Ordered 40 tins', ['Great']]
+      ]);
+
+      const onProject = await request(app)
+        .get(`/api/projects/${project.id}/comments`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(onProject.body.map(thread => thread.body)).toEqual(['Stall is booked']);
+
+      expect(queryAuditLog({ action: AuditAction.COMMENT_CREATE })).toHaveLength(3);
+    });
+
+    it('should check comments', async () => {
+      expect((await postComment({ body: '' })).status).toBe(400);
+      expect((await postComment({ body: 'Hi', parentId: 'missing' })).status).toBe(404);
+      expect((await postComment({ body: 'Hi' }, bakerToken, '/api/projects/missing/comments')).status).toBe(404);
+
+      const { token: userToken } = await createAuthenticatedUser();
+      expect((await postComment({ body: 'Hi' }, userToken)).status).toBe(403);
+    });
+
+    it('should only let the author edit, and the author or owner delete', async () => {
+      const comment = (await postComment({ body: 'Ordered 40 tins' }, bakerToken)).body;
+      const path = `/api/projects/${project.id}/comments/${comment.id}`;
+
+      await request(app).put(path).set('Authorization', `Bearer ${managerToken}`).send({ body: 'Edited' }).expect(403);
+      const edited = await request(app).put(path).set('Authorization', `Bearer ${bakerToken}`).send({ body: 'Ordered 50 tins' });
+      expect(edited.status).toBe(200);
+      expect(edited.body.editedAt).not.toBeNull();
+
+      const { token: otherBakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER });
+      await request(app).delete(path).set('Authorization', `Bearer ${otherBakerToken}`).expect(403);
+      await request(app).delete(path).set('Authorization', `Bearer ${managerToken}`).expect(204);
+      await request(app).delete(path).set('Authorization', `Bearer ${adminToken}`).expect(404);
+
+      const [update] = queryAuditLog({ action: AuditAction.COMMENT_UPDATE });
+      expect(update.changes).toEqual({ body: { from: 'Ordered 40 tins', to: 'Ordered 50 tins' } });
+    });
+
+    it('should remove a task\'s comments with the task', async () => {
+      const comment = (await postComment({ body: 'Ordered 40 tins' })).body;
+
+      await request(app)
+        .delete(`/api/projects/${project.id}/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(204);
+
+      expect(findCommentById(comment.id)).toBeNull();
+    });
+  });
+
+  describe('/api/notifications', () => {
+    it('should notify people mentioned or replied to', async () => {
+      const { user: outsider } = await createAuthenticatedUser({ name: 'Olly Outsider' });
+
+      const comment = (await postComment({ body: '@BenBaker can you test the tins? cc @OllyOutsider @MiaManager' })).body;
+      await postComment({ body: 'Will do', parentId: comment.id }, bakerToken);
+
+      const bakerInbox = await inbox(bakerToken);
+      expect(bakerInbox.status).toBe(200);
+      expect(bakerInbox.body.unreadCount).toBe(1);
+      expect(bakerInbox.body.notifications[0]).toEqual(expect.objectContaining({
+        type: 'mention',
+        message: 'Mia Manager mentioned you on Order tins',
+        actorId: manager.id,
+        projectId: project.id,
+        taskId: task.id,
+        commentId: comment.id,
+        read: false
+      }));
+
+      const managerInbox = await inbox(managerToken);
+      expect(managerInbox.body.notifications.map(item => item.message)).toEqual(['Ben Baker replied to your comment on Order tins']);
+
+      expect(getNotifications(outsider.id)).toEqual([]);
+    });
+
+    it('should only notify people newly mentioned by an edit', async () => {
+      const { token: otherToken } = await createAuthenticatedUser({ role: UserRole.BAKER, name: 'Cat Cook' });
+      const comment = (await postComment({ body: '@BenBaker please check' })).body;
+
+      await request(app)
+        .put(`/api/projects/${project.id}/comments/${comment.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ body: '@BenBaker and @CatCook please check' })
+        .expect(200);
+
+      expect((await inbox(bakerToken)).body.unreadCount).toBe(1);
+      expect((await inbox(otherToken)).body.unreadCount).toBe(1);
+    });
+
+    it('should mark notifications read one at a time or all at once', async () => {
+      await postComment({ body: '@BenBaker first' });
+      await postComment({ body: '@BenBaker second' });
+      const [latest] = (await inbox(bakerToken)).body.notifications;
+      expect(latest.message).toBe('Mia Manager mentioned you on Order tins');
+
+      const read = await request(app)
+        .post(`/api/notifications/${latest.id}/read`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(read.status).toBe(200);
+      expect(read.body.read).toBe(true);
+
+      const unread = await request(app).get('/api/notifications?unread=true').set('Authorization', `Bearer ${bakerToken}`);
+      expect(unread.body.notifications).toHaveLength(1);
+      expect(unread.body.unreadCount).toBe(1);
+
+      await request(app)
+        .post(`/api/notifications/${latest.id}/read`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+
+      const all = await request(app).post('/api/notifications/read-all').set('Authorization', `Bearer ${bakerToken}`);
+      expect(all.body).toEqual({ updated: 1 });
+      expect((await inbox(bakerToken)).body.unreadCount).toBe(0);
+    });
+
+    it('should require a login', async () => {
+      await request(app).get('/api/notifications').expect(401);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearStaff, createStaff } = require('../src/models/staff');
+const { clearSchedules } = require('../src/models/schedule');
+const { clearAvailability } = require('../src/models/availability');
+const { clearRequirements, createRequirement } = require('../src/models/coverage');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Coverage and Schedule Generation API', () => {
+  let managerToken;
+  let bakerToken;
+
+  const morningBakers = {
+    location: 'Main St',
+    position: 'Baker',
+    count: 1,
+    startTime: '04:00',
+    endTime: '12:00',
+    days: ['monday', 'tuesday']
+  };
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearSchedules();
+    clearAvailability();
+    clearRequirements();
+    clearAuditLog();
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: bakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+  });
+
+  describe('coverage requirements', () => {
+    it('should let managers add a requirement', async () => {
+      const response = await request(app)
+        .post('/api/coverage')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(morningBakers);
+
+      expect(response.status).toBe(201);
+      expect(response.body.days).toEqual(['monday', 'tuesday']);
+
+      const [entry] = queryAuditLog({ action: AuditAction.COVERAGE_CREATE });
+      expect(entry.targetId).toBe(response.body.id);
+      expect(entry.changes.days).toEqual({ from: null, to: 'monday,tuesday' });
+    });
+
+    it('should let staff view but not change requirements', async () => {
+      createRequirement(morningBakers);
+
+      const list = await request(app)
+        .get('/api/coverage?day=monday')
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(list.status).toBe(200);
+      expect(list.body).toHaveLength(1);
+
+      const create = await request(app)
+        .post('/api/coverage')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send(morningBakers);
+      expect(create.status).toBe(403);
+    });
+
+    it('should validate requirements', async () => {
+      const response = await request(app)
+        .post('/api/coverage')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ ...morningBakers, days: ['funday'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toBeDefined();
+    });
+
+    it('should update and delete requirements', async () => {
+      const requirement = createRequirement(morningBakers);
+
+      const update = await request(app)
+        .put(`/api/coverage/${requirement.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ count: 2 });
+      expect(update.status).toBe(200);
+      expect(update.body.count).toBe(2);
+      expect(queryAuditLog({ action: AuditAction.COVERAGE_UPDATE })[0].changes).toEqual({ count: { from: 1, to: 2 } });
+
+      const remove = await request(app)
+        .delete(`/api/coverage/${requirement.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(remove.status).toBe(204);
+
+      const missing = await request(app)
+        .get(`/api/coverage/${requirement.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/schedules/generate', () => {
+    const week = { name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' };
+
+    it('should generate a draft schedule with a report', async () => {
+      const ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+      createRequirement({ ...morningBakers, count: 2 });
+
+      const response = await request(app)
+        .post('/api/schedules/generate')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(week);
+
+      expect(response.status).toBe(201);
+      expect(response.body.schedule.status).toBe('draft');
+      expect(response.body.schedule.shifts).toHaveLength(4);
+      expect(response.body.report).toMatchObject({ needed: 4, filled: 2 });
+      expect(response.body.report.unfilled).toHaveLength(2);
+      expect(response.body.report.hoursByStaff).toEqual([{ staffId: ann.id, name: 'Ann', hours: 16 }]);
+
+      const [entry] = queryAuditLog({ action: AuditAction.SCHEDULE_CREATE });
+      expect(entry.metadata).toEqual({ name: 'Week 10', generated: true, filled: 2, unfilled: 2 });
+    });
+
+    it('should require schedule.edit', async () => {
+      const response = await request(app)
+        .post('/api/schedules/generate')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send(week);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 400 when nothing can be planned', async () => {
+      const response = await request(app)
+        .post('/api/schedules/generate')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(week);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No coverage requirements apply to this schedule');
+    });
+  });
+});
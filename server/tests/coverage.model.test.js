@@ -0,0 +1,97 @@
+const {
+  createRequirement,
+  findRequirementById,
+  getRequirements,
+  updateRequirement,
+  deleteRequirement,
+  clearRequirements
+} = require('../src/models/coverage');
+
+describe('Coverage Model', () => {
+  const morningBakers = {
+    location: 'Main Street',
+    position: 'Baker',
+    count: 2,
+    startTime: '04:00',
+    endTime: '12:00',
+    days: ['saturday', 'monday', 'tuesday']
+  };
+
+  beforeEach(() => {
+    clearRequirements();
+  });
+
+  describe('createRequirement', () => {
+    it('should create a requirement with its days in week order', () => {
+      const requirement = createRequirement(morningBakers, 'manager-1');
+
+      expect(requirement.id).toBeDefined();
+      expect(requirement.count).toBe(2);
+      expect(requirement.days).toEqual(['monday', 'tuesday', 'saturday']);
+      expect(requirement.createdBy).toBe('manager-1');
+      expect(findRequirementById(requirement.id)).toEqual(requirement);
+    });
+
+    it('should default to one person and no location', () => {
+      const requirement = createRequirement({ ...morningBakers, count: undefined, location: ' ' });
+
+      expect(requirement.count).toBe(1);
+      expect(requirement.location).toBeNull();
+    });
+
+    it('should allow requirements that run past midnight', () => {
+      const requirement = createRequirement({ ...morningBakers, startTime: '22:00', endTime: '02:00' });
+      expect(requirement.endTime).toBe('02:00');
+    });
+
+    it('should reject invalid requirements', () => {
+      expect(() => createRequirement({ ...morningBakers, position: '' })).toThrow('Position is required');
+      expect(() => createRequirement({ ...morningBakers, count: 0 })).toThrow('Count must be a whole number from 1 to 50');
+      expect(() => createRequirement({ ...morningBakers, count: 1.5 })).toThrow('Count must be a whole number');
+      expect(() => createRequirement({ ...morningBakers, startTime: '4am' })).toThrow('Times must be in HH:mm format');
+      expect(() => createRequirement({ ...morningBakers, endTime: '04:00' })).toThrow('Start and end times must differ');
+      expect(() => createRequirement({ ...morningBakers, days: [] })).toThrow('Choose at least one day');
+      expect(() => createRequirement({ ...morningBakers, days: ['funday'] })).toThrow('Unknown day: funday');
+    });
+  });
+
+  describe('getRequirements', () => {
+    it('should filter by location, position and day', () => {
+      createRequirement(morningBakers);
+      createRequirement({ ...morningBakers, location: 'Harbour', position: 'Cashier' });
+      createRequirement({ ...morningBakers, location: null, position: 'Cleaner', days: ['sunday'] });
+
+      expect(getRequirements()).toHaveLength(3);
+      expect(getRequirements({ location: 'main street' }).map(r => r.position)).toEqual(['Cleaner', 'Baker']);
+      expect(getRequirements({ position: 'cashier' })).toHaveLength(1);
+      expect(getRequirements({ day: 'sunday' }).map(r => r.position)).toEqual(['Cleaner']);
+    });
+  });
+
+  describe('updateRequirement', () => {
+    it('should update fields and revalidate', () => {
+      const requirement = createRequirement(morningBakers);
+
+      const updated = updateRequirement(requirement.id, { count: 3, days: ['friday'] });
+      expect(updated.count).toBe(3);
+      expect(updated.days).toEqual(['friday']);
+
+      expect(() => updateRequirement(requirement.id, { endTime: '04:00' })).toThrow('Start and end times must differ');
+      expect(findRequirementById(requirement.id).endTime).toBe('12:00');
+    });
+
+    it('should throw for unknown requirements', () => {
+      expect(() => updateRequirement('missing', { count: 1 })).toThrow('Coverage requirement not found');
+    });
+  });
+
+  describe('deleteRequirement', () => {
+    it('should remove the requirement', () => {
+      const requirement = createRequirement(morningBakers);
+
+      expect(deleteRequirement(requirement.id)).toBe(true);
+      expect(findRequirementById(requirement.id)).toBeNull();
+      expect(() => deleteRequirement(requirement.id)).toThrow('Coverage requirement not found');
+    });
+  });
+});
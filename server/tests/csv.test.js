@@ -0,0 +1,57 @@
+const { parseCsv, parseCsvObjects, toCsv } = require('../src/utils/csv');
+
+describe('CSV utilities', () => {
+  describe('parseCsv', () => {
+    it('should split rows and fields', () => {
+      expect(parseCsv('a,b\r\nc,d\n')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should handle quoted fields with commas, quotes and newlines', () => {
+      expect(parseCsv('"Smith, Jo","say ""hi""","two\nlines"')).toEqual([
+        ['Smith, Jo', 'say "hi"', 'two\nlines']
+      ]);
+    });
+
+    it('should skip blank lines and a byte order mark', () => {
+      expect(parseCsv('﻿a,b\n\n,\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should reject an unterminated quote', () => {
+      expect(() => parseCsv('"open,field')).toThrow('Unterminated quoted field in CSV');
+    });
+  });
+
+  describe('parseCsvObjects', () => {
+    it('should key rows by the trimmed header', () => {
+      expect(parseCsvObjects(' email , name\na@example.com,Ann\nb@example.com')).toEqual([
+        { email: 'a@example.com', name: 'Ann' },
+        { email: 'b@example.com', name: '' }
+      ]);
+    });
+
+    it('should return nothing for empty input', () => {
+      expect(parseCsvObjects('')).toEqual([]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write a header row and quote where needed', () => {
+      const csv = toCsv([{ name: 'Smith, Jo', note: 'said "hi"', empty: null }], ['name', 'note', 'empty']);
+      expect(csv).toBe('name,note,empty\r\n"Smith, Jo","said ""hi""",\r\n');
+    });
+
+    it('should neutralise values a spreadsheet would treat as formulas', () => {
+      expect(toCsv([{ name: '=SUM(A1)' }], ['name'])).toBe("name\r\n'=SUM(A1)\r\n");
+    });
+
+    it('should leave signed numbers alone but not formulas that start with a sign', () => {
+      const records = [{ value: -2.5 }, { value: '+3' }, { value: '-.5' }, { value: '-1+2' }, { value: '+A1' }];
+      expect(toCsv(records, ['value'])).toBe("value\r\n-2.5\r\n+3\r\n-.5\r\n'-1+2\r\n'+A1\r\n");
+    });
+
+    it('should round-trip through parseCsvObjects', () => {
+      const records = [{ email: 'a@example.com', name: 'Line\nbreak, "quoted"' }];
+      expect(parseCsvObjects(toCsv(records, ['email', 'name']))).toEqual(records);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryFileStorage, createLocalFileStorage } = require('../src/files/drivers');
+
+describe('File storage', () => {
+  describe('createLocalFileStorage', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'justflour-files-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write, read and remove files in its directory', async () => {
+      const storage = createLocalFileStorage(path.join(dir, 'attachments'));
+
+      await storage.write('recipe', Buffer.from('Pumpkin loaf'));
+      expect(fs.readdirSync(path.join(dir, 'attachments'))).toEqual(['recipe']);
+      expect((await storage.read('recipe')).toString()).toBe('Pumpkin loaf');
+
+      await storage.remove('recipe');
+      await storage.remove('recipe');
+      await expect(storage.read('recipe')).rejects.toThrow('File not found');
+    });
+
+    it('should refuse keys that reach outside its directory', async () => {
+      const storage = createLocalFileStorage(dir);
+
+      await expect(storage.write('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key "../escape"');
+      await expect(storage.read('sub/file')).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('createMemoryFileStorage', () => {
+    it('should keep copies of files in memory', async () => {
+      const storage = createMemoryFileStorage();
+      const data = Buffer.from('Invoice');
+
+      await storage.write('invoice', data);
+      data.write('Changed');
+      expect((await storage.read('invoice')).toString()).toBe('Invoice');
+
+      storage.clear();
+      await expect(storage.read('invoice')).rejects.toThrow('File not found');
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The dashboard's shared helpers are plain browser scripts, so run one in a
+// sandbox to reach its functions
+const context = {};
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../../client/public/js/format.js'), 'utf8'), context);
+const { escapeHtml } = context;
+
+describe('Dashboard formatting', () => {
+  describe('escapeHtml', () => {
+    it('should escape markup', () => {
+      expect(escapeHtml('<b>Tom & Jerry</b>')).toBe('&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;');
+      expect(escapeHtml(null)).toBe('');
+      expect(escapeHtml(42)).toBe('42');
+    });
+
+    it('should escape quotes so a staff position can\'t break out of an attribute', () => {
+      const position = 'x" autofocus onfocus="alert(\'hi\')';
+
+      const html = `<option value="${escapeHtml(position)}">`;
+
+      expect(html).toBe('<option value="x&quot; autofocus onfocus=&quot;alert(&#39;hi&#39;)">');
+    });
+  });
+});
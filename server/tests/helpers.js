@@ -0,0 +1,36 @@
+const { createUser, UserRole } = require('../src/models/user');
+const { issueTokens } = require('../src/services/tokens');
+
+let userCounter = 0;
+
+/**
+ * Create a user and issue an access token for them
+ * @param {Object} overrides - User data overrides
+ * @returns {Object} { user, token, refreshToken }
+ */
+async function createAuthenticatedUser(overrides = {}) {
+  userCounter++;
+  const user = await createUser({
+    email: `member${userCounter}@example.com`,
+    password: 'password123',
+    name: `Member ${userCounter}`,
+    role: UserRole.USER,
+    ...overrides
+  });
+  const tokens = issueTokens(user);
+  return { user, token: tokens.accessToken, refreshToken: tokens.refreshToken };
+}
+
+/**
+ * Create an admin user and issue an access token for them
+ * @param {Object} overrides - User data overrides
+ * @returns {Object} { user, token, refreshToken }
+ */
+function createAuthenticatedAdmin(overrides = {}) {
+  return createAuthenticatedUser({ role: UserRole.ADMIN, name: 'Admin Member', ...overrides });
+}
+
+module.exports = {
+  createAuthenticatedUser,
+  createAuthenticatedAdmin
+};
@@ -0,0 +1,71 @@
+const {
+  createHoliday,
+  findHolidayById,
+  getHolidays,
+  findHoliday,
+  deleteHoliday,
+  clearHolidays
+} = require('../src/models/holiday');
+
+describe('Holiday Model', () => {
+  beforeEach(() => {
+    clearHolidays();
+  });
+
+  it('should add a holiday that applies everywhere', () => {
+    const holiday = createHoliday({ date: '2024-12-25', name: ' Christmas Day ', location: ' ' }, 'owner-1');
+
+    expect(holiday).toEqual(expect.objectContaining({
+      date: '2024-12-25',
+      name: 'Christmas Day',
+      location: null,
+      recurring: false,
+      createdBy: 'owner-1'
+    }));
+    expect(findHolidayById(holiday.id)).toEqual(holiday);
+    expect(findHoliday('2024-12-25', 'Main St')).toEqual(holiday);
+    expect(findHoliday('2025-12-25', 'Main St')).toBeNull();
+  });
+
+  it('should repeat a recurring holiday every year', () => {
+    const holiday = createHoliday({ date: '2024-01-01', name: 'New Year', recurring: true });
+
+    expect(findHoliday('2030-01-01', null)).toEqual(holiday);
+    expect(findHoliday('2030-01-02', null)).toBeNull();
+  });
+
+  it('should only apply a local holiday at its location', () => {
+    const holiday = createHoliday({ date: '2024-03-05', name: 'Town fair', location: 'Main St' });
+
+    expect(findHoliday('2024-03-05', 'main st')).toEqual(holiday);
+    expect(findHoliday('2024-03-05', 'Elm St')).toBeNull();
+    expect(findHoliday('2024-03-05', null)).toBeNull();
+    expect(getHolidays({ location: 'Elm St' })).toEqual([]);
+  });
+
+  it('should refuse a second holiday on the same day and place', () => {
+    createHoliday({ date: '2024-12-25', name: 'Christmas Day', recurring: true });
+    createHoliday({ date: '2024-12-25', name: 'Christmas market', location: 'Main St' });
+
+    expect(() => createHoliday({ date: '2031-12-25', name: 'Xmas' }))
+      .toThrow('Christmas Day is already on the calendar for that day');
+    expect(() => createHoliday({ date: '2024-12-25', name: 'Xmas', location: 'main st' }))
+      .toThrow('Christmas market is already on the calendar for that day');
+  });
+
+  it('should validate the holiday', () => {
+    expect(() => createHoliday({ date: '2024-02-30', name: 'Nope' })).toThrow('Date must be in YYYY-MM-DD format');
+    expect(() => createHoliday({ date: '2024-02-01', name: ' ' })).toThrow('Holiday name is required');
+  });
+
+  it('should list holidays by date and delete them', () => {
+    const later = createHoliday({ date: '2024-12-26', name: 'Boxing Day' });
+    createHoliday({ date: '2024-12-25', name: 'Christmas Day' });
+
+    expect(getHolidays().map(holiday => holiday.name)).toEqual(['Christmas Day', 'Boxing Day']);
+
+    expect(deleteHoliday(later.id)).toBe(true);
+    expect(getHolidays()).toHaveLength(1);
+    expect(() => deleteHoliday(later.id)).toThrow('Holiday not found');
+  });
+});
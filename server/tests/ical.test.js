@@ -0,0 +1,59 @@
+const {
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  buildCalendar
+} = require('../src/utils/ical');
+
+describe('iCalendar utilities', () => {
+  it('should escape text values', () => {
+    expect(escapeText('Bread; rolls, buns\\cakes\nline two')).toBe('Bread\\; rolls\\, buns\\\\cakes\\nline two');
+    expect(escapeText(null)).toBe('');
+  });
+
+  it('should fold long lines at 75 octets', () => {
+    const folded = foldLine(`SUMMARY:${'x'.repeat(200)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`SUMMARY:${'x'.repeat(200)}`);
+  });
+
+  it('should not split multi-byte characters when folding', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    expect(folded.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  it('should format dates and times', () => {
+    expect(formatLocalDateTime('2024-03-04T04:30')).toBe('20240304T043000');
+    expect(formatUtcDateTime('2024-03-04T10:15:30.123Z')).toBe('20240304T101530Z');
+  });
+
+  it('should build a calendar with CRLF line endings', () => {
+    const text = buildCalendar({
+      name: 'Ann',
+      events: [{
+        uid: 'shift-1@justflour',
+        sequence: 2,
+        status: 'CANCELLED',
+        startsAt: '2024-03-04T04:00',
+        endsAt: '2024-03-04T12:00',
+        summary: 'Baker shift',
+        location: 'Main St',
+        lastModified: '2024-03-01T09:00:00.000Z'
+      }]
+    });
+
+    expect(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(text).toContain('X-WR-CALNAME:Ann\r\n');
+    expect(text).toContain('UID:shift-1@justflour\r\nDTSTAMP:');
+    expect(text).toContain('SEQUENCE:2\r\nSTATUS:CANCELLED\r\nDTSTART:20240304T040000\r\nDTEND:20240304T120000\r\n');
+    expect(text).toContain('LOCATION:Main St\r\n');
+    expect(text).toContain('LAST-MODIFIED:20240301T090000Z\r\n');
+    expect(text).not.toContain('DESCRIPTION');
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryTransport, createFileTransport } = require('../src/mail/transports');
+const { getTransport, setTransport, sendMail } = require('../src/mail');
+
+describe('Mail', () => {
+  describe('createFileTransport', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'justflour-outbox-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write each message to the outbox as an .eml file', async () => {
+      const transport = createFileTransport(dir);
+
+      await transport.send({
+        from: 'no-reply@example.com',
+        to: 'baker@example.com',
+        subject: 'Hello',
+        text: 'Fresh bread'
+      });
+
+      const files = fs.readdirSync(dir);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+
+      const contents = fs.readFileSync(path.join(dir, files[0]), 'utf8');
+      expect(contents).toContain('To: baker@example.com');
+      expect(contents).toContain('Subject: Hello');
+      expect(contents).toContain('Fresh bread');
+    });
+  });
+
+  describe('sendMail', () => {
+    let original;
+
+    beforeEach(() => {
+      original = getTransport();
+    });
+
+    afterEach(() => {
+      setTransport(original);
+    });
+
+    it('should send through the transport set with setTransport', async () => {
+      const transport = createMemoryTransport();
+      setTransport(transport);
+
+      await sendMail({ to: 'baker@example.com', subject: 'Hi', text: 'Hello' });
+
+      expect(transport.messages).toHaveLength(1);
+      expect(transport.messages[0].from).toBeDefined();
+    });
+
+    it('should reject incomplete messages', async () => {
+      await expect(sendMail({ to: 'baker@example.com' }))
+        .rejects.toThrow('Mail requires to, subject and text');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, findUserById, UserRole, UserStatus } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { issueTokens } = require('../src/services/tokens');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Own account API', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearAuditLog();
+    ({ user, token } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+  });
+
+  describe('GET /api/users/me', () => {
+    it('should return the signed-in user and their permissions', async () => {
+      const response = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.id).toBe(user.id);
+      expect(response.body.user.password).toBeUndefined();
+      expect(response.body.permissions).toEqual(['users.view', 'staff.view', 'schedule.view', 'projects.view']);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/users/me');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PATCH /api/users/me', () => {
+    it('should update the name and audit it', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: '  New Name ' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('New Name');
+
+      const [entry] = queryAuditLog({ action: AuditAction.USER_UPDATE });
+      expect(entry.actorId).toBe(user.id);
+      expect(entry.changes).toEqual({ name: { from: user.name, to: 'New Name' } });
+    });
+
+    it('should not let users change their own role or status', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Sneaky', role: UserRole.ADMIN, status: UserStatus.ACTIVE });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toBe('You cannot change these fields yourself: role, status');
+
+      const stored = findUserById(user.id);
+      expect(stored.role).toBe(UserRole.BAKER);
+      expect(stored.name).toBe(user.name);
+    });
+
+    it('should validate the name', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: '   ' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/users/me/password', () => {
+    it('should change the password and sign out other sessions', async () => {
+      const other = issueTokens(user);
+
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'password123', newPassword: 'new-password-456' });
+
+      expect(response.status).toBe(200);
+      expect(queryAuditLog({ action: AuditAction.PASSWORD_CHANGE })).toHaveLength(1);
+
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ email: user.email, password: 'new-password-456' });
+      expect(login.status).toBe(200);
+
+      const current = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${token}`);
+      expect(current.status).toBe(200);
+
+      const signedOut = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${other.accessToken}`);
+      expect(signedOut.status).toBe(401);
+    });
+
+    it('should require the current password', async () => {
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'wrong-password', newPassword: 'new-password-456' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Current password is incorrect');
+    });
+
+    it('should validate the new password', async () => {
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'password123', newPassword: 'short' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const {
+  NotificationType,
+  createNotification,
+  getNotifications,
+  countUnread,
+  markRead,
+  markAllRead,
+  removeNotificationsForUser,
+  clearNotifications
+} = require('../src/models/notification');
+
+describe('Notification Model', () => {
+  beforeEach(() => {
+    clearNotifications();
+  });
+
+  const notify = (userId, message) => createNotification({ userId, type: NotificationType.MENTION, message });
+
+  it('should list a user\'s notifications newest first', () => {
+    notify('ann', 'First');
+    notify('bob', 'For Bob');
+    notify('ann', 'Second');
+
+    expect(getNotifications('ann').map(item => item.message)).toEqual(['Second', 'First']);
+    expect(getNotifications('ann', { limit: 1 }).map(item => item.message)).toEqual(['Second']);
+    expect(countUnread('ann')).toBe(2);
+    expect(() => createNotification({ userId: 'ann', type: 'shout', message: 'Hi' })).toThrow('Type must be one of: mention, reply');
+  });
+
+  it('should mark notifications read only in their own inbox', () => {
+    const first = notify('ann', 'First');
+    notify('ann', 'Second');
+
+    expect(() => markRead(first.id, 'bob')).toThrow('Notification not found');
+    const read = markRead(first.id, 'ann');
+    expect(read).toEqual(expect.objectContaining({ read: true, readAt: expect.any(String) }));
+    expect(markRead(first.id, 'ann').readAt).toBe(read.readAt);
+    expect(getNotifications('ann', { unreadOnly: true }).map(item => item.message)).toEqual(['Second']);
+
+    expect(markAllRead('ann')).toBe(1);
+    expect(countUnread('ann')).toBe(0);
+  });
+
+  it('should empty a deleted user\'s inbox', () => {
+    notify('ann', 'First');
+    notify('bob', 'For Bob');
+
+    removeNotificationsForUser('ann');
+
+    expect(getNotifications('ann')).toEqual([]);
+    expect(getNotifications('bob')).toHaveLength(1);
+  });
+});
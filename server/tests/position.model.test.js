@@ -0,0 +1,47 @@
+const {
+  setRequiredCertifications,
+  getPositionRequirements,
+  getRequiredCertifications,
+  clearPositions
+} = require('../src/models/position');
+
+describe('Position Model', () => {
+  beforeEach(() => {
+    clearPositions();
+  });
+
+  it('should set the certifications a position requires', () => {
+    const record = setRequiredCertifications(' Baker ', ['Food Handler', ' Oven Training ', 'food handler', ''], 'manager-1');
+
+    expect(record).toEqual(expect.objectContaining({
+      position: 'Baker',
+      certifications: ['Food Handler', 'Oven Training'],
+      updatedBy: 'manager-1'
+    }));
+    expect(getRequiredCertifications('baker')).toEqual(['Food Handler', 'Oven Training']);
+    expect(getRequiredCertifications('Cashier')).toEqual([]);
+  });
+
+  it('should replace the list, and remove it when empty', () => {
+    const first = setRequiredCertifications('Baker', ['Food Handler'], 'manager-1');
+    const second = setRequiredCertifications('baker', ['Mixer Training'], 'manager-2');
+
+    expect(second.id).toBe(first.id);
+    expect(getPositionRequirements()).toHaveLength(1);
+
+    expect(setRequiredCertifications('Baker', [], 'manager-1')).toBeNull();
+    expect(getPositionRequirements()).toEqual([]);
+  });
+
+  it('should list positions by name', () => {
+    setRequiredCertifications('Cashier', ['Food Handler']);
+    setRequiredCertifications('Baker', ['Oven Training']);
+
+    expect(getPositionRequirements().map(record => record.position)).toEqual(['Baker', 'Cashier']);
+  });
+
+  it('should validate the input', () => {
+    expect(() => setRequiredCertifications(' ', ['Food Handler'])).toThrow('Position is required');
+    expect(() => setRequiredCertifications('Baker', 'Food Handler')).toThrow('Certifications must be a list of names');
+  });
+});
@@ -0,0 +1,239 @@
+const {
+  ProjectStatus,
+  TaskStatus,
+  createProject,
+  findProjectById,
+  getProjects,
+  updateProject,
+  archiveProject,
+  restoreProject,
+  deleteProject,
+  createTask,
+  findTaskById,
+  getTasks,
+  getBoard,
+  updateTask,
+  moveTask,
+  deleteTask,
+  removeUserFromProjects,
+  clearProjects
+} = require('../src/models/project');
+const { createUser, clearUsers } = require('../src/models/user');
+const { addDays, today } = require('../src/utils/time');
+
+describe('Project Model', () => {
+  let owner;
+  let ann;
+  let bob;
+  let project;
+
+  beforeEach(async () => {
+    clearProjects();
+    clearUsers();
+
+    owner = await createUser({ email: 'owner@example.com', password: 'password123', name: 'Olive' });
+    ann = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+    bob = await createUser({ email: 'bob@example.com', password: 'password123', name: 'Bob' });
+    project = createProject({ name: 'Shop refit', description: 'New counters' }, owner.id);
+  });
+
+  describe('projects', () => {
+    it('should create an active project owned by its creator', () => {
+      expect(project).toEqual(expect.objectContaining({
+        name: 'Shop refit',
+        ownerId: owner.id,
+        status: ProjectStatus.ACTIVE,
+        taskCount: 0,
+        openTaskCount: 0
+      }));
+      expect(createProject({ name: 'Launch', ownerId: ann.id }, owner.id).ownerId).toBe(ann.id);
+    });
+
+    it('should validate the project', () => {
+      expect(() => createProject({ name: ' ' }, owner.id)).toThrow('Project name is required');
+      expect(() => createProject({ name: 'Launch', ownerId: 'missing' }, owner.id)).toThrow('Owner not found');
+      expect(() => updateProject('missing', { name: 'x' })).toThrow('Project not found');
+    });
+
+    it('should filter projects and list them by name', () => {
+      const menu = createProject({ name: 'Autumn menu' }, ann.id);
+      archiveProject(menu.id);
+
+      expect(getProjects().map(item => item.name)).toEqual(['Autumn menu', 'Shop refit']);
+      expect(getProjects({ status: ProjectStatus.ACTIVE }).map(item => item.name)).toEqual(['Shop refit']);
+      expect(getProjects({ ownerId: ann.id }).map(item => item.name)).toEqual(['Autumn menu']);
+      expect(getProjects({ search: 'REFIT' }).map(item => item.name)).toEqual(['Shop refit']);
+    });
+
+    it('should archive and restore a project, freezing its tasks meanwhile', () => {
+      const task = createTask(project.id, { title: 'Measure up' }, owner.id);
+
+      const archived = archiveProject(project.id);
+      expect(archived.status).toBe(ProjectStatus.ARCHIVED);
+      expect(archived.archivedAt).not.toBeNull();
+      expect(() => archiveProject(project.id)).toThrow('Project is already archived');
+      expect(() => updateTask(task.id, { status: TaskStatus.DONE })).toThrow('Project is archived');
+      expect(() => createTask(project.id, { title: 'More' }, owner.id)).toThrow('Project is archived');
+
+      expect(restoreProject(project.id).archivedAt).toBeNull();
+      expect(() => restoreProject(project.id)).toThrow('Project is not archived');
+    });
+
+    it('should delete a project with its tasks', () => {
+      const task = createTask(project.id, { title: 'Measure up' }, owner.id);
+
+      expect(deleteProject(project.id)).toBe(true);
+      expect(findProjectById(project.id)).toBeNull();
+      expect(findTaskById(task.id)).toBeNull();
+      expect(() => deleteProject(project.id)).toThrow('Project not found');
+    });
+  });
+
+  describe('tasks', () => {
+    it('should create a task with defaults and tidy its lists', () => {
+      const task = createTask(project.id, {
+        title: ' Order counters ',
+        assigneeIds: [ann.id, ann.id],
+        labels: ['Fit-out', ' fit-out ', 'Urgent order'],
+        checklist: [{ text: 'Get quotes' }, { text: 'Pick supplier', done: true }]
+      }, owner.id);
+
+      expect(task).toEqual(expect.objectContaining({
+        title: 'Order counters',
+        status: TaskStatus.TODO,
+        priority: 'medium',
+        dueDate: null,
+        assigneeIds: [ann.id],
+        labels: ['Fit-out', 'Urgent order'],
+        overdue: false
+      }));
+      expect(task.checklist).toEqual([
+        { id: expect.any(String), text: 'Get quotes', done: false },
+        { id: expect.any(String), text: 'Pick supplier', done: true }
+      ]);
+      expect(findProjectById(project.id)).toEqual(expect.objectContaining({ taskCount: 1, openTaskCount: 1 }));
+    });
+
+    it('should validate the task', () => {
+      const create = data => () => createTask(project.id, { title: 'Task', ...data }, owner.id);
+
+      expect(create({ title: '' })).toThrow('Task title is required');
+      expect(create({ status: 'later' })).toThrow('Status must be one of: todo, in_progress, blocked, done');
+      expect(create({ priority: 'whenever' })).toThrow('Priority must be one of: low, medium, high, urgent');
+      expect(create({ dueDate: '2024-02-30' })).toThrow('Due date must be in YYYY-MM-DD format');
+      expect(create({ assigneeIds: ['missing'] })).toThrow('Assignee not found');
+      expect(create({ checklist: [{ text: ' ' }] })).toThrow('Checklist items need some text');
+      expect(() => createTask('missing', { title: 'Task' }, owner.id)).toThrow('Project not found');
+    });
+
+    it('should keep checklist items by ID and record when a task is done', () => {
+      const task = createTask(project.id, { title: 'Order counters', checklist: [{ text: 'Get quotes' }] }, owner.id);
+      const [item] = task.checklist;
+
+      const ticked = updateTask(task.id, { checklist: [{ ...item, done: true }, { text: 'Pay deposit' }] });
+      expect(ticked.checklist[0]).toEqual({ id: item.id, text: 'Get quotes', done: true });
+      expect(ticked.checklist[1].id).not.toBe(item.id);
+
+      const done = updateTask(task.id, { status: TaskStatus.DONE });
+      expect(done.completedAt).not.toBeNull();
+      expect(updateTask(task.id, { status: TaskStatus.IN_PROGRESS }).completedAt).toBeNull();
+    });
+
+    it('should filter tasks by assignee, status, label and overdue', () => {
+      const yesterday = addDays(today(), -1);
+      const late = createTask(project.id, { title: 'Late', dueDate: yesterday, assigneeIds: [ann.id], labels: ['Fit-out'] }, owner.id);
+      createTask(project.id, { title: 'Late but done', dueDate: yesterday, status: TaskStatus.DONE }, owner.id);
+      const soon = createTask(project.id, { title: 'Soon', dueDate: addDays(today(), 3), assigneeIds: [ann.id, bob.id] }, owner.id);
+      const blocked = createTask(project.id, { title: 'Blocked', status: TaskStatus.BLOCKED, priority: 'urgent' }, owner.id);
+
+      expect(getTasks({ projectId: project.id }).map(task => task.title)).toEqual(['Late', 'Late but done', 'Soon', 'Blocked']);
+      expect(getTasks({ assigneeId: bob.id }).map(task => task.id)).toEqual([soon.id]);
+      expect(getTasks({ statuses: [TaskStatus.BLOCKED, TaskStatus.DONE] })).toHaveLength(2);
+      expect(getTasks({ label: 'fit-out' }).map(task => task.id)).toEqual([late.id]);
+      expect(getTasks({ overdue: true }).map(task => task.id)).toEqual([late.id]);
+      expect(getTasks({ priority: 'urgent' }).map(task => task.id)).toEqual([blocked.id]);
+      expect(findTaskById(late.id).overdue).toBe(true);
+      expect(findProjectById(project.id).overdueTaskCount).toBe(1);
+
+      archiveProject(project.id);
+      expect(getTasks({ activeOnly: true })).toEqual([]);
+    });
+
+    it('should keep board order within each status column', () => {
+      const [first, second, third] = ['First', 'Second', 'Third']
+        .map(title => createTask(project.id, { title }, owner.id));
+      const titles = status => getBoard(project.id)
+        .find(column => column.status === status).tasks.map(task => task.title);
+
+      expect(getBoard(project.id).map(column => column.status)).toEqual(['todo', 'in_progress', 'blocked', 'done']);
+      expect(titles(TaskStatus.TODO)).toEqual(['First', 'Second', 'Third']);
+
+      moveTask(third.id, { index: 0 });
+      expect(titles(TaskStatus.TODO)).toEqual(['Third', 'First', 'Second']);
+
+      const moved = moveTask(first.id, { status: TaskStatus.DONE, index: 5 });
+      expect(moved).toEqual(expect.objectContaining({ status: TaskStatus.DONE, sortOrder: 0 }));
+      expect(moved.completedAt).not.toBeNull();
+      expect(titles(TaskStatus.TODO)).toEqual(['Third', 'Second']);
+
+      updateTask(second.id, { status: TaskStatus.DONE });
+      expect(titles(TaskStatus.DONE)).toEqual(['First', 'Second']);
+    });
+
+    it('should check task moves', () => {
+      const task = createTask(project.id, { title: 'Measure up' }, owner.id);
+
+      expect(() => moveTask(task.id, { status: 'later', index: 0 })).toThrow('Status must be one of');
+      expect(() => moveTask(task.id, { index: -1 })).toThrow('Index must be a whole number of 0 or more');
+      expect(() => moveTask('missing', { index: 0 })).toThrow('Task not found');
+      expect(() => getBoard('missing')).toThrow('Project not found');
+
+      archiveProject(project.id);
+      expect(() => moveTask(task.id, { index: 0 })).toThrow('Project is archived');
+    });
+
+    it('should link tasks that depend on each other and refuse cycles', () => {
+      const measure = createTask(project.id, { title: 'Measure up' }, owner.id);
+      const order = createTask(project.id, { title: 'Order counters', dependsOn: [measure.id, measure.id] }, owner.id);
+      const fit = createTask(project.id, { title: 'Fit counters', dependsOn: [order.id] }, owner.id);
+      const elsewhere = createTask(createProject({ name: 'Launch' }, owner.id).id, { title: 'Elsewhere' }, owner.id);
+
+      expect(order.dependsOn).toEqual([measure.id]);
+      expect(() => updateTask(measure.id, { dependsOn: [fit.id] })).toThrow('Dependencies would form a cycle');
+      expect(() => updateTask(measure.id, { dependsOn: [measure.id] })).toThrow('A task cannot depend on itself');
+      expect(() => updateTask(measure.id, { dependsOn: [elsewhere.id] })).toThrow('Dependencies must be in the same project');
+      expect(() => updateTask(measure.id, { dependsOn: ['missing'] })).toThrow('Dependency not found');
+
+      deleteTask(order.id);
+      expect(findTaskById(fit.id).dependsOn).toEqual([]);
+    });
+
+    it('should check start dates and milestones', () => {
+      const create = data => () => createTask(project.id, { title: 'Task', ...data }, owner.id);
+
+      expect(create({ startDate: '2024-03-05', dueDate: '2024-03-04' })).toThrow('Start date must not be after the due date');
+      expect(create({ startDate: 'monday' })).toThrow('Start date must be in YYYY-MM-DD format');
+      expect(create({ milestone: true })).toThrow('A milestone needs a due date');
+      expect(create({ milestone: true, startDate: '2024-03-01', dueDate: '2024-03-04' }))
+        .toThrow('A milestone falls on a single day, so it has no separate start date');
+      expect(createTask(project.id, { title: 'Open', milestone: true, dueDate: '2024-03-04' }, owner.id))
+        .toEqual(expect.objectContaining({ milestone: true, startDate: null, dependsOn: [] }));
+    });
+
+    it('should delete a task', () => {
+      const task = createTask(project.id, { title: 'Measure up' }, owner.id);
+
+      expect(deleteTask(task.id)).toBe(true);
+      expect(() => deleteTask(task.id)).toThrow('Task not found');
+    });
+
+    it('should take a deleted user off projects and tasks', () => {
+      const task = createTask(project.id, { title: 'Measure up', assigneeIds: [owner.id, ann.id] }, owner.id);
+
+      removeUserFromProjects(owner.id);
+
+      expect(findProjectById(project.id).ownerId).toBeNull();
+      expect(findTaskById(task.id).assigneeIds).toEqual([ann.id]);
+    });
+  });
+});
@@ -0,0 +1,380 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearProjects, findTaskById } = require('../src/models/project');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { addDays, today } = require('../src/utils/time');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+describe('Projects API', () => {
+  let adminToken;
+  let managerToken;
+  let manager;
+  let bakerToken;
+  let baker;
+  let project;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearProjects();
+    clearAuditLog();
+
+    ({ token: adminToken } = await createAuthenticatedAdmin());
+    ({ token: managerToken, user: manager } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: bakerToken, user: baker } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+
+    project = (await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'Seasonal menu', description: 'Autumn specials' })).body;
+  });
+
+  const addTask = (data = {}, token = managerToken) => request(app)
+    .post(`/api/projects/${project.id}/tasks`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Test recipes', ...data });
+
+  describe('/api/projects', () => {
+    it('should create a project owned by its creator and list it', async () => {
+      expect(project).toEqual(expect.objectContaining({ name: 'Seasonal menu', ownerId: manager.id, status: 'active' }));
+
+      const list = await request(app).get('/api/projects?ownerId=me').set('Authorization', `Bearer ${managerToken}`);
+      expect(list.body.map(item => item.name)).toEqual(['Seasonal menu']);
+
+      const [entry] = queryAuditLog({ action: AuditAction.PROJECT_CREATE });
+      expect(entry.metadata).toEqual({ name: 'Seasonal menu' });
+    });
+
+    it('should let viewers see projects but not create them', async () => {
+      const list = await request(app).get('/api/projects').set('Authorization', `Bearer ${bakerToken}`);
+      const create = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ name: 'Mine' });
+      const { token: userToken } = await createAuthenticatedUser();
+      const noAccess = await request(app).get('/api/projects').set('Authorization', `Bearer ${userToken}`);
+
+      expect(list.status).toBe(200);
+      expect(create.status).toBe(403);
+      expect(noAccess.status).toBe(403);
+    });
+
+    it('should only let admins or the owner archive or delete a project', async () => {
+      const { token: otherManagerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER });
+
+      const notOwner = await request(app)
+        .post(`/api/projects/${project.id}/archive`)
+        .set('Authorization', `Bearer ${otherManagerToken}`);
+      expect(notOwner.status).toBe(403);
+
+      const archived = await request(app)
+        .post(`/api/projects/${project.id}/archive`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(archived.status).toBe(200);
+      expect(archived.body.status).toBe('archived');
+
+      const again = await request(app)
+        .post(`/api/projects/${project.id}/archive`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(again.status).toBe(409);
+
+      await request(app)
+        .delete(`/api/projects/${project.id}`)
+        .set('Authorization', `Bearer ${otherManagerToken}`)
+        .expect(403);
+      await request(app)
+        .delete(`/api/projects/${project.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(204);
+      await request(app)
+        .get(`/api/projects/${project.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(queryAuditLog({ action: AuditAction.PROJECT_ARCHIVE })).toHaveLength(1);
+      expect(queryAuditLog({ action: AuditAction.PROJECT_DELETE })).toHaveLength(1);
+    });
+
+    it('should let the owner update a project without projects.edit', async () => {
+      const handedOver = await request(app)
+        .put(`/api/projects/${project.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ ownerId: baker.id });
+      expect(handedOver.status).toBe(200);
+
+      const renamed = await request(app)
+        .put(`/api/projects/${project.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ name: 'Winter menu' });
+      expect(renamed.status).toBe(200);
+
+      const badOwner = await request(app)
+        .put(`/api/projects/${project.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ ownerId: 'missing' });
+      expect(badOwner.status).toBe(400);
+
+      const [update] = queryAuditLog({ action: AuditAction.PROJECT_UPDATE });
+      expect(update.changes).toEqual({ name: { from: 'Seasonal menu', to: 'Winter menu' } });
+    });
+  });
+
+  describe('/api/projects/:id/tasks', () => {
+    it('should add a task and filter tasks by assignee, status and overdue', async () => {
+      const late = await addTask({ dueDate: addDays(today(), -2), assigneeIds: [baker.id], labels: ['Menu'] });
+      expect(late.status).toBe(201);
+      expect(late.body.overdue).toBe(true);
+      await addTask({ title: 'Print menus', status: 'in_progress', assigneeIds: [manager.id] });
+      await addTask({ title: 'Order flour', status: 'done', dueDate: addDays(today(), -2) });
+
+      const get = async query => (await request(app)
+        .get(`/api/projects/${project.id}/tasks${query}`)
+        .set('Authorization', `Bearer ${bakerToken}`)).body.map(task => task.title);
+
+      expect(await get('')).toEqual(['Test recipes', 'Order flour', 'Print menus']);
+      expect(await get('?assigneeId=me')).toEqual(['Test recipes']);
+      expect(await get(`?assigneeId=${manager.id}`)).toEqual(['Print menus']);
+      expect(await get('?status=todo,in_progress')).toEqual(['Test recipes', 'Print menus']);
+      expect(await get('?overdue=true')).toEqual(['Test recipes']);
+      expect(await get('?label=menu')).toEqual(['Test recipes']);
+
+      const bad = await request(app)
+        .get(`/api/projects/${project.id}/tasks?status=later`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(bad.status).toBe(400);
+    });
+
+    it('should check the task fields', async () => {
+      expect((await addTask({ title: '' })).status).toBe(400);
+      expect((await addTask({ priority: 'whenever' })).status).toBe(400);
+      expect((await addTask({ dueDate: 'friday' })).status).toBe(400);
+
+      const missingAssignee = await addTask({ assigneeIds: ['missing'] });
+      expect(missingAssignee.status).toBe(400);
+      expect(missingAssignee.body.error).toBe('Assignee not found');
+    });
+
+    it('should let assignees update their own tasks only', async () => {
+      const mine = (await addTask({ assigneeIds: [baker.id], checklist: [{ text: 'Pumpkin loaf' }] })).body;
+      const theirs = (await addTask({ title: 'Print menus' })).body;
+      const update = (task, body) => request(app)
+        .put(`/api/projects/${project.id}/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send(body);
+
+      const ticked = await update(mine, { status: 'done', checklist: [{ ...mine.checklist[0], done: true }] });
+      expect(ticked.status).toBe(200);
+      expect(ticked.body.checklist[0]).toEqual({ id: mine.checklist[0].id, text: 'Pumpkin loaf', done: true });
+      expect(findTaskById(mine.id).completedAt).not.toBeNull();
+
+      expect((await update(theirs, { status: 'done' })).status).toBe(403);
+      expect((await addTask({}, bakerToken)).status).toBe(403);
+
+      const [entry] = queryAuditLog({ action: AuditAction.TASK_UPDATE });
+      expect(entry.changes).toEqual({ status: { from: 'todo', to: 'done' }, checklist: { from: '0/1', to: '1/1' } });
+    });
+
+    it('should only let assignees change the status and checklist', async () => {
+      const mine = (await addTask({ assigneeIds: [baker.id] })).body;
+      const update = body => request(app)
+        .put(`/api/projects/${project.id}/tasks/${mine.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send(body);
+
+      const reassigned = await update({ status: 'in_progress', assigneeIds: [manager.id] });
+      expect(reassigned.status).toBe(403);
+      expect(reassigned.body.error).toContain('assigneeIds');
+      expect((await update({ title: 'Eat the cake' })).status).toBe(403);
+      expect((await update({ dueDate: addDays(today(), 30), labels: ['Mine'] })).status).toBe(403);
+
+      const task = findTaskById(mine.id);
+      expect(task.assigneeIds).toEqual([baker.id]);
+      expect(task.status).toBe('todo');
+      expect((await update({ status: 'in_progress' })).status).toBe(200);
+    });
+
+    it('should refuse task changes in an archived project', async () => {
+      const task = (await addTask()).body;
+      await request(app)
+        .post(`/api/projects/${project.id}/archive`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/projects/${project.id}/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ status: 'done' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Project is archived');
+    });
+
+    it('should delete a task and 404 for tasks in another project', async () => {
+      const task = (await addTask()).body;
+      const other = (await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Shop refit' })).body;
+
+      await request(app)
+        .get(`/api/projects/${other.id}/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .expect(404);
+      await request(app)
+        .delete(`/api/projects/${project.id}/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .expect(403);
+      await request(app)
+        .delete(`/api/projects/${project.id}/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(204);
+
+      expect(queryAuditLog({ action: AuditAction.TASK_DELETE })).toHaveLength(1);
+    });
+
+    it('should take a deleted user off their tasks', async () => {
+      const task = (await addTask({ assigneeIds: [baker.id, manager.id] })).body;
+
+      await request(app)
+        .delete(`/api/users/${baker.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(204);
+
+      expect(findTaskById(task.id).assigneeIds).toEqual([manager.id]);
+    });
+  });
+
+  describe('board', () => {
+    it('should show the board and persist moves between columns', async () => {
+      const first = (await addTask({ title: 'First' })).body;
+      const second = (await addTask({ title: 'Second', assigneeIds: [baker.id] })).body;
+
+      const moved = await request(app)
+        .post(`/api/projects/${project.id}/tasks/${second.id}/move`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ status: 'in_progress', index: 0 });
+      expect(moved.status).toBe(200);
+
+      const reordered = await request(app)
+        .post(`/api/projects/${project.id}/tasks/${first.id}/move`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ index: 0 });
+      expect(reordered.status).toBe(200);
+
+      const board = await request(app)
+        .get(`/api/projects/${project.id}/board`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(board.status).toBe(200);
+      expect(board.body.project.id).toBe(project.id);
+      expect(board.body.columns.map(column => [column.status, column.tasks.map(task => task.title)])).toEqual([
+        ['todo', ['First']],
+        ['in_progress', ['Second']],
+        ['blocked', []],
+        ['done', []]
+      ]);
+
+      const updates = queryAuditLog({ action: AuditAction.TASK_UPDATE });
+      expect(updates).toHaveLength(1);
+      expect(updates[0].changes).toEqual({ status: { from: 'todo', to: 'in_progress' } });
+    });
+
+    it('should check who may move a task and where', async () => {
+      const task = (await addTask()).body;
+      const move = (body, token = managerToken) => request(app)
+        .post(`/api/projects/${project.id}/tasks/${task.id}/move`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+      expect((await move({ status: 'done', index: 0 }, bakerToken)).status).toBe(403);
+      expect((await move({ status: 'later', index: 0 })).status).toBe(400);
+      expect((await move({ status: 'done' })).status).toBe(400);
+      expect((await move({ index: -1 })).status).toBe(400);
+    });
+  });
+
+  describe('schedule', () => {
+    it('should show the timeline and preview what slips', async () => {
+      const tins = (await addTask({ title: 'Order tins', startDate: '2024-11-01', dueDate: '2024-11-03' })).body;
+      const bakes = (await addTask({ title: 'Test bakes', startDate: '2024-11-04', dueDate: '2024-11-06', dependsOn: [tins.id] })).body;
+
+      const schedule = await request(app)
+        .get(`/api/projects/${project.id}/schedule`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(schedule.status).toBe(200);
+      expect(schedule.body).toEqual(expect.objectContaining({ start: '2024-11-01', finish: '2024-11-06', criticalPath: [tins.id, bakes.id] }));
+
+      const preview = await request(app)
+        .post(`/api/projects/${project.id}/schedule/preview`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ taskId: tins.id, dueDate: '2024-11-04' });
+      expect(preview.status).toBe(200);
+      expect(preview.body.slipped).toEqual([
+        { taskId: bakes.id, title: 'Test bakes', finishFrom: '2024-11-06', finishTo: '2024-11-07', days: 1 }
+      ]);
+    });
+
+    it('should refuse cycles and preview only tasks in the project', async () => {
+      const first = (await addTask({ title: 'First' })).body;
+      const second = (await addTask({ title: 'Second', dependsOn: [first.id] })).body;
+
+      const cycle = await request(app)
+        .put(`/api/projects/${project.id}/tasks/${first.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ dependsOn: [second.id] });
+      expect(cycle.status).toBe(400);
+      expect(cycle.body.error).toBe('Dependencies would form a cycle');
+
+      const missing = await request(app)
+        .post(`/api/projects/${project.id}/schedule/preview`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ taskId: 'missing', dueDate: '2024-11-04' });
+      expect(missing.status).toBe(404);
+
+      const badDate = await request(app)
+        .post(`/api/projects/${project.id}/schedule/preview`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ taskId: first.id, startDate: 'soon' });
+      expect(badDate.status).toBe(400);
+    });
+  });
+
+  describe('/api/tasks', () => {
+    it('should list the current user\'s tasks across active projects', async () => {
+      await addTask({ title: 'Taste cakes', assigneeIds: [baker.id] });
+      await addTask({ title: 'Print menus' });
+      const refit = (await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Shop refit' })).body;
+      await request(app)
+        .post(`/api/projects/${refit.id}/tasks`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ title: 'Paint walls', assigneeIds: [baker.id], dueDate: addDays(today(), -1) });
+
+      const mine = await request(app).get('/api/tasks?assigneeId=me').set('Authorization', `Bearer ${bakerToken}`);
+      expect(mine.status).toBe(200);
+      expect(mine.body.map(task => [task.title, task.projectName])).toEqual([
+        ['Paint walls', 'Shop refit'],
+        ['Taste cakes', 'Seasonal menu']
+      ]);
+
+      const overdue = await request(app).get('/api/tasks?assigneeId=me&overdue=true').set('Authorization', `Bearer ${bakerToken}`);
+      expect(overdue.body.map(task => task.title)).toEqual(['Paint walls']);
+
+      await request(app)
+        .post(`/api/projects/${refit.id}/archive`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      const afterArchive = await request(app).get('/api/tasks?assigneeId=me').set('Authorization', `Bearer ${bakerToken}`);
+      expect(afterArchive.body.map(task => task.title)).toEqual(['Taste cakes']);
+    });
+
+    it('should require projects.view', async () => {
+      const { token: userToken } = await createAuthenticatedUser();
+
+      await request(app).get('/api/tasks').set('Authorization', `Bearer ${userToken}`).expect(403);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { createStaff, clearStaff } = require('../src/models/staff');
+const { createSchedule, createShift, clearSchedules } = require('../src/models/schedule');
+const { createRequirement, clearRequirements } = require('../src/models/coverage');
+const { clearTimeClock } = require('../src/models/timeClock');
+const { clearSales } = require('../src/models/sales');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Reports API', () => {
+  let ownerToken;
+  let managerToken;
+  let bakerToken;
+  let schedule;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearSchedules();
+    clearRequirements();
+    clearTimeClock();
+    clearSales();
+    clearAuditLog();
+
+    ({ token: ownerToken } = await createAuthenticatedUser({ role: UserRole.OWNER }));
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: bakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+
+    const ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01', hourlyRate: 20 });
+    schedule = createSchedule({ name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' });
+    createShift({ scheduleId: schedule.id, staffId: ann.id, position: 'Baker', startsAt: '2024-03-04T04:00', endsAt: '2024-03-04T12:00' });
+  });
+
+  describe('GET /api/reports/labor', () => {
+    it('should cost a draft schedule', async () => {
+      const response = await request(app)
+        .get(`/api/reports/labor?scheduleId=${schedule.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.totals).toEqual(expect.objectContaining({ scheduledHours: 8, scheduledCost: 160 }));
+      expect(response.body.byDay).toHaveLength(1);
+    });
+
+    it('should answer 400 for a bad range and 404 for an unknown schedule', async () => {
+      const missingRange = await request(app).get('/api/reports/labor').set('Authorization', `Bearer ${managerToken}`);
+      const badDate = await request(app).get('/api/reports/labor?from=March').set('Authorization', `Bearer ${managerToken}`);
+      const missing = await request(app).get('/api/reports/labor?scheduleId=nope').set('Authorization', `Bearer ${managerToken}`);
+
+      expect(missingRange.status).toBe(400);
+      expect(missingRange.body.error).toBe('A date range or a schedule is required');
+      expect(badDate.status).toBe(400);
+      expect(badDate.body.errors).toBeDefined();
+      expect(missing.status).toBe(404);
+    });
+
+    it('should require reports.view', async () => {
+      await request(app)
+        .get(`/api/reports/labor?scheduleId=${schedule.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/reports/coverage', () => {
+    it('should list under-covered hours', async () => {
+      createRequirement({ location: 'Main St', position: 'Baker', count: 2, startTime: '04:00', endTime: '12:00', days: ['monday'] });
+
+      const response = await request(app)
+        .get('/api/reports/coverage?from=2024-03-04&to=2024-03-10&scheduleId=' + schedule.id)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toEqual({ requiredHours: 16, coveredHours: 8, underHours: 8, overHours: 0 });
+      expect(response.body.slots).toHaveLength(8);
+      expect(response.body.slots[0]).toEqual(expect.objectContaining({ hour: '04:00', required: 2, scheduled: 1 }));
+    });
+  });
+
+  describe('/api/reports/sales', () => {
+    const monday = { date: '2024-03-04', location: 'Main St', amount: 1000 };
+
+    it('should let owners enter sales and show labor against them', async () => {
+      const saved = await request(app).put('/api/reports/sales').set('Authorization', `Bearer ${ownerToken}`).send(monday);
+      expect(saved.status).toBe(200);
+      expect(saved.body.amount).toBe(1000);
+
+      const listed = await request(app)
+        .get('/api/reports/sales?from=2024-03-04&to=2024-03-10')
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(listed.body).toHaveLength(1);
+
+      const report = await request(app)
+        .get(`/api/reports/labor?scheduleId=${schedule.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(report.body.totals).toEqual(expect.objectContaining({ sales: 1000, scheduledPercentOfSales: 16 }));
+
+      const [event] = queryAuditLog({ action: AuditAction.SALES_UPDATE });
+      expect(event.changes).toEqual({ amount: { from: null, to: 1000 } });
+    });
+
+    it('should remove a figure when the amount is null', async () => {
+      await request(app).put('/api/reports/sales').set('Authorization', `Bearer ${ownerToken}`).send(monday);
+
+      const response = await request(app)
+        .put('/api/reports/sales')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ ...monday, amount: null });
+
+      expect(response.status).toBe(204);
+      const listed = await request(app).get('/api/reports/sales').set('Authorization', `Bearer ${ownerToken}`);
+      expect(listed.body).toEqual([]);
+    });
+
+    it('should validate the figure', async () => {
+      const response = await request(app)
+        .put('/api/reports/sales')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ ...monday, amount: -1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require sales.edit', async () => {
+      await request(app).put('/api/reports/sales').set('Authorization', `Bearer ${managerToken}`).send(monday).expect(403);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const config = require('../src/config');
+const { createStaff, clearStaff } = require('../src/models/staff');
+const {
+  createSchedule,
+  createShift,
+  publishSchedule,
+  clearSchedules
+} = require('../src/models/schedule');
+const { createRequirement, clearRequirements } = require('../src/models/coverage');
+const { addEntry, clearTimeClock } = require('../src/models/timeClock');
+const { setSales, clearSales } = require('../src/models/sales');
+const { createUser, addCertification, clearUsers } = require('../src/models/user');
+const { clearAvailability } = require('../src/models/availability');
+const { setRequiredCertifications, clearPositions } = require('../src/models/position');
+const { laborReport, coverageReport, certificationReport } = require('../src/services/reports');
+const { addDays, today } = require('../src/utils/time');
+
+describe('Reports', () => {
+  const originalRules = { ...config.timesheets };
+  let schedule;
+  let ann;
+  let carl;
+  let carlUser;
+
+  const week = { from: '2024-03-04', to: '2024-03-10' };
+  const shiftFor = (member, position, startsAt, endsAt) =>
+    createShift({ scheduleId: schedule.id, staffId: member ? member.id : null, position, startsAt, endsAt });
+
+  beforeEach(async () => {
+    clearStaff();
+    clearSchedules();
+    clearRequirements();
+    clearTimeClock();
+    clearSales();
+    clearUsers();
+    clearAvailability();
+    clearPositions();
+    Object.assign(config.timesheets, originalRules);
+
+    carlUser = await createUser({ email: 'carl@example.com', password: 'password123', name: 'Carl' });
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01', hourlyRate: 20 });
+    carl = createStaff({ name: 'Carl', position: 'Cashier', startDate: '2024-01-01', hourlyRate: 15, userId: carlUser.id });
+    schedule = createSchedule({ name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' });
+    shiftFor(ann, 'Baker', '2024-03-04T04:00', '2024-03-04T12:00');
+    shiftFor(ann, 'Baker', '2024-03-05T04:00', '2024-03-05T12:00');
+    shiftFor(carl, 'Cashier', '2024-03-04T08:00', '2024-03-04T16:00');
+    shiftFor(null, 'Baker', '2024-03-06T04:00', '2024-03-06T12:00');
+  });
+
+  afterAll(() => {
+    Object.assign(config.timesheets, originalRules);
+  });
+
+  describe('laborReport', () => {
+    it('should cost a draft schedule before it is published', () => {
+      expect(laborReport(week).totals.scheduledHours).toBe(0);
+
+      const report = laborReport({ scheduleId: schedule.id });
+
+      expect(report).toEqual(expect.objectContaining({ from: '2024-03-04', to: '2024-03-10', location: 'Main St', openShiftHours: 8 }));
+      expect(report.totals).toEqual(expect.objectContaining({ scheduledHours: 24, scheduledCost: 440 }));
+      expect(report.byDay.map(day => [day.date, day.scheduledCost])).toEqual([['2024-03-04', 280], ['2024-03-05', 160]]);
+      expect(report.byPosition.map(row => [row.position, row.scheduledHours, row.scheduledCost]))
+        .toEqual([['Baker', 16, 320], ['Cashier', 8, 120]]);
+    });
+
+    it('should cost published shifts in a date range', () => {
+      publishSchedule(schedule.id, 'manager-1');
+
+      expect(laborReport(week).totals.scheduledCost).toBe(440);
+      expect(laborReport({ ...week, location: 'Elm St' }).totals.scheduledCost).toBe(0);
+    });
+
+    it('should charge planned overtime at the overtime rate', () => {
+      config.timesheets.overtimeWeeklyHours = 12;
+
+      const report = laborReport({ scheduleId: schedule.id });
+
+      expect(report.totals).toEqual(expect.objectContaining({ scheduledOvertimeHours: 4, scheduledCost: 480 }));
+    });
+
+    it('should cost clocked time against the shift it matches', async () => {
+      publishSchedule(schedule.id, 'manager-1');
+      addEntry({ userId: carlUser.id, clockInAt: '2024-03-04T07:50', clockOutAt: '2024-03-04T16:20' }, 'manager-1', 'Test');
+      addEntry({ userId: carlUser.id, clockInAt: '2024-03-09T10:00', clockOutAt: '2024-03-09T12:00' }, 'manager-1', 'Test');
+      const stranger = await createUser({ email: 'dee@example.com', password: 'password123', name: 'Dee' });
+      addEntry({ userId: stranger.id, clockInAt: '2024-03-05T10:00', clockOutAt: '2024-03-05T11:00' }, 'manager-1', 'Test');
+
+      const report = laborReport(week);
+
+      expect(report.totals).toEqual(expect.objectContaining({ actualHours: 10.5, actualCost: 157.5 }));
+      expect(report.byLocation).toEqual([
+        expect.objectContaining({ location: null, actualHours: 2, actualCost: 30 }),
+        expect.objectContaining({ location: 'Main St', actualHours: 8.5, scheduledHours: 24 })
+      ]);
+      expect(report.unlinkedHours).toBe(1);
+      expect(laborReport({ ...week, location: 'Main St' }).totals.actualHours).toBe(8.5);
+    });
+
+    it('should show labor as a percentage of sales', () => {
+      publishSchedule(schedule.id, 'manager-1');
+      setSales({ date: '2024-03-04', location: 'Main St', amount: 1000 }, 'owner-1');
+      setSales({ date: '2024-03-05', location: 'Main St', amount: 800 }, 'owner-1');
+
+      const report = laborReport(week);
+
+      expect(report.byDay[0]).toEqual(expect.objectContaining({ sales: 1000, scheduledPercentOfSales: 28 }));
+      expect(report.byDay[1]).toEqual(expect.objectContaining({ sales: 800, scheduledPercentOfSales: 20 }));
+      expect(report.totals).toEqual(expect.objectContaining({ sales: 1800, scheduledPercentOfSales: 24.4, actualPercentOfSales: 0 }));
+      expect(report.byPosition[0].sales).toBeUndefined();
+    });
+
+    it('should list staff without an hourly rate', () => {
+      createShift({
+        scheduleId: schedule.id,
+        staffId: createStaff({ name: 'Eve', position: 'Baker', startDate: '2024-01-01' }).id,
+        position: 'Baker',
+        startsAt: '2024-03-07T04:00',
+        endsAt: '2024-03-07T08:00'
+      });
+
+      expect(laborReport({ scheduleId: schedule.id }).staffWithoutRate).toEqual([expect.objectContaining({ name: 'Eve' })]);
+    });
+
+    it('should check the range', () => {
+      expect(() => laborReport({})).toThrow('A date range or a schedule is required');
+      expect(() => laborReport({ from: '2024-03-10', to: '2024-03-04' })).toThrow('End date cannot be before start date');
+      expect(() => laborReport({ from: '2024-01-01', to: '2024-06-01' })).toThrow('Reports can cover at most 62 days');
+      expect(() => laborReport({ scheduleId: 'missing' })).toThrow('Schedule not found');
+    });
+  });
+
+  describe('coverageReport', () => {
+    beforeEach(() => {
+      createRequirement({ location: 'Main St', position: 'Baker', count: 2, startTime: '04:00', endTime: '12:00', days: ['monday', 'tuesday'] });
+      createRequirement({ position: 'cashier', count: 1, startTime: '08:00', endTime: '12:00', days: ['monday'] });
+    });
+
+    it('should find hours that are under and over covered', () => {
+      const report = coverageReport({ scheduleId: schedule.id });
+
+      expect(report.locations).toEqual(['Main St']);
+      expect(report.summary).toEqual({ requiredHours: 36, coveredHours: 20, underHours: 16, overHours: 4 });
+      expect(report.slots).toContainEqual({
+        date: '2024-03-04', hour: '04:00', location: 'Main St', position: 'Baker', required: 2, scheduled: 1, difference: -1
+      });
+      expect(report.slots).toContainEqual({
+        date: '2024-03-04', hour: '12:00', location: 'Main St', position: 'cashier', required: 0, scheduled: 1, difference: 1
+      });
+      expect(report.slots.filter(slot => slot.position === 'cashier' && slot.hour < '12:00')).toEqual([]);
+    });
+
+    it('should not count open shifts as coverage', () => {
+      createRequirement({ location: 'Main St', position: 'Baker', count: 1, startTime: '04:00', endTime: '06:00', days: ['wednesday'] });
+
+      const report = coverageReport({ scheduleId: schedule.id });
+
+      expect(report.slots.filter(slot => slot.date === '2024-03-06')).toHaveLength(2);
+    });
+
+    it('should count requirements and shifts that run past midnight', () => {
+      createRequirement({ location: 'Main St', position: 'Baker', count: 1, startTime: '22:00', endTime: '02:00', days: ['monday'] });
+      const dan = createStaff({ name: 'Dan', position: 'Baker', startDate: '2024-01-01', hourlyRate: 18 });
+      shiftFor(dan, 'Baker', '2024-03-04T22:00', '2024-03-05T02:00');
+
+      const report = coverageReport({ scheduleId: schedule.id });
+
+      expect(report.summary).toEqual({ requiredHours: 40, coveredHours: 24, underHours: 16, overHours: 4 });
+      expect(report.slots.filter(slot => slot.hour >= '22:00' || slot.hour < '04:00')).toEqual([]);
+    });
+  });
+
+  describe('certificationReport', () => {
+    it('should list certifications expiring soon with the shifts they affect', () => {
+      const start = today();
+      const later = createSchedule({ name: 'Upcoming', location: 'Main St', startDate: start, endDate: addDays(start, 13) });
+      const shiftOn = days => createShift({
+        scheduleId: later.id,
+        staffId: carl.id,
+        position: 'Cashier',
+        startsAt: `${addDays(start, days)}T08:00`,
+        endsAt: `${addDays(start, days)}T16:00`
+      });
+      addCertification(carlUser.id, { name: 'Food Handler', issueDate: '2024-01-01', expiryDate: addDays(start, 3) });
+      addCertification(carlUser.id, { name: 'Till Training', issueDate: '2024-01-01', expiryDate: addDays(start, 45) });
+      shiftOn(1);
+      const affected = shiftOn(5);
+      setRequiredCertifications('cashier', ['Food Handler']);
+
+      const report = certificationReport({ days: 30 });
+
+      expect(report).toEqual(expect.objectContaining({ from: start, to: addDays(start, 30), days: 30 }));
+      expect(report.certifications).toEqual([expect.objectContaining({
+        userId: carlUser.id,
+        staffId: carl.id,
+        daysLeft: 3,
+        positions: ['cashier'],
+        shiftsAfterExpiry: [expect.objectContaining({ id: affected.id, scheduleId: later.id })]
+      })]);
+      expect(certificationReport({ days: 60 }).certifications).toHaveLength(2);
+      expect(certificationReport({ days: 2 }).certifications).toEqual([]);
+    });
+
+    it('should check the number of days', () => {
+      expect(() => certificationReport({ days: 400 })).toThrow('Days must be a whole number from 0 to 365');
+      expect(certificationReport().days).toBe(30);
+    });
+  });
+});
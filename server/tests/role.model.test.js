@@ -0,0 +1,138 @@
+const {
+  Permission,
+  UserRole,
+  findRole,
+  listRoles,
+  getRolePermissions,
+  hasPermission,
+  canAssignRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  clearCustomRoles
+} = require('../src/models/role');
+
+describe('Role Model', () => {
+  beforeEach(() => {
+    clearCustomRoles();
+  });
+
+  describe('hasPermission', () => {
+    it('should grant every permission to admins and owners', () => {
+      expect(hasPermission(UserRole.ADMIN, Permission.USERS_DELETE)).toBe(true);
+      expect(hasPermission(UserRole.OWNER, Permission.SCHEDULE_PUBLISH)).toBe(true);
+    });
+
+    it('should let shift managers publish the schedule but not edit users', () => {
+      expect(hasPermission(UserRole.SHIFT_MANAGER, Permission.SCHEDULE_PUBLISH)).toBe(true);
+      expect(hasPermission(UserRole.SHIFT_MANAGER, Permission.USERS_EDIT)).toBe(false);
+    });
+
+    it('should give accountants read-only access', () => {
+      expect(hasPermission(UserRole.ACCOUNTANT, Permission.AUDIT_VIEW)).toBe(true);
+      expect(hasPermission(UserRole.ACCOUNTANT, Permission.REPORTS_VIEW)).toBe(true);
+      expect(hasPermission(UserRole.ACCOUNTANT, Permission.SCHEDULE_EDIT)).toBe(false);
+    });
+
+    it('should deny everything to unknown roles', () => {
+      expect(hasPermission('nonexistent', Permission.USERS_VIEW)).toBe(false);
+    });
+  });
+
+  describe('getRolePermissions', () => {
+    it('should expand the wildcard into every permission', () => {
+      expect(getRolePermissions(UserRole.ADMIN)).toEqual(Object.values(Permission));
+    });
+
+    it('should return an empty list for unknown roles', () => {
+      expect(getRolePermissions('nonexistent')).toEqual([]);
+    });
+  });
+
+  describe('canAssignRole', () => {
+    it('should let admins assign any role', () => {
+      expect(canAssignRole(UserRole.ADMIN, UserRole.OWNER)).toBe(true);
+    });
+
+    it('should not let a role hand out more than it grants', () => {
+      createRole({
+        name: 'head_baker',
+        label: 'Head Baker',
+        permissions: [Permission.USERS_VIEW, Permission.USERS_EDIT, Permission.STAFF_VIEW, Permission.SCHEDULE_VIEW, Permission.PROJECTS_VIEW]
+      });
+
+      expect(canAssignRole('head_baker', UserRole.BAKER)).toBe(true);
+      expect(canAssignRole('head_baker', UserRole.SHIFT_MANAGER)).toBe(false);
+      expect(canAssignRole('head_baker', UserRole.ADMIN)).toBe(false);
+    });
+  });
+
+  describe('createRole', () => {
+    it('should create a custom role', () => {
+      const role = createRole({
+        name: 'trainee',
+        label: 'Trainee',
+        permissions: [Permission.SCHEDULE_VIEW]
+      });
+
+      expect(role.builtIn).toBe(false);
+      expect(findRole('trainee').label).toBe('Trainee');
+      expect(hasPermission('trainee', Permission.SCHEDULE_VIEW)).toBe(true);
+      expect(listRoles().map(r => r.name)).toContain('trainee');
+    });
+
+    it('should reject names used by other roles', () => {
+      expect(() => createRole({ name: UserRole.BAKER, label: 'Baker' }))
+        .toThrow('Role with this name already exists');
+    });
+
+    it('should reject invalid names', () => {
+      expect(() => createRole({ name: 'Head Baker', label: 'Head Baker' }))
+        .toThrow('Role name must be');
+    });
+
+    it('should reject unknown permissions', () => {
+      expect(() => createRole({ name: 'trainee', label: 'Trainee', permissions: ['ovens.fire'] }))
+        .toThrow('Unknown permissions: ovens.fire');
+    });
+  });
+
+  describe('updateRole', () => {
+    it('should update a custom role', () => {
+      createRole({ name: 'trainee', label: 'Trainee', permissions: [] });
+
+      const role = updateRole('trainee', { permissions: [Permission.SCHEDULE_VIEW] });
+
+      expect(role.permissions).toEqual([Permission.SCHEDULE_VIEW]);
+    });
+
+    it('should refuse to change built-in roles', () => {
+      expect(() => updateRole(UserRole.BAKER, { label: 'Chef' }))
+        .toThrow('Built-in roles cannot be changed');
+    });
+
+    it('should treat roles named after object properties as custom', () => {
+      createRole({ name: 'constructor', label: 'Builder', permissions: [] });
+
+      expect(updateRole('constructor', { label: 'Site builder' }).label).toBe('Site builder');
+      expect(deleteRole('constructor')).toBe(true);
+    });
+  });
+
+  describe('deleteRole', () => {
+    it('should delete a custom role', () => {
+      createRole({ name: 'trainee', label: 'Trainee', permissions: [] });
+
+      expect(deleteRole('trainee')).toBe(true);
+      expect(findRole('trainee')).toBeNull();
+    });
+
+    it('should refuse to delete built-in roles', () => {
+      expect(() => deleteRole(UserRole.ADMIN)).toThrow('Built-in roles cannot be deleted');
+    });
+
+    it('should throw error when role not found', () => {
+      expect(() => deleteRole('nonexistent')).toThrow('Role not found');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, createUser, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { Permission, clearCustomRoles } = require('../src/models/role');
+const { AuditAction, clearAuditLog, queryAuditLog } = require('../src/models/audit');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+describe('Roles API', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearCustomRoles();
+    clearAuditLog();
+    ({ token: adminToken } = await createAuthenticatedAdmin());
+  });
+
+  describe('GET /api/roles', () => {
+    it('should list built-in roles with their permissions', async () => {
+      const { token } = await createAuthenticatedUser({ role: UserRole.BAKER });
+
+      const response = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      const names = response.body.map(role => role.name);
+      expect(names).toEqual(expect.arrayContaining([
+        UserRole.OWNER,
+        UserRole.SHIFT_MANAGER,
+        UserRole.BAKER,
+        UserRole.FRONT_OF_HOUSE,
+        UserRole.ACCOUNTANT
+      ]));
+    });
+  });
+
+  describe('POST /api/roles', () => {
+    it('should let admins define a custom role', async () => {
+      const response = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'head_baker',
+          label: 'Head Baker',
+          permissions: [Permission.USERS_VIEW, Permission.SCHEDULE_EDIT]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.permissions).toEqual([Permission.USERS_VIEW, Permission.SCHEDULE_EDIT]);
+      expect(queryAuditLog({ action: AuditAction.ROLE_CREATE })).toHaveLength(1);
+    });
+
+    it('should require roles.manage', async () => {
+      const { token } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER });
+
+      const response = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'head_baker', label: 'Head Baker', permissions: [] });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject unknown permissions', async () => {
+      const response = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'head_baker', label: 'Head Baker', permissions: ['ovens.fire'] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('custom roles in use', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'auditor', label: 'Auditor', permissions: [Permission.USERS_VIEW, Permission.AUDIT_VIEW] });
+    });
+
+    it('should grant the role\'s permissions to its users', async () => {
+      const { token } = await createAuthenticatedUser({ role: 'auditor' });
+
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should apply permission changes immediately', async () => {
+      const { token } = await createAuthenticatedUser({ role: 'auditor' });
+
+      await request(app)
+        .put('/api/roles/auditor')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: [Permission.USERS_VIEW] });
+
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should refuse to delete a role that is assigned', async () => {
+      await createUser({ email: 'auditor@example.com', password: 'password123', name: 'Auditor', role: 'auditor' });
+
+      const response = await request(app)
+        .delete('/api/roles/auditor')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should delete an unassigned role', async () => {
+      const response = await request(app)
+        .delete('/api/roles/auditor')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(204);
+    });
+
+    it('should refuse to change built-in roles', async () => {
+      const response = await request(app)
+        .put(`/api/roles/${UserRole.BAKER}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ label: 'Chef' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('permission checks on users', () => {
+    let targetId;
+
+    beforeEach(async () => {
+      const target = await createUser({ email: 'target@example.com', password: 'password123', name: 'Target' });
+      targetId = target.id;
+    });
+
+    it('should let owners edit users', async () => {
+      const { token } = await createAuthenticatedUser({ role: UserRole.OWNER });
+
+      const response = await request(app)
+        .put(`/api/users/${targetId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: UserRole.BAKER });
+
+      expect(response.status).toBe(200);
+      expect(response.body.role).toBe(UserRole.BAKER);
+    });
+
+    it('should stop shift managers deleting users', async () => {
+      const { token } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER });
+
+      const response = await request(app)
+        .delete(`/api/users/${targetId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should stop users assigning roles above their own', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'head_baker', label: 'Head Baker', permissions: [Permission.USERS_VIEW, Permission.USERS_EDIT] });
+      const { user, token } = await createAuthenticatedUser({ role: 'head_baker' });
+
+      const response = await request(app)
+        .put(`/api/users/${user.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: UserRole.ADMIN });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should stop custom roles changing, unlocking or deleting an owner', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'people_lead',
+          label: 'People Lead',
+          permissions: [Permission.USERS_VIEW, Permission.USERS_EDIT, Permission.USERS_DELETE]
+        });
+      const { token } = await createAuthenticatedUser({ role: 'people_lead' });
+      const owner = await createUser({ email: 'owner@example.com', password: 'password123', name: 'Olive Owner', role: UserRole.OWNER });
+
+      const update = await request(app)
+        .put(`/api/users/${owner.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'inactive' });
+      expect(update.status).toBe(403);
+      expect(update.body.error).toBe('You cannot change a user whose role has permissions you do not have');
+
+      await request(app).post(`/api/users/${owner.id}/unlock`).set('Authorization', `Bearer ${token}`).expect(403);
+      await request(app).delete(`/api/users/${owner.id}`).set('Authorization', `Bearer ${token}`).expect(403);
+
+      const edited = await request(app)
+        .put(`/api/users/${targetId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Renamed' });
+      expect(edited.status).toBe(200);
+    });
+
+    it('should reject unknown roles', async () => {
+      const response = await request(app)
+        .put(`/api/users/${targetId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'wizard' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return the permissions of the role at login', async () => {
+      await createUser({ email: 'manager@example.com', password: 'password123', name: 'Manager', role: UserRole.SHIFT_MANAGER });
+
+      const response = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'manager@example.com', password: 'password123' });
+
+      expect(response.body.permissions).toContain(Permission.SCHEDULE_PUBLISH);
+      expect(response.body.permissions).not.toContain(Permission.USERS_EDIT);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { createStaff, clearStaff } = require('../src/models/staff');
+const { createSchedule, createShift, getShifts, clearSchedules } = require('../src/models/schedule');
+const { clearAvailability } = require('../src/models/availability');
+const { clearTemplates } = require('../src/models/shiftTemplate');
+const { clearHolidays } = require('../src/models/holiday');
+const { clearPositions } = require('../src/models/position');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Rota API', () => {
+  let managerToken;
+  let bakerToken;
+  let ann;
+  let schedule;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearSchedules();
+    clearAvailability();
+    clearTemplates();
+    clearHolidays();
+    clearPositions();
+    clearAuditLog();
+
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: bakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+    schedule = createSchedule({ name: 'March', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-17' });
+  });
+
+  const addTemplate = (data = {}) => request(app)
+    .post('/api/shift-templates')
+    .set('Authorization', `Bearer ${managerToken}`)
+    .send({
+      name: 'Standard week',
+      shifts: [{ day: 'monday', startTime: '04:00', endTime: '12:00', position: 'Baker', staffId: ann.id }],
+      ...data
+    });
+
+  describe('/api/shift-templates', () => {
+    it('should create, list, update and delete templates', async () => {
+      const created = await addTemplate();
+      expect(created.status).toBe(201);
+
+      const list = await request(app).get('/api/shift-templates').set('Authorization', `Bearer ${bakerToken}`);
+      expect(list.body.map(template => template.name)).toEqual(['Standard week']);
+
+      const updated = await request(app)
+        .put(`/api/shift-templates/${created.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Quiet week' });
+      expect(updated.status).toBe(200);
+
+      await request(app)
+        .delete(`/api/shift-templates/${created.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(204);
+
+      const [update] = queryAuditLog({ action: AuditAction.SHIFT_TEMPLATE_UPDATE });
+      expect(update.changes).toEqual({ name: { from: 'Standard week', to: 'Quiet week' } });
+      expect(queryAuditLog({ action: AuditAction.SHIFT_TEMPLATE_CREATE })).toHaveLength(1);
+      expect(queryAuditLog({ action: AuditAction.SHIFT_TEMPLATE_DELETE })).toHaveLength(1);
+    });
+
+    it('should answer 409 for a duplicate name, 400 for bad shifts and 403 without schedule.edit', async () => {
+      await addTemplate();
+
+      const duplicate = await addTemplate();
+      const badDay = await addTemplate({ name: 'Bad', shifts: [{ day: 'someday', startTime: '04:00', endTime: '12:00', position: 'Baker' }] });
+      const forbidden = await request(app)
+        .post('/api/shift-templates')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ name: 'Mine', shifts: [] });
+      const missing = await request(app).get('/api/shift-templates/missing').set('Authorization', `Bearer ${bakerToken}`);
+
+      expect(duplicate.status).toBe(409);
+      expect(badDay.status).toBe(400);
+      expect(forbidden.status).toBe(403);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('/api/holidays', () => {
+    it('should add, list and remove holidays', async () => {
+      const created = await request(app)
+        .post('/api/holidays')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ date: '2024-12-25', name: 'Christmas Day', recurring: true });
+      expect(created.status).toBe(201);
+      expect(created.body).toEqual(expect.objectContaining({ location: null, recurring: true }));
+
+      const duplicate = await request(app)
+        .post('/api/holidays')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ date: '2025-12-25', name: 'Xmas' });
+      expect(duplicate.status).toBe(409);
+
+      const list = await request(app).get('/api/holidays?location=Main St').set('Authorization', `Bearer ${bakerToken}`);
+      expect(list.body.map(holiday => holiday.name)).toEqual(['Christmas Day']);
+
+      await request(app)
+        .delete(`/api/holidays/${created.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(204);
+      await request(app)
+        .delete(`/api/holidays/${created.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+
+      expect(queryAuditLog({ action: AuditAction.HOLIDAY_CREATE })).toHaveLength(1);
+      expect(queryAuditLog({ action: AuditAction.HOLIDAY_DELETE })).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/schedules/:id/apply-template', () => {
+    it('should preview, then apply a template and report what it left out', async () => {
+      const template = (await addTemplate()).body;
+      createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-11T06:00', endsAt: '2024-03-11T10:00' });
+      const apply = dryRun => request(app)
+        .post(`/api/schedules/${schedule.id}/apply-template`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ templateId: template.id, dryRun });
+
+      const preview = await apply(true);
+      expect(preview.status).toBe(200);
+      expect(preview.body.added).toHaveLength(1);
+      expect(getShifts({ scheduleId: schedule.id })).toHaveLength(1);
+      expect(queryAuditLog({ action: AuditAction.SCHEDULE_FILL })).toEqual([]);
+
+      const response = await apply(false);
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(expect.objectContaining({ scheduleId: schedule.id, from: '2024-03-04', to: '2024-03-17', holidays: [] }));
+      expect(response.body.added.map(shift => shift.startsAt)).toEqual(['2024-03-04T04:00']);
+      expect(response.body.refused).toEqual([{
+        shift: expect.objectContaining({ startsAt: '2024-03-11T04:00' }),
+        conflicts: [expect.objectContaining({ type: 'double_booking' })]
+      }]);
+
+      const [entry] = queryAuditLog({ action: AuditAction.SCHEDULE_FILL });
+      expect(entry.metadata).toEqual(expect.objectContaining({ template: 'Standard week', added: 1, refused: 1, holidays: 0 }));
+    });
+
+    it('should answer 404 for an unknown template and 400 for dates outside the schedule', async () => {
+      const template = (await addTemplate()).body;
+      const send = body => request(app)
+        .post(`/api/schedules/${schedule.id}/apply-template`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(body);
+
+      expect((await send({ templateId: 'missing' })).status).toBe(404);
+      expect((await send({ templateId: template.id, from: '2024-04-01' })).status).toBe(400);
+      expect((await send({ templateId: template.id, to: 'soon' })).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/schedules/:id/copy-week', () => {
+    it('should copy a week into the rest of the schedule', async () => {
+      createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-05T04:00', endsAt: '2024-03-05T12:00' });
+
+      const response = await request(app)
+        .post(`/api/schedules/${schedule.id}/copy-week`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ sourceWeek: '2024-03-04', from: '2024-03-11' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.sourceWeek).toBe('2024-03-04');
+      expect(response.body.added.map(shift => shift.startsAt)).toEqual(['2024-03-12T04:00']);
+
+      const [entry] = queryAuditLog({ action: AuditAction.SCHEDULE_FILL });
+      expect(entry.metadata).toEqual(expect.objectContaining({ sourceWeek: '2024-03-04', added: 1 }));
+    });
+
+    it('should refuse to copy a week onto itself and require schedule.edit', async () => {
+      const onto = await request(app)
+        .post(`/api/schedules/${schedule.id}/copy-week`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ sourceWeek: '2024-03-04' });
+      const forbidden = await request(app)
+        .post(`/api/schedules/${schedule.id}/copy-week`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({});
+
+      expect(onto.status).toBe(400);
+      expect(onto.body.error).toBe('Copies must go after the week being copied');
+      expect(forbidden.status).toBe(403);
+    });
+  });
+});
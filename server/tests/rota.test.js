@@ -0,0 +1,158 @@
+const { createStaff, clearStaff } = require('../src/models/staff');
+const {
+  createSchedule,
+  createShift,
+  getShifts,
+  publishSchedule,
+  clearSchedules
+} = require('../src/models/schedule');
+const { requestTimeOff, approveTimeOff, clearAvailability } = require('../src/models/availability');
+const { createTemplate, clearTemplates } = require('../src/models/shiftTemplate');
+const { createHoliday, clearHolidays } = require('../src/models/holiday');
+const { clearPositions } = require('../src/models/position');
+const { applyTemplate, copyWeek } = require('../src/services/rota');
+
+describe('Rota', () => {
+  let schedule;
+  let ann;
+  let bob;
+
+  beforeEach(() => {
+    clearStaff();
+    clearSchedules();
+    clearAvailability();
+    clearTemplates();
+    clearHolidays();
+    clearPositions();
+
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+    bob = createStaff({ name: 'Bob', position: 'Cashier', startDate: '2024-01-01', endDate: '2024-03-10' });
+    schedule = createSchedule({ name: 'March', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-24' });
+  });
+
+  const startsOf = shifts => shifts.map(shift => shift.startsAt);
+
+  describe('applyTemplate', () => {
+    let template;
+
+    beforeEach(() => {
+      template = createTemplate({
+        name: 'Standard week',
+        shifts: [
+          { day: 'monday', startTime: '04:00', endTime: '12:00', position: 'Baker', staffId: ann.id },
+          { day: 'tuesday', startTime: '08:00', endTime: '16:00', position: 'Cashier', staffId: bob.id },
+          { day: 'sunday', startTime: '22:00', endTime: '02:00', position: 'Cleaner' }
+        ]
+      });
+    });
+
+    it('should add the template on every matching day', () => {
+      const result = applyTemplate(schedule.id, { templateId: template.id, to: '2024-03-10' }, 'manager-1');
+
+      expect(result).toEqual(expect.objectContaining({ from: '2024-03-04', to: '2024-03-10', dryRun: false, refused: [], holidays: [] }));
+      expect(result.added.map(shift => [shift.startsAt, shift.endsAt, shift.location])).toEqual([
+        ['2024-03-04T04:00', '2024-03-04T12:00', 'Main St'],
+        ['2024-03-05T08:00', '2024-03-05T16:00', 'Main St'],
+        ['2024-03-10T22:00', '2024-03-11T02:00', 'Main St']
+      ]);
+      expect(result.added[2].staffId).toBeNull();
+      expect(getShifts({ scheduleId: schedule.id })).toHaveLength(3);
+    });
+
+    it('should report leave, leavers and double-bookings instead of adding them', () => {
+      createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T10:00' });
+      approveTimeOff(requestTimeOff({ staffId: ann.id, startDate: '2024-03-11' }).id, 'manager-1');
+
+      const { added, refused } = applyTemplate(schedule.id, { templateId: template.id }, 'manager-1');
+
+      expect(startsOf(added)).toEqual(['2024-03-05T08:00', '2024-03-10T22:00', '2024-03-17T22:00', '2024-03-18T04:00', '2024-03-24T22:00']);
+      expect(refused.map(item => [item.shift.startsAt, item.conflicts[0].type])).toEqual([
+        ['2024-03-04T04:00', 'double_booking'],
+        ['2024-03-11T04:00', 'time_off'],
+        ['2024-03-12T08:00', 'not_employed'],
+        ['2024-03-19T08:00', 'not_employed']
+      ]);
+    });
+
+    it('should hold back shifts on a holiday unless asked to include them', () => {
+      const holiday = createHoliday({ date: '2024-03-05', name: 'Town fair', location: 'Main St' });
+      const options = { templateId: template.id, to: '2024-03-05', dryRun: true };
+
+      const skipped = applyTemplate(schedule.id, options, 'manager-1');
+      expect(startsOf(skipped.added)).toEqual(['2024-03-04T04:00']);
+      expect(skipped.holidays).toEqual([{ shift: expect.objectContaining({ startsAt: '2024-03-05T08:00' }), holiday }]);
+
+      const included = applyTemplate(schedule.id, { ...options, includeHolidays: true }, 'manager-1');
+      expect(included.holidays).toEqual([]);
+      expect(included.added[1].warnings).toEqual([expect.objectContaining({ type: 'holiday', holidayId: holiday.id })]);
+    });
+
+    it('should save nothing on a dry run', () => {
+      const result = applyTemplate(schedule.id, { templateId: template.id, dryRun: true }, 'manager-1');
+
+      expect(result.dryRun).toBe(true);
+      expect(result.added.length).toBeGreaterThan(0);
+      expect(getShifts({ scheduleId: schedule.id })).toEqual([]);
+    });
+
+    it('should check the template and dates', () => {
+      const elm = createTemplate({
+        name: 'Elm week',
+        location: 'Elm St',
+        shifts: [{ day: 'monday', startTime: '04:00', endTime: '12:00', position: 'Baker' }]
+      });
+
+      expect(() => applyTemplate(schedule.id, { templateId: 'missing' })).toThrow('Shift template not found');
+      expect(() => applyTemplate('missing', { templateId: template.id })).toThrow('Schedule not found');
+      expect(() => applyTemplate(schedule.id, { templateId: elm.id })).toThrow('This template is for Elm St only');
+      expect(() => applyTemplate(schedule.id, { templateId: template.id, from: '2024-03-01' }))
+        .toThrow('Dates must fall between 2024-03-04 and 2024-03-24');
+      expect(() => applyTemplate(schedule.id, { templateId: template.id, from: '2024-03-10', to: '2024-03-05' }))
+        .toThrow('End date cannot be before start date');
+    });
+  });
+
+  describe('copyWeek', () => {
+    it('should copy last week\'s published shifts into each week', () => {
+      const lastWeek = createSchedule({ name: 'Week 9', location: 'Main St', startDate: '2024-02-26', endDate: '2024-03-03' });
+      createShift({ scheduleId: lastWeek.id, staffId: ann.id, startsAt: '2024-02-26T04:00', endsAt: '2024-02-26T12:00' });
+      createShift({ scheduleId: lastWeek.id, staffId: null, position: 'Cleaner', startsAt: '2024-03-03T22:00', endsAt: '2024-03-04T02:00' });
+      const draft = createSchedule({ name: 'Draft', location: 'Main St', startDate: '2024-02-26', endDate: '2024-03-03' });
+      createShift({ scheduleId: draft.id, staffId: null, position: 'Baker', startsAt: '2024-02-27T04:00', endsAt: '2024-02-27T12:00' });
+
+      expect(copyWeek(schedule.id, {}, 'manager-1').added).toEqual([]);
+
+      publishSchedule(lastWeek.id, 'manager-1');
+      const result = copyWeek(schedule.id, { to: '2024-03-17' }, 'manager-1');
+
+      expect(result.sourceWeek).toBe('2024-02-26');
+      expect(startsOf(result.added)).toEqual(['2024-03-04T04:00', '2024-03-10T22:00', '2024-03-11T04:00', '2024-03-17T22:00']);
+      expect(result.added[1].endsAt).toBe('2024-03-11T02:00');
+
+      const fromDraft = copyWeek(schedule.id, { sourceScheduleId: draft.id, to: '2024-03-10', dryRun: true }, 'manager-1');
+      expect(startsOf(fromDraft.added)).toEqual(['2024-03-05T04:00']);
+    });
+
+    it('should copy a week of the schedule into later weeks, reporting clashes', () => {
+      createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T04:00', endsAt: '2024-03-04T12:00' });
+      createShift({ scheduleId: schedule.id, staffId: bob.id, startsAt: '2024-03-05T08:00', endsAt: '2024-03-05T16:00' });
+      createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-18T06:00', endsAt: '2024-03-18T10:00' });
+
+      const result = copyWeek(schedule.id, { sourceWeek: '2024-03-06', from: '2024-03-11' }, 'manager-1');
+
+      expect(startsOf(result.added)).toEqual(['2024-03-11T04:00']);
+      expect(result.refused.map(item => [item.shift.startsAt, item.conflicts[0].type])).toEqual([
+        ['2024-03-12T08:00', 'not_employed'],
+        ['2024-03-18T04:00', 'double_booking'],
+        ['2024-03-19T08:00', 'not_employed']
+      ]);
+    });
+
+    it('should check the weeks', () => {
+      expect(() => copyWeek(schedule.id, { sourceWeek: '2024-03-04', from: '2024-03-10' }))
+        .toThrow('Copies must go after the week being copied');
+      expect(() => copyWeek(schedule.id, { sourceWeek: 'last' })).toThrow('Source week must be in YYYY-MM-DD format');
+      expect(() => copyWeek(schedule.id, { sourceScheduleId: 'missing' })).toThrow('Source schedule not found');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { setSales, getSales, removeSales, clearSales } = require('../src/models/sales');
+
+describe('Sales Model', () => {
+  beforeEach(() => {
+    clearSales();
+  });
+
+  describe('setSales', () => {
+    it('should record a figure for a date and location', () => {
+      const record = setSales({ date: '2024-03-04', location: ' Main St ', amount: 1250.5 }, 'owner-1');
+
+      expect(record).toEqual(expect.objectContaining({ date: '2024-03-04', location: 'Main St', amount: 1250.5, enteredBy: 'owner-1' }));
+    });
+
+    it('should replace the figure for the same day and location', () => {
+      const first = setSales({ date: '2024-03-04', location: 'Main St', amount: 1000 }, 'owner-1');
+      const second = setSales({ date: '2024-03-04', location: 'main st', amount: 1100 }, 'owner-2');
+
+      expect(second.id).toBe(first.id);
+      expect(getSales()).toEqual([expect.objectContaining({ amount: 1100, enteredBy: 'owner-2' })]);
+    });
+
+    it('should reject bad figures', () => {
+      expect(() => setSales({ date: '04/03/2024', location: 'Main St', amount: 1 })).toThrow('Date must be in YYYY-MM-DD format');
+      expect(() => setSales({ date: '2024-03-04', location: ' ', amount: 1 })).toThrow('Location is required');
+      expect(() => setSales({ date: '2024-03-04', location: 'Main St', amount: -5 })).toThrow('Amount must be a non-negative number');
+      expect(() => setSales({ date: '2024-03-04', location: 'Main St', amount: '5' })).toThrow('Amount must be a non-negative number');
+    });
+  });
+
+  describe('getSales', () => {
+    beforeEach(() => {
+      setSales({ date: '2024-03-05', location: 'Main St', amount: 900 });
+      setSales({ date: '2024-03-04', location: 'Main St', amount: 1000 });
+      setSales({ date: '2024-03-04', location: 'Elm St', amount: 400 });
+    });
+
+    it('should list figures by date then location', () => {
+      expect(getSales().map(record => [record.date, record.location])).toEqual([
+        ['2024-03-04', 'Elm St'],
+        ['2024-03-04', 'Main St'],
+        ['2024-03-05', 'Main St']
+      ]);
+    });
+
+    it('should filter by location and range', () => {
+      expect(getSales({ location: 'main st' })).toHaveLength(2);
+      expect(getSales({ from: '2024-03-05' })).toHaveLength(1);
+      expect(getSales({ to: '2024-03-04', location: 'Elm St' })).toHaveLength(1);
+    });
+  });
+
+  describe('removeSales', () => {
+    it('should remove a figure', () => {
+      setSales({ date: '2024-03-04', location: 'Main St', amount: 1000 });
+
+      expect(removeSales('2024-03-04', 'MAIN ST')).toBe(true);
+      expect(removeSales('2024-03-04', 'Main St')).toBe(false);
+      expect(getSales()).toEqual([]);
+    });
+  });
+});
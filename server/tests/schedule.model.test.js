@@ -0,0 +1,423 @@
+const config = require('../src/config');
+const {
+  ScheduleStatus,
+  createSchedule,
+  findScheduleById,
+  getAllSchedules,
+  updateSchedule,
+  publishSchedule,
+  unpublishSchedule,
+  deleteSchedule,
+  createShift,
+  addShifts,
+  findShiftById,
+  getShifts,
+  updateShift,
+  getWeeklyHours,
+  reassignShifts,
+  deleteShift,
+  getCancelledShifts,
+  clearSchedules
+} = require('../src/models/schedule');
+const { createStaff, clearStaff } = require('../src/models/staff');
+const {
+  setAvailability,
+  requestTimeOff,
+  approveTimeOff,
+  clearAvailability
+} = require('../src/models/availability');
+const { createUser, addCertification, clearUsers } = require('../src/models/user');
+const { setRequiredCertifications, clearPositions } = require('../src/models/position');
+const { createHoliday, clearHolidays } = require('../src/models/holiday');
+
+describe('Schedule Model', () => {
+  let schedule;
+  let ann;
+  let bob;
+
+  beforeEach(() => {
+    clearSchedules();
+    clearStaff();
+    clearAvailability();
+    clearPositions();
+    clearHolidays();
+    schedule = createSchedule({ name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' }, 'manager-1');
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+    bob = createStaff({ name: 'Bob', position: 'Cashier', startDate: '2024-01-01' });
+  });
+
+  const shiftFor = (member, startsAt, endsAt, extra = {}) =>
+    createShift({ scheduleId: schedule.id, staffId: member ? member.id : null, startsAt, endsAt, ...extra }, 'manager-1');
+
+  describe('schedules', () => {
+    it('should create a draft schedule', () => {
+      expect(schedule.status).toBe(ScheduleStatus.DRAFT);
+      expect(schedule.createdBy).toBe('manager-1');
+      expect(schedule.shiftCount).toBe(0);
+    });
+
+    it('should validate the dates', () => {
+      expect(() => createSchedule({ name: 'Bad', startDate: '2024-03-10', endDate: '2024-03-04' }))
+        .toThrow('End date cannot be before start date');
+      expect(() => createSchedule({ name: 'Bad', startDate: '2024-03-04' }))
+        .toThrow('Name, start date and end date are required');
+    });
+
+    it('should filter schedules', () => {
+      createSchedule({ name: 'Week 11', startDate: '2024-03-11', endDate: '2024-03-17' });
+      publishSchedule(schedule.id, 'manager-1');
+
+      expect(getAllSchedules().map(s => s.name)).toEqual(['Week 10', 'Week 11']);
+      expect(getAllSchedules({ status: ScheduleStatus.DRAFT }).map(s => s.name)).toEqual(['Week 11']);
+      expect(getAllSchedules({ from: '2024-03-11' }).map(s => s.name)).toEqual(['Week 11']);
+      expect(getAllSchedules({ location: 'main st' }).map(s => s.name)).toEqual(['Week 10']);
+    });
+
+    it('should publish and unpublish', () => {
+      const published = publishSchedule(schedule.id, 'manager-1');
+      expect(published.status).toBe(ScheduleStatus.PUBLISHED);
+      expect(published.publishedBy).toBe('manager-1');
+      expect(() => publishSchedule(schedule.id, 'manager-1')).toThrow('Schedule is already published');
+
+      const draft = unpublishSchedule(schedule.id);
+      expect(draft.status).toBe(ScheduleStatus.DRAFT);
+      expect(draft.publishedAt).toBeNull();
+      expect(() => unpublishSchedule(schedule.id)).toThrow('Schedule is not published');
+    });
+
+    it('should not shrink a schedule away from its shifts', () => {
+      shiftFor(ann, '2024-03-09T06:00', '2024-03-09T14:00');
+      expect(() => updateSchedule(schedule.id, { endDate: '2024-03-08' }))
+        .toThrow('Some shifts fall outside the new dates or location');
+      expect(updateSchedule(schedule.id, { name: 'Week ten' }).name).toBe('Week ten');
+    });
+
+    it('should delete drafts with their shifts only', () => {
+      const shift = shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:00');
+      publishSchedule(schedule.id, 'manager-1');
+      expect(() => deleteSchedule(schedule.id)).toThrow('Published schedules cannot be deleted');
+
+      unpublishSchedule(schedule.id);
+      deleteSchedule(schedule.id);
+      expect(findScheduleById(schedule.id)).toBeNull();
+      expect(findShiftById(shift.id)).toBeNull();
+    });
+  });
+
+  describe('shifts', () => {
+    it('should create a shift with defaults from the schedule and staff member', () => {
+      const shift = shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:30');
+
+      expect(shift.location).toBe('Main St');
+      expect(shift.position).toBe('Baker');
+      expect(shift.hours).toBe(8.5);
+      expect(findScheduleById(schedule.id).shiftCount).toBe(1);
+    });
+
+    it('should allow open shifts and overnight shifts', () => {
+      const open = shiftFor(null, '2024-03-04T06:00', '2024-03-04T14:00', { position: 'Baker' });
+      const overnight = shiftFor(ann, '2024-03-10T22:00', '2024-03-11T06:00');
+
+      expect(open.staffId).toBeNull();
+      expect(overnight.hours).toBe(8);
+    });
+
+    it('should match the schedule\'s location without regard to case', () => {
+      const shift = shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:00', { location: 'main st' });
+
+      expect(shift.location).toBe('main st');
+    });
+
+    it('should validate times, length and schedule range', () => {
+      expect(() => shiftFor(ann, '2024-03-04T14:00', '2024-03-04T06:00')).toThrow('Shift must end after it starts');
+      expect(() => shiftFor(ann, '2024-03-04 06:00', '2024-03-04T14:00')).toThrow('YYYY-MM-DDTHH:mm');
+      expect(() => shiftFor(ann, '2024-03-04T04:00', '2024-03-04T17:00')).toThrow('Shifts cannot be longer than 12 hours');
+      expect(() => shiftFor(ann, '2024-03-11T06:00', '2024-03-11T14:00')).toThrow('Shift must start between 2024-03-04 and 2024-03-10');
+      expect(() => shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:00', { location: 'Harbour' }))
+        .toThrow('This schedule is for Main St only');
+      expect(() => shiftFor(null, '2024-03-04T06:00', '2024-03-04T14:00')).toThrow('Location and position are required');
+    });
+
+    it('should respect the configured maximum length', () => {
+      const original = config.scheduling.maxShiftHours;
+      config.scheduling.maxShiftHours = 6;
+      try {
+        expect(() => shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:00')).toThrow('Shifts cannot be longer than 6 hours');
+      } finally {
+        config.scheduling.maxShiftHours = original;
+      }
+    });
+
+    it('should not schedule staff outside their employment', () => {
+      const leaver = createStaff({ name: 'Cal', position: 'Baker', startDate: '2024-01-01', endDate: '2024-03-05' });
+      expect(() => shiftFor(leaver, '2024-03-06T06:00', '2024-03-06T14:00')).toThrow('Cal is not employed on 2024-03-06');
+    });
+
+    it('should reject double-booking', () => {
+      const first = shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:00');
+
+      let error;
+      try {
+        shiftFor(ann, '2024-03-04T12:00', '2024-03-04T18:00');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).toBe('Ann is already working from 2024-03-04T06:00 to 2024-03-04T14:00');
+      expect(error.conflicts).toEqual([expect.objectContaining({ type: 'double_booking', shiftId: first.id })]);
+
+      expect(shiftFor(bob, '2024-03-04T12:00', '2024-03-04T18:00').staffId).toBe(bob.id);
+      expect(shiftFor(ann, '2024-03-04T14:00', '2024-03-04T18:00').hours).toBe(4);
+    });
+
+    it('should reject too little rest between days', () => {
+      shiftFor(ann, '2024-03-04T14:00', '2024-03-04T22:00');
+
+      expect(() => shiftFor(ann, '2024-03-05T06:00', '2024-03-05T14:00'))
+        .toThrow('Ann would only have 8 hours of rest');
+      expect(shiftFor(ann, '2024-03-05T08:00', '2024-03-05T16:00').hours).toBe(8);
+    });
+
+    it('should check conflicts when moving or reassigning a shift', () => {
+      shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:00');
+      const shift = shiftFor(bob, '2024-03-04T08:00', '2024-03-04T12:00');
+
+      expect(() => updateShift(shift.id, { staffId: ann.id })).toThrow('Ann is already working');
+      const moved = updateShift(shift.id, { startsAt: '2024-03-06T08:00', endsAt: '2024-03-06T12:00' });
+      expect(moved.startsAt).toBe('2024-03-06T08:00');
+      expect(updateShift(shift.id, { staffId: ann.id }).staffId).toBe(ann.id);
+      expect(updateShift(shift.id, { endsAt: '2024-03-06T13:00' }).hours).toBe(5);
+    });
+
+    it('should list shifts with filters', () => {
+      shiftFor(bob, '2024-03-05T06:00', '2024-03-05T14:00');
+      shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:00');
+      const other = createSchedule({ name: 'Week 11', startDate: '2024-03-11', endDate: '2024-03-17' });
+      createShift({ scheduleId: other.id, staffId: ann.id, location: 'Harbour', startsAt: '2024-03-11T06:00', endsAt: '2024-03-11T14:00' });
+      publishSchedule(other.id, 'manager-1');
+
+      expect(getShifts().map(shift => shift.startsAt.slice(0, 10))).toEqual(['2024-03-04', '2024-03-05', '2024-03-11']);
+      expect(getShifts({ staffId: ann.id })).toHaveLength(2);
+      expect(getShifts({ scheduleId: schedule.id })).toHaveLength(2);
+      expect(getShifts({ location: 'harbour' })).toHaveLength(1);
+      expect(getShifts({ from: '2024-03-05', to: '2024-03-10' })).toHaveLength(1);
+      expect(getShifts({ publishedOnly: true }).map(shift => shift.scheduleId)).toEqual([other.id]);
+    });
+
+    it('should delete a shift', () => {
+      const shift = shiftFor(ann, '2024-03-04T06:00', '2024-03-04T14:00');
+      deleteShift(shift.id);
+      expect(findShiftById(shift.id)).toBeNull();
+      expect(() => deleteShift(shift.id)).toThrow('Shift not found');
+    });
+
+    describe('availability and time off', () => {
+      it('should block shifts during approved time off', () => {
+        const request = requestTimeOff({ staffId: ann.id, startDate: '2024-03-05', endDate: '2024-03-06' });
+        expect(shiftFor(ann, '2024-03-05T06:00', '2024-03-05T14:00').warnings)
+          .toEqual([expect.objectContaining({ type: 'time_off_pending', timeOffId: request.id })]);
+
+        approveTimeOff(request.id, 'manager-1');
+
+        let error;
+        try {
+          shiftFor(ann, '2024-03-06T06:00', '2024-03-06T14:00');
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toBe('Ann has approved time off from 2024-03-05 to 2024-03-06');
+        expect(error.conflicts).toEqual([expect.objectContaining({ type: 'time_off', timeOffId: request.id })]);
+
+        expect(() => shiftFor(ann, '2024-03-04T22:00', '2024-03-05T04:00')).toThrow('approved time off');
+        expect(shiftFor(ann, '2024-03-07T00:00', '2024-03-07T06:00').warnings).toEqual([]);
+      });
+
+      it('should flag shifts outside availability', () => {
+        setAvailability(ann.id, { monday: [{ start: '04:00', end: '12:00' }] });
+
+        expect(shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00').warnings).toEqual([]);
+        const shift = shiftFor(ann, '2024-03-05T04:00', '2024-03-05T08:00');
+        expect(shift.warnings).toEqual([{ type: 'availability', message: 'Outside this staff member\'s availability' }]);
+        expect(findShiftById(shift.id).warnings).toHaveLength(1);
+      });
+
+      it('should block shifts outside availability when enforced', () => {
+        setAvailability(ann.id, { monday: [{ start: '04:00', end: '12:00' }] });
+        config.scheduling.enforceAvailability = true;
+        try {
+          expect(() => shiftFor(ann, '2024-03-04T03:00', '2024-03-04T08:00'))
+            .toThrow('Ann is not available from 2024-03-04T03:00 to 2024-03-04T08:00');
+          expect(shiftFor(ann, '2024-03-04T04:00', '2024-03-04T08:00').warnings).toEqual([]);
+        } finally {
+          config.scheduling.enforceAvailability = false;
+        }
+      });
+    });
+  });
+
+  describe('certifications', () => {
+    let user;
+
+    beforeEach(async () => {
+      clearUsers();
+      user = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+      ann = createStaff({ name: 'Ann Linked', position: 'Baker', startDate: '2024-01-01', userId: user.id });
+      setRequiredCertifications('Baker', ['Food Handler']);
+    });
+
+    afterEach(() => {
+      config.scheduling.enforceCertifications = true;
+    });
+
+    it('should refuse a position the staff member is not certified for', () => {
+      expect(() => shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00'))
+        .toThrow('Ann Linked has no current Food Handler certification, which Baker requires');
+      expect(() => shiftFor(bob, '2024-03-04T04:00', '2024-03-04T12:00', { position: 'Baker' }))
+        .toThrow('Bob has no current Food Handler certification, which Baker requires');
+      expect(shiftFor(bob, '2024-03-04T04:00', '2024-03-04T12:00').position).toBe('Cashier');
+      expect(shiftFor(null, '2024-03-05T04:00', '2024-03-05T12:00', { position: 'Baker' }).staffId).toBeNull();
+    });
+
+    it('should accept a certification that is current for the whole shift', () => {
+      addCertification(user.id, { name: 'food handler', issueDate: '2024-01-01', expiryDate: '2024-03-05' });
+
+      expect(shiftFor(ann, '2024-03-04T22:00', '2024-03-05T04:00').warnings).toEqual([]);
+      expect(() => shiftFor(ann, '2024-03-05T22:00', '2024-03-06T04:00'))
+        .toThrow('Ann Linked has no current Food Handler certification, which Baker requires');
+    });
+
+    it('should check reassignments too', () => {
+      const shift = shiftFor(null, '2024-03-04T04:00', '2024-03-04T12:00', { position: 'Baker' });
+
+      expect(() => reassignShifts([{ shiftId: shift.id, staffId: ann.id }]))
+        .toThrow('Ann Linked has no current Food Handler certification, which Baker requires');
+      expect(() => updateShift(shift.id, { staffId: ann.id })).toThrow('Food Handler');
+    });
+
+    it('should only warn when certifications are not enforced', () => {
+      config.scheduling.enforceCertifications = false;
+
+      const shift = shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00');
+
+      expect(shift.warnings).toEqual([{
+        type: 'certification',
+        certification: 'Food Handler',
+        message: 'No current Food Handler certification, which Baker requires'
+      }]);
+    });
+  });
+
+  describe('addShifts', () => {
+    const shiftData = (member, startsAt, endsAt) =>
+      ({ scheduleId: schedule.id, staffId: member ? member.id : null, startsAt, endsAt });
+
+    it('should add the shifts that fit and list the rest with their conflicts', () => {
+      shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00');
+      const leaver = createStaff({ name: 'Lee', position: 'Baker', startDate: '2024-01-01', endDate: '2024-03-05' });
+
+      const { added, refused } = addShifts([
+        shiftData(ann, '2024-03-04T08:00', '2024-03-04T16:00'),
+        shiftData(bob, '2024-03-05T08:00', '2024-03-05T16:00'),
+        shiftData(bob, '2024-03-05T12:00', '2024-03-05T18:00'),
+        shiftData(leaver, '2024-03-06T04:00', '2024-03-06T12:00'),
+        shiftData(null, '2024-03-12T04:00', '2024-03-12T12:00')
+      ], 'manager-1');
+
+      expect(added).toEqual([expect.objectContaining({ staffId: bob.id, startsAt: '2024-03-05T08:00', hours: 8 })]);
+      expect(refused.map(item => item.conflicts[0].type)).toEqual(['double_booking', 'double_booking', 'not_employed', 'invalid']);
+      expect(refused[2].conflicts[0].message).toBe('Lee is not employed on 2024-03-06');
+      expect(getShifts({ scheduleId: schedule.id })).toHaveLength(2);
+    });
+
+    it('should save nothing on a dry run', () => {
+      const { added } = addShifts([shiftData(ann, '2024-03-04T04:00', '2024-03-04T12:00')], 'manager-1', { dryRun: true });
+
+      expect(added).toHaveLength(1);
+      expect(getShifts({ scheduleId: schedule.id })).toEqual([]);
+    });
+  });
+
+  describe('holidays', () => {
+    it('should warn about shifts on a holiday, open shifts included', () => {
+      const holiday = createHoliday({ date: '2024-03-05', name: 'Founders Day', location: 'Main St' }, 'manager-1');
+
+      const open = shiftFor(null, '2024-03-05T04:00', '2024-03-05T12:00', { position: 'Baker' });
+      const other = shiftFor(ann, '2024-03-06T04:00', '2024-03-06T12:00');
+
+      expect(open.warnings).toEqual([{ type: 'holiday', holidayId: holiday.id, message: 'Founders Day is a public holiday' }]);
+      expect(other.warnings).toEqual([]);
+    });
+  });
+
+  describe('reassignShifts', () => {
+    it('should count weekly hours across schedules', () => {
+      const monday = shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00');
+      shiftFor(ann, '2024-03-10T04:00', '2024-03-10T08:00');
+
+      expect(getWeeklyHours(ann.id, '2024-03-06')).toBe(12);
+      expect(getWeeklyHours(ann.id, '2024-03-06', [monday.id])).toBe(4);
+      expect(getWeeklyHours(ann.id, '2024-03-11')).toBe(0);
+    });
+
+    it('should swap shifts that only clash before the swap', () => {
+      const annShift = shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00');
+      const bobShift = shiftFor(bob, '2024-03-04T06:00', '2024-03-04T14:00');
+
+      const updated = reassignShifts([
+        { shiftId: annShift.id, staffId: bob.id },
+        { shiftId: bobShift.id, staffId: ann.id }
+      ]);
+
+      expect(updated.map(shift => shift.staffId)).toEqual([bob.id, ann.id]);
+      expect(findShiftById(annShift.id).staffId).toBe(bob.id);
+    });
+
+    it('should refuse reassignments over someone\'s weekly hours, saving nothing', () => {
+      const capped = createStaff({ name: 'Cat', position: 'Baker', startDate: '2024-01-01', maxWeeklyHours: 10 });
+      shiftFor(capped, '2024-03-05T04:00', '2024-03-05T10:00');
+      const shift = shiftFor(ann, '2024-03-04T04:00', '2024-03-04T10:00');
+
+      expect(() => reassignShifts([{ shiftId: shift.id, staffId: capped.id }]))
+        .toThrow('Cat would be scheduled for 12 hours in the week of 2024-03-04 (limit 10)');
+      expect(findShiftById(shift.id).staffId).toBe(ann.id);
+    });
+  });
+
+  describe('getCancelledShifts', () => {
+    it('should not keep changes to draft shifts', () => {
+      const shift = shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00');
+      updateShift(shift.id, { endsAt: '2024-03-04T10:00' });
+      deleteShift(shift.id);
+
+      expect(getCancelledShifts()).toEqual([]);
+    });
+
+    it('should keep the version staff saw when a published shift changes', () => {
+      const shift = shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00');
+      publishSchedule(schedule.id, 'manager-1');
+      expect(findShiftById(shift.id).sequence).toBe(1);
+
+      const moved = updateShift(shift.id, { staffId: bob.id, position: 'Baker' });
+      expect(moved.sequence).toBe(2);
+
+      const [cancelled] = getCancelledShifts({ staffId: ann.id });
+      expect(cancelled).toMatchObject({ shiftId: shift.id, staffId: ann.id, sequence: 2 });
+      expect(getCancelledShifts({ staffId: bob.id })).toEqual([]);
+    });
+
+    it('should keep deleted and unpublished shifts, latest version only', () => {
+      const kept = shiftFor(ann, '2024-03-05T04:00', '2024-03-05T12:00');
+      const removed = shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00');
+      publishSchedule(schedule.id, 'manager-1');
+
+      deleteShift(removed.id);
+      unpublishSchedule(schedule.id);
+
+      const cancelled = getCancelledShifts({ location: 'main st' });
+      expect(cancelled.map(shift => shift.shiftId)).toEqual([removed.id, kept.id]);
+      expect(getCancelledShifts({ from: '2024-03-05' }).map(shift => shift.shiftId)).toEqual([kept.id]);
+
+      publishSchedule(schedule.id, 'manager-1');
+      expect(findShiftById(kept.id).sequence).toBeGreaterThan(cancelled[1].sequence);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const config = require('../src/config');
+const { createRequirement, clearRequirements } = require('../src/models/coverage');
+const { createStaff, clearStaff } = require('../src/models/staff');
+const {
+  createSchedule,
+  createShift,
+  getShifts,
+  clearSchedules
+} = require('../src/models/schedule');
+const {
+  setAvailability,
+  requestTimeOff,
+  approveTimeOff,
+  clearAvailability
+} = require('../src/models/availability');
+const { setRequiredCertifications, clearPositions } = require('../src/models/position');
+const { SkipReason, generateSchedule } = require('../src/services/scheduleGenerator');
+
+describe('Schedule generator', () => {
+  let ann;
+  let carl;
+
+  const week = { name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' };
+  const bakers = (extra = {}) => createRequirement({
+    position: 'Baker',
+    startTime: '04:00',
+    endTime: '12:00',
+    days: ['monday', 'tuesday', 'wednesday'],
+    ...extra
+  });
+  const staffedShifts = scheduleId => getShifts({ scheduleId }).filter(shift => shift.staffId);
+
+  beforeEach(() => {
+    clearRequirements();
+    clearStaff();
+    clearSchedules();
+    clearAvailability();
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+    carl = createStaff({ name: 'Carl', position: 'baker', startDate: '2024-01-01' });
+    createStaff({ name: 'Bob', position: 'Cashier', startDate: '2024-01-01' });
+  });
+
+  afterEach(() => {
+    config.scheduling.maxShiftHours = 12;
+  });
+
+  it('should create a draft that meets the requirements', () => {
+    bakers();
+
+    const { schedule, report } = generateSchedule(week, 'manager-1');
+
+    expect(schedule.status).toBe('draft');
+    expect(schedule.shiftCount).toBe(3);
+    expect(report).toMatchObject({ needed: 3, filled: 3, unfilled: [] });
+
+    const shifts = getShifts({ scheduleId: schedule.id });
+    expect(shifts.map(shift => shift.startsAt)).toEqual(['2024-03-04T04:00', '2024-03-05T04:00', '2024-03-06T04:00']);
+    expect(shifts.every(shift => shift.location === 'Main St' && shift.position === 'Baker')).toBe(true);
+  });
+
+  it('should spread hours fairly between staff', () => {
+    bakers();
+
+    const { schedule, report } = generateSchedule(week, 'manager-1');
+
+    expect(staffedShifts(schedule.id).map(shift => shift.staffId)).toEqual([ann.id, carl.id, ann.id]);
+    expect(report.hoursByStaff).toEqual([
+      { staffId: ann.id, name: 'Ann', hours: 16 },
+      { staffId: carl.id, name: 'Carl', hours: 8 }
+    ]);
+  });
+
+  it('should count hours already scheduled that week', () => {
+    const other = createSchedule({ ...week, name: 'Extras' });
+    createShift({ scheduleId: other.id, staffId: ann.id, startsAt: '2024-03-08T04:00', endsAt: '2024-03-08T12:00' });
+    bakers({ days: ['monday'] });
+
+    const { schedule } = generateSchedule(week, 'manager-1');
+
+    expect(staffedShifts(schedule.id)[0].staffId).toBe(carl.id);
+  });
+
+  it('should skip staff on approved leave or outside their availability', () => {
+    const leave = requestTimeOff({ staffId: ann.id, startDate: '2024-03-04', endDate: '2024-03-05' });
+    approveTimeOff(leave.id, 'manager-1');
+    setAvailability(carl.id, { tuesday: [{ start: '00:00', end: '24:00' }] });
+    bakers();
+
+    const { schedule, report } = generateSchedule(week, 'manager-1');
+
+    expect(report.unfilled[0].reasons).toEqual({ [SkipReason.TIME_OFF]: 1, [SkipReason.UNAVAILABLE]: 1 });
+    const byDate = Object.fromEntries(staffedShifts(schedule.id).map(shift => [shift.startsAt.slice(0, 10), shift.staffId]));
+    expect(byDate).toEqual({ '2024-03-05': carl.id, '2024-03-06': ann.id });
+  });
+
+  it('should skip staff without the certifications a position requires', () => {
+    setRequiredCertifications('Baker', ['Food Handler']);
+    config.scheduling.enforceCertifications = false;
+    bakers({ days: ['monday'] });
+
+    try {
+      const { schedule, report } = generateSchedule(week, 'manager-1');
+
+      expect(report.unfilled[0].reasons).toEqual({ [SkipReason.UNCERTIFIED]: 2 });
+      expect(staffedShifts(schedule.id)).toEqual([]);
+    } finally {
+      config.scheduling.enforceCertifications = true;
+      clearPositions();
+    }
+  });
+
+  it('should respect maximum weekly hours', () => {
+    clearStaff();
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01', maxWeeklyHours: 10 });
+    bakers();
+
+    const { report } = generateSchedule(week, 'manager-1');
+
+    expect(report.filled).toBe(1);
+    expect(report.unfilled).toHaveLength(2);
+    expect(report.unfilled[0]).toMatchObject({
+      date: '2024-03-05',
+      required: 1,
+      filled: 0,
+      missing: 1,
+      candidates: 1,
+      reasons: { [SkipReason.WEEKLY_HOURS]: 1 }
+    });
+  });
+
+  it('should report unfilled places and add open shifts for them', () => {
+    bakers({ count: 3, days: ['monday'] });
+
+    const { schedule, report } = generateSchedule(week, 'manager-1');
+
+    expect(report).toMatchObject({ needed: 3, filled: 2 });
+    expect(report.unfilled[0]).toMatchObject({ required: 3, filled: 2, missing: 1 });
+    const open = getShifts({ scheduleId: schedule.id }).filter(shift => shift.staffId === null);
+    expect(open).toHaveLength(1);
+  });
+
+  it('should leave out open shifts when asked', () => {
+    bakers({ count: 3, days: ['monday'] });
+
+    const { schedule } = generateSchedule({ ...week, openShifts: false }, 'manager-1');
+
+    expect(getShifts({ scheduleId: schedule.id })).toHaveLength(2);
+  });
+
+  it('should handle requirements that run past midnight', () => {
+    bakers({ startTime: '22:00', endTime: '02:00', days: ['sunday'] });
+
+    const { schedule } = generateSchedule(week, 'manager-1');
+
+    const [shift] = getShifts({ scheduleId: schedule.id });
+    expect(shift).toMatchObject({ startsAt: '2024-03-10T22:00', endsAt: '2024-03-11T02:00' });
+  });
+
+  it('should use each requirement\'s location when the schedule has none', () => {
+    bakers({ location: 'Harbour', days: ['monday'] });
+
+    const { schedule } = generateSchedule({ ...week, location: null }, 'manager-1');
+
+    expect(getShifts({ scheduleId: schedule.id })[0].location).toBe('Harbour');
+  });
+
+  it('should reject requests it cannot plan', () => {
+    expect(() => generateSchedule(week)).toThrow('No coverage requirements apply to this schedule');
+
+    bakers();
+    expect(() => generateSchedule({ ...week, endDate: '2024-04-10' })).toThrow('at most 31 days');
+    expect(() => generateSchedule({ ...week, endDate: '2024-03-01' })).toThrow('End date cannot be before start date');
+    expect(() => generateSchedule({ ...week, location: null }))
+      .toThrow('Give the schedule a location, or set one on every coverage requirement');
+
+    config.scheduling.maxShiftHours = 6;
+    expect(() => generateSchedule(week)).toThrow('longer than the 6 hour shift limit');
+  });
+
+  it('should delete the draft again if a shift can\'t be added', () => {
+    // Load fresh copies of the models with createShift failing on its second call
+    jest.isolateModules(() => {
+      const actual = jest.requireActual('../src/models/schedule');
+      const failingCreateShift = jest.fn()
+        .mockImplementationOnce(actual.createShift)
+        .mockImplementation(() => {
+          throw new Error('Disk full');
+        });
+      jest.doMock('../src/models/schedule', () => ({ ...actual, createShift: failingCreateShift }));
+
+      const coverage = require('../src/models/coverage');
+      const staff = require('../src/models/staff');
+      const generator = require('../src/services/scheduleGenerator');
+      staff.createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+      coverage.createRequirement({ position: 'Baker', startTime: '04:00', endTime: '12:00', days: ['monday', 'tuesday'] });
+
+      expect(() => generator.generateSchedule(week, 'manager-1')).toThrow('Disk full');
+      expect(failingCreateShift).toHaveBeenCalledTimes(2);
+      expect(actual.getAllSchedules()).toEqual([]);
+      expect(actual.getShifts()).toEqual([]);
+    });
+  });
+});
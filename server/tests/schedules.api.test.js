@@ -0,0 +1,233 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearStaff, createStaff } = require('../src/models/staff');
+const { clearSchedules, createSchedule, createShift, publishSchedule } = require('../src/models/schedule');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Schedules and Shifts API', () => {
+  let managerToken;
+  let bakerToken;
+  let ann;
+  let schedule;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearSchedules();
+    clearAuditLog();
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: bakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+    schedule = createSchedule({ name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' }, 'manager');
+  });
+
+  describe('schedules', () => {
+    it('should create a draft schedule and audit it', async () => {
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Week 11', startDate: '2024-03-11', endDate: '2024-03-17' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.status).toBe('draft');
+      expect(queryAuditLog({ action: AuditAction.SCHEDULE_CREATE })[0].targetId).toBe(response.body.id);
+    });
+
+    it('should validate schedule input', async () => {
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Week 11', startDate: '2024-03-11', endDate: 'next week' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('endDate');
+    });
+
+    it('should hide drafts from staff without schedule.edit', async () => {
+      const draft = await request(app)
+        .get(`/api/schedules/${schedule.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(draft.status).toBe(404);
+
+      publishSchedule(schedule.id, 'manager');
+
+      const list = await request(app)
+        .get('/api/schedules?status=draft')
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(list.body.map(s => s.id)).toEqual([schedule.id]);
+    });
+
+    it('should return a schedule with its shifts', async () => {
+      createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T14:00' });
+
+      const response = await request(app)
+        .get(`/api/schedules/${schedule.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.shifts).toHaveLength(1);
+      expect(response.body.shiftCount).toBe(1);
+    });
+
+    it('should let managers publish and unpublish', async () => {
+      const published = await request(app)
+        .post(`/api/schedules/${schedule.id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(published.status).toBe(200);
+      expect(published.body.status).toBe('published');
+      expect(queryAuditLog({ action: AuditAction.SCHEDULE_PUBLISH })[0].changes.status)
+        .toEqual({ from: 'draft', to: 'published' });
+
+      const again = await request(app)
+        .post(`/api/schedules/${schedule.id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(again.status).toBe(409);
+
+      const unpublished = await request(app)
+        .post(`/api/schedules/${schedule.id}/unpublish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(unpublished.body.status).toBe('draft');
+    });
+
+    it('should not let other roles publish', async () => {
+      const { token } = await createAuthenticatedUser({ role: UserRole.ACCOUNTANT });
+
+      const response = await request(app)
+        .post(`/api/schedules/${schedule.id}/publish`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Publishing schedules is restricted to managers');
+    });
+
+    it('should refuse to delete a published schedule', async () => {
+      publishSchedule(schedule.id, 'manager');
+
+      const response = await request(app)
+        .delete(`/api/schedules/${schedule.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should delete a draft schedule', async () => {
+      const response = await request(app)
+        .delete(`/api/schedules/${schedule.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(204);
+      expect(queryAuditLog({ action: AuditAction.SCHEDULE_DELETE })[0].metadata.name).toBe('Week 10');
+    });
+  });
+
+  describe('shifts', () => {
+    it('should add a shift and audit it', async () => {
+      const response = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T14:00' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ location: 'Main St', position: 'Baker', hours: 8 });
+      expect(queryAuditLog({ action: AuditAction.SHIFT_CREATE })[0].metadata.scheduleId).toBe(schedule.id);
+    });
+
+    it('should return 409 with the conflicts for a double-booking', async () => {
+      const existing = createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T14:00' });
+
+      const response = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T10:00', endsAt: '2024-03-04T16:00' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.conflicts).toEqual([expect.objectContaining({ type: 'double_booking', shiftId: existing.id })]);
+    });
+
+    it('should return 400 for an over-long shift', async () => {
+      const response = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T04:00', endsAt: '2024-03-04T20:00' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Shifts cannot be longer than 12 hours');
+    });
+
+    it('should validate shift input', async () => {
+      const response = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ scheduleId: schedule.id, startsAt: '2024-03-04', endsAt: '2024-03-04T14:00' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('startsAt');
+    });
+
+    it('should move a shift', async () => {
+      const shift = createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T14:00' });
+
+      const response = await request(app)
+        .put(`/api/shifts/${shift.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ startsAt: '2024-03-05T06:00', endsAt: '2024-03-05T14:00' });
+
+      expect(response.status).toBe(200);
+      expect(queryAuditLog({ action: AuditAction.SHIFT_UPDATE })[0].changes.startsAt)
+        .toEqual({ from: '2024-03-04T06:00', to: '2024-03-05T06:00' });
+    });
+
+    it('should only show published shifts to staff', async () => {
+      createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T14:00' });
+
+      const hidden = await request(app)
+        .get('/api/shifts')
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(hidden.body).toEqual([]);
+
+      publishSchedule(schedule.id, 'manager');
+
+      const shown = await request(app)
+        .get(`/api/shifts?staffId=${ann.id}&from=2024-03-04&to=2024-03-04`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+      expect(shown.body).toHaveLength(1);
+    });
+
+    it('should not let staff edit shifts', async () => {
+      const response = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T14:00' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should delete a shift', async () => {
+      const shift = createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T14:00' });
+
+      const response = await request(app)
+        .delete(`/api/shifts/${shift.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(response.status).toBe(204);
+
+      const missing = await request(app)
+        .delete(`/api/shifts/${shift.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should stop staff with shifts being removed from the roster', async () => {
+      createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T14:00' });
+
+      const response = await request(app)
+        .delete(`/api/staff/${ann.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
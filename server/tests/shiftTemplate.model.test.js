@@ -0,0 +1,80 @@
+const {
+  createTemplate,
+  findTemplateById,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  clearTemplates
+} = require('../src/models/shiftTemplate');
+
+describe('Shift Template Model', () => {
+  const bakerShift = (day, extra = {}) => ({ day, startTime: '04:00', endTime: '12:00', position: 'Baker', ...extra });
+
+  beforeEach(() => {
+    clearTemplates();
+  });
+
+  it('should create a template with its shifts in week order', () => {
+    const template = createTemplate({
+      name: ' Summer week ',
+      location: 'Main St',
+      shifts: [
+        bakerShift('sunday'),
+        { day: 'monday', startTime: '22:00', endTime: '02:00', position: ' Cleaner ', staffId: ' ' },
+        bakerShift('monday')
+      ]
+    }, 'manager-1');
+
+    expect(template).toEqual(expect.objectContaining({ name: 'Summer week', location: 'Main St', createdBy: 'manager-1' }));
+    expect(template.shifts.map(shift => [shift.day, shift.startTime, shift.position])).toEqual([
+      ['monday', '04:00', 'Baker'],
+      ['monday', '22:00', 'Cleaner'],
+      ['sunday', '04:00', 'Baker']
+    ]);
+    expect(template.shifts[1].staffId).toBeNull();
+    expect(findTemplateById(template.id)).toEqual(template);
+  });
+
+  it('should validate the template and its shifts', () => {
+    expect(() => createTemplate({ name: '', shifts: [bakerShift('monday')] })).toThrow('Template name is required');
+    expect(() => createTemplate({ name: 'Empty', shifts: [] })).toThrow('A template needs at least one shift');
+    expect(() => createTemplate({ name: 'Bad', shifts: [bakerShift('someday')] })).toThrow('Unknown day: someday');
+    expect(() => createTemplate({ name: 'Bad', shifts: [bakerShift('monday', { endTime: '4pm' })] }))
+      .toThrow('Times must be in HH:mm format');
+    expect(() => createTemplate({ name: 'Bad', shifts: [bakerShift('monday', { endTime: '04:00' })] }))
+      .toThrow('Start and end times must differ');
+    expect(() => createTemplate({ name: 'Bad', shifts: [bakerShift('monday', { position: '' })] }))
+      .toThrow('Position is required');
+  });
+
+  it('should keep names unique regardless of case', () => {
+    createTemplate({ name: 'Summer week', shifts: [bakerShift('monday')] });
+    const other = createTemplate({ name: 'Winter week', shifts: [bakerShift('monday')] });
+
+    expect(() => createTemplate({ name: 'summer WEEK', shifts: [bakerShift('monday')] }))
+      .toThrow('A template with that name already exists');
+    expect(() => updateTemplate(other.id, { name: 'Summer Week' })).toThrow('A template with that name already exists');
+  });
+
+  it('should filter templates by location', () => {
+    createTemplate({ name: 'Main week', location: 'Main St', shifts: [bakerShift('monday')] });
+    createTemplate({ name: 'Any week', shifts: [bakerShift('monday')] });
+    createTemplate({ name: 'Elm week', location: 'Elm St', shifts: [bakerShift('monday')] });
+
+    expect(getTemplates().map(template => template.name)).toEqual(['Any week', 'Elm week', 'Main week']);
+    expect(getTemplates({ location: 'main st' }).map(template => template.name)).toEqual(['Any week', 'Main week']);
+  });
+
+  it('should update and delete a template', () => {
+    const template = createTemplate({ name: 'Summer week', shifts: [bakerShift('monday')] });
+
+    const updated = updateTemplate(template.id, { notes: 'June to August', shifts: [bakerShift('tuesday'), bakerShift('monday')] });
+    expect(updated.notes).toBe('June to August');
+    expect(updated.shifts.map(shift => shift.day)).toEqual(['monday', 'tuesday']);
+
+    expect(deleteTemplate(template.id)).toBe(true);
+    expect(findTemplateById(template.id)).toBeNull();
+    expect(() => deleteTemplate(template.id)).toThrow('Shift template not found');
+    expect(() => updateTemplate(template.id, { name: 'Gone' })).toThrow('Shift template not found');
+  });
+});
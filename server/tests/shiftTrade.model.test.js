@@ -0,0 +1,234 @@
+const {
+  ShiftTradeType,
+  ShiftTradeStatus,
+  createTrade,
+  findTradeById,
+  getTrades,
+  claimTrade,
+  approveTrade,
+  denyTrade,
+  cancelTrade,
+  cancelTradesForShift,
+  clearShiftTrades
+} = require('../src/models/shiftTrade');
+const {
+  createSchedule,
+  publishSchedule,
+  createShift,
+  findShiftById,
+  updateShift,
+  clearSchedules
+} = require('../src/models/schedule');
+const { createStaff, clearStaff } = require('../src/models/staff');
+const { clearAvailability } = require('../src/models/availability');
+
+describe('Shift Trade Model', () => {
+  let schedule;
+  let ann;
+  let carl;
+  let annMonday;
+  let carlTuesday;
+
+  const shiftFor = (member, startsAt, endsAt) =>
+    createShift({ scheduleId: schedule.id, staffId: member ? member.id : null, position: 'Baker', startsAt, endsAt });
+
+  beforeEach(() => {
+    clearShiftTrades();
+    clearSchedules();
+    clearStaff();
+    clearAvailability();
+    schedule = createSchedule({ name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' });
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01' });
+    carl = createStaff({ name: 'Carl', position: 'Baker', startDate: '2024-01-01' });
+    annMonday = shiftFor(ann, '2024-03-04T04:00', '2024-03-04T12:00');
+    carlTuesday = shiftFor(carl, '2024-03-05T04:00', '2024-03-05T12:00');
+    publishSchedule(schedule.id, 'manager-1');
+  });
+
+  describe('createTrade', () => {
+    it('should offer your own shift', () => {
+      const trade = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP, note: 'Dentist' }, ann.id, 'user-ann');
+
+      expect(trade.status).toBe(ShiftTradeStatus.OPEN);
+      expect(trade.offeredBy).toBe(ann.id);
+      expect(trade.shift.id).toBe(annMonday.id);
+      expect(trade.history).toEqual([
+        expect.objectContaining({ status: ShiftTradeStatus.OPEN, actorId: 'user-ann', note: 'Dentist' })
+      ]);
+    });
+
+    it('should only offer your own shifts in published schedules', () => {
+      expect(() => createTrade({ shiftId: carlTuesday.id, type: ShiftTradeType.DROP }, ann.id))
+        .toThrow('You can only offer your own shifts');
+
+      const draft = createSchedule({ name: 'Week 11', startDate: '2024-03-11', endDate: '2024-03-17' });
+      const draftShift = createShift({ scheduleId: draft.id, staffId: ann.id, location: 'Main St', startsAt: '2024-03-11T04:00', endsAt: '2024-03-11T12:00' });
+      expect(() => createTrade({ shiftId: draftShift.id, type: ShiftTradeType.DROP }, ann.id))
+        .toThrow('Only shifts in published schedules can be traded');
+    });
+
+    it('should not put a shift up for trade twice', () => {
+      createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+      expect(() => createTrade({ shiftId: annMonday.id, type: ShiftTradeType.SWAP }, ann.id))
+        .toThrow('This shift is already up for trade');
+    });
+
+    it('should let staff ask to pick up open shifts in their position', () => {
+      const open = shiftFor(null, '2024-03-06T04:00', '2024-03-06T12:00');
+      const cashier = createStaff({ name: 'Bob', position: 'Cashier', startDate: '2024-01-01' });
+
+      const trade = createTrade({ shiftId: open.id, type: ShiftTradeType.PICKUP }, ann.id, 'user-ann');
+      expect(trade.status).toBe(ShiftTradeStatus.CLAIMED);
+      expect(trade.claimedBy).toBe(ann.id);
+
+      cancelTrade(trade.id, 'user-ann');
+      expect(() => createTrade({ shiftId: open.id, type: ShiftTradeType.PICKUP }, cashier.id))
+        .toThrow('Bob does not work as Baker');
+      expect(() => createTrade({ shiftId: annMonday.id, type: ShiftTradeType.PICKUP }, carl.id))
+        .toThrow('Only open shifts can be picked up');
+    });
+
+    it('should refuse pickups that clash with the claimant\'s shifts', () => {
+      const open = shiftFor(null, '2024-03-04T08:00', '2024-03-04T16:00');
+
+      expect(() => createTrade({ shiftId: open.id, type: ShiftTradeType.PICKUP }, ann.id))
+        .toThrow('Ann is already working from 2024-03-04T04:00 to 2024-03-04T12:00');
+    });
+  });
+
+  describe('claimTrade', () => {
+    it('should let a colleague claim a drop', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+      const trade = claimTrade(offer.id, {}, carl.id, 'user-carl');
+      expect(trade.status).toBe(ShiftTradeStatus.CLAIMED);
+      expect(trade.claimedBy).toBe(carl.id);
+      expect(trade.history.map(entry => entry.status)).toEqual([ShiftTradeStatus.OPEN, ShiftTradeStatus.CLAIMED]);
+      expect(findShiftById(annMonday.id).staffId).toBe(ann.id);
+    });
+
+    it('should need a shift in return for a swap', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.SWAP }, ann.id);
+
+      expect(() => claimTrade(offer.id, {}, carl.id)).toThrow('Choose one of your shifts to swap in return');
+      expect(() => claimTrade(offer.id, { shiftId: annMonday.id }, carl.id)).toThrow('This shift is already up for trade');
+
+      const trade = claimTrade(offer.id, { shiftId: carlTuesday.id }, carl.id);
+      expect(trade.claimShift.id).toBe(carlTuesday.id);
+    });
+
+    it('should refuse claims on your own or closed trades', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+      expect(() => claimTrade(offer.id, {}, ann.id)).toThrow('You cannot claim your own shift');
+      claimTrade(offer.id, {}, carl.id);
+      expect(() => claimTrade(offer.id, {}, carl.id)).toThrow('This trade is not open for claims');
+      expect(() => claimTrade('missing', {}, carl.id)).toThrow('Shift trade not found');
+    });
+
+    it('should refuse claims that would go over weekly hours', () => {
+      const dee = createStaff({ name: 'Dee', position: 'Baker', startDate: '2024-01-01', maxWeeklyHours: 6 });
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+      let error;
+      try {
+        claimTrade(offer.id, {}, dee.id);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.conflicts).toEqual([expect.objectContaining({ type: 'weekly_hours' })]);
+      expect(error.message).toBe('Dee would be scheduled for 8 hours in the week of 2024-03-04 (limit 6)');
+    });
+  });
+
+  describe('approveTrade', () => {
+    it('should hand a dropped shift to the claimant', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+      claimTrade(offer.id, {}, carl.id);
+
+      const trade = approveTrade(offer.id, 'manager-1', 'Thanks Carl');
+      expect(trade.status).toBe(ShiftTradeStatus.APPROVED);
+      expect(trade.reviewedBy).toBe('manager-1');
+      expect(trade.reviewNote).toBe('Thanks Carl');
+      expect(findShiftById(annMonday.id).staffId).toBe(carl.id);
+    });
+
+    it('should swap shifts that would clash before the swap', () => {
+      const annLate = shiftFor(ann, '2024-03-06T13:00', '2024-03-06T18:00');
+      const carlLate = shiftFor(carl, '2024-03-06T14:00', '2024-03-06T19:00');
+      const offer = createTrade({ shiftId: annLate.id, type: ShiftTradeType.SWAP }, ann.id);
+      claimTrade(offer.id, { shiftId: carlLate.id }, carl.id);
+
+      approveTrade(offer.id, 'manager-1');
+
+      expect(findShiftById(annLate.id).staffId).toBe(carl.id);
+      expect(findShiftById(carlLate.id).staffId).toBe(ann.id);
+    });
+
+    it('should re-check the trade before applying it', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+      claimTrade(offer.id, {}, carl.id);
+      updateShift(carlTuesday.id, { startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T10:00' });
+
+      expect(() => approveTrade(offer.id, 'manager-1')).toThrow('Carl is already working');
+      expect(findTradeById(offer.id).status).toBe(ShiftTradeStatus.CLAIMED);
+      expect(findShiftById(annMonday.id).staffId).toBe(ann.id);
+    });
+
+    it('should refuse trades whose shifts have changed hands', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+      claimTrade(offer.id, {}, carl.id);
+      updateShift(annMonday.id, { staffId: null });
+
+      expect(() => approveTrade(offer.id, 'manager-1'))
+        .toThrow('One of these shifts has changed since the trade was offered');
+    });
+
+    it('should only approve claimed trades', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+      expect(() => approveTrade(offer.id, 'manager-1')).toThrow('This trade is not waiting for approval');
+    });
+  });
+
+  describe('denyTrade and cancelTrade', () => {
+    it('should deny a claim and leave the shifts alone', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+      claimTrade(offer.id, {}, carl.id);
+
+      const trade = denyTrade(offer.id, 'manager-1', 'Need Ann that day');
+      expect(trade.status).toBe(ShiftTradeStatus.DENIED);
+      expect(findShiftById(annMonday.id).staffId).toBe(ann.id);
+    });
+
+    it('should cancel open trades, and free the shift to be offered again', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+      expect(cancelTrade(offer.id, 'user-ann').status).toBe(ShiftTradeStatus.CANCELLED);
+      expect(() => cancelTrade(offer.id, 'user-ann')).toThrow('Only open or claimed trades can be cancelled');
+      expect(createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id).status).toBe(ShiftTradeStatus.OPEN);
+    });
+
+    it('should cancel every active trade for a shift', () => {
+      const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+      expect(cancelTradesForShift(annMonday.id, 'manager-1', 'Shift was deleted')).toBe(1);
+      const [, cancelled] = findTradeById(offer.id).history;
+      expect(cancelled).toMatchObject({ status: ShiftTradeStatus.CANCELLED, note: 'Shift was deleted' });
+    });
+  });
+
+  describe('getTrades', () => {
+    it('should filter by status, type, shift and staff member', () => {
+      const drop = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+      createTrade({ shiftId: carlTuesday.id, type: ShiftTradeType.SWAP }, carl.id);
+      claimTrade(drop.id, {}, carl.id);
+
+      expect(getTrades()).toHaveLength(2);
+      expect(getTrades({ status: ShiftTradeStatus.OPEN }).map(trade => trade.shiftId)).toEqual([carlTuesday.id]);
+      expect(getTrades({ type: ShiftTradeType.DROP })).toHaveLength(1);
+      expect(getTrades({ shiftId: annMonday.id })).toHaveLength(1);
+      expect(getTrades({ staffId: carl.id })).toHaveLength(2);
+      expect(getTrades({ staffId: ann.id })).toHaveLength(1);
+    });
+  });
+});
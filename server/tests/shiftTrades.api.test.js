@@ -0,0 +1,200 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearStaff, createStaff } = require('../src/models/staff');
+const {
+  clearSchedules,
+  createSchedule,
+  publishSchedule,
+  createShift,
+  findShiftById
+} = require('../src/models/schedule');
+const { clearAvailability } = require('../src/models/availability');
+const { clearShiftTrades, createTrade, claimTrade, ShiftTradeType } = require('../src/models/shiftTrade');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Shift Trades API', () => {
+  let managerToken;
+  let annToken;
+  let carlToken;
+  let outsiderToken;
+  let schedule;
+  let ann;
+  let carl;
+  let annMonday;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearSchedules();
+    clearAvailability();
+    clearShiftTrades();
+    clearAuditLog();
+
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    const annLogin = await createAuthenticatedUser({ role: UserRole.BAKER });
+    const carlLogin = await createAuthenticatedUser({ role: UserRole.BAKER });
+    ({ token: outsiderToken } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+    annToken = annLogin.token;
+    carlToken = carlLogin.token;
+
+    ann = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-01-01', userId: annLogin.user.id });
+    carl = createStaff({ name: 'Carl', position: 'Baker', startDate: '2024-01-01', userId: carlLogin.user.id });
+    schedule = createSchedule({ name: 'Week 10', location: 'Main St', startDate: '2024-03-04', endDate: '2024-03-10' });
+    annMonday = createShift({ scheduleId: schedule.id, staffId: ann.id, startsAt: '2024-03-04T04:00', endsAt: '2024-03-04T12:00' });
+    publishSchedule(schedule.id, 'manager-1');
+  });
+
+  it('should run a drop from offer to approval', async () => {
+    const offer = await request(app)
+      .post('/api/shift-trades')
+      .set('Authorization', `Bearer ${annToken}`)
+      .send({ shiftId: annMonday.id, type: 'drop', note: 'Dentist' });
+    expect(offer.status).toBe(201);
+    expect(offer.body.status).toBe('open');
+
+    const claim = await request(app)
+      .post(`/api/shift-trades/${offer.body.id}/claim`)
+      .set('Authorization', `Bearer ${carlToken}`)
+      .send({});
+    expect(claim.status).toBe(200);
+    expect(claim.body.status).toBe('claimed');
+
+    const approve = await request(app)
+      .post(`/api/shift-trades/${offer.body.id}/approve`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ note: 'OK' });
+    expect(approve.status).toBe(200);
+    expect(approve.body.history.map(entry => entry.status)).toEqual(['open', 'claimed', 'approved']);
+    expect(findShiftById(annMonday.id).staffId).toBe(carl.id);
+
+    const actions = queryAuditLog({ targetId: offer.body.id }).map(entry => entry.action);
+    expect(actions).toEqual(expect.arrayContaining([
+      AuditAction.SHIFT_TRADE_OFFER,
+      AuditAction.SHIFT_TRADE_CLAIM,
+      AuditAction.SHIFT_TRADE_APPROVE
+    ]));
+  });
+
+  it('should let staff pick up open shifts', async () => {
+    const open = createShift({ scheduleId: schedule.id, position: 'Baker', startsAt: '2024-03-05T04:00', endsAt: '2024-03-05T12:00' });
+
+    const openShifts = await request(app)
+      .get('/api/shifts?open=true')
+      .set('Authorization', `Bearer ${carlToken}`);
+    expect(openShifts.body.map(shift => shift.id)).toEqual([open.id]);
+
+    const response = await request(app)
+      .post('/api/shift-trades')
+      .set('Authorization', `Bearer ${carlToken}`)
+      .send({ shiftId: open.id, type: 'pickup' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.status).toBe('claimed');
+    expect(response.body.claimedBy).toBe(carl.id);
+  });
+
+  it('should not let staff offer someone else\'s shift', async () => {
+    const response = await request(app)
+      .post('/api/shift-trades')
+      .set('Authorization', `Bearer ${carlToken}`)
+      .send({ shiftId: annMonday.id, type: 'drop' });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should need a linked staff record to trade', async () => {
+    const response = await request(app)
+      .post('/api/shift-trades')
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .send({ shiftId: annMonday.id, type: 'drop' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Your account is not linked to a staff member');
+  });
+
+  it('should answer 409 with conflicts when a claim clashes', async () => {
+    createShift({ scheduleId: schedule.id, staffId: carl.id, startsAt: '2024-03-04T06:00', endsAt: '2024-03-04T10:00' });
+    const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+    const response = await request(app)
+      .post(`/api/shift-trades/${offer.id}/claim`)
+      .set('Authorization', `Bearer ${carlToken}`)
+      .send({});
+
+    expect(response.status).toBe(409);
+    expect(response.body.conflicts[0].type).toBe('double_booking');
+  });
+
+  it('should restrict approval to managers', async () => {
+    const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+    claimTrade(offer.id, {}, carl.id);
+
+    const response = await request(app)
+      .post(`/api/shift-trades/${offer.id}/approve`)
+      .set('Authorization', `Bearer ${carlToken}`)
+      .send({});
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Approving shift trades is restricted to managers');
+  });
+
+  it('should show staff open offers and their own trades only', async () => {
+    const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+    const browse = await request(app)
+      .get('/api/shift-trades')
+      .set('Authorization', `Bearer ${outsiderToken}`);
+    expect(browse.body.map(trade => trade.id)).toEqual([offer.id]);
+
+    claimTrade(offer.id, {}, carl.id);
+
+    const outsider = await request(app)
+      .get('/api/shift-trades')
+      .set('Authorization', `Bearer ${outsiderToken}`);
+    expect(outsider.body).toEqual([]);
+
+    const mine = await request(app)
+      .get('/api/shift-trades?mine=true')
+      .set('Authorization', `Bearer ${annToken}`);
+    expect(mine.body).toHaveLength(1);
+
+    const hidden = await request(app)
+      .get(`/api/shift-trades/${offer.id}`)
+      .set('Authorization', `Bearer ${outsiderToken}`);
+    expect(hidden.status).toBe(404);
+  });
+
+  it('should let only the people involved cancel a trade', async () => {
+    const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+    const denied = await request(app)
+      .post(`/api/shift-trades/${offer.id}/cancel`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .send({});
+    expect(denied.status).toBe(403);
+
+    const cancelled = await request(app)
+      .post(`/api/shift-trades/${offer.id}/cancel`)
+      .set('Authorization', `Bearer ${annToken}`)
+      .send({});
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.status).toBe('cancelled');
+  });
+
+  it('should cancel trades when their schedule is unpublished', async () => {
+    const offer = createTrade({ shiftId: annMonday.id, type: ShiftTradeType.DROP }, ann.id);
+
+    await request(app)
+      .post(`/api/schedules/${schedule.id}/unpublish`)
+      .set('Authorization', `Bearer ${managerToken}`);
+
+    const response = await request(app)
+      .get(`/api/shift-trades/${offer.id}`)
+      .set('Authorization', `Bearer ${managerToken}`);
+    expect(response.body.status).toBe('cancelled');
+  });
+});
@@ -0,0 +1,186 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearStaff, createStaff, findStaffById } = require('../src/models/staff');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+describe('Staff API', () => {
+  let managerToken;
+  let bakerToken;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearStaff();
+    clearAuditLog();
+    ({ token: managerToken } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: bakerToken } = await createAuthenticatedUser({ role: UserRole.BAKER }));
+  });
+
+  describe('GET /api/staff', () => {
+    beforeEach(() => {
+      createStaff({ name: 'Ann', position: 'Baker', startDate: '2020-01-01', hourlyRate: 15 });
+      createStaff({ name: 'Bob', position: 'Cashier', startDate: '2020-01-01', endDate: '2020-06-30' });
+    });
+
+    it('should list staff with pay for managers', async () => {
+      const response = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(member => member.name)).toEqual(['Ann', 'Bob']);
+      expect(response.body[0].hourlyRate).toBe(15);
+    });
+
+    it('should hide pay from colleagues', async () => {
+      const response = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${bakerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body[0].hourlyRate).toBeUndefined();
+    });
+
+    it('should filter active staff', async () => {
+      const response = await request(app)
+        .get('/api/staff?active=true')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.body.map(member => member.name)).toEqual(['Ann']);
+    });
+
+    it('should return stats', async () => {
+      const response = await request(app)
+        .get('/api/staff/stats')
+        .set('Authorization', `Bearer ${bakerToken}`);
+
+      expect(response.body).toEqual({ totalStaff: 2, activeStaff: 1, positions: 1, linkedUsers: 0 });
+    });
+
+    it('should return 403 without staff.view', async () => {
+      const { token } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/staff', () => {
+    it('should add a staff member linked to a user and audit it', async () => {
+      const { user } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({
+          name: 'Ann Baker',
+          email: 'ann@example.com',
+          phone: '555-0100',
+          position: 'Baker',
+          hourlyRate: 15.25,
+          employmentType: 'full_time',
+          startDate: '2024-03-01',
+          userId: user.id
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ name: 'Ann Baker', hourlyRate: 15.25, userId: user.id, active: true });
+
+      const [entry] = queryAuditLog({ action: AuditAction.STAFF_CREATE });
+      expect(entry.targetId).toBe(response.body.id);
+      expect(entry.changes.position).toEqual({ from: null, to: 'Baker' });
+    });
+
+    it('should validate input', async () => {
+      const response = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Ann', position: 'Baker', hourlyRate: -2, startDate: 'soon' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.path)).toEqual(['hourlyRate', 'startDate']);
+    });
+
+    it('should return 400 for an unknown linked user', async () => {
+      const response = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Ann', position: 'Baker', userId: 'missing' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Linked user not found');
+    });
+
+    it('should return 403 without staff.edit', async () => {
+      const response = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ name: 'Ann', position: 'Baker' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/staff/:id', () => {
+    it('should update a staff member and audit the diff', async () => {
+      const member = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-03-01' });
+
+      const response = await request(app)
+        .put(`/api/staff/${member.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ position: 'Head Baker', endDate: '2025-01-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.position).toBe('Head Baker');
+
+      const [entry] = queryAuditLog({ action: AuditAction.STAFF_UPDATE });
+      expect(entry.changes).toEqual({
+        position: { from: 'Baker', to: 'Head Baker' },
+        endDate: { from: null, to: '2025-01-31' }
+      });
+    });
+
+    it('should return 404 for an unknown staff member', async () => {
+      const response = await request(app)
+        .put('/api/staff/missing')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ position: 'Baker' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/staff/:id', () => {
+    it('should remove a staff member', async () => {
+      const member = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-03-01' });
+
+      const response = await request(app)
+        .delete(`/api/staff/${member.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(204);
+      expect(findStaffById(member.id)).toBeNull();
+      expect(queryAuditLog({ action: AuditAction.STAFF_DELETE })[0].metadata.name).toBe('Ann');
+    });
+  });
+
+  describe('deleting a linked user', () => {
+    it('should unlink the staff member', async () => {
+      const { token: adminToken } = await createAuthenticatedAdmin();
+      const { user } = await createAuthenticatedUser();
+      const member = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-03-01', userId: user.id });
+
+      await request(app)
+        .delete(`/api/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(findStaffById(member.id).userId).toBeNull();
+    });
+  });
+});
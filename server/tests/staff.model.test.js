@@ -0,0 +1,133 @@
+const {
+  EmploymentType,
+  isStaffActive,
+  createStaff,
+  findStaffById,
+  findStaffByUserId,
+  getAllStaff,
+  getStaffStats,
+  updateStaff,
+  deleteStaff,
+  unlinkUser,
+  clearStaff
+} = require('../src/models/staff');
+const { createUser, clearUsers } = require('../src/models/user');
+
+describe('Staff Model', () => {
+  beforeEach(() => {
+    clearStaff();
+    clearUsers();
+  });
+
+  describe('createStaff', () => {
+    it('should create a staff member with defaults', () => {
+      const member = createStaff({ name: ' Ann Baker ', position: 'Baker', startDate: '2024-03-01', email: 'Ann@Example.com' });
+
+      expect(member.id).toBeDefined();
+      expect(member.name).toBe('Ann Baker');
+      expect(member.email).toBe('ann@example.com');
+      expect(member.employmentType).toBe(EmploymentType.PART_TIME);
+      expect(member.hourlyRate).toBe(0);
+      expect(member.maxWeeklyHours).toBeNull();
+      expect(member.endDate).toBeNull();
+      expect(member.userId).toBeNull();
+      expect(member.active).toBe(true);
+    });
+
+    it('should require name and position', () => {
+      expect(() => createStaff({ name: 'Ann' })).toThrow('Name, position and start date are required');
+    });
+
+    it('should validate rate, hours, type and dates', () => {
+      const base = { name: 'Ann', position: 'Baker', startDate: '2024-03-01' };
+      expect(() => createStaff({ ...base, hourlyRate: -1 })).toThrow('Hourly rate must be a number of at least 0');
+      expect(() => createStaff({ ...base, maxWeeklyHours: -5 })).toThrow('Maximum weekly hours must be a number of at least 0');
+      expect(() => createStaff({ ...base, employmentType: 'seasonal' })).toThrow('Invalid employment type');
+      expect(() => createStaff({ ...base, startDate: '2024-02-30' })).toThrow('Dates must be in YYYY-MM-DD format');
+      expect(() => createStaff({ ...base, endDate: '2024-01-01' })).toThrow('End date cannot be before start date');
+    });
+
+    it('should link to at most one system user', async () => {
+      const user = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+      const member = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-03-01', userId: user.id });
+
+      expect(findStaffByUserId(user.id).id).toBe(member.id);
+      expect(() => createStaff({ name: 'Also Ann', position: 'Baker', startDate: '2024-03-01', userId: user.id }))
+        .toThrow('This user is already linked to another staff member');
+      expect(() => createStaff({ name: 'Ghost', position: 'Baker', startDate: '2024-03-01', userId: 'missing' }))
+        .toThrow('Linked user not found');
+    });
+  });
+
+  describe('isStaffActive', () => {
+    it('should check the active dates', () => {
+      const member = { startDate: '2024-03-01', endDate: '2024-06-30' };
+      expect(isStaffActive(member, '2024-02-29')).toBe(false);
+      expect(isStaffActive(member, '2024-03-01')).toBe(true);
+      expect(isStaffActive(member, '2024-06-30')).toBe(true);
+      expect(isStaffActive(member, '2024-07-01')).toBe(false);
+      expect(isStaffActive({ startDate: '2024-03-01', endDate: null }, '2030-01-01')).toBe(true);
+    });
+  });
+
+  describe('getAllStaff', () => {
+    beforeEach(() => {
+      createStaff({ name: 'Dan', position: 'Cashier', startDate: '2020-01-01', phone: '555-0101' });
+      createStaff({ name: 'ann', position: 'Baker', startDate: '2020-01-01', employmentType: EmploymentType.FULL_TIME });
+      createStaff({ name: 'Cal', position: 'Baker', startDate: '2020-01-01', endDate: '2020-12-31' });
+    });
+
+    it('should return staff sorted by name', () => {
+      expect(getAllStaff().map(member => member.name)).toEqual(['ann', 'Cal', 'Dan']);
+    });
+
+    it('should filter by search, position, employment type and active', () => {
+      expect(getAllStaff({ search: '0101' }).map(member => member.name)).toEqual(['Dan']);
+      expect(getAllStaff({ position: 'baker' }).map(member => member.name)).toEqual(['ann', 'Cal']);
+      expect(getAllStaff({ employmentType: EmploymentType.FULL_TIME }).map(member => member.name)).toEqual(['ann']);
+      expect(getAllStaff({ active: false }).map(member => member.name)).toEqual(['Cal']);
+    });
+
+    it('should count staff', () => {
+      expect(getStaffStats()).toEqual({ totalStaff: 3, activeStaff: 2, positions: 2, linkedUsers: 0 });
+    });
+  });
+
+  describe('updateStaff', () => {
+    it('should update fields and clear optional ones', () => {
+      const member = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-03-01', phone: '555' });
+
+      const updated = updateStaff(member.id, { hourlyRate: 14.5, maxWeeklyHours: 20, phone: '', endDate: '2024-12-31' });
+      expect(updated.hourlyRate).toBe(14.5);
+      expect(updated.maxWeeklyHours).toBe(20);
+      expect(updateStaff(member.id, { maxWeeklyHours: null }).maxWeeklyHours).toBeNull();
+      expect(updated.phone).toBeNull();
+      expect(updated.endDate).toBe('2024-12-31');
+      expect(updated.name).toBe('Ann');
+    });
+
+    it('should throw error when staff member not found', () => {
+      expect(() => updateStaff('missing', { name: 'X' })).toThrow('Staff member not found');
+    });
+  });
+
+  describe('deleteStaff', () => {
+    it('should delete a staff member', () => {
+      const member = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-03-01' });
+      deleteStaff(member.id);
+      expect(findStaffById(member.id)).toBeNull();
+      expect(() => deleteStaff(member.id)).toThrow('Staff member not found');
+    });
+  });
+
+  describe('unlinkUser', () => {
+    it('should clear the link to a user', async () => {
+      const user = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+      const member = createStaff({ name: 'Ann', position: 'Baker', startDate: '2024-03-01', userId: user.id });
+
+      expect(unlinkUser(user.id).id).toBe(member.id);
+      expect(findStaffById(member.id).userId).toBeNull();
+      expect(unlinkUser(user.id)).toBeNull();
+    });
+  });
+});
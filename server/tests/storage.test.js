@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { createFileStore } = require('../src/storage/fileStore');
+const { createFileLog } = require('../src/storage/appendLog');
+
+const emailIndex = {
+  email: record => record.email.toLowerCase()
+};
+
+describe('Storage', () => {
+  describe('createMemoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createMemoryStore({ indexes: emailIndex });
+    });
+
+    it('should insert and get records by id', () => {
+      store.insert({ id: '1', email: 'a@example.com' });
+      expect(store.get('1').email).toBe('a@example.com');
+      expect(store.get('missing')).toBeNull();
+      expect(store.count()).toBe(1);
+    });
+
+    it('should find records through a unique index', () => {
+      store.insert({ id: '1', email: 'A@example.com' });
+      expect(store.findBy('email', 'a@example.com').id).toBe('1');
+      expect(store.findBy('email', 'b@example.com')).toBeNull();
+    });
+
+    it('should reject duplicate index keys', () => {
+      store.insert({ id: '1', email: 'a@example.com' });
+      expect(() => store.insert({ id: '2', email: 'A@example.com' }))
+        .toThrow('Duplicate value for unique index "email"');
+    });
+
+    it('should re-index records on update', () => {
+      store.insert({ id: '1', email: 'a@example.com' });
+      store.update({ id: '1', email: 'b@example.com' });
+      expect(store.findBy('email', 'a@example.com')).toBeNull();
+      expect(store.findBy('email', 'b@example.com').id).toBe('1');
+    });
+
+    it('should drop records from indexes on remove', () => {
+      store.insert({ id: '1', email: 'a@example.com' });
+      expect(store.remove('1')).toBe(true);
+      expect(store.remove('1')).toBe(false);
+      expect(store.findBy('email', 'a@example.com')).toBeNull();
+    });
+
+    it('should throw for unknown indexes', () => {
+      expect(() => store.findBy('name', 'x')).toThrow('Unknown index "name"');
+    });
+  });
+
+  describe('createFileStore', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'justflour-store-'));
+      filePath = path.join(dir, 'records.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist records across instances', () => {
+      const first = createFileStore(filePath, { indexes: emailIndex });
+      first.insert({ id: '1', email: 'a@example.com' });
+      first.insert({ id: '2', email: 'b@example.com' });
+      first.remove('2');
+
+      const second = createFileStore(filePath, { indexes: emailIndex });
+      expect(second.count()).toBe(1);
+      expect(second.findBy('email', 'a@example.com').id).toBe('1');
+    });
+
+    it('should run pending migrations on load and record the schema version', () => {
+      fs.writeFileSync(filePath, JSON.stringify({
+        schemaVersion: 1,
+        records: [{ id: '1', email: 'a@example.com' }]
+      }));
+
+      const migrations = [
+        records => records,
+        records => records.map(record => ({ ...record, verified: false }))
+      ];
+      const store = createFileStore(filePath, { indexes: emailIndex, migrations });
+
+      expect(store.get('1').verified).toBe(false);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).schemaVersion).toBe(2);
+    });
+
+    it('should refuse files from a newer schema version', () => {
+      fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: 3, records: [] }));
+
+      expect(() => createFileStore(filePath, { migrations: [records => records] }))
+        .toThrow('schema version 3');
+    });
+  });
+
+  describe('createFileLog', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'justflour-log-'));
+      filePath = path.join(dir, 'log.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should append one line per record and read them back', () => {
+      const first = createFileLog(filePath);
+      first.append({ id: '1', action: 'a' });
+      first.append({ id: '2', action: 'b' });
+
+      expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(2);
+      const second = createFileLog(filePath);
+      expect(second.all().map(record => record.id)).toEqual(['1', '2']);
+    });
+
+    it('should take over the records of a record store file', () => {
+      const legacyPath = path.join(dir, 'log.json');
+      fs.writeFileSync(legacyPath, JSON.stringify({ schemaVersion: 1, records: [{ id: '1' }, { id: '2' }] }));
+
+      const log = createFileLog(filePath, { legacyPath });
+      log.append({ id: '3' });
+
+      expect(fs.existsSync(legacyPath)).toBe(false);
+      expect(createFileLog(filePath, { legacyPath }).all().map(record => record.id)).toEqual(['1', '2', '3']);
+    });
+
+    it('should skip a last line cut short by a crash', () => {
+      fs.writeFileSync(filePath, '{"id":"1"}\n{"id":"2"}\n{"id":');
+
+      const log = createFileLog(filePath);
+      expect(log.all().map(record => record.id)).toEqual(['1', '2']);
+      log.append({ id: '3' });
+      expect(createFileLog(filePath).all().map(record => record.id)).toEqual(['1', '2', '3']);
+
+      fs.writeFileSync(filePath, '{"id":\n{"id":"2"}\n');
+      expect(() => createFileLog(filePath)).toThrow('line 1 is not valid JSON');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { createProject, createTask, updateTask, clearProjects } = require('../src/models/project');
+const { createUser, clearUsers } = require('../src/models/user');
+const { getProjectSchedule, previewTaskDates } = require('../src/services/taskSchedule');
+
+describe('Task Schedule', () => {
+  let project;
+  let tins;
+  let bakes;
+  let labels;
+  let market;
+
+  beforeEach(async () => {
+    clearProjects();
+    clearUsers();
+
+    const owner = await createUser({ email: 'owner@example.com', password: 'password123', name: 'Olive' });
+    project = createProject({ name: 'Christmas market' }, owner.id);
+    tins = createTask(project.id, { title: 'Order tins', startDate: '2024-11-01', dueDate: '2024-11-03' }, owner.id);
+    bakes = createTask(project.id, {
+      title: 'Test bakes',
+      startDate: '2024-11-04',
+      dueDate: '2024-11-08',
+      dependsOn: [tins.id]
+    }, owner.id);
+    labels = createTask(project.id, {
+      title: 'Print labels',
+      startDate: '2024-11-04',
+      dueDate: '2024-11-05',
+      dependsOn: [tins.id]
+    }, owner.id);
+    market = createTask(project.id, {
+      title: 'Market opens',
+      milestone: true,
+      dueDate: '2024-11-08',
+      dependsOn: [bakes.id, labels.id]
+    }, owner.id);
+  });
+
+  const byTitle = schedule => Object.fromEntries(schedule.tasks.map(item => [item.title, item]));
+
+  describe('getProjectSchedule', () => {
+    it('should lay tasks out in order and find the critical path', () => {
+      const schedule = getProjectSchedule(project.id);
+      const tasks = byTitle(schedule);
+
+      expect(schedule).toEqual(expect.objectContaining({ start: '2024-11-01', finish: '2024-11-08' }));
+      expect(schedule.tasks.map(item => item.title)).toEqual(['Order tins', 'Print labels', 'Test bakes', 'Market opens']);
+      expect(schedule.criticalPath).toEqual([tins.id, bakes.id, market.id]);
+      expect(tasks['Print labels']).toEqual(expect.objectContaining({ start: '2024-11-04', finish: '2024-11-05', slack: 3, critical: false }));
+      expect(tasks['Market opens']).toEqual(expect.objectContaining({ start: '2024-11-08', finish: '2024-11-08', slack: 0, slipDays: 0 }));
+    });
+
+    it('should push dependents back when a predecessor runs late', () => {
+      updateTask(tins.id, { dueDate: '2024-11-05' });
+
+      const tasks = byTitle(getProjectSchedule(project.id));
+
+      expect(tasks['Test bakes']).toEqual(expect.objectContaining({ start: '2024-11-06', finish: '2024-11-10', slipDays: 2 }));
+      expect(tasks['Market opens']).toEqual(expect.objectContaining({ finish: '2024-11-10', slipDays: 2 }));
+    });
+
+    it('should start undated tasks with the project and give each a day', () => {
+      createTask(project.id, { title: 'Book stall' }, null);
+
+      const tasks = byTitle(getProjectSchedule(project.id));
+
+      expect(tasks['Book stall']).toEqual(expect.objectContaining({ start: '2024-11-01', finish: '2024-11-01', slack: 7 }));
+    });
+
+    it('should lay out an empty project and refuse unknown ones', () => {
+      const empty = createProject({ name: 'Shop refit' }, null);
+
+      expect(getProjectSchedule(empty.id)).toEqual({ projectId: empty.id, start: null, finish: null, criticalPath: [], tasks: [] });
+      expect(() => getProjectSchedule('missing')).toThrow('Project not found');
+    });
+  });
+
+  describe('previewTaskDates', () => {
+    it('should list the dependents that would slip without saving', () => {
+      const preview = previewTaskDates(tins.id, { dueDate: '2024-11-05' });
+
+      expect(preview.task).toEqual(expect.objectContaining({ taskId: tins.id, finish: '2024-11-05' }));
+      expect(preview).toEqual(expect.objectContaining({ finishFrom: '2024-11-08', finishTo: '2024-11-10' }));
+      expect(preview.slipped.map(item => [item.title, item.finishFrom, item.finishTo, item.days])).toEqual([
+        ['Print labels', '2024-11-05', '2024-11-07', 2],
+        ['Test bakes', '2024-11-08', '2024-11-10', 2],
+        ['Market opens', '2024-11-08', '2024-11-10', 2]
+      ]);
+      expect(byTitle(getProjectSchedule(project.id))['Order tins'].finish).toBe('2024-11-03');
+    });
+
+    it('should report nothing slipping when there is slack to absorb the change', () => {
+      expect(previewTaskDates(labels.id, { dueDate: '2024-11-08' }).slipped).toEqual([]);
+    });
+
+    it('should check the dates', () => {
+      expect(() => previewTaskDates(tins.id, { startDate: '2024-11-09' })).toThrow('Start date must not be after the due date');
+      expect(() => previewTaskDates(market.id, { dueDate: null })).toThrow('A milestone needs a due date');
+      expect(() => previewTaskDates('missing', {})).toThrow('Task not found');
+    });
+  });
+});
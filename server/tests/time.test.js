@@ -0,0 +1,61 @@
+const {
+  isDate,
+  isDateTime,
+  toMinutes,
+  fromMinutes,
+  addDays,
+  parseTimeOfDay,
+  weekdayOf,
+  startOfWeek,
+  toDateTimeString
+} = require('../src/utils/time');
+
+describe('Time utilities', () => {
+  it('should validate calendar dates', () => {
+    expect(isDate('2024-02-29')).toBe(true);
+    expect(isDate('2023-02-29')).toBe(false);
+    expect(isDate('2024-2-1')).toBe(false);
+    expect(isDate(null)).toBe(false);
+  });
+
+  it('should validate local date-times', () => {
+    expect(isDateTime('2024-03-04T06:30')).toBe(true);
+    expect(isDateTime('2024-03-04T24:00')).toBe(false);
+    expect(isDateTime('2024-03-04T06:30:00')).toBe(false);
+    expect(isDateTime('2024-03-04')).toBe(false);
+  });
+
+  it('should convert date-times to and from minutes', () => {
+    expect(toMinutes('2024-03-05T06:00') - toMinutes('2024-03-04T22:00')).toBe(8 * 60);
+    expect(fromMinutes(toMinutes('2024-03-04T22:15') + 120)).toBe('2024-03-05T00:15');
+  });
+
+  it('should add days across month ends', () => {
+    expect(addDays('2024-02-28', 2)).toBe('2024-03-01');
+    expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+  });
+
+  it('should parse times of day up to midnight', () => {
+    expect(parseTimeOfDay('04:30')).toBe(270);
+    expect(parseTimeOfDay('24:00')).toBe(1440);
+    expect(parseTimeOfDay('24:30')).toBeNull();
+    expect(parseTimeOfDay('12:60')).toBeNull();
+    expect(parseTimeOfDay('4:30')).toBeNull();
+  });
+
+  it('should name the day of the week', () => {
+    expect(weekdayOf('2024-03-04')).toBe('monday');
+    expect(weekdayOf('2024-03-10')).toBe('sunday');
+  });
+
+  it('should find the Monday starting a week', () => {
+    expect(startOfWeek('2024-03-04')).toBe('2024-03-04');
+    expect(startOfWeek('2024-03-07')).toBe('2024-03-04');
+    expect(startOfWeek('2024-03-10')).toBe('2024-03-04');
+    expect(startOfWeek('2024-03-01')).toBe('2024-02-26');
+  });
+
+  it('should format local date-times to the minute', () => {
+    expect(toDateTimeString(new Date(2024, 2, 4, 6, 5, 59))).toBe('2024-03-04T06:05');
+  });
+});
@@ -0,0 +1,209 @@
+const {
+  TimesheetStatus,
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  getOpenEntry,
+  findEntryById,
+  getEntries,
+  addEntry,
+  correctEntry,
+  findTimesheet,
+  getTimesheets,
+  approveTimesheet,
+  reopenTimesheet,
+  clearTimeClock
+} = require('../src/models/timeClock');
+const { createUser, clearUsers } = require('../src/models/user');
+
+describe('Time Clock Model', () => {
+  let ann;
+
+  beforeEach(async () => {
+    clearTimeClock();
+    clearUsers();
+    ann = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+  });
+
+  describe('punches', () => {
+    it('should clock in, take a break and clock out', () => {
+      const entry = clockIn(ann.id, '2024-03-04T06:00');
+      expect(entry.clockOutAt).toBeNull();
+      expect(getOpenEntry(ann.id).id).toBe(entry.id);
+
+      startBreak(ann.id, '2024-03-04T10:00');
+      endBreak(ann.id, '2024-03-04T10:30');
+      const done = clockOut(ann.id, '2024-03-04T14:00');
+
+      expect(done.clockOutAt).toBe('2024-03-04T14:00');
+      expect(done.breaks).toEqual([{ startAt: '2024-03-04T10:00', endAt: '2024-03-04T10:30' }]);
+      expect(done.original).toBeNull();
+      expect(getOpenEntry(ann.id)).toBeNull();
+    });
+
+    it('should refuse punches out of order', () => {
+      expect(() => clockOut(ann.id, '2024-03-04T14:00')).toThrow('You are not clocked in');
+      expect(() => startBreak(ann.id, '2024-03-04T10:00')).toThrow('You are not clocked in');
+
+      clockIn(ann.id, '2024-03-04T06:00');
+      expect(() => clockIn(ann.id, '2024-03-04T07:00')).toThrow('You are already clocked in');
+      expect(() => endBreak(ann.id, '2024-03-04T10:00')).toThrow('You are not on a break');
+
+      startBreak(ann.id, '2024-03-04T10:00');
+      expect(() => startBreak(ann.id, '2024-03-04T10:05')).toThrow('You are already on a break');
+      expect(() => clockOut(ann.id, '2024-03-04T05:00')).toThrow('Clock-out cannot be before clock-in');
+    });
+
+    it('should end a running break on clock-out', () => {
+      clockIn(ann.id, '2024-03-04T06:00');
+      startBreak(ann.id, '2024-03-04T13:45');
+
+      const done = clockOut(ann.id, '2024-03-04T14:00');
+
+      expect(done.breaks).toEqual([{ startAt: '2024-03-04T13:45', endAt: '2024-03-04T14:00' }]);
+    });
+
+    it('should leave a clock-in forgotten for over 24 hours to a manager', () => {
+      const entry = clockIn(ann.id, '2024-03-04T06:00');
+
+      expect(() => clockOut(ann.id, '2024-03-07T14:00'))
+        .toThrow('You have been clocked in for over 24 hours; ask a manager to correct this time entry');
+      expect(getOpenEntry(ann.id).id).toBe(entry.id);
+
+      const corrected = correctEntry(entry.id, { clockOutAt: '2024-03-04T14:00' }, 'manager-1', 'Forgot to clock out');
+      expect(corrected.clockOutAt).toBe('2024-03-04T14:00');
+    });
+  });
+
+  describe('getEntries', () => {
+    it('should filter by person and clock-in date', async () => {
+      const bob = await createUser({ email: 'bob@example.com', password: 'password123', name: 'Bob' });
+      clockIn(ann.id, '2024-03-04T06:00');
+      clockOut(ann.id, '2024-03-04T14:00');
+      clockIn(ann.id, '2024-03-11T06:00');
+      clockIn(bob.id, '2024-03-05T06:00');
+
+      expect(getEntries({ userId: ann.id })).toHaveLength(2);
+      expect(getEntries({ from: '2024-03-04', to: '2024-03-10' }).map(entry => entry.userId))
+        .toEqual([ann.id, bob.id]);
+    });
+  });
+
+  describe('corrections', () => {
+    let entry;
+
+    beforeEach(() => {
+      clockIn(ann.id, '2024-03-04T06:10');
+      entry = clockOut(ann.id, '2024-03-04T14:00');
+    });
+
+    it('should keep the original punches and every correction', () => {
+      correctEntry(entry.id, { clockInAt: '2024-03-04T06:00' }, 'manager-1', 'Forgot to clock in on time');
+      const corrected = correctEntry(entry.id, {
+        breaks: [{ startAt: '2024-03-04T10:00', endAt: '2024-03-04T10:30' }]
+      }, 'manager-2', 'Missed break punch');
+
+      expect(corrected.clockInAt).toBe('2024-03-04T06:00');
+      expect(corrected.breaks).toHaveLength(1);
+      expect(corrected.original).toEqual({ clockInAt: '2024-03-04T06:10', clockOutAt: '2024-03-04T14:00', breaks: [] });
+      expect(corrected.corrections).toEqual([
+        expect.objectContaining({ correctedBy: 'manager-1', reason: 'Forgot to clock in on time', previous: expect.objectContaining({ clockInAt: '2024-03-04T06:10' }) }),
+        expect.objectContaining({ correctedBy: 'manager-2', previous: expect.objectContaining({ clockInAt: '2024-03-04T06:00', breaks: [] }) })
+      ]);
+      expect(findEntryById(entry.id).original.clockInAt).toBe('2024-03-04T06:10');
+    });
+
+    it('should require a reason', () => {
+      expect(() => correctEntry(entry.id, { clockInAt: '2024-03-04T06:00' }, 'manager-1', ' '))
+        .toThrow('A reason is required');
+    });
+
+    it('should validate the corrected punches', () => {
+      expect(() => correctEntry(entry.id, { clockOutAt: '2024-03-04T05:00' }, 'manager-1', 'Typo'))
+        .toThrow('Clock-out cannot be before clock-in');
+      expect(() => correctEntry(entry.id, { clockOutAt: '2024-03-05T07:00' }, 'manager-1', 'Typo'))
+        .toThrow('A time entry cannot be longer than 24 hours');
+      expect(() => correctEntry(entry.id, { breaks: [{ startAt: '2024-03-04T13:50', endAt: '2024-03-04T14:20' }] }, 'manager-1', 'Typo'))
+        .toThrow('Breaks must be within the time entry');
+      expect(() => correctEntry(entry.id, {
+        breaks: [
+          { startAt: '2024-03-04T10:00', endAt: '2024-03-04T10:30' },
+          { startAt: '2024-03-04T10:15', endAt: '2024-03-04T10:45' }
+        ]
+      }, 'manager-1', 'Typo')).toThrow('Breaks cannot overlap');
+      expect(() => correctEntry(entry.id, { clockOutAt: null }, 'manager-1', 'Typo'))
+        .toThrow('Clock-out is required');
+      expect(() => correctEntry('missing', {}, 'manager-1', 'Typo')).toThrow('Time entry not found');
+    });
+
+    it('should refuse entries that overlap', () => {
+      clockIn(ann.id, '2024-03-04T16:00');
+      clockOut(ann.id, '2024-03-04T18:00');
+
+      expect(() => correctEntry(entry.id, { clockOutAt: '2024-03-04T16:30' }, 'manager-1', 'Stayed late'))
+        .toThrow('This overlaps another time entry');
+    });
+  });
+
+  describe('addEntry', () => {
+    it('should add a missed entry as a manual correction', () => {
+      const entry = addEntry({ userId: ann.id, clockInAt: '2024-03-05T06:00', clockOutAt: '2024-03-05T14:00' }, 'manager-1', 'Clock was broken');
+
+      expect(entry.manual).toBe(true);
+      expect(entry.original).toBeNull();
+      expect(entry.corrections).toEqual([expect.objectContaining({ correctedBy: 'manager-1', reason: 'Clock was broken', previous: null })]);
+    });
+
+    it('should need a known user and a clock-out', () => {
+      expect(() => addEntry({ userId: 'missing', clockInAt: '2024-03-05T06:00', clockOutAt: '2024-03-05T14:00' }, 'manager-1', 'Broken'))
+        .toThrow('User not found');
+      expect(() => addEntry({ userId: ann.id, clockInAt: '2024-03-05T06:00' }, 'manager-1', 'Broken'))
+        .toThrow('Clock-out is required');
+    });
+  });
+
+  describe('timesheets', () => {
+    const summary = { days: [], totals: { workedHours: 8 }, rules: {} };
+
+    beforeEach(() => {
+      clockIn(ann.id, '2024-03-04T06:00');
+      clockOut(ann.id, '2024-03-04T14:00');
+    });
+
+    it('should approve a week and lock its entries', () => {
+      const record = approveTimesheet(ann.id, '2024-03-04', summary, 'manager-1', 'Looks right');
+
+      expect(record.status).toBe(TimesheetStatus.APPROVED);
+      expect(record.summary).toEqual(summary);
+      expect(record.approvedBy).toBe('manager-1');
+      const [entry] = getEntries({ userId: ann.id });
+      expect(() => correctEntry(entry.id, { clockInAt: '2024-03-04T05:00' }, 'manager-1', 'Early start'))
+        .toThrow('This week\'s timesheet has already been approved');
+      expect(() => clockIn(ann.id, '2024-03-06T06:00')).toThrow('This week\'s timesheet has already been approved');
+      expect(() => approveTimesheet(ann.id, '2024-03-04', summary, 'manager-1')).toThrow('Timesheet is already approved');
+    });
+
+    it('should not move an entry into an approved week', () => {
+      approveTimesheet(ann.id, '2024-03-11', summary, 'manager-1');
+      const [entry] = getEntries({ userId: ann.id });
+
+      expect(() => correctEntry(entry.id, { clockInAt: '2024-03-11T06:00', clockOutAt: '2024-03-11T14:00' }, 'manager-1', 'Wrong week'))
+        .toThrow('This week\'s timesheet has already been approved');
+    });
+
+    it('should reopen an approved week', () => {
+      approveTimesheet(ann.id, '2024-03-04', summary, 'manager-1');
+      const record = reopenTimesheet(ann.id, '2024-03-04', 'manager-2', 'Missed a shift');
+
+      expect(record.status).toBe(TimesheetStatus.OPEN);
+      expect(record.summary).toBeNull();
+      expect(record.history.map(item => item.status)).toEqual([TimesheetStatus.APPROVED, TimesheetStatus.OPEN]);
+      expect(() => reopenTimesheet(ann.id, '2024-03-04', 'manager-2')).toThrow('Timesheet is not approved');
+
+      approveTimesheet(ann.id, '2024-03-04', summary, 'manager-1');
+      expect(getTimesheets({ status: TimesheetStatus.APPROVED })).toHaveLength(1);
+      expect(findTimesheet(ann.id, '2024-03-04').history).toHaveLength(3);
+    });
+  });
+});
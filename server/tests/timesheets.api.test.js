@@ -0,0 +1,230 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { clearTimeClock, addEntry } = require('../src/models/timeClock');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { parseCsvObjects } = require('../src/utils/csv');
+const { createAuthenticatedUser } = require('./helpers');
+
+describe('Time Clock and Timesheets API', () => {
+  let bakerToken;
+  let baker;
+  let managerToken;
+  let manager;
+  let accountantToken;
+
+  const missedEntry = (userId, clockInAt, clockOutAt) =>
+    addEntry({ userId, clockInAt, clockOutAt }, 'setup', 'Missed punch');
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearTimeClock();
+    clearAuditLog();
+
+    ({ token: bakerToken, user: baker } = await createAuthenticatedUser({ role: UserRole.BAKER, name: 'Ann Baker' }));
+    ({ token: managerToken, user: manager } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER }));
+    ({ token: accountantToken } = await createAuthenticatedUser({ role: UserRole.ACCOUNTANT }));
+  });
+
+  describe('punches', () => {
+    it('should clock in, take a break and clock out', async () => {
+      const clockIn = await request(app).post('/api/time-clock/clock-in').set('Authorization', `Bearer ${bakerToken}`);
+      expect(clockIn.status).toBe(201);
+      expect(clockIn.body.userId).toBe(baker.id);
+
+      await request(app).post('/api/time-clock/break/start').set('Authorization', `Bearer ${bakerToken}`).expect(200);
+      const status = await request(app).get('/api/time-clock/status').set('Authorization', `Bearer ${bakerToken}`);
+      expect(status.body).toEqual(expect.objectContaining({ clockedIn: true, onBreak: true }));
+
+      await request(app).post('/api/time-clock/break/end').set('Authorization', `Bearer ${bakerToken}`).expect(200);
+      const clockOut = await request(app).post('/api/time-clock/clock-out').set('Authorization', `Bearer ${bakerToken}`);
+      expect(clockOut.status).toBe(200);
+      expect(clockOut.body.clockOutAt).not.toBeNull();
+      expect(clockOut.body.breaks).toHaveLength(1);
+    });
+
+    it('should answer 409 for punches out of order', async () => {
+      const response = await request(app).post('/api/time-clock/clock-out').set('Authorization', `Bearer ${bakerToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('You are not clocked in');
+    });
+
+    it('should require login', async () => {
+      await request(app).post('/api/time-clock/clock-in').expect(401);
+    });
+  });
+
+  describe('entries', () => {
+    let entry;
+
+    beforeEach(() => {
+      entry = missedEntry(baker.id, '2024-03-04T06:10', '2024-03-04T14:00');
+      missedEntry(manager.id, '2024-03-04T08:00', '2024-03-04T16:00');
+    });
+
+    it('should only show staff their own entries', async () => {
+      const own = await request(app).get('/api/time-clock/entries').set('Authorization', `Bearer ${bakerToken}`);
+      const all = await request(app).get('/api/time-clock/entries').set('Authorization', `Bearer ${managerToken}`);
+      const other = await request(app)
+        .get(`/api/time-clock/entries?userId=${manager.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+
+      expect(own.body.map(item => item.userId)).toEqual([baker.id]);
+      expect(all.body).toHaveLength(2);
+      expect(other.body).toEqual([]);
+    });
+
+    it('should let managers correct entries, keeping the original', async () => {
+      const response = await request(app)
+        .put(`/api/time-clock/entries/${entry.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ clockInAt: '2024-03-04T06:00', reason: 'Clock was slow' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.clockInAt).toBe('2024-03-04T06:00');
+      expect(response.body.corrections[1]).toEqual(expect.objectContaining({ correctedBy: manager.id, reason: 'Clock was slow' }));
+
+      const [event] = queryAuditLog({ action: AuditAction.TIME_ENTRY_CORRECT });
+      expect(event.changes).toEqual({ clockInAt: { from: '2024-03-04T06:10', to: '2024-03-04T06:00' } });
+      expect(event.metadata.reason).toBe('Clock was slow');
+    });
+
+    it('should refuse corrections without a reason or permission', async () => {
+      const noReason = await request(app)
+        .put(`/api/time-clock/entries/${entry.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ clockInAt: '2024-03-04T06:00' });
+      const staff = await request(app)
+        .put(`/api/time-clock/entries/${entry.id}`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .send({ clockInAt: '2024-03-04T06:00', reason: 'Early' });
+
+      expect(noReason.status).toBe(400);
+      expect(staff.status).toBe(403);
+    });
+
+    it('should not let managers correct their own entries', async () => {
+      const [own] = (await request(app)
+        .get(`/api/time-clock/entries?userId=${manager.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)).body;
+
+      const response = await request(app)
+        .put(`/api/time-clock/entries/${own.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ clockOutAt: '2024-03-04T18:00', reason: 'Overtime' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should let managers add a missed entry', async () => {
+      const response = await request(app)
+        .post('/api/time-clock/entries')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ userId: baker.id, clockInAt: '2024-03-05T06:00', clockOutAt: '2024-03-05T14:00', reason: 'Forgot to punch' });
+      const overlapping = await request(app)
+        .post('/api/time-clock/entries')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ userId: baker.id, clockInAt: '2024-03-05T13:00', clockOutAt: '2024-03-05T15:00', reason: 'Again' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.manual).toBe(true);
+      expect(overlapping.status).toBe(409);
+      expect(queryAuditLog({ action: AuditAction.TIME_ENTRY_CREATE })).toHaveLength(1);
+    });
+  });
+
+  describe('timesheets', () => {
+    beforeEach(() => {
+      missedEntry(baker.id, '2024-03-04T20:00', '2024-03-05T06:00');
+      missedEntry(manager.id, '2024-03-06T08:00', '2024-03-06T16:00');
+    });
+
+    it('should show staff their own week and managers everyone', async () => {
+      const own = await request(app).get('/api/timesheets?week=2024-03-06').set('Authorization', `Bearer ${bakerToken}`);
+      const all = await request(app).get('/api/timesheets?week=2024-03-06').set('Authorization', `Bearer ${managerToken}`);
+
+      expect(own.body).toHaveLength(1);
+      expect(own.body[0]).toEqual(expect.objectContaining({ userId: baker.id, weekStart: '2024-03-04', status: 'open' }));
+      expect(own.body[0].totals).toEqual(expect.objectContaining({ regularHours: 10, lateNightHours: 8 }));
+      expect(all.body.map(item => item.userId).sort()).toEqual([baker.id, manager.id].sort());
+    });
+
+    it('should hide other people\'s timesheets from staff', async () => {
+      await request(app)
+        .get(`/api/timesheets/${manager.id}/2024-03-04`)
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .expect(404);
+      await request(app)
+        .get(`/api/timesheets/${baker.id}/2024-03-04`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+    });
+
+    it('should approve and reopen a week', async () => {
+      const approve = await request(app)
+        .post(`/api/timesheets/${baker.id}/2024-03-07/approve`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ note: 'Checked against the rota' });
+
+      expect(approve.status).toBe(200);
+      expect(approve.body).toEqual(expect.objectContaining({ status: 'approved', approvedBy: manager.id, weekStart: '2024-03-04' }));
+      expect(queryAuditLog({ action: AuditAction.TIMESHEET_APPROVE })[0].targetId).toBe(baker.id);
+
+      const again = await request(app)
+        .post(`/api/timesheets/${baker.id}/2024-03-04/approve`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(again.status).toBe(409);
+
+      const reopen = await request(app)
+        .post(`/api/timesheets/${baker.id}/2024-03-04/reopen`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ note: 'Missing a break' });
+      expect(reopen.status).toBe(200);
+      expect(reopen.body.status).toBe('open');
+    });
+
+    it('should not let people approve their own timesheet', async () => {
+      const own = await request(app)
+        .post(`/api/timesheets/${manager.id}/2024-03-04/approve`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      const staff = await request(app)
+        .post(`/api/timesheets/${manager.id}/2024-03-04/approve`)
+        .set('Authorization', `Bearer ${bakerToken}`);
+
+      expect(own.status).toBe(403);
+      expect(staff.status).toBe(403);
+    });
+
+    it('should export approved timesheets as CSV', async () => {
+      await request(app)
+        .post(`/api/timesheets/${baker.id}/2024-03-04/approve`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/timesheets/export?from=2024-03-01&to=2024-03-31')
+        .set('Authorization', `Bearer ${accountantToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(parseCsvObjects(response.text)).toEqual([expect.objectContaining({
+        weekStart: '2024-03-04',
+        name: 'Ann Baker',
+        regularHours: '10',
+        overtimeHours: '0',
+        lateNightHours: '8'
+      })]);
+      expect(queryAuditLog({ action: AuditAction.TIMESHEET_EXPORT })[0].metadata.count).toBe(1);
+    });
+
+    it('should restrict the export', async () => {
+      await request(app)
+        .get('/api/timesheets/export')
+        .set('Authorization', `Bearer ${bakerToken}`)
+        .expect(403);
+    });
+  });
+});
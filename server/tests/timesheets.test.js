@@ -0,0 +1,147 @@
+const {
+  TimesheetStatus,
+  clockIn,
+  clockOut,
+  addEntry,
+  correctEntry,
+  getEntries,
+  clearTimeClock
+} = require('../src/models/timeClock');
+const { createUser, clearUsers } = require('../src/models/user');
+const {
+  calculateHours,
+  buildTimesheet,
+  getWeekTimesheets,
+  approveWeek,
+  getPayrollRows
+} = require('../src/services/timesheets');
+
+describe('Timesheets', () => {
+  const rules = { overtimeWeeklyHours: 40, overtimeDailyHours: 0, lateNightStart: '22:00', lateNightEnd: '06:00' };
+  const entry = (clockInAt, clockOutAt, breaks = []) => ({ clockInAt, clockOutAt, breaks });
+
+  describe('calculateHours', () => {
+    it('should leave out breaks', () => {
+      const { days, totals } = calculateHours([
+        entry('2024-03-04T08:00', '2024-03-04T16:30', [{ startAt: '2024-03-04T12:00', endAt: '2024-03-04T12:30' }])
+      ], rules);
+
+      expect(days).toEqual([{ date: '2024-03-04', workedHours: 8, breakHours: 0.5, regularHours: 8, overtimeHours: 0, lateNightHours: 0 }]);
+      expect(totals.workedHours).toBe(8);
+    });
+
+    it('should count hours past the weekly limit as overtime', () => {
+      const week = ['04', '05', '06', '07', '08'].map(day => entry(`2024-03-${day}T08:00`, `2024-03-${day}T17:00`));
+
+      const { days, totals } = calculateHours(week, rules);
+
+      expect(totals).toEqual({ workedHours: 45, breakHours: 0, regularHours: 40, overtimeHours: 5, lateNightHours: 0 });
+      expect(days[4]).toEqual(expect.objectContaining({ regularHours: 4, overtimeHours: 5 }));
+    });
+
+    it('should apply a daily limit when one is set', () => {
+      const { totals } = calculateHours([
+        entry('2024-03-04T06:00', '2024-03-04T12:00'),
+        entry('2024-03-04T13:00', '2024-03-04T17:00'),
+        entry('2024-03-05T06:00', '2024-03-05T12:00')
+      ], { ...rules, overtimeDailyHours: 8 });
+
+      expect(totals).toEqual(expect.objectContaining({ workedHours: 16, regularHours: 14, overtimeHours: 2 }));
+    });
+
+    it('should count late-night hours across midnight', () => {
+      const { days } = calculateHours([
+        entry('2024-03-04T20:00', '2024-03-05T07:00', [{ startAt: '2024-03-05T01:00', endAt: '2024-03-05T01:30' }]),
+        entry('2024-03-06T03:00', '2024-03-06T09:00')
+      ], rules);
+
+      expect(days).toEqual([
+        expect.objectContaining({ date: '2024-03-04', workedHours: 10.5, lateNightHours: 7.5 }),
+        expect.objectContaining({ date: '2024-03-06', workedHours: 6, lateNightHours: 3 })
+      ]);
+    });
+
+    it('should support a late-night window within one day', () => {
+      const { totals } = calculateHours([entry('2024-03-04T18:00', '2024-03-04T23:00')],
+        { ...rules, lateNightStart: '20:00', lateNightEnd: '23:30' });
+
+      expect(totals.lateNightHours).toBe(3);
+    });
+
+    it('should ignore entries still clocked in', () => {
+      const { days, totals } = calculateHours([entry('2024-03-04T08:00', null)], rules);
+
+      expect(days).toEqual([]);
+      expect(totals.workedHours).toBe(0);
+    });
+  });
+
+  describe('weekly timesheets', () => {
+    let ann;
+    let bob;
+
+    beforeEach(async () => {
+      clearTimeClock();
+      clearUsers();
+      ann = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+      bob = await createUser({ email: 'bob@example.com', password: 'password123', name: 'Bob' });
+      addEntry({ userId: ann.id, clockInAt: '2024-03-04T06:00', clockOutAt: '2024-03-04T14:00' }, 'manager-1', 'Missed punch');
+      addEntry({ userId: bob.id, clockInAt: '2024-03-05T22:00', clockOutAt: '2024-03-06T06:00' }, 'manager-1', 'Missed punch');
+    });
+
+    it('should build a timesheet for any date in the week', () => {
+      const timesheet = buildTimesheet(ann.id, '2024-03-04');
+
+      expect(timesheet).toEqual(expect.objectContaining({
+        name: 'Ann',
+        weekStart: '2024-03-04',
+        weekEnd: '2024-03-10',
+        status: TimesheetStatus.OPEN,
+        clockedIn: false
+      }));
+      expect(timesheet.entries).toHaveLength(1);
+      expect(timesheet.totals.regularHours).toBe(8);
+      expect(getWeekTimesheets('2024-03-04').map(item => item.name)).toEqual(['Ann', 'Bob']);
+    });
+
+    it('should approve a week with its hours', () => {
+      const timesheet = approveWeek(bob.id, '2024-03-04', 'manager-1', 'OK');
+
+      expect(timesheet.status).toBe(TimesheetStatus.APPROVED);
+      expect(timesheet.approvedBy).toBe('manager-1');
+      expect(timesheet.totals).toEqual(expect.objectContaining({ workedHours: 8, lateNightHours: 8 }));
+    });
+
+    it('should refuse weeks with nothing to approve or someone still clocked in', () => {
+      expect(() => approveWeek(ann.id, '2024-03-11', 'manager-1')).toThrow('There are no time entries this week');
+
+      clockIn(ann.id, '2024-03-05T06:00');
+      expect(() => approveWeek(ann.id, '2024-03-04', 'manager-1')).toThrow('Cannot approve a timesheet while still clocked in');
+      clockOut(ann.id, '2024-03-05T10:00');
+      expect(approveWeek(ann.id, '2024-03-04', 'manager-1').totals.workedHours).toBe(12);
+    });
+
+    it('should keep the approved hours', () => {
+      approveWeek(ann.id, '2024-03-04', 'manager-1');
+      const [annEntry] = getEntries({ userId: ann.id });
+
+      expect(() => correctEntry(annEntry.id, { clockOutAt: '2024-03-04T15:00' }, 'manager-1', 'Late'))
+        .toThrow('This week\'s timesheet has already been approved');
+      expect(buildTimesheet(ann.id, '2024-03-04').totals.workedHours).toBe(8);
+    });
+
+    it('should list approved weeks for payroll', () => {
+      approveWeek(ann.id, '2024-03-04', 'manager-1');
+
+      expect(getPayrollRows()).toEqual([expect.objectContaining({
+        weekStart: '2024-03-04',
+        name: 'Ann',
+        email: 'ann@example.com',
+        regularHours: 8,
+        overtimeHours: 0,
+        approvedBy: 'manager-1'
+      })]);
+      expect(getPayrollRows({ from: '2024-03-11' })).toEqual([]);
+    });
+  });
+});
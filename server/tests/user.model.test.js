@@ -1,16 +1,35 @@
 const {
   UserRole,
   UserStatus,
+  ApprovalStatus,
   createUser,
   findUserById,
   findUserByEmail,
   getAllUsers,
+  queryUsers,
   getUserStats,
+  getPendingApprovals,
+  approveUser,
+  rejectUser,
   updateUser,
   deleteUser,
+  markEmailVerified,
+  setPassword,
+  updateOwnProfile,
+  changePassword,
+  getLoginSecurity,
+  unlockUser,
   verifyPassword,
+  addCertification,
+  updateCertification,
+  removeCertification,
+  findMissingCertifications,
+  mentionHandle,
+  resolveMentions,
   clearUsers
 } = require('../src/models/user');
+const { Permission, createRole, clearCustomRoles } = require('../src/models/role');
+const config = require('../src/config');
 
 describe('User Model', () => {
   beforeEach(() => {
@@ -40,6 +59,15 @@ describe('User Model', () => {
         .rejects.toThrow('Email, password, and name are required');
     });
 
+    it('should throw error for an unknown role', async () => {
+      await expect(createUser({
+        email: 'test@example.com',
+        password: 'password123',
+        name: 'Test User',
+        role: 'wizard'
+      })).rejects.toThrow('Invalid role');
+    });
+
     it('should throw error when email already exists', async () => {
       await createUser({
         email: 'test@example.com',
@@ -165,12 +193,78 @@ describe('User Model', () => {
     });
   });
 
+  describe('queryUsers', () => {
+    beforeEach(async () => {
+      for (const name of ['Dora', 'alice', 'Carl', 'Bob', 'Eve']) {
+        await createUser({
+          email: `${name.toLowerCase()}@example.com`,
+          password: 'password123',
+          name,
+          role: name === 'Eve' ? UserRole.BAKER : UserRole.USER
+        });
+      }
+    });
+
+    it('should sort by name ignoring case, ascending or descending', () => {
+      expect(queryUsers({ sort: 'name' }).users.map(u => u.name))
+        .toEqual(['alice', 'Bob', 'Carl', 'Dora', 'Eve']);
+      expect(queryUsers({ sort: '-name' }).users.map(u => u.name))
+        .toEqual(['Eve', 'Dora', 'Carl', 'Bob', 'alice']);
+    });
+
+    it('should return every user exactly once across pages', () => {
+      const seen = [];
+      let cursor;
+      do {
+        const page = queryUsers({ sort: 'name', limit: 2, cursor });
+        expect(page.total).toBe(5);
+        seen.push(...page.users.map(u => u.name));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(['alice', 'Bob', 'Carl', 'Dora', 'Eve']);
+    });
+
+    it('should keep its place when earlier users are removed', () => {
+      const first = queryUsers({ sort: 'name', limit: 2 });
+      deleteUser(first.users[0].id, { id: 'admin', role: UserRole.ADMIN });
+
+      const second = queryUsers({ sort: 'name', limit: 2, cursor: first.nextCursor });
+      expect(second.users.map(u => u.name)).toEqual(['Carl', 'Dora']);
+    });
+
+    it('should reject a cursor from a different sort', () => {
+      const { nextCursor } = queryUsers({ sort: 'name', limit: 2 });
+      expect(() => queryUsers({ sort: 'email', cursor: nextCursor })).toThrow('Invalid cursor');
+      expect(() => queryUsers({ cursor: 'garbage' })).toThrow('Invalid cursor');
+    });
+
+    it('should put users who never logged in last when sorting by last login', async () => {
+      await verifyPassword('carl@example.com', 'password123');
+
+      expect(queryUsers({ sort: 'lastLoginAt' }).users[0].name).toBe('Carl');
+      expect(queryUsers({ sort: '-lastLoginAt' }).users[0].name).toBe('Carl');
+    });
+
+    it('should filter by last login and several roles', async () => {
+      await verifyPassword('carl@example.com', 'password123');
+      const future = new Date(Date.now() + 60000).toISOString();
+      const past = new Date(Date.now() - 60000).toISOString();
+
+      expect(queryUsers({ lastLoginAfter: past }).users.map(u => u.name)).toEqual(['Carl']);
+      expect(queryUsers({ lastLoginBefore: past }).total).toBe(4);
+      expect(queryUsers({ lastLoginBefore: future }).total).toBe(5);
+      expect(queryUsers({ role: [UserRole.BAKER, UserRole.ADMIN] }).users.map(u => u.name)).toEqual(['Eve']);
+    });
+  });
+
   describe('getUserStats', () => {
     it('should return correct stats for empty users', () => {
       const stats = getUserStats();
       expect(stats.totalUsers).toBe(0);
       expect(stats.activeUsers).toBe(0);
       expect(stats.administrators).toBe(0);
+      expect(stats.pendingApprovals).toBe(0);
     });
 
     it('should return correct stats for users', async () => {
@@ -271,6 +365,207 @@ describe('User Model', () => {
     });
   });
 
+  describe('changing users with higher roles', () => {
+    let owner;
+    const editor = { id: 'editor-id', role: 'people_lead' };
+
+    beforeEach(async () => {
+      clearCustomRoles();
+      createRole({
+        name: 'people_lead',
+        label: 'People Lead',
+        permissions: [Permission.USERS_VIEW, Permission.USERS_EDIT, Permission.USERS_DELETE]
+      });
+      owner = await createUser({ email: 'owner@example.com', password: 'password123', name: 'Olive Owner', role: UserRole.OWNER });
+    });
+
+    afterAll(() => {
+      clearCustomRoles();
+    });
+
+    it('should stop a custom-role editor changing, unlocking or deleting an owner', () => {
+      const refused = 'You cannot change a user whose role has permissions you do not have';
+
+      expect(() => updateUser(owner.id, { status: UserStatus.INACTIVE }, editor)).toThrow(refused);
+      expect(() => updateUser(owner.id, { role: 'people_lead' }, editor)).toThrow(refused);
+      expect(() => unlockUser(owner.id, editor)).toThrow(refused);
+      expect(() => deleteUser(owner.id, editor)).toThrow(refused);
+      expect(findUserById(owner.id).status).toBe(UserStatus.ACTIVE);
+    });
+
+    it('should still let them change users they outrank', async () => {
+      const baker = await createUser({ email: 'baker@example.com', password: 'password123', name: 'Ben Baker', role: UserRole.USER });
+
+      expect(updateUser(baker.id, { name: 'Benjamin Baker' }, editor).name).toBe('Benjamin Baker');
+      expect(deleteUser(baker.id, editor)).toBe(true);
+    });
+  });
+
+  describe('markEmailVerified', () => {
+    it('should verify the email and activate a pending user', async () => {
+      const created = await createUser({
+        email: 'pending@example.com',
+        password: 'password123',
+        name: 'Pending User',
+        status: UserStatus.PENDING
+      });
+      expect(created.emailVerified).toBe(false);
+
+      const verified = markEmailVerified(created.id);
+      expect(verified.emailVerified).toBe(true);
+      expect(verified.emailVerifiedAt).toBeDefined();
+      expect(verified.status).toBe(UserStatus.ACTIVE);
+    });
+
+    it('should not reactivate an inactive user', async () => {
+      const created = await createUser({
+        email: 'inactive@example.com',
+        password: 'password123',
+        name: 'Inactive User',
+        status: UserStatus.INACTIVE
+      });
+
+      expect(markEmailVerified(created.id).status).toBe(UserStatus.INACTIVE);
+    });
+
+    it('should keep a user awaiting approval pending', async () => {
+      const created = await createUser({
+        email: 'pending@example.com',
+        password: 'password123',
+        name: 'Pending User',
+        status: UserStatus.PENDING,
+        requiresApproval: true
+      });
+
+      const verified = markEmailVerified(created.id);
+      expect(verified.emailVerified).toBe(true);
+      expect(verified.status).toBe(UserStatus.PENDING);
+    });
+
+    it('should throw error when user not found', () => {
+      expect(() => markEmailVerified('non-existent')).toThrow('User not found');
+    });
+  });
+
+  describe('signup approval', () => {
+    const adminUser = { id: 'admin-id', role: UserRole.ADMIN };
+    const regularUser = { id: 'user-id', role: UserRole.USER };
+    let pendingUser;
+
+    beforeEach(async () => {
+      pendingUser = await createUser({
+        email: 'pending@example.com',
+        password: 'password123',
+        name: 'Pending User',
+        status: UserStatus.PENDING,
+        requiresApproval: true
+      });
+    });
+
+    it('should list users awaiting approval', async () => {
+      await createUser({ email: 'other@example.com', password: 'password123', name: 'Other' });
+
+      const pending = getPendingApprovals();
+      expect(pending.map(u => u.id)).toEqual([pendingUser.id]);
+      expect(pending[0].password).toBeUndefined();
+      expect(getUserStats().pendingApprovals).toBe(1);
+    });
+
+    it('should activate a verified user on approval', () => {
+      markEmailVerified(pendingUser.id);
+
+      const approved = approveUser(pendingUser.id, adminUser);
+      expect(approved.approvalStatus).toBe(ApprovalStatus.APPROVED);
+      expect(approved.approvalReviewedBy).toBe('admin-id');
+      expect(approved.status).toBe(UserStatus.ACTIVE);
+    });
+
+    it('should keep an unverified user pending until they verify', () => {
+      expect(approveUser(pendingUser.id, adminUser).status).toBe(UserStatus.PENDING);
+      expect(markEmailVerified(pendingUser.id).status).toBe(UserStatus.ACTIVE);
+    });
+
+    it('should deactivate a rejected user and keep the reason', () => {
+      const rejected = rejectUser(pendingUser.id, ' Not on the team ', adminUser);
+      expect(rejected.approvalStatus).toBe(ApprovalStatus.REJECTED);
+      expect(rejected.status).toBe(UserStatus.INACTIVE);
+      expect(rejected.rejectionReason).toBe('Not on the team');
+      expect(getPendingApprovals()).toHaveLength(0);
+    });
+
+    it('should refuse users without the approve permission', () => {
+      expect(() => approveUser(pendingUser.id, regularUser))
+        .toThrow('Approving signups is restricted to administrators only');
+      expect(() => rejectUser(pendingUser.id, null, regularUser))
+        .toThrow('Approving signups is restricted to administrators only');
+    });
+
+    it('should refuse users that are not awaiting approval', () => {
+      approveUser(pendingUser.id, adminUser);
+      expect(() => rejectUser(pendingUser.id, null, adminUser))
+        .toThrow('User is not awaiting approval');
+    });
+  });
+
+  describe('setPassword', () => {
+    it('should replace the password', async () => {
+      const created = await createUser({
+        email: 'test@example.com',
+        password: 'oldpassword',
+        name: 'Test User'
+      });
+
+      await setPassword(created.id, 'newpassword');
+
+      expect(await verifyPassword('test@example.com', 'newpassword')).not.toBeNull();
+      expect(await verifyPassword('test@example.com', 'oldpassword')).toBeNull();
+    });
+
+    it('should throw error when user not found', async () => {
+      await expect(setPassword('non-existent', 'newpassword')).rejects.toThrow('User not found');
+    });
+  });
+
+  describe('updateOwnProfile', () => {
+    it('should update the name', async () => {
+      const created = await createUser({ email: 'test@example.com', password: 'password123', name: 'Test User' });
+
+      expect(updateOwnProfile(created.id, { name: ' Renamed ' }).name).toBe('Renamed');
+    });
+
+    it('should refuse any other field', async () => {
+      const created = await createUser({ email: 'test@example.com', password: 'password123', name: 'Test User' });
+
+      expect(() => updateOwnProfile(created.id, { role: UserRole.ADMIN }))
+        .toThrow('You cannot change these fields yourself: role');
+      expect(findUserById(created.id).role).toBe(UserRole.USER);
+    });
+  });
+
+  describe('changePassword', () => {
+    let created;
+
+    beforeEach(async () => {
+      created = await createUser({ email: 'test@example.com', password: 'oldpassword', name: 'Test User' });
+    });
+
+    it('should change the password when the current one is right', async () => {
+      await changePassword(created.id, 'oldpassword', 'newpassword');
+
+      expect(await verifyPassword('test@example.com', 'newpassword')).not.toBeNull();
+    });
+
+    it('should refuse a wrong current password', async () => {
+      await expect(changePassword(created.id, 'wrongpassword', 'newpassword'))
+        .rejects.toThrow('Current password is incorrect');
+    });
+
+    it('should refuse reusing the current password', async () => {
+      await expect(changePassword(created.id, 'oldpassword', 'oldpassword'))
+        .rejects.toThrow('New password must be different from the current one');
+    });
+  });
+
   describe('verifyPassword', () => {
     beforeEach(async () => {
       await createUser({
@@ -296,5 +591,227 @@ describe('User Model', () => {
       const user = await verifyPassword('nonexistent@example.com', 'password');
       expect(user).toBeNull();
     });
+
+    it('should explain why a pending or inactive user cannot log in', async () => {
+      const unverified = await createUser({
+        email: 'unverified@example.com',
+        password: 'password123',
+        name: 'Unverified',
+        status: UserStatus.PENDING,
+        requiresApproval: true
+      });
+      await expect(verifyPassword('unverified@example.com', 'password123'))
+        .rejects.toMatchObject({ code: 'EMAIL_NOT_VERIFIED' });
+
+      markEmailVerified(unverified.id);
+      await expect(verifyPassword('unverified@example.com', 'password123'))
+        .rejects.toMatchObject({ code: 'ACCOUNT_PENDING_APPROVAL' });
+
+      await createUser({
+        email: 'inactive@example.com',
+        password: 'password123',
+        name: 'Inactive',
+        status: UserStatus.INACTIVE
+      });
+      await expect(verifyPassword('inactive@example.com', 'password123'))
+        .rejects.toMatchObject({ code: 'ACCOUNT_INACTIVE' });
+    });
+
+    it('should not reveal the status of an account to a wrong password', async () => {
+      await createUser({
+        email: 'inactive@example.com',
+        password: 'password123',
+        name: 'Inactive',
+        status: UserStatus.INACTIVE
+      });
+      expect(await verifyPassword('inactive@example.com', 'wrongpassword')).toBeNull();
+    });
+  });
+
+  describe('login throttling', () => {
+    const defaults = { ...config.auth.lockout };
+    let user;
+
+    beforeEach(async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'], now: new Date('2026-01-05T09:00:00Z') });
+      user = await createUser({
+        email: 'test@example.com',
+        password: 'correctpassword',
+        name: 'Test User'
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      Object.assign(config.auth.lockout, defaults);
+    });
+
+    it('should count failed attempts and reset them on success', async () => {
+      await verifyPassword('test@example.com', 'wrongpassword');
+      expect(getLoginSecurity(findUserById(user.id)).failedLoginAttempts).toBe(1);
+
+      jest.advanceTimersByTime(1000);
+      await verifyPassword('test@example.com', 'correctpassword');
+      expect(getLoginSecurity(findUserById(user.id)).failedLoginAttempts).toBe(0);
+    });
+
+    it('should make each retry wait longer', async () => {
+      await verifyPassword('test@example.com', 'wrongpassword');
+      jest.advanceTimersByTime(1000);
+      await verifyPassword('test@example.com', 'wrongpassword');
+
+      // Two failures: the next attempt has to wait two seconds
+      jest.advanceTimersByTime(1000);
+      await expect(verifyPassword('test@example.com', 'correctpassword'))
+        .rejects.toMatchObject({ code: 'LOGIN_THROTTLED', retryAfter: 1 });
+
+      jest.advanceTimersByTime(1000);
+      expect(await verifyPassword('test@example.com', 'correctpassword')).not.toBeNull();
+    });
+
+    it('should lock the account after too many failures', async () => {
+      config.auth.lockout.baseDelaySeconds = 0;
+      for (let i = 0; i < config.auth.lockout.maxFailedAttempts; i++) {
+        await verifyPassword('test@example.com', 'wrongpassword');
+      }
+
+      const security = getLoginSecurity(findUserById(user.id));
+      expect(security.locked).toBe(true);
+      expect(security.lockedUntil).toBe('2026-01-05T09:15:00.000Z');
+
+      await expect(verifyPassword('test@example.com', 'correctpassword'))
+        .rejects.toMatchObject({ code: 'ACCOUNT_LOCKED', retryAfter: 900 });
+
+      jest.advanceTimersByTime(15 * 60 * 1000);
+      expect(await verifyPassword('test@example.com', 'correctpassword')).not.toBeNull();
+    });
+
+    it('should start counting afresh once a lock has expired', async () => {
+      config.auth.lockout.baseDelaySeconds = 0;
+      for (let i = 0; i < config.auth.lockout.maxFailedAttempts; i++) {
+        await verifyPassword('test@example.com', 'wrongpassword');
+      }
+      jest.advanceTimersByTime(15 * 60 * 1000);
+
+      await verifyPassword('test@example.com', 'wrongpassword');
+      const security = getLoginSecurity(findUserById(user.id));
+      expect(security.failedLoginAttempts).toBe(1);
+      expect(security.locked).toBe(false);
+    });
+
+    it('should not expose failed attempts in sanitized users', async () => {
+      await verifyPassword('test@example.com', 'wrongpassword');
+      const [listed] = getAllUsers();
+      expect(listed.failedLoginAttempts).toBeUndefined();
+      expect(listed.lockedUntil).toBeUndefined();
+    });
+
+    it('should let administrators unlock an account', async () => {
+      config.auth.lockout.baseDelaySeconds = 0;
+      for (let i = 0; i < config.auth.lockout.maxFailedAttempts; i++) {
+        await verifyPassword('test@example.com', 'wrongpassword');
+      }
+
+      expect(() => unlockUser(user.id, { id: 'user-id', role: UserRole.USER }))
+        .toThrow('User editing is restricted to administrators only');
+
+      const security = unlockUser(user.id, { id: 'admin-id', role: UserRole.ADMIN });
+      expect(security).toEqual({
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
+        locked: false
+      });
+      expect(await verifyPassword('test@example.com', 'correctpassword')).not.toBeNull();
+    });
+  });
+
+  describe('certifications', () => {
+    let user;
+    const foodHandler = { name: 'Food Handler', issueDate: '2024-01-15', expiryDate: '2025-01-14' };
+
+    beforeEach(async () => {
+      user = await createUser({ email: 'cert@example.com', password: 'password123', name: 'Cert User' });
+    });
+
+    it('should start new users with no certifications', () => {
+      expect(user.certifications).toEqual([]);
+    });
+
+    it('should add a certification to the account', () => {
+      const certification = addCertification(user.id, { ...foodHandler, name: ' Food Handler ', notes: '' }, 'manager-1');
+
+      expect(certification).toEqual(expect.objectContaining({
+        name: 'Food Handler',
+        issueDate: '2024-01-15',
+        expiryDate: '2025-01-14',
+        notes: null,
+        addedBy: 'manager-1'
+      }));
+      expect(findUserById(user.id).certifications).toEqual([certification]);
+    });
+
+    it('should refuse bad or duplicate certifications', () => {
+      addCertification(user.id, foodHandler, 'manager-1');
+
+      expect(() => addCertification(user.id, { ...foodHandler, name: 'FOOD HANDLER' }))
+        .toThrow('This user already has that certification');
+      expect(() => addCertification(user.id, { name: 'Mixer', issueDate: '2024-02-30' }))
+        .toThrow('Issue date must be in YYYY-MM-DD format');
+      expect(() => addCertification(user.id, { name: 'Mixer', issueDate: '2024-02-01', expiryDate: '2024-01-01' }))
+        .toThrow('Expiry date cannot be before issue date');
+      expect(() => addCertification(user.id, { issueDate: '2024-02-01' })).toThrow('Certification name is required');
+      expect(() => addCertification('missing', foodHandler)).toThrow('User not found');
+    });
+
+    it('should renew and remove certifications', () => {
+      const certification = addCertification(user.id, foodHandler, 'manager-1');
+
+      const renewed = updateCertification(user.id, certification.id, { issueDate: '2025-01-10', expiryDate: '2026-01-09' });
+      expect(renewed).toEqual(expect.objectContaining({ name: 'Food Handler', expiryDate: '2026-01-09' }));
+
+      expect(removeCertification(user.id, certification.id).id).toBe(certification.id);
+      expect(findUserById(user.id).certifications).toEqual([]);
+      expect(() => removeCertification(user.id, certification.id)).toThrow('Certification not found');
+    });
+
+    it('should find certifications that are missing or not current', () => {
+      addCertification(user.id, foodHandler, 'manager-1');
+      addCertification(user.id, { name: 'Oven Training', issueDate: '2024-03-01' }, 'manager-1');
+      const record = findUserById(user.id);
+      const needed = ['food handler', 'Oven Training', 'Mixer Training'];
+
+      expect(findMissingCertifications(record, needed, '2024-06-01', '2024-06-01')).toEqual(['Mixer Training']);
+      expect(findMissingCertifications(record, needed, '2025-01-14', '2025-01-15'))
+        .toEqual(['food handler', 'Mixer Training']);
+      expect(findMissingCertifications(record, needed, '2024-02-01', '2024-02-01'))
+        .toEqual(['Oven Training', 'Mixer Training']);
+      expect(findMissingCertifications(null, ['Oven Training'], '2024-06-01', '2024-06-01')).toEqual(['Oven Training']);
+    });
+  });
+
+  describe('resolveMentions', () => {
+    let ann;
+    let bob;
+
+    beforeEach(async () => {
+      ann = await createUser({ email: 'ann.smith@example.com', password: 'password123', name: 'Ann Smith' });
+      bob = await createUser({ email: 'bjones@example.com', password: 'password123', name: 'Bob Jones' });
+      await createUser({ email: 'bob2@example.com', password: 'password123', name: 'Bob Brown' });
+      await createUser({ email: 'gone@example.com', password: 'password123', name: 'Gone Away', status: UserStatus.INACTIVE });
+    });
+
+    it('should match handles, email names and unique first names', () => {
+      expect(mentionHandle(ann)).toBe('AnnSmith');
+      expect(resolveMentions('@annsmith and @BobJones, please check')).toEqual([ann.id, bob.id]);
+      expect(resolveMentions('Thanks @ann.smith.')).toEqual([ann.id]);
+      expect(resolveMentions('@Ann @ann @AnnSmith')).toEqual([ann.id]);
+    });
+
+    it('should leave out unknown, ambiguous and inactive users and email addresses', () => {
+      expect(resolveMentions('@bob could you ask @nobody?')).toEqual([]);
+      expect(resolveMentions('@GoneAway')).toEqual([]);
+      expect(resolveMentions('write to ann@example.com')).toEqual([]);
+    });
   });
 });
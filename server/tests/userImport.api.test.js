@@ -0,0 +1,279 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { clearUsers, createUser, findUserByEmail, verifyPassword, UserRole, UserStatus } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { Permission, createRole, clearCustomRoles } = require('../src/models/role');
+const { clearUserTokens } = require('../src/models/userToken');
+const { clearAuditLog, queryAuditLog, AuditAction } = require('../src/models/audit');
+const { getTransport } = require('../src/mail');
+const { parseCsvObjects } = require('../src/utils/csv');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
+
+describe('User import and export API', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    clearUsers();
+    clearSessions();
+    clearCustomRoles();
+    clearUserTokens();
+    clearAuditLog();
+    getTransport().clear();
+    ({ token: adminToken } = await createAuthenticatedAdmin({ email: 'admin@example.com' }));
+  });
+
+  function importUsers(data, query = '') {
+    const req = request(app)
+      .post(`/api/users/import${query}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    return typeof data === 'string'
+      ? req.set('Content-Type', 'text/csv').send(data)
+      : req.send(data);
+  }
+
+  describe('POST /api/users/import', () => {
+    const csv = [
+      'email,name,role,status,password',
+      'ann@example.com,Ann Baker,baker,active,password123',
+      'bob@example.com,"Bob, Jr",front_of_house,,'
+    ].join('\n');
+
+    it('should create users from CSV', async () => {
+      const response = await importUsers(csv);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ imported: true, total: 2, created: 2, updated: 0, failed: 0 });
+
+      const bob = findUserByEmail('bob@example.com');
+      expect(bob.name).toBe('Bob, Jr');
+      expect(bob.role).toBe(UserRole.FRONT_OF_HOUSE);
+      expect(bob.status).toBe(UserStatus.ACTIVE);
+      expect(await verifyPassword('ann@example.com', 'password123')).not.toBeNull();
+    });
+
+    it('should email an invite to users imported without a password', async () => {
+      await importUsers(csv);
+
+      const recipients = getTransport().messages.map(message => message.to);
+      expect(recipients).toEqual(['bob@example.com']);
+      expect(getTransport().messages[0].text).toContain('/login.html?reset=');
+    });
+
+    it('should create users from JSON and audit each one', async () => {
+      const response = await importUsers([{ email: 'Cat@Example.com', name: 'Cat' }]);
+
+      expect(response.status).toBe(200);
+      const user = findUserByEmail('cat@example.com');
+      expect(user.role).toBe(UserRole.USER);
+
+      const [entry] = queryAuditLog({ action: AuditAction.USER_CREATE });
+      expect(entry.targetId).toBe(user.id);
+      expect(entry.metadata.source).toBe('import');
+    });
+
+    it('should not write anything on a dry run', async () => {
+      const response = await importUsers(csv, '?dryRun=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ dryRun: true, imported: false, created: 2 });
+      expect(response.body.rows.map(row => row.action)).toEqual(['create', 'create']);
+      expect(findUserByEmail('ann@example.com')).toBeNull();
+      expect(getTransport().messages).toHaveLength(0);
+    });
+
+    it('should report per-row errors and import nothing', async () => {
+      const response = await importUsers([
+        { email: 'ann@example.com', name: 'Ann' },
+        { email: 'not-an-email', name: 'Nobody' },
+        { email: 'ann@example.com', role: 'wizard', status: 'asleep', password: 'short' }
+      ]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.imported).toBe(false);
+      expect(response.body.failed).toBe(2);
+      expect(response.body.rows[0]).toEqual({ row: 1, email: 'ann@example.com', action: 'create' });
+      expect(response.body.rows[1].errors).toEqual(['Email is not valid']);
+      expect(response.body.rows[2].errors).toEqual([
+        'Email appears more than once in this import',
+        'Name is required',
+        'Unknown role: wizard',
+        'Unknown status: asleep',
+        'Password must be at least 8 characters'
+      ]);
+      expect(findUserByEmail('ann@example.com')).toBeNull();
+    });
+
+    it('should refuse existing emails unless upserting', async () => {
+      await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+
+      const response = await importUsers([{ email: 'ann@example.com', name: 'Ann Baker' }]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.rows[0].errors).toEqual(['A user with this email already exists']);
+    });
+
+    it('should update existing users by email when upserting', async () => {
+      const existing = await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+
+      const response = await importUsers([
+        { email: 'ann@example.com', role: 'baker' },
+        { email: 'admin@example.com', name: 'Admin Member' }
+      ], '?upsert=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ updated: 1, unchanged: 1, created: 0 });
+      expect(response.body.rows[0].userId).toBe(existing.id);
+
+      const ann = findUserByEmail('ann@example.com');
+      expect(ann.name).toBe('Ann');
+      expect(ann.role).toBe(UserRole.BAKER);
+
+      const [entry] = queryAuditLog({ action: AuditAction.USER_UPDATE });
+      expect(entry.changes).toEqual({ role: { from: UserRole.USER, to: UserRole.BAKER } });
+    });
+
+    it('should sign out users an import deactivates', async () => {
+      const { token } = await createAuthenticatedUser({ email: 'ann@example.com' });
+
+      const response = await importUsers([{ email: 'ann@example.com', status: 'inactive' }], '?upsert=true');
+
+      expect(response.status).toBe(200);
+      await request(app).get('/api/users/me').set('Authorization', `Bearer ${token}`).expect(401);
+    });
+
+    it('should refuse to change existing users\' passwords', async () => {
+      await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+
+      const response = await importUsers([{ email: 'ann@example.com', password: 'takenover1' }], '?upsert=true');
+
+      expect(response.status).toBe(400);
+      expect(response.body.rows[0].errors).toEqual(['An import cannot change the password of an existing user']);
+      expect(await verifyPassword('ann@example.com', 'takenover1')).toBeNull();
+    });
+
+    describe('with a custom importer role', () => {
+      async function importAs(permissions, data) {
+        createRole({ name: 'people_lead', label: 'People Lead', permissions: [Permission.USERS_VIEW, ...permissions] });
+        const { token } = await createAuthenticatedUser({ role: 'people_lead' });
+        return request(app)
+          .post('/api/users/import?upsert=true')
+          .set('Authorization', `Bearer ${token}`)
+          .send(data);
+      }
+
+      it('should not let them change users who outrank them', async () => {
+        const response = await importAs([Permission.USERS_IMPORT, Permission.USERS_EDIT], [
+          { email: 'new@example.com', name: 'New Starter' },
+          { email: 'admin@example.com', status: 'inactive' }
+        ]);
+
+        expect(response.status).toBe(400);
+        expect(response.body.rows[1].errors).toEqual(['You cannot change a user whose role has permissions you do not have']);
+        expect(findUserByEmail('admin@example.com').status).toBe(UserStatus.ACTIVE);
+        expect(findUserByEmail('new@example.com')).toBeNull();
+      });
+
+      it('should check users.edit before writing any row', async () => {
+        await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann' });
+
+        const response = await importAs([Permission.USERS_IMPORT], [
+          { email: 'new@example.com', name: 'New Starter' },
+          { email: 'ann@example.com', name: 'Ann Baker' }
+        ]);
+
+        expect(response.status).toBe(400);
+        expect(response.body.rows[1].errors).toEqual(['Updating existing users needs the users.edit permission']);
+        expect(findUserByEmail('new@example.com')).toBeNull();
+        expect(findUserByEmail('ann@example.com').name).toBe('Ann');
+        expect(queryAuditLog({})).toHaveLength(0);
+      });
+    });
+
+    it('should reject a body that is neither CSV nor a list', async () => {
+      const response = await importUsers({ email: 'ann@example.com' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('CSV');
+    });
+
+    it('should return 403 for users without users.import', async () => {
+      const { token } = await createAuthenticatedUser({ role: UserRole.SHIFT_MANAGER });
+
+      const response = await request(app)
+        .post('/api/users/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send([{ email: 'ann@example.com', name: 'Ann' }]);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/users/export', () => {
+    beforeEach(async () => {
+      await createUser({ email: 'ann@example.com', password: 'password123', name: 'Ann', role: UserRole.BAKER });
+      await createUser({
+        email: 'bob@example.com',
+        password: 'password123',
+        name: 'Bob',
+        status: UserStatus.INACTIVE
+      });
+    });
+
+    it('should download users as CSV without passwords', async () => {
+      const response = await request(app)
+        .get('/api/users/export')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="users-.*\.csv"/);
+      expect(response.text).not.toContain('password');
+
+      const rows = parseCsvObjects(response.text);
+      expect(rows.map(row => row.email).sort()).toEqual(['admin@example.com', 'ann@example.com', 'bob@example.com']);
+      expect(Object.keys(rows[0])).toEqual(['id', 'email', 'name', 'role', 'status', 'emailVerified', 'createdAt', 'lastLoginAt']);
+    });
+
+    it('should apply filters and support JSON', async () => {
+      const response = await request(app)
+        .get('/api/users/export?format=json&status=active&role=baker')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].email).toBe('ann@example.com');
+      expect(response.body[0].password).toBeUndefined();
+
+      const [entry] = queryAuditLog({ action: AuditAction.USER_EXPORT });
+      expect(entry.metadata).toMatchObject({ format: 'json', count: 1 });
+    });
+
+    it('should let accountants export', async () => {
+      const { token } = await createAuthenticatedUser({ role: UserRole.ACCOUNTANT });
+
+      const response = await request(app)
+        .get('/api/users/export')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should return 403 for users without users.export', async () => {
+      const { token } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .get('/api/users/export')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should validate the format', async () => {
+      const response = await request(app)
+        .get('/api/users/export?format=xml')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -1,10 +1,13 @@
 const request = require('supertest');
 const app = require('../src/index');
 const { clearUsers, createUser, UserRole } = require('../src/models/user');
+const { clearSessions } = require('../src/models/session');
+const { createAuthenticatedUser, createAuthenticatedAdmin } = require('./helpers');
 
 describe('Users API', () => {
   beforeEach(async () => {
     clearUsers();
+    clearSessions();
   });
 
   describe('POST /api/users/signup', () => {
@@ -88,7 +91,11 @@ describe('Users API', () => {
         });
 
       expect(response.status).toBe(200);
-      expect(response.body.email).toBe('test@example.com');
+      expect(response.body.user.email).toBe('test@example.com');
+      expect(response.body.user.password).toBeUndefined();
+      expect(response.body.tokenType).toBe('Bearer');
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
     });
 
     it('should reject login with invalid credentials', async () => {
@@ -105,7 +112,10 @@ describe('Users API', () => {
   });
 
   describe('GET /api/users', () => {
+    let token;
+
     beforeEach(async () => {
+      ({ token } = await createAuthenticatedUser());
       await createUser({
         email: 'user1@example.com',
         password: 'password123',
@@ -118,47 +128,127 @@ describe('Users API', () => {
       });
     });
 
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/users');
+
+      expect(response.status).toBe(401);
+    });
+
     it('should return all users', async () => {
       const response = await request(app)
         .get('/api/users')
-        .set('x-user-id', 'some-user-id');
+        .set('Authorization', `Bearer ${token}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.length).toBe(2);
+      expect(response.body.users.length).toBe(3);
+      expect(response.body.total).toBe(3);
     });
 
     it('should search users by name', async () => {
       const response = await request(app)
         .get('/api/users?search=john')
-        .set('x-user-id', 'some-user-id');
+        .set('Authorization', `Bearer ${token}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.length).toBe(1);
-      expect(response.body[0].name).toBe('John Doe');
+      expect(response.body.users.length).toBe(1);
+      expect(response.body.users[0].name).toBe('John Doe');
     });
 
     it('should search users by email', async () => {
       const response = await request(app)
         .get('/api/users?search=user2')
-        .set('x-user-id', 'some-user-id');
+        .set('Authorization', `Bearer ${token}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.length).toBe(1);
-      expect(response.body[0].email).toBe('user2@example.com');
+      expect(response.body.users.length).toBe(1);
+      expect(response.body.users[0].email).toBe('user2@example.com');
+    });
+
+    it('should sort users', async () => {
+      const response = await request(app)
+        .get('/api/users?sort=-name')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.users.map(user => user.name).slice(1)).toEqual(['John Doe', 'Jane Smith']);
+      expect(response.body.users[0].name).toMatch(/^Member/);
+    });
+
+    it('should page through users with a cursor', async () => {
+      const first = await request(app)
+        .get('/api/users?sort=email&limit=2')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(first.body.users).toHaveLength(2);
+      expect(first.body.total).toBe(3);
+      expect(first.body.limit).toBe(2);
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get(`/api/users?sort=email&limit=2&cursor=${first.body.nextCursor}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(second.body.users).toHaveLength(1);
+      expect(second.body.nextCursor).toBeNull();
+      const emails = [...first.body.users, ...second.body.users].map(user => user.email);
+      expect(emails).toEqual([...emails].sort());
+      expect(new Set(emails).size).toBe(3);
+    });
+
+    it('should filter by several roles', async () => {
+      await createUser({ email: 'baker@example.com', password: 'password123', name: 'Baker', role: UserRole.BAKER });
+      await createUser({ email: 'admin@example.com', password: 'password123', name: 'Admin', role: UserRole.ADMIN });
+
+      const response = await request(app)
+        .get('/api/users?role=baker&role=admin&sort=name')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.body.users.map(user => user.name)).toEqual(['Admin', 'Baker']);
+
+      const commaSeparated = await request(app)
+        .get('/api/users?role=baker,admin')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(commaSeparated.body.total).toBe(2);
+    });
+
+    it('should filter by creation date', async () => {
+      const response = await request(app)
+        .get(`/api/users?createdAfter=${encodeURIComponent(new Date(Date.now() + 60000).toISOString())}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ users: [], total: 0, limit: 50, nextCursor: null });
+    });
+
+    it('should reject invalid sort, limit, dates and cursors', async () => {
+      for (const query of ['sort=password', 'limit=0', 'limit=1000', 'lastLoginBefore=yesterday', 'cursor=nonsense']) {
+        const response = await request(app)
+          .get(`/api/users?${query}`)
+          .set('Authorization', `Bearer ${token}`);
+        expect(response.status).toBe(400);
+      }
     });
   });
 
   describe('GET /api/users/stats', () => {
-    it('should return stats with no users', async () => {
+    let token;
+
+    beforeEach(async () => {
+      ({ token } = await createAuthenticatedUser());
+    });
+
+    it('should return stats with only the current user', async () => {
       const response = await request(app)
         .get('/api/users/stats')
-        .set('x-user-id', 'some-user-id');
+        .set('Authorization', `Bearer ${token}`);
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({
-        totalUsers: 0,
-        activeUsers: 0,
-        administrators: 0
+        totalUsers: 1,
+        activeUsers: 1,
+        administrators: 0,
+        pendingApprovals: 0
       });
     });
 
@@ -177,21 +267,26 @@ describe('Users API', () => {
 
       const response = await request(app)
         .get('/api/users/stats')
-        .set('x-user-id', 'some-user-id');
+        .set('Authorization', `Bearer ${token}`);
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({
-        totalUsers: 2,
-        activeUsers: 2,
-        administrators: 1
+        totalUsers: 3,
+        activeUsers: 3,
+        administrators: 1,
+        pendingApprovals: 0
       });
     });
   });
 
   describe('PUT /api/users/:id', () => {
     let userId;
+    let userToken;
+    let adminToken;
 
     beforeEach(async () => {
+      ({ token: userToken } = await createAuthenticatedUser());
+      ({ token: adminToken } = await createAuthenticatedAdmin());
       const user = await createUser({
         email: 'user@example.com',
         password: 'password123',
@@ -203,21 +298,30 @@ describe('Users API', () => {
     it('should restrict non-admin from updating users', async () => {
       const response = await request(app)
         .put(`/api/users/${userId}`)
-        .set('x-user-id', 'some-user-id')
-        .set('x-user-role', 'user')
+        .set('Authorization', `Bearer ${userToken}`)
         .send({ name: 'Updated Name' });
 
       expect(response.status).toBe(403);
       expect(response.body.error).toContain('restricted to administrators only');
     });
 
-    it('should allow admin to update users', async () => {
+    it('should ignore role headers supplied by the caller', async () => {
       const response = await request(app)
         .put(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${userToken}`)
         .set('x-user-id', 'admin-id')
         .set('x-user-role', 'admin')
         .send({ name: 'Updated Name' });
 
+      expect(response.status).toBe(403);
+    });
+
+    it('should allow admin to update users', async () => {
+      const response = await request(app)
+        .put(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Updated Name' });
+
       expect(response.status).toBe(200);
       expect(response.body.name).toBe('Updated Name');
     });
@@ -225,8 +329,7 @@ describe('Users API', () => {
     it('should return 404 for non-existent user', async () => {
       const response = await request(app)
         .put('/api/users/non-existent-id')
-        .set('x-user-id', 'admin-id')
-        .set('x-user-role', 'admin')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({ name: 'Updated Name' });
 
       expect(response.status).toBe(404);
@@ -235,8 +338,12 @@ describe('Users API', () => {
 
   describe('DELETE /api/users/:id', () => {
     let userId;
+    let userToken;
+    let adminToken;
 
     beforeEach(async () => {
+      ({ token: userToken } = await createAuthenticatedUser());
+      ({ token: adminToken } = await createAuthenticatedAdmin());
       const user = await createUser({
         email: 'user@example.com',
         password: 'password123',
@@ -248,8 +355,7 @@ describe('Users API', () => {
     it('should restrict non-admin from deleting users', async () => {
       const response = await request(app)
         .delete(`/api/users/${userId}`)
-        .set('x-user-id', 'some-user-id')
-        .set('x-user-role', 'user');
+        .set('Authorization', `Bearer ${userToken}`);
 
       expect(response.status).toBe(403);
       expect(response.body.error).toContain('restricted to administrators only');
@@ -258,8 +364,7 @@ describe('Users API', () => {
     it('should allow admin to delete users', async () => {
       const response = await request(app)
         .delete(`/api/users/${userId}`)
-        .set('x-user-id', 'admin-id')
-        .set('x-user-role', 'admin');
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(response.status).toBe(204);
     });
@@ -267,8 +372,7 @@ describe('Users API', () => {
     it('should return 404 for non-existent user', async () => {
       const response = await request(app)
         .delete('/api/users/non-existent-id')
-        .set('x-user-id', 'admin-id')
-        .set('x-user-role', 'admin');
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(response.status).toBe(404);
     });